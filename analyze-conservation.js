@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { formatFasta } = require('./lib/alignment-formats');
+const { fileStem } = require('./lib/manifest');
+const { readSavedAlignments } = require('./lib/saved-alignments');
+const { analyzeConservation, formatConservationTsv, consensusRecords } = require('./lib/conservation');
+
+const SUMMARY_COLUMNS = ['gene', 'id', 'file', 'sequences', 'columns', 'conserved_columns', 'regions', 'mean_entropy'];
+
+/**
+ * Consensus and conservation for the saved alignments in `outputDir`, or only
+ * the one whose gene name, gene ID or file name is `gene`. For each alignment
+ * writes `<name>.consensus.fasta` (consensus plus one record per conserved
+ * region) and `<name>.conservation.tsv` (one row per column) to
+ * `conservationDir`; a whole-directory run also writes summary.tsv there.
+ * `threshold` and `minIdentity` are percentages. Returns `{ results, skipped }`.
+ */
+async function analyzeDirectory(outputDir = './output', {
+  genes = [],
+  manifestPath = path.join(outputDir, 'index.json'),
+  conservationDir = path.join(outputDir, 'conservation'),
+  gene = null,
+  threshold = 50,
+  minIdentity = 80,
+  minLength = 5
+} = {}) {
+  console.log(`Analysing conservation (consensus threshold ${threshold}%, regions of ${minLength}+ columns at ${minIdentity}%+ identity)...`);
+
+  const wanted = gene && gene.toLowerCase();
+  const select = gene
+    ? ({ stem, gene: owner }) => [stem, owner.name, owner.id].some(value => value && value.toLowerCase() === wanted)
+    : null;
+  const { alignments, skipped } = await readSavedAlignments(outputDir, { genes, manifestPath, select });
+  if (gene && alignments.length === 0 && skipped.length === 0) {
+    throw new Error(`No saved alignment for ${gene}`);
+  }
+  await fs.mkdir(conservationDir, { recursive: true });
+
+  const results = [];
+  for (const { file, stem, gene: owner, validation } of alignments) {
+    const analysis = analyzeConservation(validation.records, {
+      alphabet: validation.alphabet,
+      threshold: threshold / 100,
+      minIdentity,
+      minLength
+    });
+
+    const fastaPath = path.join(conservationDir, `${stem}.consensus.fasta`);
+    const tsvPath = path.join(conservationDir, `${stem}.conservation.tsv`);
+    await fs.writeFile(fastaPath, formatFasta(consensusRecords(fileStem(stem) || stem, analysis, { threshold: threshold / 100 })).text);
+    await fs.writeFile(tsvPath, formatConservationTsv(analysis));
+
+    const conserved = analysis.regions.reduce((sum, region) => sum + region.length, 0);
+    const meanEntropy = analysis.columns.reduce((sum, column) => sum + column.entropy, 0) / (analysis.columns.length || 1);
+    results.push({
+      gene: owner.name,
+      id: owner.id,
+      file,
+      sequences: validation.records.length,
+      columns: analysis.columns.length,
+      conservedColumns: conserved,
+      regions: analysis.regions,
+      meanEntropy: Math.round(meanEntropy * 1000) / 1000,
+      fastaPath,
+      tsvPath
+    });
+    console.log(`✅ ${file}: ${analysis.regions.length} conserved regions covering ${conserved}/${analysis.columns.length} columns`);
+  }
+
+  if (!gene) {
+    const lines = [SUMMARY_COLUMNS.join('\t'), ...results.map(result => [
+      result.gene, result.id, result.file, result.sequences, result.columns,
+      result.conservedColumns, result.regions.length, result.meanEntropy
+    ].map(value => String(value).replace(/[\t\n]/g, ' ')).join('\t'))];
+    await fs.writeFile(path.join(conservationDir, 'summary.tsv'), `${lines.join('\n')}\n`);
+  }
+
+  console.log(`\n=== SUMMARY ===`);
+  console.log(`Analysed: ${results.length}`);
+  console.log(`Skipped: ${skipped.length}`);
+  console.log(`Written to ${conservationDir}`);
+
+  return { results, skipped };
+}
+
+// Running this file directly is the same as `node cli.js conservation`
+if (require.main === module) {
+  require('./cli').run(['conservation', ...process.argv.slice(2)]);
+}
+
+module.exports = { analyzeDirectory };
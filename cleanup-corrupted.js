@@ -1,91 +1,181 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { classifyFile, sniffContent } = require('./lib/content-sniffer');
+const { loadManifest, mapStemsToGenes } = require('./lib/manifest');
+const { geneKey } = require('./lib/run-state');
+const { queueGenes } = require('./lib/rescrape-queue');
 
-const execAsync = promisify(exec);
-
-async function findCorruptedFiles() {
+/**
+ * Check every alignment in `outputDir` (raw `.txt` files and converted
+ * formats) without leaving the process. Returns `{ corruptedFiles,
+ * validFiles, stalePlaceholders }`; corrupted entries are `{ file, reason,
+ * message, gene }` where `gene` is null if no gene could be matched, and stale
+ * placeholders are `*_FAILED.txt` files of genes that have a valid alignment.
+ */
+async function findCorruptedFiles(outputDir = './output', { genes = [], manifestPath = path.join(outputDir, 'index.json') } = {}) {
   try {
-    const outputDir = './output';
-    const files = await fs.readdir(outputDir);
-    const txtFiles = files.filter(file => file.endsWith('.txt'));
-    
-    console.log(`Checking ${txtFiles.length} files for corruption...`);
-    
+    const files = (await fs.readdir(outputDir, { withFileTypes: true }))
+      .filter(entry => entry.isFile())
+      .map(entry => entry.name)
+      .sort();
+    const alignmentFiles = files.filter(file => classifyFile(file).kind);
+    const placeholders = files.filter(file => file.endsWith('_FAILED.txt'));
+    const owners = mapStemsToGenes(await loadManifest(manifestPath), genes);
+
+    console.log(`Checking ${alignmentFiles.length} files for corruption...`);
+
     const corruptedFiles = [];
     const validFiles = [];
-    
-    for (const file of txtFiles) {
-      const filePath = path.join(outputDir, file);
-      
+    const validStems = new Set();
+    const validGenes = new Set();
+
+    for (const file of alignmentFiles) {
+      const { kind, stem } = classifyFile(file);
+
       try {
-        // Use the 'file' command to check file type
-        const { stdout } = await execAsync(`file "${filePath}"`);
-        
-        if (stdout.includes('data') || 
-            stdout.includes('PNG') || 
-            stdout.includes('JPEG') || 
-            stdout.includes('binary')) {
-          corruptedFiles.push(file);
-          console.log(`❌ CORRUPTED: ${file} - ${stdout.trim()}`);
+        const result = sniffContent(kind, await fs.readFile(path.join(outputDir, file)));
+
+        if (!result.valid) {
+          corruptedFiles.push({ file, reason: result.reason, message: result.message, gene: owners.get(stem) || null });
+          console.log(`❌ CORRUPTED: ${file} - ${result.reason}: ${result.message}`);
         } else {
           validFiles.push(file);
-          console.log(`✅ VALID: ${file}`);
+          if (kind === 'alignment') {
+            validStems.add(stem);
+            if (owners.has(stem)) validGenes.add(geneKey(owners.get(stem)));
+          }
+          const detail = result.validation
+            ? `${result.validation.records.length} ${result.validation.alphabet} sequences`
+            : kind;
+          console.log(`✅ VALID: ${file} (${detail})`);
         }
       } catch (err) {
         console.error(`Error checking ${file}:`, err.message);
       }
     }
-    
+
+    const stalePlaceholders = placeholders.filter(file => {
+      const { stem } = classifyFile(file);
+      return validStems.has(stem) || (owners.has(stem) && validGenes.has(geneKey(owners.get(stem))));
+    });
+
     console.log(`\n=== SUMMARY ===`);
-    console.log(`Total files: ${txtFiles.length}`);
+    console.log(`Total files: ${alignmentFiles.length}`);
     console.log(`Valid files: ${validFiles.length}`);
     console.log(`Corrupted files: ${corruptedFiles.length}`);
-    
+    if (stalePlaceholders.length > 0) {
+      console.log(`Stale _FAILED placeholders: ${stalePlaceholders.length}`);
+    }
+
     if (corruptedFiles.length > 0) {
       console.log(`\nCorrupted files to clean up:`);
-      corruptedFiles.forEach(file => console.log(`  - ${file}`));
-      
-      console.log(`\nTo remove corrupted files, run:`);
-      console.log(`node cleanup-corrupted.js --remove`);
+      corruptedFiles.forEach(({ file, gene }) => console.log(`  - ${file}${gene ? ` (${gene.name}, ${gene.id})` : ''}`));
     }
-    
-    return { corruptedFiles, validFiles };
-    
+    if (corruptedFiles.length > 0 || stalePlaceholders.length > 0) {
+      console.log(`\nTo quarantine corrupted files, queue their genes for re-scraping and remove stale placeholders, run:`);
+      console.log(`node cli.js cleanup --quarantine`);
+    }
+
+    return { corruptedFiles, validFiles, stalePlaceholders };
+
   } catch (err) {
     console.error('Error finding corrupted files:', err.message);
+    return { corruptedFiles: [], validFiles: [], stalePlaceholders: [], error: err };
   }
 }
 
-async function removeCorruptedFiles(corruptedFiles) {
+async function removeCorruptedFiles(corruptedFiles, outputDir = './output') {
   console.log(`Removing ${corruptedFiles.length} corrupted files...`);
-  
-  for (const file of corruptedFiles) {
+
+  for (const { file } of corruptedFiles) {
     try {
-      const filePath = path.join('./output', file);
+      const filePath = path.join(outputDir, file);
       await fs.unlink(filePath);
       console.log(`🗑️  Removed: ${file}`);
     } catch (err) {
       console.error(`Error removing ${file}:`, err.message);
     }
   }
-  
+
   console.log(`✅ Cleanup complete!`);
 }
 
-async function main() {
-  const shouldRemove = process.argv.includes('--remove');
-  
-  const { corruptedFiles, validFiles } = await findCorruptedFiles();
-  
-  if (shouldRemove && corruptedFiles.length > 0) {
-    await removeCorruptedFiles(corruptedFiles);
+// First name not yet used in the quarantine folder: `x.txt`, `x.2.txt`, ...
+async function quarantineName(quarantineDir, file) {
+  const { name, ext } = path.parse(file);
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? file : `${name}.${n}${ext}`;
+    try {
+      await fs.access(path.join(quarantineDir, candidate));
+    } catch (err) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Move corrupted files into `quarantineDir`, record why in its
+ * quarantine.json, and add their genes to the re-scrape queue.
+ * Returns `{ quarantined, queued }`.
+ */
+async function quarantineCorruptedFiles(corruptedFiles, outputDir = './output', {
+  quarantineDir = path.join(outputDir, 'quarantine'),
+  queuePath = path.join(outputDir, 'rescrape-queue.json')
+} = {}) {
+  console.log(`Quarantining ${corruptedFiles.length} corrupted files in ${quarantineDir}...`);
+  await fs.mkdir(quarantineDir, { recursive: true });
+
+  const logPath = path.join(quarantineDir, 'quarantine.json');
+  let log = [];
+  try {
+    log = JSON.parse(await fs.readFile(logPath, 'utf-8'));
+  } catch (err) {
+    // First quarantine
+  }
+
+  const quarantined = [];
+  for (const entry of corruptedFiles) {
+    try {
+      const target = await quarantineName(quarantineDir, entry.file);
+      await fs.rename(path.join(outputDir, entry.file), path.join(quarantineDir, target));
+      log.push({ ...entry, quarantinedAs: target, quarantinedAt: new Date().toISOString() });
+      quarantined.push(entry);
+      console.log(`📦 Quarantined: ${entry.file} - ${entry.reason}`);
+    } catch (err) {
+      console.error(`Error quarantining ${entry.file}:`, err.message);
+    }
+  }
+  await fs.writeFile(logPath, JSON.stringify(log, null, 2));
+
+  const matched = quarantined.filter(entry => entry.gene);
+  let queued = 0;
+  if (matched.length > 0) {
+    const queue = await queueGenes(queuePath, matched.map(({ gene, reason, file }) => ({ gene, reason, file })));
+    queued = new Set(matched.map(entry => geneKey(entry.gene))).size;
+    console.log(`🔁 Queued ${queued} genes for re-scraping (${queue.length} in ${queuePath}); run \`node cli.js scrape --queue\``);
+  }
+  const unmatched = quarantined.length - matched.length;
+  if (unmatched > 0) {
+    console.log(`⚠️  ${unmatched} files could not be matched to a gene and were not queued`);
+  }
+
+  return { quarantined, queued };
+}
+
+async function removeStalePlaceholders(placeholders, outputDir = './output') {
+  for (const file of placeholders) {
+    try {
+      await fs.unlink(path.join(outputDir, file));
+      console.log(`🗑️  Removed stale placeholder: ${file}`);
+    } catch (err) {
+      console.error(`Error removing ${file}:`, err.message);
+    }
   }
 }
 
+// Running this file directly is the same as `node cli.js cleanup`
 if (require.main === module) {
-  main().catch(console.error);
+  require('./cli').run(['cleanup', ...process.argv.slice(2)]);
 }
 
-module.exports = { findCorruptedFiles, removeCorruptedFiles }; 
\ No newline at end of file
+module.exports = { findCorruptedFiles, removeCorruptedFiles, quarantineCorruptedFiles, removeStalePlaceholders };
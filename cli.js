@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULTS, CONFIG_FILE_NAMES, envName } = require('./lib/config');
+const { FORMATS } = require('./lib/alignment-formats');
+
+// Options shared by every command. `setting` names the lib/config.js key the
+// option overrides; options without one are per-invocation flags.
+const COMMON_OPTIONS = {
+  config: { type: 'string', short: 'c', description: `JSON or YAML config file (default: first of ${CONFIG_FILE_NAMES.join(', ')})` },
+  input: { type: 'string', short: 'i', setting: 'inputCsv', description: 'Gene list CSV' },
+  output: { type: 'string', short: 'o', setting: 'outputDir', description: 'Output directory' },
+  help: { type: 'boolean', short: 'h', description: 'Show help for this command' }
+};
+
+const INPUT_OPTIONS = {
+  'name-column': { type: 'string', setting: 'nameColumn', description: 'Header label or column number of the gene names' },
+  'id-column': { type: 'string', setting: 'idColumn', description: 'Header label or column number of the gene IDs' },
+  'id-pattern': { type: 'string', setting: 'idPattern', description: 'Regular expression every gene ID must match' }
+};
+
+const BROWSER_OPTIONS = {
+  ...INPUT_OPTIONS,
+  site: { type: 'string', short: 's', setting: 'site', description: 'Site adapter to scrape with (see `node cli.js sites`) or the path of an adapter module' },
+  'base-url': { type: 'string', setting: 'baseUrl', description: 'Page to scrape, if not the site adapter\'s own URL' },
+  'id-case-sensitive': { type: 'boolean', setting: 'idCaseSensitive', description: 'Match gene IDs on the site case-sensitively' },
+  'id-ignore-version': { type: 'string', setting: 'idIgnoreVersion', description: 'Ignore version suffixes such as .1 when matching gene IDs (true/false)' },
+  'verify-gene': { type: 'string', setting: 'verifyGene', description: 'Only save alignments whose page or headers mention the gene ID (true/false)' },
+  headless: { type: 'boolean', setting: 'headless', description: 'Run Chrome without a window' },
+  concurrency: { type: 'string', short: 'j', setting: 'concurrency', description: 'Browser pages scraping in parallel' },
+  delay: { type: 'string', setting: 'delayBetweenSearches', description: 'Minimum ms between searches across all pages' },
+  'max-retries': { type: 'string', setting: 'maxRetries', description: 'Attempts per gene' },
+  'retry-delay': { type: 'string', setting: 'retryBaseDelay', description: 'ms before the first retry, doubled for each further retry' },
+  'retry-max-delay': { type: 'string', setting: 'retryMaxDelay', description: 'Longest wait between retries, in ms' },
+  'adaptive-delay': { type: 'string', setting: 'adaptiveDelay', description: 'Slow down on 429/5xx responses and rising latency, speed up again once the site recovers (true/false)' },
+  'max-delay': { type: 'string', setting: 'throttleMaxDelay', description: 'Longest adaptive delay between searches, in ms' },
+  'breaker-threshold': { type: 'string', setting: 'breakerThreshold', description: 'Attempts in a row with server errors that pause the whole run (0: never)' },
+  'breaker-cooldown': { type: 'string', setting: 'breakerCooldown', description: 'ms the run pauses when the circuit breaker opens' },
+  'breaker-max-trips': { type: 'string', setting: 'breakerMaxTrips', description: 'Pauses without the site recovering before the run stops (0: never stop)' },
+  format: { type: 'string', short: 'f', setting: 'formats', description: `Extra formats to write: ${Object.keys(FORMATS).join(', ')}` },
+  artifacts: { type: 'string', short: 'a', setting: 'artifacts', description: 'Export menu entries to save per gene, e.g. msa,tree,sequences or all' },
+  dashboard: { type: 'boolean', setting: 'dashboard', description: 'Serve a live dashboard with pause, resume and skip on localhost' },
+  'dashboard-port': { type: 'string', setting: 'dashboardPort', description: 'Port of the dashboard (0 picks a free one)' },
+  forensics: { type: 'string', setting: 'forensics', description: 'Save a screenshot, DOM, console log and payload of every failed attempt (true/false)' },
+  cache: { type: 'boolean', setting: 'cache', description: 'Cache captured payloads and serve genes cached within cache-ttl from disk' },
+  'cache-ttl': { type: 'string', setting: 'cacheTtl', description: 'Hours a cached payload is served for (0: forever)' },
+  'archive-network': { type: 'boolean', setting: 'archiveNetwork', description: 'Archive each gene\'s responses as a HAR file in <output>/network' },
+  test: { type: 'boolean', description: 'Only process the first test-limit genes' },
+  replay: { type: 'boolean', description: 'Validate and save genes from the response cache only, without a browser' },
+  'test-limit': { type: 'string', setting: 'testLimit', description: 'Number of genes processed with --test' }
+};
+
+// The gene list is only needed to match files that predate the output index,
+// so commands that read the output directory carry on without it
+async function readGenesForMatching(config) {
+  try {
+    const { loadGeneList } = require('./lib/gene-list');
+    return (await loadGeneList(config.inputCsv, config)).genes;
+  } catch (err) {
+    console.log(`Gene list not read (${err.message}), matching files through the output index only`);
+    return [];
+  }
+}
+
+const COMMANDS = {
+  scrape: {
+    summary: 'Scrape MSA data for every gene in the input CSV',
+    options: {
+      ...BROWSER_OPTIONS,
+      resume: { type: 'boolean', description: 'Skip genes whose output already validates (default)' },
+      'only-failed': { type: 'boolean', description: 'Only rescrape genes recorded as failed or invalid' },
+      force: { type: 'boolean', description: 'Rescrape every gene and reset attempt counts' },
+      queue: { type: 'boolean', description: 'Only rescrape genes in the re-scrape queue (filled by cleanup --quarantine)' }
+    },
+    async run(values) {
+      const modes = ['resume', 'only-failed', 'force', 'queue'].filter(mode => values[mode]);
+      if (modes.length > 1) {
+        throw new Error(`Choose one of --${modes.join(', --')}`);
+      }
+      const scraper = require('./scraper-enhanced');
+      await scraper.runScrape({ mode: modes[0] || 'resume', test: Boolean(values.test), replay: Boolean(values.replay) });
+    }
+  },
+
+  retry: {
+    summary: 'Rescrape only genes in failed_genes.json or with a _FAILED.txt placeholder',
+    options: BROWSER_OPTIONS,
+    async run(values) {
+      const scraper = require('./scraper-enhanced');
+      await scraper.runScrape({ mode: 'retry', test: Boolean(values.test), replay: Boolean(values.replay) });
+    }
+  },
+
+  sites: {
+    summary: 'List the site adapters that scrape and retry can use',
+    options: { site: BROWSER_OPTIONS.site },
+    async run(values, config) {
+      const { SITE_ADAPTERS } = require('./lib/sites');
+      for (const adapter of Object.values(SITE_ADAPTERS)) {
+        const marker = adapter.name === config.site ? '*' : ' ';
+        console.log(`${marker} ${adapter.name.padEnd(20)} ${adapter.description}\n  ${''.padEnd(20)} ${adapter.baseUrl}`);
+      }
+      console.log(`\nScraping ${config.baseUrl} with ${config.site}`);
+    }
+  },
+
+  check: {
+    summary: 'Check the gene list and print the pre-flight report (exit code 1 if rows are skipped)',
+    options: INPUT_OPTIONS,
+    async run(values, config) {
+      const { loadGeneList, printGeneListReport } = require('./lib/gene-list');
+      const list = await loadGeneList(config.inputCsv, config);
+      printGeneListReport(list, { limit: Infinity });
+      if (list.skipped.length > 0) {
+        process.exitCode = 1;
+      }
+    }
+  },
+
+  index: {
+    summary: 'Update the output index (index.json, index.csv), or look up the files of a gene ID',
+    options: {
+      ...INPUT_OPTIONS,
+      id: { type: 'string', description: 'Print the indexed files of this gene ID instead (exit code 1 if none)' }
+    },
+    async run(values, config) {
+      const scraper = require('./scraper-enhanced');
+      if (values.id) {
+        const { findById } = require('./lib/manifest');
+        const entries = findById(await scraper.getOutputIndex(), values.id);
+        for (const entry of entries) {
+          console.log(`${entry.name}\t${entry.status}\t${path.join(config.outputDir, entry.file)}`);
+          for (const [name, artifact] of Object.entries(entry.artifacts || {})) {
+            console.log(`${entry.name}\t${name}: ${artifact.status}\t${artifact.file ? path.join(config.outputDir, artifact.file) : artifact.message}`);
+          }
+        }
+        if (entries.length === 0) {
+          console.error(`No indexed output for ${values.id}`);
+          process.exitCode = 1;
+        }
+        return;
+      }
+
+      const { loadGeneList } = require('./lib/gene-list');
+      const { genes } = await loadGeneList(config.inputCsv, config);
+      await scraper.ensureDirectories();
+      const { entries, adopted, updated, removed } = await scraper.indexOutput(genes);
+      console.log(`Indexed ${entries} genes in ${config.manifestPath} (${adopted} adopted, ${updated} updated, ${removed} removed)`);
+    }
+  },
+
+  cache: {
+    summary: 'Show the response cache of the site, or invalidate entries',
+    options: {
+      site: BROWSER_OPTIONS.site,
+      'cache-ttl': BROWSER_OPTIONS['cache-ttl'],
+      invalidate: { type: 'string', description: 'Remove cached payloads: all, expired, or comma-separated gene IDs' }
+    },
+    async run(values, config) {
+      const scraper = require('./scraper-enhanced');
+      const cache = scraper.getResponseCache();
+      if (values.invalidate !== undefined) {
+        const target = values.invalidate.trim();
+        if (!target) {
+          throw new Error('--invalidate needs all, expired or gene IDs');
+        }
+        const removed = await cache.invalidate(
+          target === 'all' ? {} : target === 'expired' ? { expiredOnly: true } : { geneIds: target.split(',').map(id => id.trim()).filter(Boolean) }
+        );
+        console.log(`Removed ${removed} cached payload${removed === 1 ? '' : 's'} from ${cache.dir}`);
+        return;
+      }
+      const { genes, entries, expired, bytes } = await cache.stats();
+      console.log(`Response cache: ${cache.dir}`);
+      console.log(`${entries} payloads of ${genes} genes (${(bytes / 1024).toFixed(1)} KiB), ${config.cacheTtl > 0 ? `${expired} older than ${config.cacheTtl} hours` : 'no TTL'}`);
+    }
+  },
+
+  compare: {
+    summary: 'Diff the alignments of two output directories or output indexes per gene',
+    options: {
+      ...INPUT_OPTIONS,
+      before: { type: 'string', description: 'Earlier output directory or its index.json' },
+      after: { type: 'string', description: 'Later output directory or its index.json (default: the output directory)' },
+      out: { type: 'string', description: 'Directory for diff.json and diff.txt (default: compare/ in the later output directory)' }
+    },
+    async run(values, config) {
+      if (!values.before) {
+        throw new Error('--before is required');
+      }
+      const { compareRuns } = require('./compare-runs');
+      await compareRuns(values.before, values.after || config.outputDir, {
+        genes: await readGenesForMatching(config),
+        outDir: values.out || null
+      });
+    }
+  },
+
+  validate: {
+    summary: 'Check every saved alignment with the MSA validator (exit code 1 if any are invalid)',
+    options: {},
+    async run(values, config) {
+      const { findCorruptedFiles } = require('./cleanup-corrupted');
+      const { corruptedFiles, error } = await findCorruptedFiles(config.outputDir, { manifestPath: config.manifestPath });
+      if (error || corruptedFiles.length > 0) {
+        process.exitCode = 1;
+      }
+    }
+  },
+
+  summary: {
+    summary: 'Summarize the latest run and the saved alignments',
+    options: {},
+    async run(values, config) {
+      const { summarizeResults, summarizeAlignments } = require('./summary');
+      await summarizeResults(config.outputDir);
+      await summarizeAlignments(config.outputDir);
+    }
+  },
+
+  cleanup: {
+    summary: 'Find corrupted alignments and quarantine or delete them',
+    options: {
+      ...INPUT_OPTIONS,
+      quarantine: { type: 'boolean', description: 'Move corrupted files to <output>/quarantine and queue their genes for re-scraping' },
+      remove: { type: 'boolean', description: 'Delete the corrupted files' }
+    },
+    async run(values, config) {
+      if (values.quarantine && values.remove) {
+        throw new Error('Choose one of --quarantine, --remove');
+      }
+      const {
+        findCorruptedFiles,
+        removeCorruptedFiles,
+        quarantineCorruptedFiles,
+        removeStalePlaceholders
+      } = require('./cleanup-corrupted');
+
+      const genes = await readGenesForMatching(config);
+      const { corruptedFiles, stalePlaceholders } = await findCorruptedFiles(config.outputDir, { genes, manifestPath: config.manifestPath });
+      if (!values.quarantine && !values.remove) {
+        return;
+      }
+      if (values.quarantine && corruptedFiles.length > 0) {
+        await quarantineCorruptedFiles(corruptedFiles, config.outputDir, {
+          quarantineDir: config.quarantineDir,
+          queuePath: config.rescrapeQueuePath
+        });
+      }
+      if (values.remove && corruptedFiles.length > 0) {
+        await removeCorruptedFiles(corruptedFiles, config.outputDir);
+      }
+      await removeStalePlaceholders(stalePlaceholders, config.outputDir);
+    }
+  },
+
+  orthologs: {
+    summary: 'Write the ortholog table and the presence/absence matrix of accessions per query gene',
+    options: {
+      ...INPUT_OPTIONS,
+      'header-pattern': { type: 'string', setting: 'headerPatterns', description: 'Regular expression with named groups (species, accession, assembly, contig, gene, transcript) for FASTA headers' },
+      counts: { type: 'boolean', description: 'Write sequence counts in the matrix instead of 1/0' }
+    },
+    async run(values, config) {
+      const { buildOrthologTables } = require('./ortholog-table');
+      await buildOrthologTables(config.outputDir, {
+        genes: await readGenesForMatching(config),
+        manifestPath: config.manifestPath,
+        tablePath: config.orthologTablePath,
+        matrixPath: config.orthologMatrixPath,
+        headerPatterns: config.headerPatterns,
+        counts: Boolean(values.counts)
+      });
+    }
+  },
+
+  conservation: {
+    summary: 'Write the consensus sequence and per-column conservation of saved alignments',
+    options: {
+      ...INPUT_OPTIONS,
+      gene: { type: 'string', short: 'g', description: 'Only analyse the alignment of this gene name, gene ID or file name' },
+      threshold: { type: 'string', setting: 'consensusThreshold', description: 'Percent of sequences a residue needs to enter the consensus' },
+      'min-identity': { type: 'string', setting: 'conservedIdentity', description: 'Percent identity every column of a conserved region needs' },
+      'min-length': { type: 'string', setting: 'conservedMinLength', description: 'Columns a conserved region needs' }
+    },
+    async run(values, config) {
+      const { analyzeDirectory } = require('./analyze-conservation');
+      await analyzeDirectory(config.outputDir, {
+        genes: await readGenesForMatching(config),
+        manifestPath: config.manifestPath,
+        conservationDir: config.conservationDir,
+        gene: values.gene || null,
+        threshold: config.consensusThreshold,
+        minIdentity: config.conservedIdentity,
+        minLength: config.conservedMinLength
+      });
+    }
+  },
+
+  supermatrix: {
+    summary: 'Concatenate saved alignments into a supermatrix with a partition file',
+    options: {
+      ...INPUT_OPTIONS,
+      taxon: { type: 'string', setting: 'taxonLevel', description: 'Header part that names the rows: accession, species or assembly' },
+      'header-pattern': { type: 'string', setting: 'headerPatterns', description: 'Regular expression with named groups for FASTA headers (see orthologs)' },
+      format: BROWSER_OPTIONS.format
+    },
+    async run(values, config) {
+      const { exportSupermatrix } = require('./phylo-export');
+      await exportSupermatrix(config.outputDir, {
+        genes: await readGenesForMatching(config),
+        manifestPath: config.manifestPath,
+        supermatrixDir: config.supermatrixDir,
+        taxon: config.taxonLevel,
+        headerPatterns: config.headerPatterns,
+        formats: config.formats
+      });
+    }
+  },
+
+  unaligned: {
+    summary: 'Write degapped, unaligned multi-FASTA per gene for re-alignment',
+    options: {
+      ...INPUT_OPTIONS,
+      taxon: { type: 'string', setting: 'taxonLevel', description: 'Header part that names the sequences: accession, species or assembly' },
+      'header-pattern': { type: 'string', setting: 'headerPatterns', description: 'Regular expression with named groups for FASTA headers (see orthologs)' }
+    },
+    async run(values, config) {
+      const { exportUnaligned } = require('./phylo-export');
+      await exportUnaligned(config.outputDir, {
+        genes: await readGenesForMatching(config),
+        manifestPath: config.manifestPath,
+        unalignedDir: config.unalignedDir,
+        taxon: config.taxonLevel,
+        headerPatterns: config.headerPatterns
+      });
+    }
+  },
+
+  convert: {
+    summary: 'Convert saved alignments to other formats',
+    options: {
+      format: BROWSER_OPTIONS.format,
+      out: { type: 'string', description: 'Directory for converted files (default: the output directory)' },
+      replace: { type: 'boolean', description: 'Delete each .txt file once it has been converted (not in an indexed output directory)' }
+    },
+    async run(values, config) {
+      if (config.formats.length === 0) {
+        throw new Error('No formats given; pass --format or set "formats" in the config file');
+      }
+      const { convertDirectory } = require('./convert-alignments');
+      await convertDirectory({
+        inputDir: config.outputDir,
+        outputDir: values.out || config.outputDir,
+        formats: config.formats,
+        replace: Boolean(values.replace)
+      });
+    }
+  }
+};
+
+function formatOptions(options) {
+  return Object.entries(options).map(([name, option]) => {
+    const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}${option.type === 'string' ? ' <value>' : ''}`;
+    let text = `  ${flag.padEnd(32)} ${option.description}`;
+    if (option.setting) {
+      const fallback = DEFAULTS[option.setting];
+      const shown = Array.isArray(fallback) ? fallback.join(',') || 'none' : fallback === '' ? 'none' : fallback;
+      text += `\n  ${''.padEnd(32)} [default: ${shown}; env: ${envName(option.setting)}]`;
+    }
+    return text;
+  }).join('\n');
+}
+
+function printHelp(commandName) {
+  if (commandName) {
+    const command = COMMANDS[commandName];
+    console.log(`Usage: node cli.js ${commandName} [options]\n\n${command.summary}\n`);
+    console.log(`Options:\n${formatOptions({ ...command.options, ...COMMON_OPTIONS })}`);
+    return;
+  }
+
+  console.log('Usage: node cli.js <command> [options]\n');
+  console.log('Commands:');
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(10)} ${command.summary}`);
+  }
+  console.log('\nRun `node cli.js <command> --help` for the options of a command.');
+  console.log('Settings are read from the config file, then SCRAPER_* environment variables, then options.');
+}
+
+// Map parsed option values onto config setting overrides
+function settingOverrides(options, values) {
+  const overrides = {};
+  for (const [name, option] of Object.entries(options)) {
+    if (option.setting && values[name] !== undefined) {
+      overrides[option.setting] = values[name];
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Run the CLI with the given arguments (without `node cli.js`). Errors are
+ * reported on stderr and turned into a non-zero exit code.
+ */
+async function run(argv) {
+  const [commandName, ...rest] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+    printHelp(rest[0] && COMMANDS[rest[0]] ? rest[0] : null);
+    return;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`Unknown command: ${commandName}\n`);
+    printHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  const options = { ...command.options, ...COMMON_OPTIONS };
+  try {
+    const { values } = parseArgs({
+      args: rest,
+      options: Object.fromEntries(Object.entries(options).map(([name, { type, short }]) => (
+        [name, short ? { type, short } : { type }]
+      ))),
+      strict: true
+    });
+
+    if (values.help) {
+      printHelp(commandName);
+      return;
+    }
+
+    // Every command resolves its settings through the scraper so they share one configuration
+    const scraper = require('./scraper-enhanced');
+    const config = scraper.configure({ configPath: values.config, overrides: settingOverrides(options, values) });
+    await command.run(values, config);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2));
+}
+
+module.exports = { COMMANDS, run };
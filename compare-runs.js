@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { validateMSA } = require('./lib/msa-parser');
+const { loadManifest, mapStemsToGenes, describeContent } = require('./lib/manifest');
+const { geneKey } = require('./lib/run-state');
+const { diffRuns, formatDiffReport } = require('./lib/run-diff');
+
+async function readSide(file, filePath) {
+  try {
+    const data = await fs.readFile(filePath);
+    return { file, ...describeContent(data), validation: validateMSA(data) };
+  } catch (err) {
+    return { file, error: err.code === 'ENOENT' ? 'File missing' : err.message };
+  }
+}
+
+/**
+ * The raw alignments of one side of a comparison: an output directory (its
+ * `.txt` files, matched to genes through its index.json and `genes`) or an
+ * output index (the alignment files its entries list, relative to the
+ * index). Returns `[{ stem, gene, matched, side }]`.
+ */
+async function readRun(location, { genes = [] } = {}) {
+  const stat = await fs.stat(location).catch(() => null);
+  if (!stat) {
+    throw new Error(`${location} does not exist`);
+  }
+
+  if (stat.isDirectory()) {
+    const owners = mapStemsToGenes(await loadManifest(path.join(location, 'index.json')), genes);
+    const files = (await fs.readdir(location))
+      .filter(file => file.endsWith('.txt') && !file.endsWith('_FAILED.txt'))
+      .sort();
+    const run = [];
+    for (const file of files) {
+      const stem = file.replace(/\.txt$/, '');
+      const owner = owners.get(stem);
+      run.push({
+        stem,
+        gene: owner || { name: stem, id: '' },
+        matched: Boolean(owner),
+        side: await readSide(file, path.join(location, file))
+      });
+    }
+    return run;
+  }
+
+  const manifest = await loadManifest(location);
+  if (Object.keys(manifest.entries).length === 0) {
+    throw new Error(`${location} is not an output index with entries`);
+  }
+  const run = [];
+  for (const entry of Object.values(manifest.entries)) {
+    if (!entry.file || !entry.file.endsWith('.txt') || entry.file.endsWith('_FAILED.txt')) continue;
+    run.push({
+      stem: entry.file.replace(/\.txt$/, ''),
+      gene: { name: entry.name, id: entry.id },
+      matched: true,
+      side: await readSide(entry.file, path.join(path.dirname(location), entry.file))
+    });
+  }
+  return run;
+}
+
+// Key both sides by gene. A file neither the index nor the gene list could
+// match takes the gene the other side found for the same file name, so an
+// unindexed directory still lines up with an indexed one.
+function keyByGene(run, known) {
+  const keyed = new Map();
+  for (const { stem, gene, matched, side } of run) {
+    const owner = matched ? gene : known.get(stem) || gene;
+    keyed.set(geneKey(owner), { gene: owner, side });
+  }
+  return keyed;
+}
+
+/**
+ * Compare the alignments of two runs, each given as an output directory or
+ * its index.json, and write the diff report to `outDir` (default: compare/
+ * in the output directory of `after`) as diff.json and diff.txt. Returns the
+ * report (see lib/run-diff.js).
+ */
+async function compareRuns(before, after, { genes = [], outDir = null } = {}) {
+  console.log(`Comparing ${before} with ${after}...`);
+  const [beforeRun, afterRun] = await Promise.all([readRun(before, { genes }), readRun(after, { genes })]);
+
+  const known = new Map();
+  for (const { stem, gene, matched } of [...afterRun, ...beforeRun]) {
+    if (matched && !known.has(stem)) known.set(stem, gene);
+  }
+  const report = diffRuns(keyByGene(beforeRun, known), keyByGene(afterRun, known), {
+    beforeLabel: before,
+    afterLabel: after
+  });
+
+  if (!outDir) {
+    const afterIsDir = (await fs.stat(after)).isDirectory();
+    outDir = path.join(afterIsDir ? after : path.dirname(after), 'compare');
+  }
+  await fs.mkdir(outDir, { recursive: true });
+  const jsonPath = path.join(outDir, 'diff.json');
+  const textPath = path.join(outDir, 'diff.txt');
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  await fs.writeFile(textPath, formatDiffReport(report));
+
+  const { totals } = report;
+  console.log(`\n=== SUMMARY ===`);
+  console.log(`Genes compared: ${report.genes.length}`);
+  console.log(`🟰 Identical: ${totals.identical}${totals.reformatted > 0 ? ` (+${totals.reformatted} with the same sequences in a different layout)` : ''}`);
+  console.log(`✏️  Changed: ${totals.changed}`);
+  console.log(`➕ Added: ${totals.added}`);
+  console.log(`➖ Removed: ${totals.removed}`);
+  if (totals.unreadable > 0) {
+    console.log(`⚠️  Unreadable: ${totals.unreadable}`);
+  }
+  console.log(`Written to ${jsonPath} and ${textPath}`);
+
+  return report;
+}
+
+// Running this file directly is the same as `node cli.js compare`
+if (require.main === module) {
+  require('./cli').run(['compare', ...process.argv.slice(2)]);
+}
+
+module.exports = { compareRuns, readRun };
@@ -0,0 +1,57 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { validateMSA } = require('./lib/msa-parser');
+const { writeFormats } = require('./lib/alignment-formats');
+
+/**
+ * Convert every saved alignment in `inputDir` into the given formats.
+ * With `replace`, the source .txt file is removed once all conversions for
+ * it have been written. The scraper and the analysis commands only read the
+ * .txt files, so `replace` is refused for a scraper output directory (one
+ * with an output index).
+ */
+async function convertDirectory({ inputDir = './output', outputDir = inputDir, formats, replace = false }) {
+  const files = await fs.readdir(inputDir);
+  if (replace && files.includes('index.json')) {
+    throw new Error(`Not replacing the .txt files of indexed scraper output in ${inputDir}: resuming and the analysis commands read them. Convert without --replace, or into another directory with --out`);
+  }
+  // *_FAILED.txt placeholders are bookkeeping, not alignments
+  const txtFiles = files.filter(file => file.endsWith('.txt') && !file.endsWith('_FAILED.txt'));
+  await fs.mkdir(outputDir, { recursive: true });
+
+  console.log(`Converting ${txtFiles.length} alignments to ${formats.join(', ')}...`);
+
+  const converted = [];
+  const skipped = [];
+
+  for (const file of txtFiles) {
+    const filePath = path.join(inputDir, file);
+    const validation = validateMSA(await fs.readFile(filePath));
+
+    if (!validation.valid) {
+      skipped.push({ file, reason: validation.message });
+      console.log(`⚠️  Skipped ${file}: ${validation.message}`);
+      continue;
+    }
+
+    const written = await writeFormats(validation, file.replace(/\.txt$/, ''), outputDir, formats);
+    if (replace) {
+      await fs.unlink(filePath);
+    }
+    converted.push({ file, written });
+    console.log(`✅ ${file} -> ${written.map(p => path.basename(p)).join(', ')}`);
+  }
+
+  console.log(`\n=== SUMMARY ===`);
+  console.log(`Converted: ${converted.length}`);
+  console.log(`Skipped: ${skipped.length}`);
+
+  return { converted, skipped };
+}
+
+// Running this file directly is the same as `node cli.js convert`
+if (require.main === module) {
+  require('./cli').run(['convert', ...process.argv.slice(2)]);
+}
+
+module.exports = { convertDirectory };
@@ -0,0 +1,90 @@
+const { EventEmitter } = require('events');
+const scraper = require('./scraper-enhanced');
+const { createMemoryWriter } = require('./lib/output-writer');
+const { loadConfig } = require('./lib/config');
+
+// The scraper as a library. The CLI (cli.js) drives the same functions; this
+// file adds progress events and per-gene results for callers in other
+// programs:
+//
+//   const { createScraper } = require('scraper');
+//   const run = createScraper({ config: { headless: true }, writer: createMemoryWriter() });
+//   run.on('gene:done', result => console.log(result.gene.id, result.success));
+//   const { results } = await run.scrapeGenes([{ name: 'MtNFP', id: 'Medtr5g019040' }]);
+
+// Run log events passed on under a name of their own
+const PROGRESS_EVENTS = {
+  'gene.start': 'gene:start',
+  retry: 'gene:retry'
+};
+
+// The scraper keeps its configuration and output index per process
+let running = false;
+
+/**
+ * Create a scraper. `config` overrides settings like the CLI flags do (on
+ * top of `configPath` or the usual config file and SCRAPER_* variables);
+ * `writer` replaces the output directory (see lib/output-writer.js) and
+ * `browser` reuses an already launched Puppeteer browser. The run log and
+ * run report are written to config.logDir unless there is a `writer` or
+ * `persist` is false. Failure forensics are off with a `writer` unless
+ * `config.forensics` turns them on. Invalid settings throw here.
+ *
+ * The returned emitter has `scrapeGenes(genes)` and emits:
+ *   gene:start  { gene, index, worker }
+ *   gene:retry  { gene, attempt, failure, delayMs }
+ *   gene:done   the gene's result (see scrapeGene in scraper-enhanced.js)
+ *   run:done    { runId, results, report }
+ *   event       every run log entry
+ */
+function createScraper({ config = {}, configPath = null, writer = null, persist = !writer, browser = null } = {}) {
+  const overrides = writer ? { forensics: false, ...config } : { ...config };
+  const emitter = new EventEmitter();
+  emitter.config = loadConfig({ configPath, overrides });
+
+  emitter.scrapeGenes = async genes => {
+    if (running) {
+      throw new Error('A scrape is already running in this process');
+    }
+    running = true;
+    try {
+      const resolved = scraper.configure({ configPath, overrides, writer });
+      emitter.config = resolved;
+      const run = await scraper.scrapeGenes(genes, {
+        persist,
+        browser,
+        onEvent: entry => {
+          emitter.emit('event', entry);
+          if (PROGRESS_EVENTS[entry.event]) {
+            emitter.emit(PROGRESS_EVENTS[entry.event], entry);
+          }
+        },
+        onResult: result => {
+          emitter.emit('gene:done', result);
+        }
+      });
+      emitter.emit('run:done', run);
+      return run;
+    } finally {
+      // Back to the defaults the module starts with
+      scraper.configure({ configPath: false, env: {} });
+      running = false;
+    }
+  };
+
+  return emitter;
+}
+
+/**
+ * Scrape `genes` in one call: createScraper(options).scrapeGenes(genes), with
+ * `options.on` mapping event names to listeners.
+ */
+async function scrapeGenes(genes, { on = {}, ...options } = {}) {
+  const run = createScraper(options);
+  for (const [event, listener] of Object.entries(on)) {
+    run.on(event, listener);
+  }
+  return run.scrapeGenes(genes);
+}
+
+module.exports = { createScraper, scrapeGenes, createMemoryWriter };
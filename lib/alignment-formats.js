@@ -0,0 +1,222 @@
+// Writers that turn validated alignment records (see lib/msa-parser.js) into
+// the formats downstream tools expect. Each writer returns the file text plus
+// a name map whenever sequence names had to be changed.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const CLUSTAL_BLOCK = 60;
+
+// Clustal conservation groups for protein columns
+const STRONG_GROUPS = ['STA', 'NEQK', 'NHQK', 'NDEQ', 'QHRK', 'MILV', 'MILF', 'HY', 'FYW'];
+const WEAK_GROUPS = ['CSA', 'ATV', 'SAG', 'STNK', 'STPA', 'SGND', 'SNDEQK', 'NDEQHK', 'NEQHRK', 'FVLIM', 'HFY'];
+
+// Sequence IDs are the first word of the FASTA header
+function sequenceId(header) {
+  return header.split(/\s+/)[0] || 'seq';
+}
+
+/**
+ * Make names safe and unique. Characters outside `allowed` become `_`, names
+ * longer than `maxLength` are truncated, and clashes get a `_2`, `_3`, ...
+ * suffix that still fits in `maxLength` (a bare digit would read as another
+ * version of the same ID).
+ */
+function makeSafeNames(records, { maxLength = Infinity, allowed = /[A-Za-z0-9_.|-]/ } = {}) {
+  const used = new Set();
+
+  return records.map(({ header }) => {
+    const original = sequenceId(header);
+    const cleaned = Array.from(original, char => (allowed.test(char) ? char : '_')).join('');
+    let name = cleaned.slice(0, maxLength);
+
+    for (let n = 2; used.has(name); n++) {
+      const suffix = `_${n}`;
+      name = cleaned.slice(0, Math.max(0, maxLength - suffix.length)) + suffix;
+    }
+    used.add(name);
+    return { name, original: header };
+  });
+}
+
+function columnConservation(column, alphabet) {
+  if (column.includes('-') || column.includes('.')) {
+    return ' ';
+  }
+  const residues = new Set(column.toUpperCase());
+  if (residues.size === 1) {
+    return '*';
+  }
+  if (alphabet !== 'protein') {
+    return ' ';
+  }
+  const fits = group => Array.from(residues).every(residue => group.includes(residue));
+  if (STRONG_GROUPS.some(fits)) {
+    return ':';
+  }
+  if (WEAK_GROUPS.some(fits)) {
+    return '.';
+  }
+  return ' ';
+}
+
+function formatClustal(records, { alphabet } = {}) {
+  const names = makeSafeNames(records);
+  const width = Math.max(...names.map(n => n.name.length)) + 6;
+  const length = records[0].sequence.length;
+  const lines = ['CLUSTAL W (1.83) multiple sequence alignment', '', ''];
+
+  for (let start = 0; start < length; start += CLUSTAL_BLOCK) {
+    const end = Math.min(start + CLUSTAL_BLOCK, length);
+    records.forEach((record, i) => {
+      lines.push(names[i].name.padEnd(width) + record.sequence.slice(start, end));
+    });
+
+    let conservation = '';
+    for (let col = start; col < end; col++) {
+      conservation += columnConservation(records.map(r => r.sequence[col]).join(''), alphabet);
+    }
+    lines.push(' '.repeat(width) + conservation, '');
+  }
+
+  return { text: lines.join('\n') + '\n', names };
+}
+
+function formatStockholm(records) {
+  const names = makeSafeNames(records);
+  const width = Math.max(...names.map(n => n.name.length)) + 1;
+  const lines = ['# STOCKHOLM 1.0', ''];
+
+  records.forEach((record, i) => {
+    if (names[i].original !== names[i].name) {
+      lines.push(`#=GS ${names[i].name.padEnd(width - 1)} DE ${names[i].original}`);
+    }
+  });
+  if (lines.length > 2) {
+    lines.push('');
+  }
+  records.forEach((record, i) => {
+    lines.push(names[i].name.padEnd(width) + record.sequence);
+  });
+  lines.push('//');
+
+  return { text: lines.join('\n') + '\n', names };
+}
+
+// Relaxed PHYLIP: names up to 250 characters separated from the sequence by
+// whitespace. Strict PHYLIP: names padded/truncated to exactly 10 characters.
+function formatPhylip(records, { strict = false } = {}) {
+  const names = makeSafeNames(records, {
+    maxLength: strict ? 10 : 250,
+    // Characters tree builders choke on in names: whitespace ( ) [ ] : ; ,
+    allowed: /[A-Za-z0-9_.|-]/
+  });
+  const length = records[0].sequence.length;
+  const lines = [` ${records.length} ${length}`];
+
+  records.forEach((record, i) => {
+    const name = strict ? names[i].name.padEnd(10) : `${names[i].name}  `;
+    lines.push(name + record.sequence);
+  });
+
+  return { text: lines.join('\n') + '\n', names };
+}
+
+function quoteNexus(name) {
+  return /^[A-Za-z0-9_.]+$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`;
+}
+
+// Names are quoted rather than cleaned up, but PAUP* and MrBayes reject a
+// matrix with the same taxon twice
+function formatNexus(records, { alphabet } = {}) {
+  const names = makeSafeNames(records, { allowed: /./ });
+  const quoted = names.map(n => quoteNexus(n.name));
+  const width = Math.max(...quoted.map(n => n.length)) + 2;
+  const datatype = alphabet === 'nucleotide' ? 'DNA' : 'PROTEIN';
+
+  const lines = [
+    '#NEXUS',
+    '',
+    'BEGIN DATA;',
+    `  DIMENSIONS NTAX=${records.length} NCHAR=${records[0].sequence.length};`,
+    `  FORMAT DATATYPE=${datatype} MISSING=? GAP=-;`,
+    '  MATRIX'
+  ];
+  records.forEach((record, i) => {
+    lines.push(`    ${quoted[i].padEnd(width)}${record.sequence}`);
+  });
+  lines.push('  ;', 'END;');
+
+  return { text: lines.join('\n') + '\n', names };
+}
+
+function formatFasta(records) {
+  const text = records.map(record => `>${record.header}\n${record.sequence}`).join('\n') + '\n';
+  return { text, names: records.map(r => ({ name: r.header, original: r.header })) };
+}
+
+const FORMATS = {
+  fasta: { extension: '.fasta', write: formatFasta },
+  clustal: { extension: '.aln', write: formatClustal },
+  stockholm: { extension: '.sto', write: formatStockholm },
+  phylip: { extension: '.phy', write: records => formatPhylip(records) },
+  'phylip-strict': { extension: '.strict.phy', write: records => formatPhylip(records, { strict: true }) },
+  nexus: { extension: '.nex', write: formatNexus }
+};
+
+function parseFormatList(value) {
+  const formats = value.split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter(f => !FORMATS[f]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown format(s): ${unknown.join(', ')}. Available: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return formats;
+}
+
+function convertAlignment(records, format, options = {}) {
+  return FORMATS[format].write(records, options);
+}
+
+// Formats whose files get a name map, the ones fed to tree builders
+const NAME_MAP_FORMATS = ['phylip', 'phylip-strict', 'nexus'];
+
+/**
+ * Write `<baseName><ext>` into `outputDir` for each requested format. PHYLIP
+ * and NEXUS outputs also get a `<baseName><ext>.names.tsv` map whenever any
+ * name was shortened, cleaned up or made unique, so the original headers can
+ * be restored after tree building. Returns the paths written.
+ */
+async function writeFormats(validation, baseName, outputDir, formats) {
+  const written = [];
+
+  for (const format of formats) {
+    const { extension } = FORMATS[format];
+    const { text, names } = convertAlignment(validation.records, format, { alphabet: validation.alphabet });
+    const filePath = path.join(outputDir, baseName + extension);
+    await fs.writeFile(filePath, text);
+    written.push(filePath);
+
+    const renamed = names.some(n => n.name !== n.original);
+    if (NAME_MAP_FORMATS.includes(format) && renamed) {
+      const mapPath = `${filePath}.names.tsv`;
+      const rows = names.map(n => `${n.name}\t${n.original}`);
+      await fs.writeFile(mapPath, ['name\toriginal_header', ...rows].join('\n') + '\n');
+      written.push(mapPath);
+    }
+  }
+
+  return written;
+}
+
+module.exports = {
+  FORMATS,
+  makeSafeNames,
+  formatClustal,
+  formatStockholm,
+  formatPhylip,
+  formatNexus,
+  formatFasta,
+  parseFormatList,
+  convertAlignment,
+  writeFormats
+};
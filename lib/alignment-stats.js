@@ -0,0 +1,110 @@
+const { parseHeader } = require('./fasta-headers');
+
+const GAP_CHARS = '-.';
+
+// Flags for alignments that need a look before they are used downstream
+const FLAGS = {
+  SINGLE_SEQUENCE: 'single-sequence',
+  ALL_GAP_COLUMNS: 'all-gap-columns',
+  RAGGED: 'ragged'
+};
+
+function countGaps(sequence) {
+  let gaps = 0;
+  for (const char of sequence) {
+    if (GAP_CHARS.includes(char)) gaps++;
+  }
+  return gaps;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round(part / whole * 1000) / 10 : 0;
+}
+
+// Columns that are a gap in every sequence long enough to have them
+function countAllGapColumns(records, length) {
+  let count = 0;
+  for (let column = 0; column < length; column++) {
+    const allGaps = records.every(({ sequence }) => column >= sequence.length || GAP_CHARS.includes(sequence[column]));
+    if (allGaps) count++;
+  }
+  return count;
+}
+
+/**
+ * QC statistics for parsed alignment records. Works on ragged records too
+ * (validateMSA returns them with the rejection), so a ragged file still gets
+ * numbers plus the `ragged` flag.
+ */
+function computeAlignmentStats(records) {
+  const length = Math.max(0, ...records.map(record => record.sequence.length));
+  const perSequence = records.map(({ header, sequence }) => {
+    const gaps = countGaps(sequence);
+    return {
+      id: parseHeader(header).id,
+      length: sequence.length,
+      ungappedLength: sequence.length - gaps,
+      gapPercent: percent(gaps, sequence.length)
+    };
+  });
+
+  const totalCells = perSequence.reduce((sum, seq) => sum + seq.length, 0);
+  const totalGaps = perSequence.reduce((sum, seq) => sum + seq.length - seq.ungappedLength, 0);
+  const byUngapped = [...perSequence].sort((a, b) => a.ungappedLength - b.ungappedLength);
+  const headers = records.map(record => parseHeader(record.header));
+  const allGapColumns = countAllGapColumns(records, length);
+  const ragged = perSequence.some(seq => seq.length !== length);
+
+  const flags = [];
+  if (records.length === 1) flags.push(FLAGS.SINGLE_SEQUENCE);
+  if (allGapColumns > 0) flags.push(FLAGS.ALL_GAP_COLUMNS);
+  if (ragged) flags.push(FLAGS.RAGGED);
+
+  return {
+    sequences: records.length,
+    length,
+    gapPercent: percent(totalGaps, totalCells),
+    minSequenceGapPercent: records.length > 0 ? Math.min(...perSequence.map(seq => seq.gapPercent)) : null,
+    maxSequenceGapPercent: records.length > 0 ? Math.max(...perSequence.map(seq => seq.gapPercent)) : null,
+    species: new Set(headers.map(h => h.species)).size,
+    assemblies: new Set(headers.map(h => h.assembly)).size,
+    shortest: byUngapped[0] ? { id: byUngapped[0].id, length: byUngapped[0].ungappedLength } : null,
+    longest: byUngapped.length > 0
+      ? { id: byUngapped[byUngapped.length - 1].id, length: byUngapped[byUngapped.length - 1].ungappedLength }
+      : null,
+    allGapColumns,
+    flags,
+    perSequence
+  };
+}
+
+// Columns of alignment-stats.tsv, one row per gene
+const TSV_COLUMNS = [
+  ['gene', row => row.gene],
+  ['file', row => row.file],
+  ['valid', row => row.valid],
+  ['reason', row => row.reason || ''],
+  ['sequences', row => row.stats ? row.stats.sequences : ''],
+  ['aligned_length', row => row.stats ? row.stats.length : ''],
+  ['gap_percent', row => row.stats ? row.stats.gapPercent : ''],
+  ['min_sequence_gap_percent', row => row.stats ? row.stats.minSequenceGapPercent : ''],
+  ['max_sequence_gap_percent', row => row.stats ? row.stats.maxSequenceGapPercent : ''],
+  ['species', row => row.stats ? row.stats.species : ''],
+  ['assemblies', row => row.stats ? row.stats.assemblies : ''],
+  ['shortest_ungapped', row => row.stats && row.stats.shortest ? row.stats.shortest.length : ''],
+  ['shortest_id', row => row.stats && row.stats.shortest ? row.stats.shortest.id : ''],
+  ['longest_ungapped', row => row.stats && row.stats.longest ? row.stats.longest.length : ''],
+  ['longest_id', row => row.stats && row.stats.longest ? row.stats.longest.id : ''],
+  ['all_gap_columns', row => row.stats ? row.stats.allGapColumns : ''],
+  ['flags', row => (row.stats ? row.stats.flags.join(',') : '')]
+];
+
+function formatStatsTsv(rows) {
+  const lines = [TSV_COLUMNS.map(([name]) => name).join('\t')];
+  for (const row of rows) {
+    lines.push(TSV_COLUMNS.map(([, value]) => String(value(row)).replace(/[\t\n]/g, ' ')).join('\t'));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { FLAGS, computeAlignmentStats, formatStatsTsv };
@@ -0,0 +1,180 @@
+const {
+  REASONS,
+  parseAlignedFasta,
+  detectAlphabet,
+  findInvalidCharacter,
+  sniffText,
+  validateMSA
+} = require('./msa-parser');
+
+// What the Export menu offers besides the alignment. Each entry is named
+// after its button label (`Tree` -> tree) and checked with the validator of
+// its kind; labels without a kind of their own only have to be readable text.
+
+function reject(reason, message, details = {}) {
+  return { valid: false, reason, message, ...details };
+}
+
+/**
+ * Validate a Newick tree. Returns `{ valid: true, text, leaves }` or a
+ * rejection like validateMSA.
+ */
+function validateNewick(data) {
+  const sniffed = sniffText(data);
+  if (!sniffed.valid) {
+    return sniffed;
+  }
+
+  const text = sniffed.text.trim();
+  if (!text.startsWith('(')) {
+    return reject(REASONS.NO_RECORDS, 'Not a Newick tree (expected it to start with "(")');
+  }
+
+  let depth = 0;
+  let leaves = 0;
+  let quoted = false;
+  let expectLabel = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '\'') quoted = false;
+      continue;
+    }
+    if (char === '(' || char === ',') {
+      if (char === ',' && depth === 0) {
+        return reject(REASONS.INVALID_CHARACTERS, `Unexpected "," outside the tree at position ${i + 1}`);
+      }
+      if (char === '(') depth++;
+      expectLabel = true;
+    } else if (char === ')') {
+      depth--;
+      if (depth < 0) {
+        return reject(REASONS.INVALID_CHARACTERS, `Unbalanced ")" at position ${i + 1}`);
+      }
+      expectLabel = false;
+    } else if (char === ';') {
+      if (depth > 0) break;
+      if (i !== text.length - 1) {
+        return reject(REASONS.INVALID_CHARACTERS, 'Text after the end of the tree');
+      }
+      return { valid: true, text: sniffed.text, leaves };
+    } else if (!/\s/.test(char)) {
+      // A label right after "(" or "," names a leaf; labels after ")" name inner nodes
+      if (expectLabel) {
+        leaves++;
+        expectLabel = false;
+      }
+      if (char === '\'') quoted = true;
+    }
+  }
+  return reject(REASONS.TRUNCATED, depth > 0 ? `Tree is cut off (${depth} unclosed "(")` : 'Tree does not end with ";"');
+}
+
+/**
+ * Validate unaligned FASTA: like validateMSA, but sequences may differ in
+ * length. Returns `{ valid: true, records, alphabet }` or a rejection.
+ */
+function validateSequences(data) {
+  const sniffed = sniffText(data);
+  if (!sniffed.valid) {
+    return sniffed;
+  }
+
+  const records = parseAlignedFasta(sniffed.text);
+  if (records.length === 0) {
+    return reject(REASONS.NO_RECORDS, 'No FASTA records found');
+  }
+  const emptyIndex = records.findIndex(record => record.sequence.length === 0);
+  if (emptyIndex !== -1) {
+    const reason = emptyIndex === records.length - 1 ? REASONS.TRUNCATED : REASONS.EMPTY_SEQUENCE;
+    return reject(reason, `Record "${records[emptyIndex].header}" has no sequence`);
+  }
+  const alphabet = detectAlphabet(records);
+  if (!alphabet) {
+    return reject(REASONS.EMPTY_SEQUENCE, 'Sequences contain only gaps');
+  }
+  const invalid = findInvalidCharacter(records, alphabet);
+  if (invalid) {
+    return reject(REASONS.INVALID_CHARACTERS, `Unexpected character "${invalid.char}" at position ${invalid.position} of "${invalid.header}"`);
+  }
+  return { valid: true, records, alphabet };
+}
+
+// Export menu entries the scraper has no specific check for
+function validateText(data) {
+  return sniffText(data);
+}
+
+// File extension, validator and a one-line description of a valid export
+const ARTIFACT_KINDS = {
+  msa: {
+    extension: 'txt',
+    validate: validateMSA,
+    describe: validation => `${validation.records.length} ${validation.alphabet} sequences, ${validation.length} columns`
+  },
+  tree: {
+    extension: 'nwk',
+    validate: validateNewick,
+    describe: validation => `${validation.leaves} leaves`
+  },
+  sequences: {
+    extension: 'fasta',
+    validate: validateSequences,
+    describe: validation => `${validation.records.length} ${validation.alphabet} sequences`
+  }
+};
+
+const OTHER_KIND = {
+  extension: 'txt',
+  validate: validateText,
+  describe: validation => `${Buffer.byteLength(validation.text)} bytes`
+};
+
+// Name of the artifact behind an Export menu label: `Gene list` -> gene-list
+function artifactName(label) {
+  return String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function artifactKind(name) {
+  return ARTIFACT_KINDS[name] || OTHER_KIND;
+}
+
+// `<stem>.<artifact>.<extension>`, e.g. MtNFP.tree.nwk
+function artifactFileName(stem, name) {
+  return `${stem}.${name}.${artifactKind(name).extension}`;
+}
+
+/**
+ * Match the `requested` artifact names (the artifacts setting; `all` takes
+ * every entry) against the Export menu `labels`. The alignment is left out:
+ * it is exported separately. Returns `{ selected, unavailable }`: the
+ * `{ name, label }` entries to export and the requested names the menu lacks.
+ */
+function selectArtifacts(requested, labels) {
+  const offered = [];
+  for (const label of labels) {
+    const name = artifactName(label);
+    if (name && name !== 'msa' && !offered.some(entry => entry.name === name)) {
+      offered.push({ name, label });
+    }
+  }
+  if (requested.includes('all')) {
+    return { selected: offered, unavailable: [] };
+  }
+  const wanted = requested.filter(name => name !== 'msa');
+  return {
+    selected: offered.filter(entry => wanted.includes(entry.name)),
+    unavailable: wanted.filter(name => !offered.some(entry => entry.name === name))
+  };
+}
+
+module.exports = {
+  ARTIFACT_KINDS,
+  validateNewick,
+  validateSequences,
+  validateText,
+  artifactName,
+  artifactKind,
+  artifactFileName,
+  selectArtifacts
+};
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getSiteAdapter } = require('./sites');
+const { canExportArtifacts } = require('./sites/define');
+
+// Every setting the scraper and its tools understand. Each one can be set in
+// a config file, overridden by a SCRAPER_<NAME> environment variable (e.g.
+// SCRAPER_OUTPUT_DIR) and finally by a command-line option.
+const DEFAULTS = {
+  site: 'orthobrowser-v3', // Site adapter (lib/sites) or the path of an adapter module
+  baseUrl: '', // Page to scrape; empty for the site adapter's own URL
+  inputCsv: './genes.csv',
+  nameColumn: 'name', // Header label or 1-based column number of the gene names
+  idColumn: 'id', // Header label or 1-based column number of the gene IDs
+  idPattern: '^Medtr\\d+[gs]\\d+(\\.\\d+)?$', // Rows whose ID does not match are skipped (a .1 version suffix is allowed)
+  idCaseSensitive: false, // Match gene IDs on the site case-sensitively
+  idIgnoreVersion: true, // Treat Medtr5g086660.1 as Medtr5g086660 when matching
+  verifyGene: true, // Fail genes whose loaded page and alignment do not mention the ID
+  outputDir: './output',
+  delayBetweenSearches: 2000, // ms between searches, across all workers
+  adaptiveDelay: true, // Stretch the delay on 429/5xx responses and rising latency, shrink it back when the site recovers
+  throttleMaxDelay: 60000, // Longest adaptive delay between searches, in ms
+  latencyFactor: 3, // Responses this many times slower than usual count as rising latency
+  breakerThreshold: 5, // Attempts in a row with server errors that open the circuit breaker; 0 disables it
+  breakerCooldown: 300000, // ms the whole run waits once the circuit breaker opens
+  breakerMaxTrips: 3, // Times the breaker may open without the site recovering before the run stops; 0 never stops
+  maxRetries: 3, // Attempts per gene; some failure types get fewer (see lib/failures.js)
+  retryBaseDelay: 1000, // ms before the first retry, doubled for each further retry
+  retryMaxDelay: 30000, // Longest wait between retries, in ms
+  testLimit: 5, // Number of genes to process in test mode
+  headless: false,
+  concurrency: 1, // Browser pages scraping in parallel
+  formats: [], // Extra formats written next to each raw .txt alignment
+  artifacts: ['msa'], // Export menu entries to save per gene (msa, tree, sequences, ... or all)
+  cache: false, // Keep captured payloads under <outputDir>/cache and serve repeat genes from there
+  cacheTtl: 168, // Hours a cached payload is served for; 0 keeps serving it forever
+  archiveNetwork: false, // Save each gene's captured responses under <outputDir>/network
+  dashboard: false, // Serve a live dashboard with pause, resume and skip on localhost while scraping
+  dashboardPort: 8377, // Port of the dashboard on 127.0.0.1; 0 picks a free one
+  forensics: true, // Save a screenshot, DOM, console log and payload of every failed attempt under <outputDir>/failed/<gene>
+  consensusThreshold: 50, // Percent of sequences a residue needs to enter the consensus
+  conservedIdentity: 80, // Percent identity every column of a conserved region needs
+  conservedMinLength: 5, // Columns a conserved region needs
+  taxonLevel: 'accession', // Header part naming supermatrix rows and unaligned sequences: accession, species or assembly
+  headerPatterns: [] // Extra FASTA header patterns for the ortholog table, tried before the built-in ones
+};
+
+const CONFIG_FILE_NAMES = ['scraper.config.json', 'scraper.config.yaml', 'scraper.config.yml'];
+
+function envName(key) {
+  return `SCRAPER_${key.replace(/[A-Z]/g, char => `_${char}`).toUpperCase()}`;
+}
+
+// Coerce a raw value (string from env/argv, or anything from a config file)
+// to the type of the setting's default
+function coerce(key, value, source) {
+  const expected = DEFAULTS[key];
+  const fail = () => {
+    throw new Error(`Invalid value for ${key} from ${source}: ${JSON.stringify(value)}`);
+  };
+
+  if (Array.isArray(expected)) {
+    if (Array.isArray(value)) return value.map(String);
+    if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+    return fail();
+  }
+  if (typeof expected === 'number') {
+    const number = typeof value === 'number' ? value : Number(value);
+    if (!Number.isInteger(number) || number < 0) fail();
+    return number;
+  }
+  if (typeof expected === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (/^(1|true|yes|on)$/i.test(String(value))) return true;
+    if (/^(0|false|no|off)$/i.test(String(value))) return false;
+    return fail();
+  }
+  if (typeof value !== 'string' || !value) fail();
+  return value;
+}
+
+function readConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  const data = /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Config file ${filePath} must contain an object`);
+  }
+  return data;
+}
+
+function findConfigFile(cwd) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = path.join(cwd, name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the effective configuration: defaults, then the config file
+ * (`configPath`, $SCRAPER_CONFIG or a scraper.config.* file in `cwd`; none
+ * with `configPath: false`), then SCRAPER_* environment variables, then
+ * `overrides` (command-line options). Paths derived from outputDir are
+ * filled in at the end.
+ */
+function loadConfig({ configPath = null, overrides = {}, env = process.env, cwd = process.cwd() } = {}) {
+  const config = {
+    ...DEFAULTS,
+    formats: [...DEFAULTS.formats],
+    artifacts: [...DEFAULTS.artifacts],
+    headerPatterns: [...DEFAULTS.headerPatterns]
+  };
+  const sources = {};
+
+  const file = configPath === false ? null : configPath || env.SCRAPER_CONFIG || findConfigFile(cwd);
+  if (file) {
+    for (const [key, value] of Object.entries(readConfigFile(file))) {
+      if (!(key in DEFAULTS)) {
+        throw new Error(`Unknown setting "${key}" in ${file}. Known settings: ${Object.keys(DEFAULTS).join(', ')}`);
+      }
+      config[key] = coerce(key, value, file);
+      sources[key] = file;
+    }
+  }
+
+  for (const key of Object.keys(DEFAULTS)) {
+    const name = envName(key);
+    if (env[name] !== undefined && env[name] !== '') {
+      config[key] = coerce(key, env[name], `$${name}`);
+      sources[key] = `$${name}`;
+    }
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined) continue;
+    if (!(key in DEFAULTS)) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+    config[key] = coerce(key, value, 'command line');
+    sources[key] = 'command line';
+  }
+
+  const site = getSiteAdapter(config.site, { cwd });
+  if (!config.baseUrl) {
+    config.baseUrl = site.baseUrl;
+  }
+
+  for (const name of config.artifacts) {
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(name)) {
+      throw new Error(`artifacts entry "${name}" is not an artifact name (lower case, like msa, tree or gene-list)`);
+    }
+  }
+  if (!config.artifacts.includes('msa') && !config.artifacts.includes('all')) {
+    throw new Error('artifacts must include msa: the alignment is what resume, cleanup and the analysis commands work from');
+  }
+  if (config.artifacts.some(name => name !== 'msa') && !canExportArtifacts(site)) {
+    throw new Error(`Site adapter ${site.name} can only export the alignment (artifacts: msa)`);
+  }
+
+  if (config.concurrency < 1) {
+    throw new Error('concurrency must be at least 1');
+  }
+  if (config.latencyFactor < 2) {
+    throw new Error('latencyFactor must be at least 2');
+  }
+  if (config.dashboardPort > 65535) {
+    throw new Error('dashboardPort must be a port number (0-65535)');
+  }
+  try {
+    new RegExp(config.idPattern);
+  } catch (err) {
+    throw new Error(`idPattern is not a valid regular expression: ${err.message}`);
+  }
+  if (config.consensusThreshold < 1 || config.consensusThreshold > 100 || config.conservedIdentity > 100) {
+    throw new Error('consensusThreshold and conservedIdentity are percentages (consensusThreshold 1-100, conservedIdentity 0-100)');
+  }
+  for (const pattern of config.headerPatterns) {
+    try {
+      new RegExp(pattern);
+    } catch (err) {
+      throw new Error(`headerPatterns entry is not a valid regular expression: ${err.message}`);
+    }
+  }
+
+  return {
+    ...config,
+    configFile: file,
+    sources,
+    failedDir: path.join(config.outputDir, 'failed'),
+    failedGenesPath: path.join(config.outputDir, 'failed', 'failed_genes.json'),
+    runStatePath: path.join(config.outputDir, 'run-state.json'),
+    networkDir: path.join(config.outputDir, 'network'),
+    logDir: path.join(config.outputDir, 'logs'),
+    runReportPath: path.join(config.outputDir, 'run-report.json'),
+    throttleStatePath: path.join(config.outputDir, 'throttle-state.json'),
+    manifestPath: path.join(config.outputDir, 'index.json'),
+    manifestCsvPath: path.join(config.outputDir, 'index.csv'),
+    quarantineDir: path.join(config.outputDir, 'quarantine'),
+    rescrapeQueuePath: path.join(config.outputDir, 'rescrape-queue.json'),
+    orthologTablePath: path.join(config.outputDir, 'orthologs.tsv'),
+    orthologMatrixPath: path.join(config.outputDir, 'ortholog-matrix.tsv'),
+    conservationDir: path.join(config.outputDir, 'conservation'),
+    supermatrixDir: path.join(config.outputDir, 'supermatrix'),
+    unalignedDir: path.join(config.outputDir, 'unaligned'),
+    artifactsDir: path.join(config.outputDir, 'artifacts'),
+    cacheDir: path.join(config.outputDir, 'cache')
+  };
+}
+
+// The defaults alone, with their derived paths: no config file, no SCRAPER_* variables
+function defaultConfig() {
+  return loadConfig({ configPath: false, env: {} });
+}
+
+module.exports = { DEFAULTS, CONFIG_FILE_NAMES, envName, loadConfig, defaultConfig };
@@ -0,0 +1,170 @@
+// Consensus and per-column conservation for one alignment. Columns are
+// 1-based in everything this module returns, as in alignment viewers.
+
+const GAP_CHARS = '-.';
+const GAP = '-';
+
+// Consensus character for columns where no residue reaches the threshold
+const AMBIGUOUS = { protein: 'X', nucleotide: 'N' };
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Residue counts of one column (gaps counted separately), in upper case
+function countColumn(records, column) {
+  const counts = new Map();
+  let gaps = 0;
+  for (const { sequence } of records) {
+    const char = (sequence[column] || GAP).toUpperCase();
+    if (GAP_CHARS.includes(char)) {
+      gaps++;
+    } else {
+      counts.set(char, (counts.get(char) || 0) + 1);
+    }
+  }
+  return { counts, gaps };
+}
+
+// Shannon entropy in bits of the residues in a column, ignoring gaps
+function shannonEntropy(counts) {
+  const total = [...counts.values()].reduce((sum, n) => sum + n, 0);
+  let entropy = 0;
+  for (const n of counts.values()) {
+    const p = n / total;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy === 0 ? 0 : entropy;
+}
+
+/**
+ * Majority-rule consensus character of a column: the most common residue if
+ * its share of all sequences reaches `threshold` (0-1), a gap if gaps reach
+ * it, otherwise the alphabet's ambiguity character. Ties are ambiguous.
+ */
+function consensusChar({ counts, gaps }, sequences, threshold, alphabet) {
+  let top = null;
+  let topCount = 0;
+  let tied = false;
+  for (const [char, n] of counts) {
+    if (n > topCount) {
+      top = char;
+      topCount = n;
+      tied = false;
+    } else if (n === topCount) {
+      tied = true;
+    }
+  }
+  const ambiguous = AMBIGUOUS[alphabet] || AMBIGUOUS.protein;
+
+  if (gaps >= topCount && gaps / sequences >= threshold) return GAP;
+  if (top && !tied && topCount / sequences >= threshold) return top;
+  return ambiguous;
+}
+
+/**
+ * Runs of at least `minLength` columns whose identity is at least
+ * `minIdentity` percent. Returns `{ start, end, length, meanIdentity }`.
+ */
+function findConservedRegions(columns, { minIdentity = 80, minLength = 5 } = {}) {
+  const regions = [];
+  let start = null;
+  const close = end => {
+    if (start !== null && end - start + 1 >= minLength) {
+      const run = columns.slice(start - 1, end);
+      const meanIdentity = run.reduce((sum, column) => sum + column.identity, 0) / run.length;
+      regions.push({ start, end, length: end - start + 1, meanIdentity: round(meanIdentity, 1) });
+    }
+    start = null;
+  };
+
+  for (const column of columns) {
+    if (column.identity >= minIdentity) {
+      if (start === null) start = column.column;
+    } else {
+      close(column.column - 1);
+    }
+  }
+  close(columns.length);
+  return regions;
+}
+
+/**
+ * Analyse aligned `records`. `threshold` is the majority-rule share (0-1) for
+ * the consensus; `minIdentity` (percent) and `minLength` (columns) define the
+ * highly conserved regions. Per column: the consensus character, how many
+ * sequences have a residue, the gap percentage, Shannon entropy (bits, over
+ * residues only) and identity, the percentage of all sequences carrying the
+ * most common residue. Returns `{ consensus, columns, regions }`.
+ */
+function analyzeConservation(records, { alphabet = 'protein', threshold = 0.5, minIdentity = 80, minLength = 5 } = {}) {
+  const length = Math.max(0, ...records.map(record => record.sequence.length));
+  const sequences = records.length;
+  const columns = [];
+
+  for (let i = 0; i < length; i++) {
+    const profile = countColumn(records, i);
+    const topCount = Math.max(0, ...profile.counts.values());
+    columns.push({
+      column: i + 1,
+      consensus: consensusChar(profile, sequences, threshold, alphabet),
+      residues: sequences - profile.gaps,
+      gapPercent: round(profile.gaps / sequences * 100, 1),
+      entropy: round(shannonEntropy(profile.counts)),
+      identity: round(topCount / sequences * 100, 1)
+    });
+  }
+
+  return {
+    consensus: columns.map(column => column.consensus).join(''),
+    columns,
+    regions: findConservedRegions(columns, { minIdentity, minLength })
+  };
+}
+
+// Columns of the per-column TSV
+const TSV_COLUMNS = [
+  ['column', column => column.column],
+  ['consensus', column => column.consensus],
+  ['residues', column => column.residues],
+  ['gap_percent', column => column.gapPercent],
+  ['entropy', column => column.entropy],
+  ['identity_percent', column => column.identity],
+  ['conserved_region', column => column.region || '']
+];
+
+function formatConservationTsv({ columns, regions }) {
+  const regionOf = new Map();
+  regions.forEach((region, i) => {
+    for (let c = region.start; c <= region.end; c++) regionOf.set(c, i + 1);
+  });
+  const lines = [TSV_COLUMNS.map(([name]) => name).join('\t')];
+  for (const column of columns) {
+    const row = { ...column, region: regionOf.get(column.column) };
+    lines.push(TSV_COLUMNS.map(([, value]) => value(row)).join('\t'));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * FASTA records for the consensus and each conserved region (the consensus
+ * over the region's columns), ready for formatFasta.
+ */
+function consensusRecords(name, { consensus, regions }, { threshold = 0.5 } = {}) {
+  return [
+    { header: `${name}_consensus threshold=${threshold}`, sequence: consensus },
+    ...regions.map((region, i) => ({
+      header: `${name}_region_${i + 1} columns=${region.start}-${region.end} identity=${region.meanIdentity}`,
+      sequence: consensus.slice(region.start - 1, region.end)
+    }))
+  ];
+}
+
+module.exports = {
+  shannonEntropy,
+  findConservedRegions,
+  analyzeConservation,
+  formatConservationTsv,
+  consensusRecords
+};
@@ -0,0 +1,72 @@
+const { sniffText, validateMSA } = require('./msa-parser');
+const { FORMATS } = require('./alignment-formats');
+
+// Decide in-process whether a file in the output directory holds what its
+// extension promises. Raw alignments go through the full MSA validator; the
+// converted formats get the same binary/HTML/encoding checks plus a look at
+// the header their writer puts first.
+
+const WRONG_FORMAT = 'wrong-format';
+
+// First line each converted format starts with
+const FORMAT_HEADERS = {
+  clustal: /^CLUSTAL/,
+  stockholm: /^# STOCKHOLM/,
+  phylip: /^\s*\d+\s+\d+\s*$/,
+  'phylip-strict': /^\s*\d+\s+\d+\s*$/,
+  nexus: /^#NEXUS/i
+};
+
+/**
+ * What a file name says the file is: 'alignment' for raw `.txt` alignments
+ * (and `.fasta` conversions), a FORMATS key for the other conversions, or
+ * null for files the scanner leaves alone (placeholders, reports, indexes).
+ * Returns `{ kind, stem }`.
+ */
+function classifyFile(fileName) {
+  if (fileName.endsWith('_FAILED.txt')) {
+    return { kind: null, stem: fileName.slice(0, -'_FAILED.txt'.length) };
+  }
+  if (fileName.endsWith('.txt')) {
+    return { kind: 'alignment', stem: fileName.slice(0, -'.txt'.length) };
+  }
+
+  // Longest extension first so `.strict.phy` is not taken for `.phy`
+  const formats = Object.entries(FORMATS).sort(([, a], [, b]) => b.extension.length - a.extension.length);
+  for (const [format, { extension }] of formats) {
+    if (fileName.endsWith(extension)) {
+      return {
+        kind: format === 'fasta' ? 'alignment' : format,
+        stem: fileName.slice(0, -extension.length)
+      };
+    }
+  }
+  return { kind: null, stem: null };
+}
+
+/**
+ * Check a file's content against its kind (see classifyFile). Returns
+ * `{ valid: true, validation? }` or `{ valid: false, reason, message }` with
+ * a msa-parser REASONS value or 'wrong-format'.
+ */
+function sniffContent(kind, data) {
+  if (kind === 'alignment') {
+    const validation = validateMSA(data);
+    return validation.valid
+      ? { valid: true, validation }
+      : { valid: false, reason: validation.reason, message: validation.message };
+  }
+
+  const sniffed = sniffText(data);
+  if (!sniffed.valid) {
+    return { valid: false, reason: sniffed.reason, message: sniffed.message };
+  }
+  const header = FORMAT_HEADERS[kind];
+  const firstLine = sniffed.text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+  if (header && !header.test(firstLine)) {
+    return { valid: false, reason: WRONG_FORMAT, message: `Does not start like a ${kind} file` };
+  }
+  return { valid: true };
+}
+
+module.exports = { WRONG_FORMAT, classifyFile, sniffContent };
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { geneKey } = require('./run-state');
+
+// Live run dashboard: a page on localhost that follows the run through
+// server-sent events and can pause, resume and skip genes. The state is
+// folded from the run log (lib/run-log.js) and the progress tracker.
+
+const RECENT_LIMIT = 20;
+// SSE updates are batched; a busy run logs several events per second
+const UPDATE_INTERVAL_MS = 250;
+const KEEPALIVE_MS = 15000;
+const PAGE_PATH = path.join(__dirname, 'dashboard.html');
+
+/**
+ * Dashboard state for one scrape. `apply(entry)` takes every run log entry;
+ * `snapshot()` combines it with `progress` (lib/progress.js) and `control`
+ * (lib/run-control.js). Saved files inside `outputDir` get a link under
+ * /files/.
+ */
+function createDashboardState({ progress, control, outputDir = null }) {
+  const current = new Map();
+  const failures = [];
+  const saved = [];
+  let runId = null;
+  let finished = false;
+  let retries = 0;
+  // Pacing and circuit breaker, from the throttle's run log events
+  const server = { delayMs: null, breaker: 'closed', openUntil: null };
+
+  const recent = (list, item) => {
+    list.unshift(item);
+    list.length = Math.min(list.length, RECENT_LIMIT);
+  };
+  const fileLink = filePath => {
+    if (!filePath || !outputDir) return null;
+    const relative = path.relative(outputDir, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    return `/files/${relative.split(path.sep).map(encodeURIComponent).join('/')}`;
+  };
+
+  return {
+    apply(entry) {
+      runId = runId || entry.runId;
+      const key = entry.gene ? geneKey(entry.gene) : null;
+      const gene = key ? current.get(key) : null;
+      switch (entry.event) {
+        case 'gene.start':
+          current.set(key, { gene: entry.gene, worker: entry.worker, attempt: 0, retrying: false, startedAt: entry.time });
+          break;
+        case 'attempt':
+          if (gene) Object.assign(gene, { attempt: entry.attempt, retrying: false });
+          break;
+        case 'retry':
+          retries++;
+          if (gene) Object.assign(gene, { retrying: true, lastFailure: entry.failure.type });
+          break;
+        case 'gene.saved':
+          recent(saved, { gene: entry.gene, time: entry.time, source: entry.source, path: entry.path, link: fileLink(entry.path) });
+          break;
+        case 'gene.failed':
+          recent(failures, {
+            gene: entry.gene,
+            time: entry.time,
+            type: entry.failure.type,
+            reason: entry.failure.reason || null,
+            message: entry.failure.message,
+            attempts: entry.attempt
+          });
+          break;
+        case 'gene.end':
+          current.delete(key);
+          break;
+        case 'throttle':
+          server.delayMs = entry.delayMs;
+          break;
+        case 'breaker':
+          server.breaker = entry.state;
+          server.openUntil = entry.openUntil || null;
+          break;
+        case 'run.end':
+          finished = true;
+          current.clear();
+          break;
+        default:
+          break;
+      }
+    },
+    snapshot() {
+      const status = progress.snapshot();
+      const minutes = status.elapsedMs / 60000;
+      return {
+        runId,
+        state: finished ? 'finished' : control.paused ? 'paused' : 'running',
+        total: status.total,
+        completed: status.completed,
+        percent: status.percent,
+        counts: {
+          succeeded: status.successCount,
+          failed: status.failCount,
+          skipped: status.skippedCount,
+          running: current.size,
+          pending: status.total - status.completed - current.size,
+          retries
+        },
+        genesPerMinute: minutes > 0 ? Math.round(status.completed / minutes * 10) / 10 : null,
+        startedAt: new Date(status.startTime).toISOString(),
+        elapsedMs: status.elapsedMs,
+        etaMs: status.etaMs === null ? null : Math.round(status.etaMs),
+        server: { ...server },
+        current: [...current.values()].map(entry => ({ ...entry, skipping: control.isSkipped(entry.gene) })),
+        failures,
+        saved
+      };
+    },
+    // The scraping is over, whether or not run.end was logged yet
+    finish() {
+      finished = true;
+      current.clear();
+    },
+    // The genes in flight, for "skip current"
+    currentGenes() {
+      return [...current.values()].map(entry => entry.gene);
+    }
+  };
+}
+
+// Requests must name the dashboard itself as host, so other web pages cannot
+// reach the controls through DNS rebinding; controls posted from another
+// page's form carry that page's Origin
+function isLocalRequest(headers, port) {
+  const hosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+  if (!hosts.includes(String(headers.host || '').toLowerCase())) {
+    return false;
+  }
+  return !headers.origin || hosts.map(host => `http://${host}`).includes(headers.origin.toLowerCase());
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Serve the dashboard for `state` (createDashboardState) on 127.0.0.1:`port`
+ * (0 picks a free port). Routes:
+ *   GET  /         the dashboard page
+ *   GET  /state    the current snapshot as JSON
+ *   GET  /events   server-sent `state` events
+ *   GET  /files/*  files under `outputDir`
+ *   POST /pause, /resume
+ *   POST /skip     skips `?gene=<id>` or, without it, every gene in flight
+ * Resolves to `{ url, port, update(), close() }`: call update() when the
+ * state changed and close() once the run is over.
+ */
+async function startDashboard({ port, state, control, outputDir = null }) {
+  const clients = new Set();
+  let pending = null;
+  let closed = false;
+
+  const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const broadcast = () => {
+    pending = null;
+    const snapshot = state.snapshot();
+    for (const res of clients) send(res, 'state', snapshot);
+  };
+  const update = () => {
+    if (!pending && !closed) {
+      pending = setTimeout(broadcast, UPDATE_INTERVAL_MS);
+    }
+  };
+  control.onChange(update);
+
+  const controls = {
+    '/pause': () => control.pause(),
+    '/resume': () => control.resume(),
+    '/skip': url => {
+      const id = url.searchParams.get('gene');
+      const genes = state.currentGenes().filter(gene => !id || gene.id === id);
+      genes.forEach(gene => control.skip(gene));
+      return genes.map(gene => gene.id);
+    }
+  };
+
+  const serveFile = (res, url) => {
+    let relative;
+    try {
+      relative = decodeURIComponent(url.pathname.slice('/files/'.length));
+    } catch (err) {
+      relative = '';
+    }
+    const filePath = path.resolve(outputDir || '.', relative);
+    if (!outputDir || !relative || path.relative(path.resolve(outputDir), filePath).startsWith('..')) {
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+    fs.readFile(filePath, (err, data) => {
+      if (err) return sendJson(res, 404, { error: 'Not found' });
+      res.writeHead(200, { 'Content-Type': /\.(json|har)$/.test(filePath) ? 'application/json' : 'text/plain; charset=utf-8' });
+      res.end(data);
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    if (!isLocalRequest(req.headers, server.address().port)) {
+      return sendJson(res, 403, { error: 'The dashboard only answers on localhost' });
+    }
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'POST' && controls[url.pathname]) {
+      const skipped = controls[url.pathname](url);
+      return sendJson(res, 200, { ...(skipped ? { skipped } : {}), state: state.snapshot() });
+    }
+    if (req.method !== 'GET') {
+      return sendJson(res, 405, { error: `${req.method} ${url.pathname} is not supported` });
+    }
+    if (url.pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return fs.createReadStream(PAGE_PATH).pipe(res);
+    }
+    if (url.pathname === '/state') {
+      return sendJson(res, 200, state.snapshot());
+    }
+    if (url.pathname === '/events') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+      res.write('retry: 2000\n\n');
+      send(res, 'state', state.snapshot());
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return undefined;
+    }
+    if (url.pathname.startsWith('/files/')) {
+      return serveFile(res, url);
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  const keepalive = setInterval(() => {
+    for (const res of clients) res.write(': keepalive\n\n');
+  }, KEEPALIVE_MS);
+  keepalive.unref();
+
+  const actualPort = server.address().port;
+  return {
+    url: `http://127.0.0.1:${actualPort}/`,
+    port: actualPort,
+    update,
+    async close() {
+      closed = true;
+      clearInterval(keepalive);
+      clearTimeout(pending);
+      // Leave open pages showing the final state
+      state.finish();
+      broadcast();
+      for (const res of clients) res.end();
+      clients.clear();
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createDashboardState, startDashboard, isLocalRequest };
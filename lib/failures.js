@@ -0,0 +1,85 @@
+const { REASONS } = require('./msa-parser');
+
+// Why a gene attempt failed. Recorded as `failure.type` in the run log,
+// run-report.json and failed_genes.json.
+const FAILURE_TYPES = {
+  TIMEOUT: 'timeout', // Page load or a selector wait timed out
+  NAVIGATION: 'navigation', // Network error while loading the page
+  SERVER_ERROR: 'server-error', // The site answered 429 or 5xx (see lib/throttle.js)
+  NO_AUTOCOMPLETE_MATCH: 'no-autocomplete-match', // The search offered nothing for the ID
+  AMBIGUOUS_AUTOCOMPLETE: 'ambiguous-autocomplete', // Several search suggestions match the ID
+  GENE_MISMATCH: 'gene-mismatch', // The loaded gene could not be confirmed as the requested one
+  NO_EXPORT_MENU: 'no-export-menu',
+  NO_MSA_BUTTON: 'no-msa-button',
+  EMPTY_CLIPBOARD: 'empty-clipboard', // Neither the clipboard nor the page held any data
+  BINARY_PAYLOAD: 'binary-payload', // The data was an image or other binary content
+  INVALID_DATA: 'invalid-data', // The data failed validation for another reason
+  ERROR: 'error' // Anything else thrown while scraping
+};
+
+/**
+ * How each failure type is retried. `maxAttempts` caps the attempts below
+ * the `maxRetries` setting (null: no extra cap); `delayFactor` scales the
+ * backoff. Failures that point at the gene rather than the site (no or several
+ * search matches) are tried fewer times; network trouble waits longer.
+ */
+const RETRY_POLICIES = {
+  [FAILURE_TYPES.TIMEOUT]: { maxAttempts: null, delayFactor: 2 },
+  [FAILURE_TYPES.NAVIGATION]: { maxAttempts: null, delayFactor: 4 },
+  [FAILURE_TYPES.SERVER_ERROR]: { maxAttempts: null, delayFactor: 4 },
+  [FAILURE_TYPES.NO_AUTOCOMPLETE_MATCH]: { maxAttempts: 2, delayFactor: 1 },
+  [FAILURE_TYPES.AMBIGUOUS_AUTOCOMPLETE]: { maxAttempts: 1, delayFactor: 1 },
+  [FAILURE_TYPES.GENE_MISMATCH]: { maxAttempts: 2, delayFactor: 1 },
+  [FAILURE_TYPES.NO_EXPORT_MENU]: { maxAttempts: null, delayFactor: 1 },
+  [FAILURE_TYPES.NO_MSA_BUTTON]: { maxAttempts: null, delayFactor: 1 },
+  [FAILURE_TYPES.EMPTY_CLIPBOARD]: { maxAttempts: null, delayFactor: 1 },
+  [FAILURE_TYPES.BINARY_PAYLOAD]: { maxAttempts: null, delayFactor: 2 },
+  [FAILURE_TYPES.INVALID_DATA]: { maxAttempts: null, delayFactor: 1 },
+  [FAILURE_TYPES.ERROR]: { maxAttempts: null, delayFactor: 1 }
+};
+
+// Failure for an exception thrown while scraping
+function classifyError(error) {
+  const message = error.message;
+  if (error.name === 'TimeoutError' || /timeout/i.test(message)) {
+    return { type: FAILURE_TYPES.TIMEOUT, message };
+  }
+  if (/net::ERR_|navigation/i.test(message)) {
+    return { type: FAILURE_TYPES.NAVIGATION, message };
+  }
+  return { type: FAILURE_TYPES.ERROR, message };
+}
+
+// Failure for data that validateMSA rejected
+function classifyInvalidData(validation) {
+  const type = validation.reason === REASONS.BINARY ? FAILURE_TYPES.BINARY_PAYLOAD : FAILURE_TYPES.INVALID_DATA;
+  return { type, reason: validation.reason, message: validation.message };
+}
+
+function retryPolicy(type) {
+  return RETRY_POLICIES[type] || RETRY_POLICIES[FAILURE_TYPES.ERROR];
+}
+
+// Attempts allowed for a gene whose latest failure is of `type`
+function maxAttemptsFor(type, maxRetries) {
+  const { maxAttempts } = retryPolicy(type);
+  return maxAttempts === null ? maxRetries : Math.min(maxAttempts, maxRetries);
+}
+
+/**
+ * Exponential backoff before the attempt after `attempt` (1-based):
+ * `baseDelayMs * delayFactor * 2^(attempt - 1)`, capped at `maxDelayMs`.
+ */
+function retryDelay(type, attempt, { baseDelayMs, maxDelayMs }) {
+  const delay = baseDelayMs * retryPolicy(type).delayFactor * 2 ** (attempt - 1);
+  return Math.min(delay, maxDelayMs);
+}
+
+module.exports = {
+  FAILURE_TYPES,
+  RETRY_POLICIES,
+  classifyError,
+  classifyInvalidData,
+  maxAttemptsFor,
+  retryDelay
+};
@@ -0,0 +1,76 @@
+// Orthobrowser FASTA headers come in two shapes:
+//
+//   Pangenome assemblies: <species>_<accession>[.<hap>][.<version>].<sequence>.g<gene>.t<n>
+//     Aameric_YS121.v1.contig_103_pilon_pilon_pilon.g005930.t1
+//     Gcan_PI583945.a01.Chr13.g320570.t1
+//     Ljap.Gifu.HPI3.LjG1.1_chr5.g276290.t1
+//   Reference genomes:  <transcript>.<n>_<SpeciesName>[_v<version>]
+//     Medtr5g086660.1_Medicago_truncatula_v4
+//     AT1G06225.1_ArabidopsisThaliana
+
+const REFERENCE_HEADER = /^(.+\.\d+)_([A-Z][a-z]+(?:[A-Z][a-z]+|_[a-z]+)+)(?:_(v\d+))?$/;
+const VERSION_PART = /^(?:v|a|HPI)\d+$/;
+
+/**
+ * Split a header into `{ id, species, assembly }`. `id` is the first word of
+ * the header; species and assembly fall back to the whole ID for headers that
+ * match neither shape.
+ */
+function parseHeader(header) {
+  const id = header.trim().split(/\s+/)[0];
+
+  const reference = id.match(REFERENCE_HEADER);
+  if (reference) {
+    const [, , species, version] = reference;
+    return { id, species, assembly: version ? `${species}_${version}` : species };
+  }
+
+  // The assembly runs up to the first version part (v1, a01, HPI3); without
+  // one it is the first dot-separated part (Gmax_ZH13.Chr13...)
+  const parts = id.split('.');
+  const versionIndex = parts.findIndex((part, i) => i > 0 && VERSION_PART.test(part));
+  const assembly = parts.slice(0, versionIndex === -1 ? 1 : versionIndex + 1).join('.');
+  const species = (assembly.match(/^[A-Z][a-z]+/) || [assembly])[0];
+  return { id, species, assembly };
+}
+
+// Patterns for parseOrthologHeader, tried in order. Named groups pick out the
+// parts: species, accession, assembly, contig, gene and transcript.
+const ORTHOLOG_HEADER_PATTERNS = [
+  // Cter_YS80.v1.contig_209_pilon_pilon_pilon.g056160.t1, Pmon_YS87.hap1.v1.h1tg000925l.g521980.t1
+  /^(?<assembly>(?<accession>(?<species>[A-Z][a-z]+)[A-Za-z0-9_]*(?:\.(?!(?:v|a|HPI|hap)\d)[A-Za-z][A-Za-z0-9]*)?)(?:\.hap\d+)?(?:\.(?:v|a|HPI)\d+)?)\.(?<contig>.+)\.(?<gene>g\d+)\.(?<transcript>t\d+)$/,
+  // Medtr5g086660.1_Medicago_truncatula_v4
+  /^(?<transcript>(?<gene>.+)\.\d+)_(?<assembly>(?<species>[A-Z][a-z]+(?:[A-Z][a-z]+|_[a-z]+)+)(?:_v\d+)?)$/
+];
+
+// Patterns from the `headerPatterns` setting (regular expression sources) ahead of the built-in ones
+function orthologHeaderPatterns(sources = []) {
+  return [...sources.map(source => new RegExp(source)), ...ORTHOLOG_HEADER_PATTERNS];
+}
+
+/**
+ * Split a header into `{ id, species, accession, assembly, contig, gene,
+ * transcript, matched }` with the first pattern that matches its ID. Parts a
+ * pattern does not capture are filled in from parseHeader: accession falls
+ * back to the assembly, gene to the whole ID, contig and transcript to ''.
+ * `matched` is false when no pattern matched.
+ */
+function parseOrthologHeader(header, patterns = ORTHOLOG_HEADER_PATTERNS) {
+  const basic = parseHeader(header);
+  const match = patterns.map(pattern => basic.id.match(pattern)).find(Boolean);
+  const parts = match ? match.groups || {} : {};
+  const species = parts.species || basic.species;
+  const assembly = parts.assembly || parts.accession || basic.assembly;
+  return {
+    id: basic.id,
+    species,
+    accession: parts.accession || assembly,
+    assembly,
+    contig: parts.contig || '',
+    gene: parts.gene || basic.id,
+    transcript: parts.transcript || '',
+    matched: Boolean(match)
+  };
+}
+
+module.exports = { ORTHOLOG_HEADER_PATTERNS, parseHeader, orthologHeaderPatterns, parseOrthologHeader };
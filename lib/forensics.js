@@ -0,0 +1,112 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { archiveCapture } = require('./network-capture');
+
+// Evidence kept for every failed attempt, so a failure can be diagnosed
+// without rerunning the gene in visible mode. Each attempt gets a folder with
+// failure.json, screenshot.png, dom.html, console.log, payload.txt (the data
+// that was rejected) and network.har.json.
+
+// A crashed or hung page must not hold up the retry
+const PAGE_STEP_TIMEOUT_MS = 15000;
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Record everything the page logs during one attempt: console messages of
+ * every level, uncaught page errors and failed requests. Call `stop()` when
+ * the attempt is over.
+ */
+function recordConsole(page) {
+  const entries = [];
+  const add = (type, text) => entries.push({ time: new Date().toISOString(), type, text });
+
+  const onConsole = msg => add(msg.type(), msg.text());
+  const onPageError = err => add('pageerror', err.message);
+  const onRequestFailed = request => {
+    const failure = request.failure();
+    add('requestfailed', `${request.method()} ${request.url()}${failure ? ` (${failure.errorText})` : ''}`);
+  };
+
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+  page.on('requestfailed', onRequestFailed);
+
+  return {
+    entries,
+    stop() {
+      page.off('console', onConsole);
+      page.off('pageerror', onPageError);
+      page.off('requestfailed', onRequestFailed);
+      return entries;
+    }
+  };
+}
+
+function formatConsoleLog(entries) {
+  return entries.map(({ time, type, text }) => `${time} [${type}] ${text}\n`).join('');
+}
+
+/**
+ * Save the evidence of a failed attempt to `dir`. `evidence` holds the
+ * attempt's `console` recorder, the rejected `payload` and its `source`, and
+ * the network `capture`. Every file is written on its own, so a page that
+ * can no longer be screenshotted still leaves the rest. Returns
+ * `{ dir, files, errors }`.
+ */
+async function saveForensics(dir, { page = null, gene, attempt, failure, evidence = {} }) {
+  await fs.mkdir(dir, { recursive: true });
+  const files = [];
+  const errors = [];
+  const write = async (name, save) => {
+    try {
+      await save(path.join(dir, name));
+      files.push(name);
+    } catch (err) {
+      errors.push(`${name}: ${err.message}`);
+    }
+  };
+
+  let url = null;
+  if (page) {
+    try {
+      url = page.url();
+    } catch (err) {
+      // Closed page
+    }
+    await write('screenshot.png', filePath =>
+      withTimeout(page.screenshot({ path: filePath, fullPage: true }), PAGE_STEP_TIMEOUT_MS, 'Screenshot'));
+    await write('dom.html', async filePath =>
+      fs.writeFile(filePath, await withTimeout(page.content(), PAGE_STEP_TIMEOUT_MS, 'Reading the DOM')));
+  }
+  if (evidence.console) {
+    await write('console.log', filePath => fs.writeFile(filePath, formatConsoleLog(evidence.console.entries)));
+  }
+  if (evidence.payload !== null && evidence.payload !== undefined) {
+    await write('payload.txt', filePath => fs.writeFile(filePath, evidence.payload));
+  }
+  if (evidence.capture) {
+    await write('network.har.json', filePath => archiveCapture(evidence.capture, filePath));
+  }
+
+  await write('failure.json', filePath => fs.writeFile(filePath, JSON.stringify({
+    gene: { name: gene.name, id: gene.id },
+    attempt,
+    failure,
+    url,
+    payloadSource: evidence.source || null,
+    files: [...files, 'failure.json'],
+    errors,
+    savedAt: new Date().toISOString()
+  }, null, 2)));
+
+  return { dir, files, errors };
+}
+
+module.exports = { recordConsole, formatConsoleLog, saveForensics };
@@ -0,0 +1,232 @@
+const fs = require('fs').promises;
+const { parse } = require('csv-parse/sync');
+const { fileStem } = require('./manifest');
+
+// Header labels recognised for the default `name` and `id` columns
+const COLUMN_ALIASES = {
+  name: ['name', 'gene', 'gene name', 'gene_name', 'symbol'],
+  id: ['id', 'gene id', 'gene_id', 'locus', 'locus id', 'locus_id']
+};
+
+// Values that mean "no value" in spreadsheet exports
+const MISSING_VALUES = ['', 'na', 'n/a', 'null', '-'];
+
+// Skip reasons and warning types used in the pre-flight report
+const SKIP_REASONS = {
+  MISSING_ID: 'missing-id',
+  INVALID_ID: 'invalid-id',
+  DUPLICATE: 'duplicate'
+};
+
+const WARNINGS = {
+  MISSING_NAME: 'missing-name',
+  DUPLICATE_ID: 'duplicate-id',
+  DUPLICATE_NAME: 'duplicate-name'
+};
+
+// Collapse line breaks, tabs and repeated spaces inside a cell
+function normalizeName(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeId(value) {
+  return String(value || '').replace(/\s+/g, '');
+}
+
+function isMissing(value) {
+  return MISSING_VALUES.includes(value.toLowerCase());
+}
+
+function detectDelimiter(filePath, text) {
+  if (/\.(tsv|tab)$/i.test(filePath)) {
+    return '\t';
+  }
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  return firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+}
+
+// Resolve a column setting (header label or 1-based number) against the
+// first row. Returns the column index and whether the first row is a header.
+function resolveColumns(firstRow, { nameColumn, idColumn }) {
+  const labels = firstRow.map(cell => normalizeName(cell).toLowerCase());
+
+  const find = (setting, key) => {
+    if (/^\d+$/.test(setting)) {
+      return { index: Number(setting) - 1, byNumber: true };
+    }
+    const wanted = setting.toLowerCase();
+    const candidates = wanted === key ? COLUMN_ALIASES[key] : [wanted];
+    return { index: labels.findIndex(label => candidates.includes(label)), byNumber: false };
+  };
+
+  const name = find(nameColumn, 'name');
+  const id = find(idColumn, 'id');
+  const hasHeader = (!name.byNumber && name.index !== -1) || (!id.byNumber && id.index !== -1);
+
+  if (hasHeader) {
+    const missing = [[nameColumn, name], [idColumn, id]].filter(([, column]) => column.index === -1);
+    if (missing.length > 0) {
+      throw new Error(`Column "${missing[0][0]}" not found in header: ${labels.join(', ')}`);
+    }
+    return { name: name.index, id: id.index, hasHeader };
+  }
+
+  // Headerless file: the defaults fall back to the original name,ID layout,
+  // but a named column that does not exist is a configuration error
+  const usingDefaults = (name.byNumber || nameColumn === 'name') && (id.byNumber || idColumn === 'id');
+  if (!usingDefaults) {
+    throw new Error(`No header row with columns "${nameColumn}" and "${idColumn}" found`);
+  }
+  return { name: name.byNumber ? name.index : 0, id: id.byNumber ? id.index : 1, hasHeader: false };
+}
+
+/**
+ * Read the gene list and check every row before anything is scraped.
+ *
+ * Accepts CSV or TSV (by extension, otherwise sniffed), with or without a
+ * header row. Cells may contain line breaks; whitespace is collapsed in names
+ * and removed from IDs. Rows without an ID, with an ID that does not match
+ * `idPattern`, or repeating an earlier row exactly are skipped. Rows without a
+ * name (empty or NA) use their ID as the name, unless the ID is already
+ * listed, in which case they are skipped. Rows that share an ID, or a name
+ * that maps to the same output file name, are kept but reported.
+ *
+ * Returns `{ file, delimiter, hasHeader, columns, rows, genes, skipped, warnings }`.
+ * `skipped` and `warnings` entries carry the 1-based `row` number in the file
+ * (counting the header).
+ */
+async function loadGeneList(filePath, { nameColumn = 'name', idColumn = 'id', idPattern = '^Medtr\\d+[gs]\\d+(\\.\\d+)?$' } = {}) {
+  const text = (await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(filePath, text);
+  const records = parse(text, {
+    delimiter,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    relax_quotes: true
+  }).filter(record => record.some(cell => cell.trim()));
+
+  const pattern = new RegExp(idPattern);
+  const result = {
+    file: filePath,
+    delimiter: delimiter === '\t' ? 'tab' : 'comma',
+    hasHeader: false,
+    columns: null,
+    rows: 0,
+    genes: [],
+    skipped: [],
+    warnings: []
+  };
+  if (records.length === 0) {
+    return result;
+  }
+
+  const columns = resolveColumns(records[0], { nameColumn, idColumn });
+  result.hasHeader = columns.hasHeader;
+  result.columns = { name: columns.name + 1, id: columns.id + 1 };
+
+  const firstRow = columns.hasHeader ? 1 : 0;
+  result.rows = records.length - firstRow;
+
+  const seenExact = new Map();
+  const seenIds = new Map();
+  const seenStems = new Map();
+
+  for (let i = firstRow; i < records.length; i++) {
+    const row = i + 1;
+    let name = normalizeName(records[i][columns.name]);
+    const id = normalizeId(records[i][columns.id]);
+
+    if (isMissing(id)) {
+      result.skipped.push({ row, name, id, reason: SKIP_REASONS.MISSING_ID, message: 'No gene ID' });
+      continue;
+    }
+    if (!pattern.test(id)) {
+      result.skipped.push({ row, name, id, reason: SKIP_REASONS.INVALID_ID, message: `ID "${id}" does not match ${pattern}` });
+      continue;
+    }
+    const placeholder = isMissing(name) ? name : null;
+    if (placeholder !== null) {
+      name = id;
+    }
+
+    const exactKey = `${id}|${name}`;
+    if (seenExact.has(exactKey)) {
+      result.skipped.push({ row, name, id, reason: SKIP_REASONS.DUPLICATE, message: `Same gene as row ${seenExact.get(exactKey)}` });
+      continue;
+    }
+    if (placeholder !== null && seenIds.has(id)) {
+      const first = seenIds.get(id);
+      result.skipped.push({ row, name, id, reason: SKIP_REASONS.DUPLICATE, message: `No gene name and the ID is already on row ${first.row} as "${first.name}"` });
+      continue;
+    }
+    seenExact.set(exactKey, row);
+
+    if (placeholder !== null) {
+      const was = placeholder ? ` (was "${placeholder}")` : '';
+      result.warnings.push({ row, name, id, type: WARNINGS.MISSING_NAME, message: `No gene name${was}, using the ID` });
+    }
+
+    if (seenIds.has(id)) {
+      const first = seenIds.get(id);
+      result.warnings.push({ row, name, id, type: WARNINGS.DUPLICATE_ID, message: `ID also on row ${first.row} as "${first.name}"` });
+    } else {
+      seenIds.set(id, { row, name });
+    }
+
+    // Same stem ignoring case: on case-insensitive file systems these collide
+    const stem = fileStem(name) || fileStem(id);
+    if (seenStems.has(stem.toLowerCase())) {
+      const first = seenStems.get(stem.toLowerCase());
+      result.warnings.push({
+        row,
+        name,
+        id,
+        type: WARNINGS.DUPLICATE_NAME,
+        message: `Same file name as row ${first.row} ("${first.name}", ${first.id}), saved as ${stem}_${fileStem(id)}.txt instead`
+      });
+    } else {
+      seenStems.set(stem.toLowerCase(), { row, name, id });
+    }
+
+    result.genes.push({ name, id });
+  }
+
+  return result;
+}
+
+function printGeneListReport(list, { limit = 20 } = {}) {
+  const layout = list.hasHeader
+    ? `header row, columns ${list.columns.name} and ${list.columns.id}`
+    : 'no header row';
+  console.log(`\n📋 Gene list: ${list.file} (${list.delimiter}-separated, ${layout})`);
+  console.log(`   ${list.rows} rows, ${list.genes.length} genes to scrape`);
+
+  const printEntries = (entries, label) => {
+    entries.slice(0, limit).forEach(entry => {
+      const who = entry.name ? `${entry.name} / ${entry.id || '-'}` : entry.id || '-';
+      console.log(`      row ${entry.row}: ${entry[label]} (${who}) - ${entry.message}`);
+    });
+    if (entries.length > limit) {
+      console.log(`      ... and ${entries.length - limit} more`);
+    }
+  };
+
+  if (list.skipped.length > 0) {
+    console.log(`   ⏭️  Skipped ${list.skipped.length} rows:`);
+    printEntries(list.skipped, 'reason');
+  }
+  if (list.warnings.length > 0) {
+    console.log(`   ⚠️  ${list.warnings.length} suspicious rows:`);
+    printEntries(list.warnings, 'type');
+  }
+  if (list.skipped.length === 0 && list.warnings.length === 0) {
+    console.log('   ✅ No problems found');
+  }
+}
+
+module.exports = {
+  SKIP_REASONS,
+  WARNINGS,
+  loadGeneList,
+  printGeneListReport
+};
@@ -0,0 +1,77 @@
+const { parseAlignedFasta } = require('./msa-parser');
+
+// Matching the requested gene ID against what the site shows: autocomplete
+// candidates, the loaded page and the alignment headers. IDs are compared as
+// whole tokens, so `Medtr1g010` never matches `Medtr1g0100`.
+
+// Trailing version or transcript suffix: Medtr5g086660.1, ...g005930.t1
+const VERSION_SUFFIX = /\.(t)?\d+$/i;
+
+/**
+ * Normalize a gene ID for comparison. Case is ignored unless `caseSensitive`;
+ * a version suffix is dropped when `ignoreVersion`.
+ */
+function normalizeGeneId(id, { caseSensitive = false, ignoreVersion = true } = {}) {
+  let normalized = String(id || '').trim();
+  if (ignoreVersion) {
+    normalized = normalized.replace(VERSION_SUFFIX, '');
+  }
+  return caseSensitive ? normalized : normalized.toLowerCase();
+}
+
+// Candidate ID tokens in free text: runs of letters, digits and dots, so
+// `Medtr2g091210.1_Medicago_truncatula_v4` yields `Medtr2g091210.1`
+function idTokens(text) {
+  return String(text || '').split(/[^A-Za-z0-9.]+/).filter(Boolean);
+}
+
+function mentionsGeneId(text, id, options = {}) {
+  const wanted = normalizeGeneId(id, options);
+  return idTokens(text).some(token => normalizeGeneId(token.replace(/\.+$/, ''), options) === wanted);
+}
+
+/**
+ * Pick the autocomplete entry for `id` from the menu texts. Returns
+ * `{ status, index, matches }` where status is 'exact' (index is the entry to
+ * click), 'ambiguous' (several entries match after normalization and none
+ * matches the ID as typed) or 'missing'.
+ */
+function chooseCandidate(candidates, id, options = {}) {
+  const matches = [];
+  candidates.forEach((text, index) => {
+    if (mentionsGeneId(text, id, options)) matches.push(index);
+  });
+
+  if (matches.length === 1) {
+    return { status: 'exact', index: matches[0], matches };
+  }
+  if (matches.length > 1) {
+    // e.g. medtr1g010.1 and medtr1g010.2 with versions ignored: only a literal hit decides
+    const literal = matches.filter(index => idTokens(candidates[index]).some(token => token.toLowerCase() === id.toLowerCase()));
+    return literal.length === 1
+      ? { status: 'exact', index: literal[0], matches }
+      : { status: 'ambiguous', index: -1, matches };
+  }
+  return { status: 'missing', index: -1, matches };
+}
+
+/**
+ * Confirm the loaded gene is the requested one from the alignment headers
+ * (the query gene is part of its own orthogroup) or, failing that, the
+ * visible page text. Returns `{ confirmed, evidence }` with evidence
+ * 'headers', 'page' or null.
+ */
+function confirmGene({ alignment = null, pageText = '' }, id, options = {}) {
+  if (alignment) {
+    const records = parseAlignedFasta(alignment);
+    if (records.some(record => mentionsGeneId(record.header.split(/\s/)[0], id, options))) {
+      return { confirmed: true, evidence: 'headers' };
+    }
+  }
+  if (mentionsGeneId(pageText, id, options)) {
+    return { confirmed: true, evidence: 'page' };
+  }
+  return { confirmed: false, evidence: null };
+}
+
+module.exports = { normalizeGeneId, mentionsGeneId, chooseCandidate, confirmGene };
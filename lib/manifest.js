@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { geneKey } = require('./run-state');
+
+// Output index: one entry per gene, keyed like the run state, mapping the
+// gene to its file in the output directory. Written as index.json and
+// index.csv so downstream scripts can find an alignment by gene ID.
+
+const ENTRY_STATUS = {
+  OK: 'ok',
+  FAILED: 'failed',
+  // The file was edited after it was indexed and no longer validates
+  INVALID: 'invalid',
+  // An artifact the Export menu does not offer for the gene (see lib/artifacts.js)
+  UNAVAILABLE: 'unavailable'
+};
+
+const CSV_COLUMNS = [
+  ['id', 'id'],
+  ['name', 'name'],
+  ['status', 'status'],
+  ['file', 'file'],
+  ['sha256', 'sha256'],
+  ['bytes', 'bytes'],
+  ['sequences', 'sequences'],
+  ['columns', 'columns'],
+  ['alphabet', 'alphabet'],
+  ['strategy', 'strategy'],
+  ['source_url', 'sourceUrl'],
+  ['saved_at', 'savedAt'],
+  ['run_id', 'runId']
+];
+
+/**
+ * File name stem for a gene name: anything other than letters, digits, `.`,
+ * `-` and `_` becomes `_`, runs of `_` are collapsed and leading/trailing
+ * `_`/`.` are dropped (`CLE16 *` -> `CLE16`, `MtPCY10;MtSC3` -> `MtPCY10_MtSC3`).
+ * Returns '' when nothing usable is left.
+ */
+function fileStem(name) {
+  return String(name || '')
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^[_.]+|[_.]+$/g, '');
+}
+
+// The stem older versions of the scraper used, still found in existing output
+function legacyFileStem(name) {
+  return String(name || '').replace(/[<>:"/\\|?*]/g, '_').trim();
+}
+
+function createManifest() {
+  return {
+    version: 1,
+    updatedAt: null,
+    entries: {}
+  };
+}
+
+async function loadManifest(filePath) {
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    if (!data || typeof data.entries !== 'object') {
+      throw new Error('missing entries table');
+    }
+    return data;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.log(`Could not read output index from ${filePath} (${err.message}), starting fresh`);
+    }
+    return createManifest();
+  }
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatManifestCsv(manifest) {
+  const rows = Object.values(manifest.entries)
+    .sort((a, b) => a.id.localeCompare(b.id) || a.name.localeCompare(b.name));
+  const lines = [CSV_COLUMNS.map(([column]) => column).join(',')];
+  for (const entry of rows) {
+    lines.push(CSV_COLUMNS.map(([, key]) => csvCell(entry[key])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+async function writeAtomic(filePath, text) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, text);
+  await fs.rename(tmpPath, filePath);
+}
+
+async function saveManifest(manifest, jsonPath, csvPath) {
+  manifest.updatedAt = new Date().toISOString();
+  await writeAtomic(jsonPath, JSON.stringify(manifest, null, 2));
+  await writeAtomic(csvPath, formatManifestCsv(manifest));
+}
+
+function getEntry(manifest, gene) {
+  return manifest.entries[geneKey(gene)] || null;
+}
+
+function setEntry(manifest, gene, fields) {
+  const key = geneKey(gene);
+  manifest.entries[key] = { ...(manifest.entries[key] || {}), name: gene.name, id: gene.id, ...fields };
+  return manifest.entries[key];
+}
+
+// Every entry for a gene ID (an ID can be listed under several names)
+function findById(manifest, id) {
+  return Object.values(manifest.entries).filter(entry => entry.id === id);
+}
+
+/**
+ * Decide the file stem of every gene. Genes already in the manifest keep
+ * their file. The others take fileStem(name) (or their ID if the name has no
+ * usable characters) in list order; when that stem is taken by another gene,
+ * ignoring case, the gene ID is appended, then a counter. `reserved` stems
+ * go to no gene. The result only depends on the manifest, the order of
+ * `genes` and `reserved`, so reruns agree.
+ */
+function planFileStems(manifest, genes, { reserved = [] } = {}) {
+  const stems = new Map();
+  const taken = new Map(reserved.map(stem => [stem.toLowerCase(), null]));
+
+  for (const [key, entry] of Object.entries(manifest.entries)) {
+    const stem = entry.file.replace(/(_FAILED)?\.txt$/, '');
+    stems.set(key, stem);
+    taken.set(stem.toLowerCase(), key);
+  }
+
+  for (const gene of genes) {
+    const key = geneKey(gene);
+    if (stems.has(key)) continue;
+
+    const base = fileStem(gene.name) || fileStem(gene.id);
+    const candidates = [base, `${base}_${fileStem(gene.id)}`];
+    let stem = candidates.find(candidate => !taken.has(candidate.toLowerCase()) || taken.get(candidate.toLowerCase()) === key);
+    for (let n = 2; !stem; n++) {
+      const candidate = `${candidates[1]}_${n}`;
+      if (!taken.has(candidate.toLowerCase())) stem = candidate;
+    }
+
+    stems.set(key, stem);
+    taken.set(stem.toLowerCase(), key);
+  }
+  return stems;
+}
+
+/**
+ * Which gene each file stem in the output directory belongs to: the manifest
+ * entries first, then the names the gene list would get under the current and
+ * the legacy naming scheme. Returns a Map of stem to `{ name, id }`.
+ */
+function mapStemsToGenes(manifest, genes) {
+  const owners = new Map();
+  const claim = (stem, gene) => {
+    if (stem && !owners.has(stem)) {
+      owners.set(stem, { name: gene.name, id: gene.id });
+    }
+  };
+
+  for (const entry of Object.values(manifest.entries)) {
+    claim(entry.file.replace(/(_FAILED)?\.txt$/, ''), entry);
+  }
+  const stems = planFileStems(manifest, genes);
+  for (const gene of genes) {
+    claim(stems.get(geneKey(gene)), gene);
+    claim(legacyFileStem(gene.name), gene);
+  }
+  return owners;
+}
+
+function describeContent(data) {
+  return {
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    bytes: Buffer.byteLength(data)
+  };
+}
+
+module.exports = {
+  ENTRY_STATUS,
+  fileStem,
+  legacyFileStem,
+  createManifest,
+  loadManifest,
+  saveManifest,
+  formatManifestCsv,
+  getEntry,
+  setEntry,
+  findById,
+  planFileStems,
+  mapStemsToGenes,
+  describeContent
+};
@@ -0,0 +1,243 @@
+// Aligned FASTA parsing and validation for the alignments the orthobrowser
+// exports. The site serves aligned protein sequences, so validity is decided
+// by structure (headers, equal row lengths, alphabet) rather than by looking
+// for DNA-like runs.
+
+const GAP_CHARS = '-.';
+const NUCLEOTIDE_CHARS = 'ACGTUN';
+// IUPAC amino acids plus ambiguity codes, selenocysteine/pyrrolysine and stop
+const PROTEIN_CHARS = 'ACDEFGHIKLMNPQRSTVWYBZXJUO*';
+// Nucleotide IUPAC ambiguity codes, tolerated in nucleotide alignments
+const NUCLEOTIDE_AMBIGUITY_CHARS = 'RYSWKMBDHV';
+
+// Rejection reasons returned by validateMSA
+const REASONS = {
+  NOT_TEXT: 'not-text',
+  EMPTY: 'empty',
+  BINARY: 'binary',
+  HTML: 'html',
+  NO_RECORDS: 'no-records',
+  EMPTY_SEQUENCE: 'empty-sequence',
+  INVALID_CHARACTERS: 'invalid-characters',
+  TRUNCATED: 'truncated',
+  RAGGED: 'ragged'
+};
+
+const BINARY_SIGNATURES = [
+  { name: 'PNG', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { name: 'JPEG', bytes: [0xff, 0xd8, 0xff] },
+  { name: 'GIF', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { name: 'PDF', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { name: 'ZIP', bytes: [0x50, 0x4b, 0x03, 0x04] }
+];
+
+function reject(reason, message, details = {}) {
+  return { valid: false, reason, message, ...details };
+}
+
+// Identify a binary payload by its leading bytes. Strings are compared by
+// char code so binary data that went through the clipboard as text is caught too.
+function detectBinarySignature(data) {
+  const codeAt = Buffer.isBuffer(data) ? i => data[i] : i => data.charCodeAt(i);
+  for (const signature of BINARY_SIGNATURES) {
+    if (data.length >= signature.bytes.length &&
+        signature.bytes.every((byte, i) => codeAt(i) === byte)) {
+      return signature.name;
+    }
+  }
+  return null;
+}
+
+function looksLikeHTML(text) {
+  const head = text.slice(0, 512).trimStart().toLowerCase();
+  return head.startsWith('<!doctype html') ||
+    head.startsWith('<html') ||
+    /<(head|body|title|div|script)[\s>]/.test(head);
+}
+
+// Tab-separated alignments come in two shapes: `name<TAB>sequence` rows, or
+// the orthobrowser's `orthogroup<TAB>{"header": "sequence", ...}` rows
+function parseTabSeparated(lines) {
+  const records = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const [name, ...rest] = line.split('\t');
+    const value = rest.join('\t').trim();
+
+    if (value.startsWith('{')) {
+      let sequences;
+      try {
+        sequences = JSON.parse(value);
+      } catch (err) {
+        // Cut-off JSON: keep it as one bogus record so validation rejects it
+        records.push({ header: name.trim(), sequence: value });
+        continue;
+      }
+      for (const [header, sequence] of Object.entries(sequences)) {
+        records.push({ header, sequence: String(sequence).replace(/\s+/g, '') });
+      }
+    } else {
+      records.push({ header: name.trim(), sequence: value.replace(/\s+/g, '') });
+    }
+  }
+  return records;
+}
+
+/**
+ * Parse aligned FASTA into `{ header, sequence }` records. Sequences may be
+ * wrapped over several lines; whitespace inside sequences is dropped.
+ * Tab-separated alignments (see parseTabSeparated) are accepted too.
+ */
+function parseAlignedFasta(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const records = [];
+  let current = null;
+
+  if (!text.trimStart().startsWith('>') && text.includes('\t')) {
+    return parseTabSeparated(lines);
+  }
+
+  for (const line of lines) {
+    if (line.startsWith('>')) {
+      current = { header: line.slice(1).trim(), sequence: '' };
+      records.push(current);
+    } else if (current) {
+      current.sequence += line.replace(/\s+/g, '');
+    }
+  }
+  return records;
+}
+
+/**
+ * Classify the residues in a set of records as 'nucleotide' or 'protein'.
+ * Returns null if the residues fit neither alphabet.
+ */
+function detectAlphabet(records) {
+  let residues = 0;
+  let nucleotides = 0;
+
+  for (const { sequence } of records) {
+    for (const char of sequence.toUpperCase()) {
+      if (GAP_CHARS.includes(char)) continue;
+      residues++;
+      if (NUCLEOTIDE_CHARS.includes(char)) nucleotides++;
+    }
+  }
+
+  if (residues === 0) {
+    return null;
+  }
+  // Protein sequences are full of A/C/G/T too, so demand an overwhelming share
+  return nucleotides / residues >= 0.9 ? 'nucleotide' : 'protein';
+}
+
+function findInvalidCharacter(records, alphabet) {
+  const allowed = GAP_CHARS + (alphabet === 'nucleotide'
+    ? NUCLEOTIDE_CHARS + NUCLEOTIDE_AMBIGUITY_CHARS
+    : PROTEIN_CHARS);
+
+  for (const { header, sequence } of records) {
+    const upper = sequence.toUpperCase();
+    for (let i = 0; i < upper.length; i++) {
+      if (!allowed.includes(upper[i])) {
+        return { header, char: sequence[i], position: i + 1 };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The checks any text payload has to pass before it is parsed: text at all,
+ * no binary signature, not empty, no null bytes or invalid UTF-8, and not an
+ * HTML page. Returns `{ valid: true, text }` or a rejection like validateMSA.
+ */
+function sniffText(data) {
+  if (typeof data !== 'string' && !Buffer.isBuffer(data)) {
+    return reject(REASONS.NOT_TEXT, `Expected text, got ${data === null ? 'null' : typeof data}`);
+  }
+
+  const signature = detectBinarySignature(data);
+  if (signature) {
+    return reject(REASONS.BINARY, `Payload is a ${signature} file`);
+  }
+
+  const text = Buffer.isBuffer(data) ? data.toString('utf-8') : data;
+  if (!text.trim()) {
+    return reject(REASONS.EMPTY, 'Payload is empty');
+  }
+  if (text.includes('\x00')) {
+    return reject(REASONS.BINARY, 'Payload contains null bytes');
+  }
+  if (text.includes('\uFFFD')) {
+    return reject(REASONS.BINARY, 'Payload contains invalid UTF-8 or replacement characters');
+  }
+  if (looksLikeHTML(text)) {
+    return reject(REASONS.HTML, 'Payload is an HTML page, not an alignment');
+  }
+  return { valid: true, text };
+}
+
+/**
+ * Validate an alignment payload (string or Buffer). Returns
+ * `{ valid: true, records, alphabet, length }` or
+ * `{ valid: false, reason, message }` where `reason` is one of REASONS.
+ */
+function validateMSA(data) {
+  const sniffed = sniffText(data);
+  if (!sniffed.valid) {
+    return sniffed;
+  }
+
+  const records = parseAlignedFasta(sniffed.text);
+  if (records.length === 0) {
+    return reject(REASONS.NO_RECORDS, 'No FASTA records found');
+  }
+
+  const emptyIndex = records.findIndex(record => record.sequence.length === 0);
+  if (emptyIndex !== -1) {
+    // A trailing header without a sequence is what a cut-off copy looks like
+    const reason = emptyIndex === records.length - 1 ? REASONS.TRUNCATED : REASONS.EMPTY_SEQUENCE;
+    return reject(reason, `Record "${records[emptyIndex].header}" has no sequence`, { records });
+  }
+
+  const alphabet = detectAlphabet(records);
+  if (!alphabet) {
+    return reject(REASONS.EMPTY_SEQUENCE, 'Alignment contains only gaps', { records });
+  }
+
+  const invalid = findInvalidCharacter(records, alphabet);
+  if (invalid) {
+    return reject(
+      REASONS.INVALID_CHARACTERS,
+      `Unexpected character "${invalid.char}" at column ${invalid.position} of "${invalid.header}"`,
+      { records, alphabet }
+    );
+  }
+
+  const length = records[0].sequence.length;
+  const mismatched = records.filter(record => record.sequence.length !== length);
+  if (mismatched.length > 0) {
+    const last = records[records.length - 1];
+    const onlyLastShort = mismatched.length === 1 && mismatched[0] === last && last.sequence.length < length;
+    return reject(
+      onlyLastShort ? REASONS.TRUNCATED : REASONS.RAGGED,
+      onlyLastShort
+        ? `Last record "${last.header}" is ${last.sequence.length} columns, expected ${length}`
+        : `${mismatched.length} of ${records.length} records differ from the aligned length ${length}`,
+      { records, alphabet }
+    );
+  }
+
+  return { valid: true, records, alphabet, length };
+}
+
+module.exports = {
+  REASONS,
+  parseAlignedFasta,
+  detectAlphabet,
+  findInvalidCharacter,
+  detectBinarySignature,
+  sniffText,
+  validateMSA
+};
@@ -0,0 +1,214 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { validateMSA } = require('./msa-parser');
+
+const BINARY_CONTENT_TYPES = ['image/', 'font/', 'audio/', 'video/', 'application/octet-stream', 'application/pdf', 'application/zip'];
+
+// Only text-like responses or URLs that look like alignment exports have their
+// body read; scripts, stylesheets and images are recorded without one
+function isCandidate(url, contentType) {
+  if (BINARY_CONTENT_TYPES.some(type => contentType.includes(type))) {
+    return false;
+  }
+  return /msa|fasta|export|\.aln\b|\.tsv\b/i.test(url) ||
+    contentType.includes('text/plain') ||
+    contentType.includes('text/tab-separated-values') ||
+    contentType.includes('application/json');
+}
+
+/**
+ * Start capturing the network traffic of one gene's search on `page`.
+ *
+ * Only requests issued after the session starts are recorded, so a late
+ * response to an earlier gene's navigation can never be mistaken for this
+ * gene's alignment. Call `stop()` when the attempt is over: it removes the
+ * listeners and waits for response bodies that are still being read.
+ *
+ * Every entry is tagged with the gene, attempt, URL, status, content-type and
+ * timing. The first response whose body passes `validate` is exposed as
+ * `session.alignment` ({ text, url, validation }). `isAlignmentResponse`
+ * decides which response bodies are read at all.
+ */
+function startCapture(page, gene, { attempt = 1, keepBodies = false, isAlignmentResponse = isCandidate, validate = validateMSA } = {}) {
+  const requestTimes = new Map();
+  const pending = new Set();
+  const entries = [];
+  let alignment = null;
+  let stopped = false;
+
+  async function recordResponse(response) {
+    const request = response.request();
+    const url = response.url();
+    const headers = response.headers();
+    const contentType = headers['content-type'] || '';
+    const startedAt = requestTimes.get(request);
+
+    const entry = {
+      geneId: gene.id,
+      geneName: gene.name,
+      attempt,
+      url,
+      method: request.method(),
+      resourceType: request.resourceType(),
+      status: response.status(),
+      statusText: response.statusText(),
+      contentType,
+      requestHeaders: request.headers(),
+      responseHeaders: headers,
+      startedDateTime: new Date(startedAt).toISOString(),
+      timeMs: Date.now() - startedAt,
+      size: null,
+      msa: null
+    };
+    entries.push(entry);
+
+    if (!isAlignmentResponse(url, contentType)) {
+      return;
+    }
+
+    let text;
+    try {
+      text = await response.text();
+    } catch (err) {
+      // Redirects and aborted requests have no body
+      entry.error = err.message;
+      return;
+    }
+
+    entry.size = text.length;
+    if (keepBodies) {
+      entry.body = text;
+    }
+
+    const validation = validate(text);
+    entry.msa = validation.valid
+      ? { valid: true, sequences: validation.records.length, alphabet: validation.alphabet, columns: validation.length }
+      : { valid: false, reason: validation.reason };
+
+    if (validation.valid) {
+      if (!alignment) {
+        alignment = { text, url, validation };
+        console.log(`MSA data intercepted from ${url} (${validation.records.length} ${validation.alphabet} sequences)`);
+      }
+    } else if (text.length > 0 && /msa|fasta|export|\.aln\b/i.test(url)) {
+      console.log(`Ignoring response from ${url}: ${validation.message}`);
+    }
+  }
+
+  const onRequest = (request) => {
+    if (!stopped) {
+      requestTimes.set(request, Date.now());
+    }
+  };
+
+  const onResponse = (response) => {
+    if (stopped || !requestTimes.has(response.request())) {
+      return;
+    }
+    const task = recordResponse(response)
+      .catch(err => console.log(`Could not record response from ${response.url()}: ${err.message}`))
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  };
+
+  page.on('request', onRequest);
+  page.on('response', onResponse);
+
+  return {
+    gene,
+    attempt,
+    entries,
+    get alignment() {
+      return alignment;
+    },
+    async stop() {
+      if (!stopped) {
+        stopped = true;
+        page.off('request', onRequest);
+        page.off('response', onResponse);
+      }
+      await Promise.allSettled([...pending]);
+      return entries;
+    }
+  };
+}
+
+function toHeaderList(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+// Convert captured entries to HAR 1.2 entries. Fields HAR has no place for
+// (gene, attempt, validator verdict) use the custom underscore prefix.
+function toHarEntries(entries) {
+  return entries.map(entry => {
+    const content = { size: entry.size === null ? -1 : entry.size, mimeType: entry.contentType };
+    if (entry.body !== undefined) {
+      content.text = entry.body;
+    }
+    return {
+      startedDateTime: entry.startedDateTime,
+      time: entry.timeMs,
+      request: {
+        method: entry.method,
+        url: entry.url,
+        httpVersion: '',
+        headers: toHeaderList(entry.requestHeaders),
+        queryString: [...new URL(entry.url).searchParams].map(([name, value]) => ({ name, value })),
+        cookies: [],
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: entry.status,
+        statusText: entry.statusText,
+        httpVersion: '',
+        headers: toHeaderList(entry.responseHeaders),
+        cookies: [],
+        content,
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: entry.timeMs, receive: 0 },
+      _gene: { id: entry.geneId, name: entry.geneName },
+      _attempt: entry.attempt,
+      _resourceType: entry.resourceType,
+      _msa: entry.msa,
+      ...(entry.error ? { _error: entry.error } : {})
+    };
+  });
+}
+
+/**
+ * Write a session's entries to a HAR-like JSON file. With `append`, entries
+ * are added to an existing archive so every attempt for a gene ends up in one
+ * file.
+ */
+async function archiveCapture(session, filePath, { append = false } = {}) {
+  let har = null;
+  if (append) {
+    try {
+      har = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (err) {
+      // Nothing archived yet for this gene
+    }
+  }
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    har = {
+      log: {
+        version: '1.2',
+        creator: { name: 'msa-scraper', version: '1.0.0' },
+        comment: `Network capture for ${session.gene.name} (${session.gene.id})`,
+        entries: []
+      }
+    };
+  }
+
+  har.log.entries.push(...toHarEntries(session.entries));
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(har, null, 2));
+  return har;
+}
+
+module.exports = { isCandidate, startCapture, archiveCapture, toHarEntries };
@@ -0,0 +1,71 @@
+const { parseOrthologHeader, ORTHOLOG_HEADER_PATTERNS } = require('./fasta-headers');
+
+// Ortholog tables built from saved alignments: a long table with one row per
+// sequence, and a presence/absence matrix of accessions per query gene.
+
+// Columns of orthologs.tsv
+const TABLE_COLUMNS = [
+  ['query_name', row => row.queryName],
+  ['query_id', row => row.queryId],
+  ['species', row => row.species],
+  ['accession', row => row.accession],
+  ['assembly', row => row.assembly],
+  ['contig', row => row.contig],
+  ['gene', row => row.gene],
+  ['transcript', row => row.transcript],
+  ['sequence_id', row => row.id]
+];
+
+function tsvCell(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/[\t\n]/g, ' ');
+}
+
+// One row per record of the alignment saved for `query` ({ name, id })
+function orthologRows(query, records, patterns = ORTHOLOG_HEADER_PATTERNS) {
+  return records.map(record => {
+    const { matched, ...parts } = parseOrthologHeader(record.header, patterns);
+    return { queryName: query.name, queryId: query.id, ...parts, matched };
+  });
+}
+
+function formatOrthologTsv(rows) {
+  const lines = [TABLE_COLUMNS.map(([name]) => name).join('\t')];
+  for (const row of rows) {
+    lines.push(TABLE_COLUMNS.map(([, value]) => tsvCell(value(row))).join('\t'));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Count the sequences of each accession per query gene. `queries` lists
+ * every query gene in output order, so genes without rows still get a line.
+ * Returns `{ accessions, genes }` where genes are `{ name, id, counts }`.
+ */
+function buildPresenceMatrix(rows, queries) {
+  const accessions = [...new Set(rows.map(row => row.accession))].sort();
+  const genes = queries.map(query => ({ name: query.name, id: query.id, counts: {} }));
+  const byQuery = new Map(genes.map(gene => [`${gene.id}|${gene.name}`, gene]));
+
+  for (const row of rows) {
+    const gene = byQuery.get(`${row.queryId}|${row.queryName}`);
+    if (gene) {
+      gene.counts[row.accession] = (gene.counts[row.accession] || 0) + 1;
+    }
+  }
+  return { accessions, genes };
+}
+
+// The matrix as TSV: 1/0 per accession, or sequence counts with `counts`
+function formatPresenceMatrixTsv({ accessions, genes }, { counts = false } = {}) {
+  const lines = [['query_name', 'query_id', ...accessions, 'accessions_present'].map(tsvCell).join('\t')];
+  for (const gene of genes) {
+    const cells = accessions.map(accession => {
+      const count = gene.counts[accession] || 0;
+      return counts ? count : Number(count > 0);
+    });
+    lines.push([gene.name, gene.id, ...cells, Object.keys(gene.counts).length].map(tsvCell).join('\t'));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { orthologRows, formatOrthologTsv, buildPresenceMatrix, formatPresenceMatrixTsv };
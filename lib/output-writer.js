@@ -0,0 +1,55 @@
+const { geneKey } = require('./run-state');
+
+// Output writers decide where scraped data goes. The scraper calls:
+//   saveAlignment(gene, { data, validation, strategy, sourceUrl })
+//     a validated alignment; returns the path written, or null
+//   saveArtifacts(gene, artifacts)
+//     the other Export menu artifacts, `{ tree: { status, data, validation } }`
+//     for saved ones and `{ status, reason, message }` for the rest; returns
+//     `{ name: path }` for the files written
+//   saveFailure(gene, failure, { attempts, forensics })
+//     the gene could not be scraped
+// The default writer (scraper-enhanced.js) writes the output directory as
+// described in the README; createMemoryWriter keeps everything in Maps.
+
+const WRITER_METHODS = ['saveAlignment', 'saveArtifacts', 'saveFailure'];
+
+function checkWriter(writer) {
+  const missing = WRITER_METHODS.filter(method => !writer || typeof writer[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Output writer is missing ${missing.join(', ')}`);
+  }
+  return writer;
+}
+
+/**
+ * A writer that keeps results in memory instead of the output directory.
+ * `alignments`, `artifacts` and `failures` are Maps keyed by `id|name`; a
+ * gene that is saved after failing leaves `failures`.
+ */
+function createMemoryWriter() {
+  const alignments = new Map();
+  const artifacts = new Map();
+  const failures = new Map();
+  const ref = gene => ({ name: gene.name, id: gene.id });
+
+  return {
+    alignments,
+    artifacts,
+    failures,
+    async saveAlignment(gene, saved) {
+      alignments.set(geneKey(gene), { gene: ref(gene), ...saved });
+      failures.delete(geneKey(gene));
+      return null;
+    },
+    async saveArtifacts(gene, found) {
+      artifacts.set(geneKey(gene), { ...(artifacts.get(geneKey(gene)) || {}), ...found });
+      return {};
+    },
+    async saveFailure(gene, failure, details = {}) {
+      failures.set(geneKey(gene), { gene: ref(gene), failure, ...details });
+    }
+  };
+}
+
+module.exports = { WRITER_METHODS, checkWriter, createMemoryWriter };
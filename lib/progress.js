@@ -0,0 +1,52 @@
+// Aggregated progress across all workers. ETA is based on the observed
+// completion rate, so it already accounts for how many pages run in parallel.
+function createProgressTracker(total) {
+  const startTime = Date.now();
+  let successCount = 0;
+  let failCount = 0;
+  let skippedCount = 0;
+
+  function snapshot() {
+    const completed = successCount + failCount + skippedCount;
+    const elapsedMs = Date.now() - startTime;
+    const rate = elapsedMs > 0 ? completed / elapsedMs : 0;
+    const etaMs = rate > 0 ? (total - completed) / rate : null;
+
+    return {
+      total,
+      completed,
+      successCount,
+      failCount,
+      skippedCount,
+      percent: total > 0 ? Math.round(completed / total * 100) : 100,
+      startTime,
+      elapsedMs,
+      etaMs
+    };
+  }
+
+  return {
+    // `skipped` genes were stopped from the dashboard; they count as done
+    record(success, { skipped = false } = {}) {
+      if (skipped) {
+        skippedCount++;
+      } else if (success) {
+        successCount++;
+      } else {
+        failCount++;
+      }
+      return snapshot();
+    },
+    snapshot
+  };
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return 'unknown';
+  }
+  const minutes = Math.round(ms / 60000);
+  return minutes < 1 ? 'less than a minute' : `${minutes} minutes`;
+}
+
+module.exports = { createProgressTracker, formatDuration };
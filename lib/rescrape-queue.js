@@ -0,0 +1,57 @@
+const fs = require('fs').promises;
+const { geneKey } = require('./run-state');
+
+// Genes waiting to be scraped again because their output was quarantined.
+// `cleanup --quarantine` fills the queue, `scrape --queue` works through it,
+// and a gene leaves the queue once it has been scraped successfully.
+// Entries are `{ gene: { name, id }, reason, file, queuedAt }`.
+
+async function loadRescrapeQueue(filePath) {
+  try {
+    const queue = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    if (!Array.isArray(queue)) {
+      throw new Error('expected a list of genes');
+    }
+    return queue.filter(entry => entry && entry.gene);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.log(`Could not read re-scrape queue from ${filePath} (${err.message}), treating it as empty`);
+    }
+    return [];
+  }
+}
+
+async function saveRescrapeQueue(filePath, queue) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(queue, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+// Add genes to the queue; a gene already queued keeps its place and gets the newer reason
+async function queueGenes(filePath, entries) {
+  const queue = await loadRescrapeQueue(filePath);
+  for (const entry of entries) {
+    const queued = { ...entry, gene: { name: entry.gene.name, id: entry.gene.id }, queuedAt: new Date().toISOString() };
+    const index = queue.findIndex(existing => geneKey(existing.gene) === geneKey(entry.gene));
+    if (index === -1) {
+      queue.push(queued);
+    } else {
+      queue[index] = queued;
+    }
+  }
+  await saveRescrapeQueue(filePath, queue);
+  return queue;
+}
+
+// Remove a gene from the queue. Returns true if it was queued.
+async function dequeueGene(filePath, gene) {
+  const queue = await loadRescrapeQueue(filePath);
+  const remaining = queue.filter(entry => geneKey(entry.gene) !== geneKey(gene));
+  if (remaining.length === queue.length) {
+    return false;
+  }
+  await saveRescrapeQueue(filePath, remaining);
+  return true;
+}
+
+module.exports = { loadRescrapeQueue, saveRescrapeQueue, queueGenes, dequeueGene };
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// On-disk cache of the alignment payloads a scrape captured: intercepted
+// responses and clipboard or page text, valid or not. Entries are keyed by
+// site, gene ID and URL (the response URL, or the page URL for clipboard and
+// page text) and stored as <dir>/<site>/<gene id>/<sha1 of the URL>.json:
+//   { version, site, gene, url, source, payload, verifiedBy, runId, storedAt }
+// `verifiedBy` is how the scrape confirmed the gene (headers or page), or null.
+
+const CACHE_VERSION = 1;
+
+// Site names and gene IDs become directory names
+function safeName(value) {
+  return String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+function urlHash(url) {
+  return crypto.createHash('sha1').update(String(url)).digest('hex');
+}
+
+async function readDirNames(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Open the cache of `site` under `dir`. Entries older than `ttlMs` are
+ * expired (0 keeps them forever): `list` leaves them out unless asked to
+ * include them, and `invalidate({ expiredOnly: true })` removes them.
+ */
+function createResponseCache({ dir, site, ttlMs = 0, now = () => Date.now() }) {
+  const siteDir = path.join(dir, safeName(site));
+  const geneDir = geneId => path.join(siteDir, safeName(geneId));
+  const isExpired = entry => ttlMs > 0 && now() - Date.parse(entry.storedAt) > ttlMs;
+
+  async function readEntries(geneId) {
+    const entries = [];
+    for (const name of await readDirNames(geneDir(geneId))) {
+      if (!name.endsWith('.json')) continue;
+      const filePath = path.join(geneDir(geneId), name);
+      try {
+        const entry = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        if (entry.version === CACHE_VERSION && typeof entry.payload === 'string') {
+          entries.push({ ...entry, filePath });
+        }
+      } catch (err) {
+        // A half-written entry is as good as none
+      }
+    }
+    return entries;
+  }
+
+  return {
+    dir: siteDir,
+    isExpired,
+
+    entryPath(geneId, url) {
+      return path.join(geneDir(geneId), `${urlHash(url)}.json`);
+    },
+
+    // Store a payload, replacing the entry for the same gene and URL
+    async put(gene, { url, source, payload, verifiedBy = null, runId = null }) {
+      const filePath = this.entryPath(gene.id, url);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const entry = {
+        version: CACHE_VERSION,
+        site,
+        gene: { name: gene.name, id: gene.id },
+        url,
+        source,
+        payload,
+        verifiedBy,
+        runId,
+        storedAt: new Date(now()).toISOString()
+      };
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(entry));
+      await fs.rename(tmpPath, filePath);
+      return filePath;
+    },
+
+    // The gene's entries, newest first
+    async list(geneId, { includeExpired = false } = {}) {
+      const entries = await readEntries(geneId);
+      return entries
+        .filter(entry => includeExpired || !isExpired(entry))
+        .sort((a, b) => Date.parse(b.storedAt) - Date.parse(a.storedAt));
+    },
+
+    /**
+     * Remove entries: those of `geneIds` (every gene when null), and of
+     * those only the expired ones with `expiredOnly`. Returns the number
+     * removed.
+     */
+    async invalidate({ geneIds = null, expiredOnly = false } = {}) {
+      const names = geneIds ? geneIds.map(safeName) : await readDirNames(siteDir);
+      let removed = 0;
+      for (const name of names) {
+        for (const entry of await readEntries(name)) {
+          if (expiredOnly && !isExpired(entry)) continue;
+          await fs.rm(entry.filePath, { force: true });
+          removed++;
+        }
+        // Leave no empty gene folders behind
+        if ((await readDirNames(geneDir(name))).length === 0) {
+          await fs.rm(geneDir(name), { recursive: true, force: true });
+        }
+      }
+      return removed;
+    },
+
+    // `{ genes, entries, expired, bytes }` over the whole site cache
+    async stats() {
+      const totals = { genes: 0, entries: 0, expired: 0, bytes: 0 };
+      for (const name of await readDirNames(siteDir)) {
+        const entries = await readEntries(name);
+        if (entries.length === 0) continue;
+        totals.genes++;
+        for (const entry of entries) {
+          totals.entries++;
+          totals.bytes += (await fs.stat(entry.filePath)).size;
+          if (isExpired(entry)) totals.expired++;
+        }
+      }
+      return totals;
+    }
+  };
+}
+
+module.exports = { createResponseCache };
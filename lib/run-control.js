@@ -0,0 +1,73 @@
+const { geneKey } = require('./run-state');
+
+/**
+ * Pause, resume and skip for a running scrape, driven from the dashboard.
+ * Workers call `waitWhilePaused()` before each gene and attempt, so a pause
+ * lets the attempts in flight finish and holds everything after them.
+ * `skip(gene)` ends a gene at its next attempt and cuts its retry wait short
+ * (see `wait`); an attempt that is already running is not interrupted.
+ */
+function createRunControl() {
+  let paused = false;
+  let resumers = [];
+  const skipped = new Set();
+  const skipListeners = new Set();
+  const listeners = [];
+  const changed = () => listeners.forEach(listener => listener());
+
+  return {
+    get paused() {
+      return paused;
+    },
+    pause() {
+      if (!paused) {
+        paused = true;
+        changed();
+      }
+    },
+    resume() {
+      if (!paused) return;
+      paused = false;
+      const waiting = resumers;
+      resumers = [];
+      waiting.forEach(resolve => resolve());
+      changed();
+    },
+    waitWhilePaused() {
+      return paused ? new Promise(resolve => resumers.push(resolve)) : Promise.resolve();
+    },
+    skip(gene) {
+      const key = geneKey(gene);
+      if (skipped.has(key)) return;
+      skipped.add(key);
+      skipListeners.forEach(listener => listener(key));
+      changed();
+    },
+    isSkipped(gene) {
+      return skipped.has(geneKey(gene));
+    },
+    // Sleep `ms`, waking early if `gene` is skipped meanwhile
+    wait(ms, gene) {
+      const key = geneKey(gene);
+      if (skipped.has(key)) return Promise.resolve();
+      return new Promise(resolve => {
+        const done = () => {
+          clearTimeout(timer);
+          skipListeners.delete(onSkip);
+          resolve();
+        };
+        const onSkip = skippedKey => {
+          if (skippedKey === key) done();
+        };
+        const timer = setTimeout(done, ms);
+        skipListeners.add(onSkip);
+      });
+    },
+    // Called after every pause, resume and skip
+    onChange(listener) {
+      listeners.push(listener);
+    }
+  };
+}
+
+module.exports = { createRunControl };
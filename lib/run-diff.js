@@ -0,0 +1,173 @@
+const { degap } = require('./supermatrix');
+
+// Differences between the alignments of two scrapes of the same genes, e.g.
+// before and after an orthobrowser release. Sequences are matched by header;
+// a header that occurs more than once is numbered (`header [2]`) so every
+// record has a key.
+
+// Per-gene outcomes. Only changed, added and removed genes need their
+// downstream analyses redone.
+const DIFF_STATUS = {
+  IDENTICAL: 'identical',
+  // Same sequences in the same order, the file differs in layout only
+  REFORMATTED: 'reformatted',
+  CHANGED: 'changed',
+  ADDED: 'added',
+  REMOVED: 'removed',
+  // One side could not be read or does not validate
+  UNREADABLE: 'unreadable'
+};
+
+function keyedRecords(records) {
+  const seen = new Map();
+  const keyed = new Map();
+  for (const record of records) {
+    const count = (seen.get(record.header) || 0) + 1;
+    seen.set(record.header, count);
+    keyed.set(count === 1 ? record.header : `${record.header} [${count}]`, record.sequence);
+  }
+  return keyed;
+}
+
+/**
+ * Compare two alignments given as parsed records (lib/msa-parser.js).
+ * Returns `{ added, removed, changed, realigned, reordered, lengthBefore,
+ * lengthAfter }`: headers only after, only before, with different residues
+ * and with the same residues but different gaps, and whether the shared
+ * headers come in another order.
+ */
+function diffRecords(before, after) {
+  const old = keyedRecords(before);
+  const now = keyedRecords(after);
+  const diff = { added: [], removed: [], changed: [], realigned: [], reordered: false };
+
+  for (const [header, sequence] of now) {
+    if (!old.has(header)) {
+      diff.added.push(header);
+    } else if (old.get(header) !== sequence) {
+      const bucket = degap(old.get(header)) === degap(sequence) ? diff.realigned : diff.changed;
+      bucket.push(header);
+    }
+  }
+  for (const header of old.keys()) {
+    if (!now.has(header)) diff.removed.push(header);
+  }
+
+  const shared = header => old.has(header) && now.has(header);
+  const oldOrder = [...old.keys()].filter(shared);
+  const newOrder = [...now.keys()].filter(shared);
+  diff.reordered = oldOrder.some((header, i) => header !== newOrder[i]);
+
+  const length = keyed => Math.max(0, ...[...keyed.values()].map(sequence => sequence.length));
+  diff.lengthBefore = length(old);
+  diff.lengthAfter = length(now);
+  return diff;
+}
+
+// What the report says about one side of a gene
+function describeSide(side) {
+  if (!side) return null;
+  const described = { file: side.file, sha256: side.sha256 };
+  if (side.validation && side.validation.valid) {
+    described.sequences = side.validation.records.length;
+    described.columns = side.validation.length;
+  } else {
+    described.error = side.error || (side.validation && side.validation.message) || 'Not readable';
+  }
+  return described;
+}
+
+/**
+ * Compare one gene. `before` and `after` are `{ file, sha256, validation }`
+ * (or `{ file, error }` for a file that could not be read), either of them
+ * null when the gene has no alignment on that side.
+ */
+function diffGene(gene, before, after) {
+  const result = { gene: { name: gene.name, id: gene.id }, status: null, before: describeSide(before), after: describeSide(after) };
+  if (!before || !after) {
+    result.status = before ? DIFF_STATUS.REMOVED : DIFF_STATUS.ADDED;
+    return result;
+  }
+  if (before.sha256 && before.sha256 === after.sha256) {
+    result.status = DIFF_STATUS.IDENTICAL;
+    return result;
+  }
+  const readable = side => side.validation && side.validation.valid;
+  if (!readable(before) || !readable(after)) {
+    result.status = DIFF_STATUS.UNREADABLE;
+    return result;
+  }
+
+  const diff = diffRecords(before.validation.records, after.validation.records);
+  const changed = diff.added.length + diff.removed.length + diff.changed.length + diff.realigned.length > 0 ||
+    diff.reordered || diff.lengthBefore !== diff.lengthAfter;
+  result.status = changed ? DIFF_STATUS.CHANGED : DIFF_STATUS.REFORMATTED;
+  if (changed) {
+    result.sequences = { added: diff.added, removed: diff.removed, changed: diff.changed, realigned: diff.realigned };
+    result.reordered = diff.reordered;
+    result.lengthChange = diff.lengthAfter - diff.lengthBefore;
+  }
+  return result;
+}
+
+/**
+ * Compare two sets of saved alignments, Maps from gene key to `{ gene,
+ * side }` as read by compare-runs.js. Returns the diff report: `{ before,
+ * after, totals, genes }` with genes sorted by ID and name.
+ */
+function diffRuns(before, after, { beforeLabel = null, afterLabel = null } = {}) {
+  const keys = new Set([...before.keys(), ...after.keys()]);
+  const genes = [...keys].map(key => {
+    const gene = (after.get(key) || before.get(key)).gene;
+    return diffGene(gene, before.has(key) ? before.get(key).side : null, after.has(key) ? after.get(key).side : null);
+  }).sort((a, b) => a.gene.id.localeCompare(b.gene.id) || a.gene.name.localeCompare(b.gene.name));
+
+  const totals = Object.fromEntries(Object.values(DIFF_STATUS).map(status => [status, 0]));
+  for (const gene of genes) totals[gene.status]++;
+  return {
+    version: 1,
+    comparedAt: new Date().toISOString(),
+    before: beforeLabel,
+    after: afterLabel,
+    totals,
+    genes
+  };
+}
+
+function geneLabel(gene) {
+  return gene.id ? `${gene.name} (${gene.id})` : gene.name;
+}
+
+// The diff report as text, most urgent first: changed, added, removed, unreadable
+function formatDiffReport(report) {
+  const lines = [`Compared ${report.before} with ${report.after}`];
+  lines.push(Object.entries(report.totals).map(([status, count]) => `${count} ${status}`).join(', '));
+
+  const section = (status, title, describe) => {
+    const genes = report.genes.filter(gene => gene.status === status);
+    if (genes.length === 0) return;
+    lines.push('', `${title} (${genes.length}):`);
+    for (const gene of genes) lines.push(...describe(gene));
+  };
+
+  section(DIFF_STATUS.CHANGED, 'Changed', gene => {
+    const { before, after, sequences } = gene;
+    const out = [`  ${geneLabel(gene.gene)}: ${before.sequences} -> ${after.sequences} sequences, ${before.columns} -> ${after.columns} columns${gene.reordered ? ', reordered' : ''}`];
+    for (const header of sequences.added) out.push(`    + ${header}`);
+    for (const header of sequences.removed) out.push(`    - ${header}`);
+    for (const header of sequences.changed) out.push(`    ~ ${header}`);
+    for (const header of sequences.realigned) out.push(`    = ${header} (gaps only)`);
+    return out;
+  });
+  section(DIFF_STATUS.ADDED, 'Added', gene => [`  ${geneLabel(gene.gene)}: ${gene.after.file}`]);
+  section(DIFF_STATUS.REMOVED, 'Removed', gene => [`  ${geneLabel(gene.gene)}: ${gene.before.file}`]);
+  section(DIFF_STATUS.UNREADABLE, 'Unreadable', gene => {
+    const problem = [gene.before, gene.after].find(side => side.error);
+    return [`  ${geneLabel(gene.gene)}: ${problem.file}: ${problem.error}`];
+  });
+  section(DIFF_STATUS.REFORMATTED, 'Same sequences, different file layout', gene => [`  ${geneLabel(gene.gene)}`]);
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { DIFF_STATUS, diffRecords, diffGene, diffRuns, formatDiffReport };
@@ -0,0 +1,78 @@
+const fs = require('fs');
+
+// Structured run log. Every scraper event is one JSON object per line:
+//   {"time":"...","runId":"...","event":"gene.saved","gene":{"name":..,"id":..},...}
+// Events (see README for fields): run.start, gene.start, attempt, strategy,
+// validation.failed, retry, gene.saved, gene.failed, gene.end, run.end
+
+function newRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// Only the fields needed to identify a gene go into each event
+function geneRef(gene) {
+  return { name: gene.name, id: gene.id };
+}
+
+/**
+ * Create a run log that appends JSON lines to `filePath` (or only notifies
+ * listeners when no path is given). `emit` never throws; a log that cannot be
+ * written must not stop a scrape.
+ */
+function createRunLog({ filePath = null, runId = newRunId() } = {}) {
+  const listeners = [];
+  let stream = null;
+
+  if (filePath) {
+    stream = fs.createWriteStream(filePath, { flags: 'a' });
+    stream.on('error', (err) => {
+      console.error(`Run log ${filePath} could not be written: ${err.message}`);
+      stream = null;
+    });
+  }
+
+  return {
+    runId,
+    filePath,
+    emit(event, fields = {}) {
+      const entry = { time: new Date().toISOString(), runId, event, ...fields };
+      if (entry.gene) {
+        entry.gene = geneRef(entry.gene);
+      }
+      if (stream) {
+        stream.write(`${JSON.stringify(entry)}\n`);
+      }
+      for (const listener of listeners) {
+        listener(entry);
+      }
+      return entry;
+    },
+    onEvent(listener) {
+      listeners.push(listener);
+    },
+    close() {
+      if (!stream) {
+        return Promise.resolve();
+      }
+      const closing = stream;
+      stream = null;
+      return new Promise(resolve => closing.end(resolve));
+    }
+  };
+}
+
+// Read a JSON-lines run log, skipping lines cut short by an interrupted run
+function readRunLog(filePath) {
+  const entries = [];
+  for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      // Partial last line
+    }
+  }
+  return entries;
+}
+
+module.exports = { newRunId, createRunLog, readRunLog };
@@ -0,0 +1,161 @@
+const { geneKey } = require('./run-state');
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Fold the events of one run log (see lib/run-log.js) into the run report
+ * written to run-report.json. A log without run.end (crash, Ctrl+C) yields a
+ * report with status "interrupted" and the genes still in flight marked
+ * "incomplete".
+ */
+function buildRunReport(entries) {
+  const report = {
+    version: 1,
+    runId: null,
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    status: 'interrupted',
+    mode: null,
+    test: false,
+    concurrency: null,
+    totals: null,
+    failures: {},
+    artifacts: {},
+    // How the site held up: adaptive slowdowns and circuit breaker trips (lib/throttle.js)
+    server: { slowdowns: 0, maxDelayMs: null, breakerTrips: 0, stoppedByBreaker: false },
+    durations: null,
+    genes: []
+  };
+  let planned = 0;
+  let skipped = 0;
+  const genes = new Map();
+
+  for (const entry of entries) {
+    // A run that died before run.start still has an ID and a start time
+    if (!report.runId) {
+      report.runId = entry.runId;
+      report.startedAt = entry.time;
+    }
+    const record = entry.gene ? genes.get(geneKey(entry.gene)) : null;
+
+    switch (entry.event) {
+      case 'run.start':
+        report.mode = entry.mode;
+        report.test = Boolean(entry.test);
+        report.concurrency = entry.concurrency;
+        planned = entry.planned || 0;
+        skipped = entry.skipped || 0;
+        break;
+      case 'gene.start':
+        genes.set(geneKey(entry.gene), {
+          name: entry.gene.name,
+          id: entry.gene.id,
+          outcome: 'incomplete',
+          attempts: 0,
+          retries: 0,
+          durationMs: null,
+          source: null,
+          output: null,
+          artifacts: {},
+          failure: null
+        });
+        break;
+      case 'attempt':
+        if (record) record.attempts++;
+        break;
+      case 'retry':
+        if (record) record.retries++;
+        break;
+      case 'gene.saved':
+        if (record) {
+          record.source = entry.source;
+          record.output = entry.path;
+        }
+        break;
+      case 'artifact':
+        if (record) record.artifacts[entry.artifact] = entry.outcome;
+        break;
+      case 'gene.failed':
+        if (record) record.failure = entry.failure;
+        break;
+      case 'throttle':
+        if (entry.reason !== 'recovered') report.server.slowdowns++;
+        report.server.maxDelayMs = Math.max(report.server.maxDelayMs || 0, entry.delayMs);
+        break;
+      case 'breaker':
+        if (entry.state === 'open') report.server.breakerTrips++;
+        if (entry.state === 'stopped') report.server.stoppedByBreaker = true;
+        break;
+      case 'gene.end':
+        if (record) {
+          record.outcome = entry.skipped ? 'skipped' : entry.success ? 'succeeded' : 'failed';
+          record.durationMs = entry.durationMs;
+          if (record.outcome === 'failed' && !record.failure) {
+            record.failure = { type: 'unknown', message: 'No failure was recorded' };
+          }
+        }
+        break;
+      case 'run.end':
+        report.finishedAt = entry.time;
+        report.status = entry.error ? 'error' : 'completed';
+        if (entry.error) report.error = entry.error;
+        break;
+      default:
+        break;
+    }
+  }
+
+  report.genes = [...genes.values()];
+  if (report.startedAt) {
+    const end = report.finishedAt || (entries.length > 0 ? entries[entries.length - 1].time : report.startedAt);
+    report.durationMs = Date.parse(end) - Date.parse(report.startedAt);
+  }
+
+  // Genes skipped from the dashboard or left pending by the circuit breaker
+  // were neither scraped nor failed
+  const stopped = report.genes.filter(gene => gene.outcome === 'skipped').length;
+  const finished = report.genes.filter(gene => gene.outcome !== 'incomplete' && gene.outcome !== 'skipped');
+  const succeeded = finished.filter(gene => gene.outcome === 'succeeded').length;
+  report.totals = {
+    planned,
+    skipped,
+    processed: finished.length,
+    succeeded,
+    failed: finished.length - succeeded,
+    skippedDuringRun: stopped,
+    incomplete: report.genes.length - finished.length - stopped,
+    retries: report.genes.reduce((sum, gene) => sum + gene.retries, 0),
+    successRate: finished.length > 0 ? Math.round(succeeded / finished.length * 10000) / 10000 : null
+  };
+
+  for (const gene of finished) {
+    if (gene.failure) {
+      report.failures[gene.failure.type] = (report.failures[gene.failure.type] || 0) + 1;
+    }
+  }
+
+  // Outcome counts per artifact, e.g. { tree: { saved: 40, invalid: 2 } }
+  for (const gene of report.genes) {
+    for (const [name, outcome] of Object.entries(gene.artifacts)) {
+      const counts = report.artifacts[name] || (report.artifacts[name] = {});
+      counts[outcome] = (counts[outcome] || 0) + 1;
+    }
+  }
+
+  const durations = finished.map(gene => gene.durationMs).filter(ms => typeof ms === 'number');
+  report.durations = {
+    meanGeneMs: durations.length > 0 ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : null,
+    medianGeneMs: median(durations),
+    maxGeneMs: durations.length > 0 ? Math.max(...durations) : null
+  };
+
+  return report;
+}
+
+module.exports = { buildRunReport };
@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+
+// Per-gene status values recorded in the run-state file
+const STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  INVALID: 'invalid'
+};
+
+// Gene names and IDs are both repeated in genes.csv, so neither is unique alone
+function geneKey(gene) {
+  return `${gene.id}|${gene.name}`;
+}
+
+function createRunState() {
+  return {
+    version: 1,
+    updatedAt: null,
+    genes: {}
+  };
+}
+
+async function loadRunState(filePath) {
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    if (!data || typeof data.genes !== 'object') {
+      throw new Error('missing genes table');
+    }
+    return data;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.log(`Could not read run state from ${filePath} (${err.message}), starting fresh`);
+    }
+    return createRunState();
+  }
+}
+
+async function saveRunState(filePath, state) {
+  state.updatedAt = new Date().toISOString();
+
+  // Write to a temp file first so a crash mid-write never leaves a truncated checkpoint
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+function getGeneState(state, gene) {
+  return state.genes[geneKey(gene)] || null;
+}
+
+function updateGeneState(state, gene, fields) {
+  const key = geneKey(gene);
+  const previous = state.genes[key] || {
+    name: gene.name,
+    id: gene.id,
+    status: STATUS.PENDING,
+    outputPath: null,
+    attempts: 0,
+    error: null,
+    failureType: null
+  };
+
+  state.genes[key] = {
+    ...previous,
+    ...fields,
+    updatedAt: new Date().toISOString()
+  };
+  return state.genes[key];
+}
+
+function countByStatus(state) {
+  const counts = {};
+  for (const status of Object.values(STATUS)) {
+    counts[status] = 0;
+  }
+  for (const entry of Object.values(state.genes)) {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  STATUS,
+  geneKey,
+  createRunState,
+  loadRunState,
+  saveRunState,
+  getGeneState,
+  updateGeneState,
+  countByStatus
+};
@@ -0,0 +1,39 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { validateMSA } = require('./msa-parser');
+const { loadManifest, mapStemsToGenes } = require('./manifest');
+
+/**
+ * Read the raw alignments (`.txt`, not `_FAILED.txt` placeholders) saved in
+ * `outputDir` for the analysis commands, matched to their gene through the
+ * output index and the gene list. Files that match neither get their stem as
+ * gene name and an empty ID. `select({ stem, gene })` narrows the files
+ * before they are read. Invalid files are logged and returned in `skipped`.
+ * Returns `{ alignments, skipped }`; alignments are `{ file, stem, gene,
+ * validation }` in file name order.
+ */
+async function readSavedAlignments(outputDir, { genes = [], manifestPath = path.join(outputDir, 'index.json'), select = null } = {}) {
+  const owners = mapStemsToGenes(await loadManifest(manifestPath), genes);
+  const files = (await fs.readdir(outputDir))
+    .filter(file => file.endsWith('.txt') && !file.endsWith('_FAILED.txt'))
+    .sort();
+
+  const alignments = [];
+  const skipped = [];
+  for (const file of files) {
+    const stem = file.replace(/\.txt$/, '');
+    const gene = owners.get(stem) || { name: stem, id: '' };
+    if (select && !select({ stem, gene })) continue;
+
+    const validation = validateMSA(await fs.readFile(path.join(outputDir, file)));
+    if (!validation.valid) {
+      skipped.push({ file, reason: validation.message });
+      console.log(`⚠️  Skipped ${file}: ${validation.message}`);
+      continue;
+    }
+    alignments.push({ file, stem, gene, validation });
+  }
+  return { alignments, skipped };
+}
+
+module.exports = { readSavedAlignments };
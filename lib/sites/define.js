@@ -0,0 +1,69 @@
+const { validateMSA } = require('../msa-parser');
+const { isCandidate } = require('../network-capture');
+
+// The steps every site adapter provides. The scraper drives them in this
+// order and decides what a missing menu or button means, so an adapter only
+// knows how to work its site's page.
+const REQUIRED_STEPS = {
+  search: ['open', 'enterQuery', 'readSuggestions', 'pickSuggestion', 'submit'],
+  export: ['openMenu', 'clickAlignment', 'readClipboard', 'readPage']
+};
+
+// Export steps needed to fetch anything besides the alignment
+const ARTIFACT_STEPS = ['listArtifacts', 'clickArtifact'];
+
+function canExportArtifacts(site) {
+  return ARTIFACT_STEPS.every(step => typeof site.export[step] === 'function');
+}
+
+// Visible text of the loaded page, used to confirm which gene is displayed
+async function readBodyText(page) {
+  return page.evaluate(() => (document.body ? document.body.innerText : ''));
+}
+
+/**
+ * Build a site adapter from `spec` and check it is complete. An adapter has:
+ *
+ * - `name`, `description` and `baseUrl` (the page scraped unless `baseUrl`
+ *   is configured)
+ * - `search` steps: `open(page, url)`, `enterQuery(page, gene)`,
+ *   `readSuggestions(page)` (the autocomplete texts, or null when no menu
+ *   appeared), `pickSuggestion(page, index)` and `submit(page)`
+ * - `export` steps: `openMenu(page)` and `clickAlignment(page)` (false when
+ *   the element is missing), `readClipboard(page)` and `readPage(page)` (the
+ *   exported text, or null)
+ * - optional `export` steps for the other menu entries (see lib/artifacts.js):
+ *   `listArtifacts(page)` (the labels in the open menu) and
+ *   `clickArtifact(page, label)` (false when the entry is missing); the
+ *   export is then read with `readClipboard`
+ * - optional `isAlignmentResponse(url, contentType)`: which network responses
+ *   may hold the alignment (default: text, JSON and export-like URLs)
+ * - optional `validate(data)`: accepts or rejects the data like validateMSA
+ *   (the default)
+ * - optional `readPageText(page)`: text that names the loaded gene (default:
+ *   the page body)
+ */
+function defineSiteAdapter(spec) {
+  const missing = [];
+  for (const key of ['name', 'baseUrl']) {
+    if (!spec[key]) missing.push(key);
+  }
+  for (const [group, steps] of Object.entries(REQUIRED_STEPS)) {
+    for (const step of steps) {
+      if (!spec[group] || typeof spec[group][step] !== 'function') missing.push(`${group}.${step}`);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`Site adapter ${spec.name || '(unnamed)'} is missing ${missing.join(', ')}`);
+  }
+
+  return {
+    description: spec.name,
+    isAlignmentResponse: isCandidate,
+    validate: validateMSA,
+    readPageText: readBodyText,
+    ...spec
+  };
+}
+
+module.exports = { REQUIRED_STEPS, ARTIFACT_STEPS, canExportArtifacts, defineSiteAdapter };
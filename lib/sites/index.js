@@ -0,0 +1,25 @@
+const path = require('path');
+
+// Site adapters by name. To support another orthobrowser deployment, add a
+// module next to orthobrowser-v3.js and list it here, or pass the path of an
+// adapter module as the site name.
+const SITE_ADAPTERS = {
+  'orthobrowser-v3': require('./orthobrowser-v3')
+};
+
+/**
+ * The adapter for `site`: a name from SITE_ADAPTERS or the path of a module
+ * exporting a defineSiteAdapter() result.
+ */
+function getSiteAdapter(site, { cwd = process.cwd() } = {}) {
+  if (SITE_ADAPTERS[site]) {
+    return SITE_ADAPTERS[site];
+  }
+  if (/[\\/]|\.js$/.test(site)) {
+    const { defineSiteAdapter } = require('./define');
+    return defineSiteAdapter(require(path.resolve(cwd, site)));
+  }
+  throw new Error(`Unknown site "${site}". Available: ${Object.keys(SITE_ADAPTERS).join(', ')}, or the path of an adapter module`);
+}
+
+module.exports = { SITE_ADAPTERS, getSiteAdapter };
@@ -0,0 +1,166 @@
+const { defineSiteAdapter } = require('./define');
+const { sniffText, parseAlignedFasta } = require('../msa-parser');
+
+// The soy superpangenome orthobrowser v3: a jQuery UI autocomplete on
+// #searchInput, a Bootstrap "Export" dropdown in the navbar, and an "MSA"
+// button that copies the alignment to the clipboard. The other .export-button
+// entries (Tree, Sequences) copy their export the same way.
+
+// Text that starts with a FASTA header and parses into records; whether the
+// alignment is complete is for validation to decide
+function looksLikeFasta(text) {
+  const sniffed = sniffText(text);
+  return sniffed.valid && sniffed.text.trimStart().startsWith('>') && parseAlignedFasta(sniffed.text).length > 0;
+}
+
+module.exports = defineSiteAdapter({
+  name: 'orthobrowser-v3',
+  description: 'Soy superpangenome orthobrowser v3',
+  baseUrl: 'https://resources.michael.salk.edu/misc/soy_superpangenome_orthobrowser_v3/index.html',
+
+  search: {
+    async open(page, url) {
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+      await page.waitForSelector('#searchInput', { visible: true, timeout: 10000 });
+    },
+
+    async enterQuery(page, gene) {
+      await page.evaluate(() => {
+        document.querySelector('#searchInput').value = '';
+      });
+      // The site's index is lower case
+      await page.type('#searchInput', gene.id.toLowerCase(), { delay: 50 });
+    },
+
+    async readSuggestions(page) {
+      try {
+        await page.waitForSelector('.ui-autocomplete', { visible: true, timeout: 5000 });
+      } catch (err) {
+        return null;
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+      return page.$$eval('.ui-autocomplete .ui-menu-item', items => items.map(item => item.textContent.trim()));
+    },
+
+    async pickSuggestion(page, index) {
+      await page.evaluate(i => {
+        document.querySelectorAll('.ui-autocomplete .ui-menu-item')[i].click();
+      }, index);
+    },
+
+    async submit(page) {
+      await page.click('button[type="submit"]');
+      // Results and the alignment request arrive after the page settles
+      await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+  },
+
+  export: {
+    async openMenu(page) {
+      const clicked = await page.evaluate(() => {
+        const strategies = [
+          () => document.querySelector('#navbarDropdown'),
+          () => document.querySelector('a.nav-link.dropdown-toggle[data-bs-toggle="dropdown"]'),
+          () => document.querySelector('li.nav-item.dropdown a.nav-link'),
+          () => Array.from(document.querySelectorAll('a.nav-link.dropdown-toggle')).find(el => el.textContent.trim() === 'Export'),
+          () => Array.from(document.querySelectorAll('a')).find(el => el.textContent.trim() === 'Export' && el.hasAttribute('data-bs-toggle'))
+        ];
+        for (const strategy of strategies) {
+          const element = strategy();
+          if (element) {
+            element.click();
+            return true;
+          }
+        }
+        return false;
+      });
+      if (clicked) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      return clicked;
+    },
+
+    async clickAlignment(page) {
+      const clicked = await page.evaluate(() => {
+        const strategies = [
+          () => document.querySelector('#msa_button'),
+          () => document.querySelector('button.export-button#msa_button'),
+          () => Array.from(document.querySelectorAll('.export-button')).find(el => el.textContent.trim() === 'MSA'),
+          () => Array.from(document.querySelectorAll('button')).find(el => el.textContent.trim() === 'MSA')
+        ];
+        for (const strategy of strategies) {
+          const element = strategy();
+          if (element) {
+            element.click();
+            return true;
+          }
+        }
+        return false;
+      });
+      if (clicked) {
+        // The button copies to the clipboard asynchronously
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+      return clicked;
+    },
+
+    async listArtifacts(page) {
+      return page.$$eval('.export-button', buttons => buttons.map(button => button.textContent.trim()));
+    },
+
+    async clickArtifact(page, label) {
+      const clicked = await page.evaluate(text => {
+        const button = Array.from(document.querySelectorAll('.export-button')).find(el => el.textContent.trim() === text);
+        if (!button) {
+          return false;
+        }
+        // Every button copies to the same clipboard, so drop the previous export first
+        window.clipboardData = null;
+        button.click();
+        return true;
+      }, label);
+      if (clicked) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+      return clicked;
+    },
+
+    async readClipboard(page) {
+      return page.evaluate(async () => {
+        try {
+          // Written by the clipboard shim preparePage installs
+          if (window.clipboardData) {
+            return window.clipboardData;
+          }
+          return await navigator.clipboard.readText();
+        } catch (err) {
+          return null;
+        }
+      });
+    },
+
+    // The first textarea, <pre> or other element whose text is a FASTA
+    // block, nucleotide or protein
+    async readPage(page) {
+      const texts = await page.evaluate(() => {
+        const found = [];
+        const textarea = document.querySelector('textarea');
+        if (textarea && textarea.value) {
+          found.push(textarea.value);
+        }
+        const pre = document.querySelector('pre');
+        if (pre && pre.textContent) {
+          found.push(pre.textContent);
+        }
+        for (const el of document.querySelectorAll('*')) {
+          const text = el.textContent;
+          if (text && text.length > 50 && text.trimStart().startsWith('>')) {
+            found.push(text);
+          }
+        }
+        return found;
+      });
+      return (texts || []).find(looksLikeFasta) || null;
+    }
+  }
+});
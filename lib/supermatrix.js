@@ -0,0 +1,143 @@
+const { parseOrthologHeader, ORTHOLOG_HEADER_PATTERNS } = require('./fasta-headers');
+const { fileStem } = require('./manifest');
+
+// Per-gene alignments combined for phylogenomics (one row per taxon, genes
+// side by side) or taken apart again (unaligned sequences for re-alignment).
+// Taxa are named after a part of the FASTA header: the accession by default.
+
+const TAXON_LEVELS = ['accession', 'species', 'assembly'];
+const GAP_CHARS = '-.';
+
+function degap(sequence) {
+  return sequence.replace(/[-.]/g, '');
+}
+
+function residueCount(sequence) {
+  let count = 0;
+  for (const char of sequence) {
+    if (!GAP_CHARS.includes(char)) count++;
+  }
+  return count;
+}
+
+function taxonNamer(level = 'accession', patterns = ORTHOLOG_HEADER_PATTERNS) {
+  if (!TAXON_LEVELS.includes(level)) {
+    throw new Error(`Unknown taxon level "${level}". Use one of: ${TAXON_LEVELS.join(', ')}`);
+  }
+  return header => parseOrthologHeader(header, patterns)[level];
+}
+
+/**
+ * One sequence per taxon for the supermatrix. A taxon with several sequences
+ * (paralogs, haplotypes) keeps the one with the most residues, the first on a
+ * tie. Returns `{ picked, dropped }`: a Map of taxon to record, and the
+ * headers that were left out.
+ */
+function pickTaxonSequences(records, taxonOf) {
+  const picked = new Map();
+  const dropped = [];
+  for (const record of records) {
+    const taxon = taxonOf(record.header);
+    const current = picked.get(taxon);
+    if (!current) {
+      picked.set(taxon, record);
+    } else if (residueCount(record.sequence) > residueCount(current.sequence)) {
+      dropped.push(current.header);
+      picked.set(taxon, record);
+    } else {
+      dropped.push(record.header);
+    }
+  }
+  return { picked, dropped };
+}
+
+/**
+ * Concatenate per-gene alignments (`{ name, records, alphabet }`) into a
+ * supermatrix. Taxa missing from a gene are padded with gaps. Returns
+ * `{ records, alphabet, partitions, taxa, dropped }`: partitions are
+ * `{ name, start, end }` (1-based, inclusive), taxa are `{ taxon, genes }`
+ * with the number of genes each taxon has a sequence in, and dropped lists
+ * `{ gene, header }` for sequences left out by pickTaxonSequences.
+ */
+function buildSupermatrix(genes, { taxonOf = taxonNamer() } = {}) {
+  const alphabets = new Set(genes.map(gene => gene.alphabet));
+  if (alphabets.size > 1) {
+    throw new Error(`Cannot concatenate ${[...alphabets].join(' and ')} alignments into one supermatrix`);
+  }
+
+  const perGene = genes.map(gene => ({
+    gene,
+    length: Math.max(0, ...gene.records.map(record => record.sequence.length)),
+    ...pickTaxonSequences(gene.records, taxonOf)
+  }));
+  const taxa = [...new Set(perGene.flatMap(({ picked }) => [...picked.keys()]))].sort();
+
+  const partitions = [];
+  const usedNames = new Set();
+  let start = 1;
+  for (const { gene, length } of perGene) {
+    // Partition names end up in RAxML/IQ-TREE files, so keep them to safe characters
+    const base = fileStem(gene.name) || 'gene';
+    let name = base;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+      name = `${base}_${n}`;
+    }
+    usedNames.add(name.toLowerCase());
+    partitions.push({ name, start, end: start + length - 1 });
+    start += length;
+  }
+
+  const records = taxa.map(taxon => ({
+    header: taxon,
+    sequence: perGene.map(({ picked, length }) => {
+      const record = picked.get(taxon);
+      return record ? record.sequence.padEnd(length, '-') : '-'.repeat(length);
+    }).join('')
+  }));
+
+  return {
+    records,
+    alphabet: alphabets.size === 1 ? [...alphabets][0] : 'protein',
+    partitions,
+    taxa: taxa.map(taxon => ({ taxon, genes: perGene.filter(({ picked }) => picked.has(taxon)).length })),
+    dropped: perGene.flatMap(({ gene, dropped }) => dropped.map(header => ({ gene: gene.name, header })))
+  };
+}
+
+/**
+ * RAxML-style partition file, which IQ-TREE reads too:
+ * `LG, MtNFP = 1-412` per gene (`DNA` for nucleotide alignments).
+ */
+function formatPartitions(partitions, { alphabet = 'protein', model = alphabet === 'nucleotide' ? 'DNA' : 'LG' } = {}) {
+  return partitions.map(({ name, start, end }) => `${model}, ${name} = ${start}-${end}\n`).join('');
+}
+
+/**
+ * Unaligned copies of `records` for re-alignment: gaps removed, empty
+ * sequences dropped, and each header renamed to its taxon (`_2`, `_3` for
+ * further sequences of a taxon) with the original ID kept as description.
+ */
+function degapRecords(records, { taxonOf = taxonNamer() } = {}) {
+  const seen = new Map();
+  const result = [];
+  for (const record of records) {
+    const sequence = degap(record.sequence);
+    if (!sequence) continue;
+    const taxon = taxonOf(record.header);
+    const n = (seen.get(taxon) || 0) + 1;
+    seen.set(taxon, n);
+    const id = record.header.trim().split(/\s+/)[0];
+    result.push({ header: `${n === 1 ? taxon : `${taxon}_${n}`} ${id}`, sequence });
+  }
+  return result;
+}
+
+module.exports = {
+  TAXON_LEVELS,
+  degap,
+  taxonNamer,
+  pickTaxonSequences,
+  buildSupermatrix,
+  formatPartitions,
+  degapRecords
+};
@@ -0,0 +1,278 @@
+const fs = require('fs').promises;
+const { createRateLimiter, sleep } = require('./worker-pool');
+const { FAILURE_TYPES } = require('./failures');
+
+// Adaptive pacing and a circuit breaker for the scraped server. After every
+// attempt the throttle looks at the status and timing of its page loads and
+// data requests (entries of lib/network-capture.js): 429 and 5xx responses
+// and rising latency stretch the delay between searches, healthy attempts
+// shrink it back to the configured one, and Retry-After is honoured. After
+// `breakerThreshold` attempts in a row that hit server errors the breaker
+// opens and every worker waits out the cooldown; then a single probe attempt
+// decides whether to close it or open it again.
+
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  // Cooldown over, one attempt is let through to test the server
+  HALF_OPEN: 'half-open'
+};
+
+// Page loads and data requests; scripts, styles and images say little about the server
+const WATCHED_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+// Slowing down multiplies the delay (at least a second, so a configured delay
+// of 0 can grow too); recovering takes half off what is above the
+// configured delay
+const SERVER_ERROR_FACTOR = 2;
+const SLOW_FACTOR = 1.5;
+const MIN_SLOWDOWN_BASE_MS = 1000;
+const RECOVERY_FACTOR = 0.5;
+const RECOVERED_WITHIN_MS = 50;
+// Latency is judged against a moving average of healthy attempts once there
+// are a few, and never below a second: small absolute jitter is not load
+const LATENCY_SAMPLES = 3;
+const LATENCY_WEIGHT = 0.2;
+const LATENCY_FLOOR_MS = 1000;
+
+function isServerError(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Milliseconds a Retry-After header asks for (seconds or an HTTP date), or
+ * null if it is missing or unreadable.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Create the throttle of one scrape. `delayMs` is the configured delay
+ * between searches and the floor of the adaptive one, `maxDelayMs` its
+ * ceiling; `adaptive: false` keeps the delay fixed (Retry-After and the
+ * breaker still apply). A breaker that has opened `breakerMaxTrips` times
+ * without the server recovering stops the throttle for good (0: never).
+ * `breakerThreshold` 0 disables the breaker. `saved` is a snapshot from an
+ * earlier run (see loadThrottleState): a breaker that is still open stays
+ * open. `onChange(event, fields)` hears 'throttle' for every delay change
+ * and 'breaker' for every breaker transition.
+ */
+function createThrottle({
+  delayMs,
+  maxDelayMs = delayMs,
+  adaptive = true,
+  latencyFactor = 3,
+  breakerThreshold = 5,
+  breakerCooldownMs = 300000,
+  breakerMaxTrips = 0,
+  saved = null,
+  onChange = null,
+  now = () => Date.now(),
+  wait = sleep
+}) {
+  let currentDelay = delayMs;
+  let holdUntil = 0;
+  let baseline = null;
+  let samples = 0;
+  let consecutiveErrors = 0;
+  let breaker = BREAKER_STATES.CLOSED;
+  let trips = 0;
+  let openUntil = 0;
+  let stopped = false;
+  let probing = false;
+  let probeWaiters = [];
+
+  if (saved && saved.breaker === BREAKER_STATES.OPEN && Date.parse(saved.openUntil) > now()) {
+    breaker = BREAKER_STATES.OPEN;
+    trips = saved.trips || 1;
+    openUntil = Date.parse(saved.openUntil);
+  }
+
+  const notify = (event, fields) => {
+    if (onChange) onChange(event, fields);
+  };
+  const releaseProbe = () => {
+    probing = false;
+    const waiting = probeWaiters;
+    probeWaiters = [];
+    waiting.forEach(resolve => resolve());
+  };
+
+  function slowDown(factor, reason) {
+    setDelay(Math.max(currentDelay, MIN_SLOWDOWN_BASE_MS) * factor, reason);
+  }
+
+  function setDelay(value, reason) {
+    if (!adaptive) return;
+    const next = Math.round(Math.min(Math.max(value, delayMs), Math.max(maxDelayMs, delayMs)));
+    if (next === currentDelay) return;
+    currentDelay = next;
+    notify('throttle', { delayMs: next, reason });
+  }
+
+  function openBreaker(reason) {
+    trips++;
+    if (breakerMaxTrips > 0 && trips > breakerMaxTrips) {
+      stopped = true;
+      breaker = BREAKER_STATES.OPEN;
+      openUntil = 0;
+      notify('breaker', { state: 'stopped', trips: trips - 1, reason });
+    } else {
+      breaker = BREAKER_STATES.OPEN;
+      openUntil = Math.max(now() + breakerCooldownMs, holdUntil);
+      notify('breaker', { state: BREAKER_STATES.OPEN, trips, openUntil: new Date(openUntil).toISOString(), reason });
+    }
+    releaseProbe();
+  }
+
+  return {
+    get delayMs() {
+      return currentDelay;
+    },
+    get breaker() {
+      return breaker;
+    },
+    // The breaker gave up on the server; no more attempts should be made
+    get stopped() {
+      return stopped;
+    },
+
+    // Wait for the next search slot, `delayMs` after the previous one across all workers
+    waitTurn: createRateLimiter(() => currentDelay),
+
+    /**
+     * Wait until the server may be contacted: no Retry-After hold and no
+     * open breaker. Once the cooldown is over the first caller becomes the
+     * probe and the others wait for its outcome; `probe: false` waits the
+     * same way without ever becoming the probe. Resolves to false once the
+     * throttle has stopped.
+     */
+    async waitForServer({ probe = true } = {}) {
+      for (;;) {
+        if (stopped) return false;
+        const until = Math.max(holdUntil, breaker === BREAKER_STATES.OPEN ? openUntil : 0);
+        if (until > now()) {
+          await wait(until - now());
+          continue;
+        }
+        if (breaker === BREAKER_STATES.OPEN) {
+          breaker = BREAKER_STATES.HALF_OPEN;
+          notify('breaker', { state: BREAKER_STATES.HALF_OPEN, trips });
+        }
+        if (breaker === BREAKER_STATES.HALF_OPEN && (probing || !probe)) {
+          if (!probing) return true;
+          await new Promise(resolve => probeWaiters.push(resolve));
+          continue;
+        }
+        if (breaker === BREAKER_STATES.HALF_OPEN) {
+          probing = true;
+        }
+        return true;
+      }
+    },
+
+    /**
+     * Take in one attempt: its captured network `entries` and its `failure`
+     * (null on success); a navigation failure counts as a server error.
+     * Returns `{ outcome, status, latencyMs, retryAfterMs }` with outcome
+     * 'server-error', 'slow', 'ok' or 'unknown' (nothing was loaded).
+     */
+    observe(entries = [], failure = null) {
+      const watched = entries.filter(entry => !entry.resourceType || WATCHED_RESOURCE_TYPES.includes(entry.resourceType));
+      const errors = watched.filter(entry => isServerError(entry.status));
+      const unreachable = Boolean(failure && failure.type === FAILURE_TYPES.NAVIGATION);
+      const latencyMs = watched.length > 0 ? Math.max(...watched.map(entry => entry.timeMs || 0)) : null;
+
+      if (errors.length === 0 && !unreachable) {
+        if (watched.length === 0) {
+          // Nothing to judge the server by; let another attempt probe it
+          if (probing) releaseProbe();
+          return { outcome: 'unknown', status: null, latencyMs, retryAfterMs: null };
+        }
+        consecutiveErrors = 0;
+        if (breaker === BREAKER_STATES.HALF_OPEN) {
+          breaker = BREAKER_STATES.CLOSED;
+          trips = 0;
+          notify('breaker', { state: BREAKER_STATES.CLOSED });
+          releaseProbe();
+        }
+        const slow = samples >= LATENCY_SAMPLES && latencyMs > Math.max(LATENCY_FLOOR_MS, baseline * latencyFactor);
+        if (slow) {
+          slowDown(SLOW_FACTOR, 'latency');
+          return { outcome: 'slow', status: watched[0].status, latencyMs, retryAfterMs: null };
+        }
+        baseline = baseline === null ? latencyMs : baseline + LATENCY_WEIGHT * (latencyMs - baseline);
+        samples++;
+        const excess = (currentDelay - delayMs) * RECOVERY_FACTOR;
+        setDelay(excess < RECOVERED_WITHIN_MS ? delayMs : delayMs + excess, 'recovered');
+        return { outcome: 'ok', status: watched[0].status, latencyMs, retryAfterMs: null };
+      }
+
+      let retryAfterMs = null;
+      for (const entry of errors) {
+        const requested = parseRetryAfter((entry.responseHeaders || {})['retry-after'], now());
+        if (requested !== null) retryAfterMs = Math.max(retryAfterMs || 0, requested);
+      }
+      if (retryAfterMs !== null) {
+        holdUntil = Math.max(holdUntil, now() + retryAfterMs);
+      }
+      const status = errors.length > 0 ? errors[0].status : null;
+      const reason = status ? `HTTP ${status}` : failure.message;
+      consecutiveErrors++;
+      slowDown(SERVER_ERROR_FACTOR, status ? `http-${status}` : 'unreachable');
+      if (breaker === BREAKER_STATES.HALF_OPEN) {
+        openBreaker(reason);
+      } else if (breaker === BREAKER_STATES.CLOSED && breakerThreshold > 0 && consecutiveErrors >= breakerThreshold) {
+        openBreaker(`${consecutiveErrors} attempts in a row hit server errors (last: ${reason})`);
+      }
+      return { outcome: 'server-error', status, latencyMs, retryAfterMs };
+    },
+
+    // What throttle-state.json holds
+    snapshot() {
+      return {
+        version: 1,
+        updatedAt: new Date(now()).toISOString(),
+        delayMs: currentDelay,
+        latencyBaselineMs: baseline === null ? null : Math.round(baseline),
+        consecutiveErrors,
+        breaker: stopped ? 'stopped' : breaker,
+        trips,
+        openUntil: breaker === BREAKER_STATES.OPEN && openUntil > 0 ? new Date(openUntil).toISOString() : null,
+        holdUntil: holdUntil > now() ? new Date(holdUntil).toISOString() : null
+      };
+    }
+  };
+}
+
+// The snapshot an earlier run saved, or null
+async function loadThrottleState(filePath) {
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return data && data.version === 1 ? data : null;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.log(`Could not read throttle state from ${filePath} (${err.message}), starting fresh`);
+    }
+    return null;
+  }
+}
+
+async function saveThrottleState(filePath, snapshot) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(snapshot, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+module.exports = {
+  BREAKER_STATES,
+  isServerError,
+  parseRetryAfter,
+  createThrottle,
+  loadThrottleState,
+  saveThrottleState
+};
@@ -0,0 +1,69 @@
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `worker(item, index, workerId)` over `items` with at most `concurrency`
+ * calls in flight. Workers pull the next item from a shared queue, so a slow
+ * gene never holds up the others. Once a call throws no worker takes another
+ * item, and the pool rejects with that error when the calls still in flight
+ * have settled, so nothing is left running against pages the caller then
+ * closes.
+ */
+async function runWorkerPool(items, concurrency, worker) {
+  let next = 0;
+  let failed = false;
+  let firstError;
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+
+  const runners = Array.from({ length: workerCount }, async (_, workerId) => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        await worker(items[index], index, workerId);
+      } catch (err) {
+        if (!failed) {
+          failed = true;
+          firstError = err;
+        }
+      }
+    }
+  });
+
+  await Promise.all(runners);
+  if (failed) {
+    throw firstError;
+  }
+}
+
+/**
+ * Global politeness limit shared by all workers: each call resolves no sooner
+ * than `intervalMs` after the previous caller was let through. `intervalMs`
+ * can be a function, read at every call, for an interval that changes.
+ */
+function createRateLimiter(intervalMs) {
+  let nextSlot = 0;
+
+  return async function waitTurn() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + (typeof intervalMs === 'function' ? intervalMs() : intervalMs);
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  };
+}
+
+/**
+ * Serialize async read-modify-write sections (e.g. updates to shared JSON
+ * files) between concurrent workers.
+ */
+function createLock() {
+  let tail = Promise.resolve();
+
+  return function withLock(fn) {
+    const result = tail.then(() => fn());
+    tail = result.catch(() => {});
+    return result;
+  };
+}
+
+module.exports = { runWorkerPool, createRateLimiter, createLock, sleep };
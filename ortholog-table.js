@@ -0,0 +1,56 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readSavedAlignments } = require('./lib/saved-alignments');
+const { orthologHeaderPatterns } = require('./lib/fasta-headers');
+const {
+  orthologRows,
+  formatOrthologTsv,
+  buildPresenceMatrix,
+  formatPresenceMatrixTsv
+} = require('./lib/orthologs');
+
+/**
+ * Walk the saved alignments in `outputDir` and write the long-format ortholog
+ * table (`tablePath`) and the presence/absence matrix of accessions per query
+ * gene (`matrixPath`). Files are matched to their query gene through the
+ * output index and the gene list; unmatched files use their file name as the
+ * gene name and an empty ID. `headerPatterns` are tried before the built-in
+ * header patterns. Returns `{ queries, rows, matrix, skipped }`.
+ */
+async function buildOrthologTables(outputDir = './output', {
+  genes = [],
+  manifestPath = path.join(outputDir, 'index.json'),
+  tablePath = path.join(outputDir, 'orthologs.tsv'),
+  matrixPath = path.join(outputDir, 'ortholog-matrix.tsv'),
+  headerPatterns = [],
+  counts = false
+} = {}) {
+  console.log('Reading orthologs from the saved alignments...');
+  const { alignments, skipped } = await readSavedAlignments(outputDir, { genes, manifestPath });
+  const patterns = orthologHeaderPatterns(headerPatterns);
+
+  const queries = alignments.map(alignment => alignment.gene);
+  const rows = alignments.flatMap(({ gene, validation }) => orthologRows(gene, validation.records, patterns));
+
+  const matrix = buildPresenceMatrix(rows, queries);
+  await fs.writeFile(tablePath, formatOrthologTsv(rows));
+  await fs.writeFile(matrixPath, formatPresenceMatrixTsv(matrix, { counts }));
+
+  const unmatched = new Set(rows.filter(row => !row.matched).map(row => row.id));
+  console.log(`\n=== SUMMARY ===`);
+  console.log(`Query genes: ${queries.length}${skipped.length > 0 ? ` (${skipped.length} files skipped)` : ''}`);
+  console.log(`Orthologs: ${rows.length} sequences from ${matrix.accessions.length} accessions`);
+  if (unmatched.size > 0) {
+    console.log(`⚠️  ${unmatched.size} headers matched no header pattern, e.g. ${[...unmatched].slice(0, 3).join(', ')}`);
+  }
+  console.log(`Written to ${tablePath} and ${matrixPath}`);
+
+  return { queries, rows, matrix, skipped };
+}
+
+// Running this file directly is the same as `node cli.js orthologs`
+if (require.main === module) {
+  require('./cli').run(['orthologs', ...process.argv.slice(2)]);
+}
+
+module.exports = { buildOrthologTables };
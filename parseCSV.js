@@ -1,39 +1,14 @@
-const fs = require('fs');
-const { parse } = require('csv-parse');
+const { loadGeneList } = require('./lib/gene-list');
 
-async function parseGenesCSV(filePath = './genes.csv') {
-  return new Promise((resolve, reject) => {
-    const genes = [];
-    
-    fs.createReadStream(filePath)
-      .pipe(parse({
-        columns: false,
-        skip_empty_lines: true,
-        trim: true
-      }))
-      .on('data', (row) => {
-        // Each row contains [geneName, geneId]
-        if (row.length >= 2) {
-          const geneName = row[0].replace(/"/g, '').trim();
-          const geneId = row[1].replace(/"/g, '').trim();
-          
-          // Skip empty or NA entries
-          if (geneName && geneId && geneName !== 'NA' && geneId !== 'NA') {
-            genes.push({
-              name: geneName,
-              id: geneId
-            });
-          }
-        }
-      })
-      .on('error', (err) => {
-        reject(err);
-      })
-      .on('end', () => {
-        console.log(`Parsed ${genes.length} genes from CSV`);
-        resolve(genes);
-      });
-  });
+// Gene list reader kept for the basic scraper. See lib/gene-list.js for the
+// accepted formats and the checks applied to each row.
+async function parseGenesCSV(filePath = './genes.csv', options = {}) {
+  const { genes, skipped, warnings } = await loadGeneList(filePath, options);
+  console.log(`Parsed ${genes.length} genes from CSV`);
+  if (skipped.length > 0 || warnings.length > 0) {
+    console.log(`${skipped.length} rows skipped, ${warnings.length} suspicious rows (run \`node cli.js check\` for details)`);
+  }
+  return genes;
 }
 
-module.exports = { parseGenesCSV }; 
\ No newline at end of file
+module.exports = { parseGenesCSV };
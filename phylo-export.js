@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readSavedAlignments } = require('./lib/saved-alignments');
+const { orthologHeaderPatterns } = require('./lib/fasta-headers');
+const { formatFasta, writeFormats } = require('./lib/alignment-formats');
+const { taxonNamer, buildSupermatrix, formatPartitions, degapRecords } = require('./lib/supermatrix');
+
+/**
+ * Concatenate the saved alignments in `outputDir` into one supermatrix with a
+ * row per taxon (`taxon`: accession, species or assembly from the headers).
+ * Writes to `supermatrixDir`: supermatrix.fasta (plus any extra `formats`),
+ * supermatrix.partitions.txt with each gene's column range,
+ * supermatrix.taxa.tsv with the genes each taxon is present in, and
+ * supermatrix.dropped.tsv listing extra sequences of a taxon that were left
+ * out. Returns the buildSupermatrix result plus `skipped`.
+ */
+async function exportSupermatrix(outputDir = './output', {
+  genes = [],
+  manifestPath = path.join(outputDir, 'index.json'),
+  supermatrixDir = path.join(outputDir, 'supermatrix'),
+  taxon = 'accession',
+  headerPatterns = [],
+  formats = []
+} = {}) {
+  const taxonOf = taxonNamer(taxon, orthologHeaderPatterns(headerPatterns));
+  const { alignments, skipped } = await readSavedAlignments(outputDir, { genes, manifestPath });
+  if (alignments.length === 0) {
+    throw new Error(`No valid alignments in ${outputDir}`);
+  }
+
+  console.log(`Concatenating ${alignments.length} alignments by ${taxon}...`);
+  const supermatrix = buildSupermatrix(alignments.map(({ gene, validation }) => ({
+    name: gene.name,
+    records: validation.records,
+    alphabet: validation.alphabet
+  })), { taxonOf });
+
+  await fs.mkdir(supermatrixDir, { recursive: true });
+  const fastaPath = path.join(supermatrixDir, 'supermatrix.fasta');
+  const partitionsPath = path.join(supermatrixDir, 'supermatrix.partitions.txt');
+  await fs.writeFile(fastaPath, formatFasta(supermatrix.records).text);
+  await fs.writeFile(partitionsPath, formatPartitions(supermatrix.partitions, { alphabet: supermatrix.alphabet }));
+  const written = await writeFormats(supermatrix, 'supermatrix', supermatrixDir, formats.filter(format => format !== 'fasta'));
+
+  const taxaLines = [`${taxon}\tgenes\tgene_percent`, ...supermatrix.taxa.map(({ taxon: name, genes: count }) =>
+    `${name}\t${count}\t${Math.round(count / alignments.length * 1000) / 10}`)];
+  await fs.writeFile(path.join(supermatrixDir, 'supermatrix.taxa.tsv'), `${taxaLines.join('\n')}\n`);
+  const droppedLines = ['gene\theader', ...supermatrix.dropped.map(({ gene, header }) => `${gene}\t${header}`)];
+  await fs.writeFile(path.join(supermatrixDir, 'supermatrix.dropped.tsv'), `${droppedLines.join('\n')}\n`);
+
+  const columns = supermatrix.partitions.length > 0 ? supermatrix.partitions[supermatrix.partitions.length - 1].end : 0;
+  console.log(`\n=== SUMMARY ===`);
+  console.log(`Genes: ${supermatrix.partitions.length}${skipped.length > 0 ? ` (${skipped.length} files skipped)` : ''}`);
+  console.log(`Taxa: ${supermatrix.taxa.length}`);
+  console.log(`Columns: ${columns}`);
+  if (supermatrix.dropped.length > 0) {
+    console.log(`⚠️  ${supermatrix.dropped.length} extra sequences of a taxon left out (kept the one with the most residues); see supermatrix.dropped.tsv`);
+  }
+  console.log(`Written to ${[fastaPath, partitionsPath, ...written].join(', ')}`);
+
+  return { ...supermatrix, skipped };
+}
+
+/**
+ * Write each saved alignment as unaligned multi-FASTA (`<name>.fasta`, gaps
+ * removed, headers renamed to their taxon) to `unalignedDir` for
+ * re-alignment with other tools. Returns `{ written, skipped }`.
+ */
+async function exportUnaligned(outputDir = './output', {
+  genes = [],
+  manifestPath = path.join(outputDir, 'index.json'),
+  unalignedDir = path.join(outputDir, 'unaligned'),
+  taxon = 'accession',
+  headerPatterns = []
+} = {}) {
+  const taxonOf = taxonNamer(taxon, orthologHeaderPatterns(headerPatterns));
+  const { alignments, skipped } = await readSavedAlignments(outputDir, { genes, manifestPath });
+  await fs.mkdir(unalignedDir, { recursive: true });
+
+  console.log(`Writing unaligned sequences of ${alignments.length} alignments to ${unalignedDir}...`);
+  const written = [];
+  for (const { file, stem, validation } of alignments) {
+    const records = degapRecords(validation.records, { taxonOf });
+    const filePath = path.join(unalignedDir, `${stem}.fasta`);
+    await fs.writeFile(filePath, formatFasta(records).text);
+    written.push(filePath);
+    console.log(`✅ ${file} -> ${path.basename(filePath)} (${records.length} sequences)`);
+  }
+
+  console.log(`\n=== SUMMARY ===`);
+  console.log(`Written: ${written.length}`);
+  console.log(`Skipped: ${skipped.length}`);
+
+  return { written, skipped };
+}
+
+// Running this file directly is the same as `node cli.js supermatrix`
+if (require.main === module) {
+  require('./cli').run(['supermatrix', ...process.argv.slice(2)]);
+}
+
+module.exports = { exportSupermatrix, exportUnaligned };
@@ -1,424 +1,1135 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
-const { parseGenesCSV } = require('./parseCSV');
+const { loadGeneList, printGeneListReport } = require('./lib/gene-list');
+const { validateMSA } = require('./lib/msa-parser');
+const { parseFormatList, writeFormats } = require('./lib/alignment-formats');
+const { loadConfig, defaultConfig } = require('./lib/config');
+const { getSiteAdapter } = require('./lib/sites');
+const {
+  STATUS,
+  geneKey,
+  loadRunState,
+  saveRunState,
+  getGeneState,
+  updateGeneState,
+  countByStatus
+} = require('./lib/run-state');
+const { runWorkerPool, createLock, sleep } = require('./lib/worker-pool');
+const { createProgressTracker, formatDuration } = require('./lib/progress');
+const { startCapture, archiveCapture } = require('./lib/network-capture');
+const { newRunId, createRunLog } = require('./lib/run-log');
+const { buildRunReport } = require('./lib/run-report');
+const { loadRescrapeQueue, dequeueGene } = require('./lib/rescrape-queue');
+const { chooseCandidate, confirmGene } = require('./lib/gene-match');
+const { artifactKind, artifactFileName, selectArtifacts } = require('./lib/artifacts');
+const { recordConsole, saveForensics } = require('./lib/forensics');
+const { checkWriter } = require('./lib/output-writer');
+const { createRunControl } = require('./lib/run-control');
+const { createDashboardState, startDashboard } = require('./lib/dashboard');
+const { createResponseCache } = require('./lib/response-cache');
+const { BREAKER_STATES, createThrottle, loadThrottleState, saveThrottleState } = require('./lib/throttle');
+const {
+  FAILURE_TYPES,
+  classifyError,
+  classifyInvalidData,
+  maxAttemptsFor,
+  retryDelay
+} = require('./lib/failures');
+const {
+  ENTRY_STATUS,
+  fileStem,
+  legacyFileStem,
+  loadManifest,
+  saveManifest,
+  getEntry,
+  setEntry,
+  planFileStems,
+  describeContent
+} = require('./lib/manifest');
 
 // Configuration
-const BASE_URL = 'https://resources.michael.salk.edu/misc/soy_superpangenome_orthobrowser_v3/index.html';
-const OUTPUT_DIR = './output';
-const FAILED_DIR = './output/failed';
-const DELAY_BETWEEN_SEARCHES = 2000;
-const MAX_RETRIES = 3;
-const HEADLESS = process.argv.includes('--headless');
-const TEST_MODE = process.argv.includes('--test');
-const TEST_LIMIT = 5; // Number of genes to process in test mode
+// Settings come from lib/config.js (defaults, scraper.config.*, SCRAPER_*
+// environment variables) through configure(), which the CLI and the library
+// API call before anything else. Until then the defaults apply, so requiring
+// this module never fails on a bad config file or variable.
+let config = defaultConfig();
+// Adapter for config.site: how to search and export on the scraped page
+let site = getSiteAdapter(config.site);
+
+// Run modes for runScrape:
+// resume (default): skip genes whose output already validates
+// only-failed: rescrape genes recorded as failed or invalid
+// force: rescrape everything and reset attempt counts
+// queue: rescrape only the genes in the re-scrape queue (see cleanup --quarantine)
+// retry: rescrape only genes listed in failed_genes.json or with a _FAILED.txt placeholder
+const RUN_MODES = ['resume', 'only-failed', 'force', 'queue', 'retry'];
+
+// Takes loadConfig's options, plus `writer` to send output somewhere other
+// than the output directory (see lib/output-writer.js)
+function configure(options = {}) {
+  const next = loadConfig(options);
+  parseFormatList(next.formats.join(','));
+  config = next;
+  site = getSiteAdapter(config.site);
+  writer = options.writer ? checkWriter(options.writer) : fileWriter;
+  throttle = createServerThrottle();
+  outputIndex = null;
+  fileStems = new Map();
+  return config;
+}
+
+function getConfig() {
+  return config;
+}
+
+function getSite() {
+  return site;
+}
+
+function getRunControl() {
+  return control;
+}
+
+function getThrottle() {
+  return throttle;
+}
+
+// Structured event log for the current run. Outside a run it has no file and
+// only feeds listeners, so scrapeGene can always emit to it.
+let runLog = createRunLog();
+
+// Pause, resume and skip for the genes being scraped; scrapeGeneList starts
+// each list with a fresh one
+let control = createRunControl();
+
+// Pacing and circuit breaker for the site (see lib/throttle.js); scrapeGeneList
+// starts each list with a fresh one, picking up a breaker left open earlier
+let throttle = createServerThrottle();
+// Whether breaker changes are saved to config.throttleStatePath, and the
+// latest of those saves; they take turns so the file ends at the last change
+let persistThrottle = false;
+let throttleStateWrite = Promise.resolve();
+const withThrottleStateLock = createLock();
+
+// failed_genes.json is read-modify-written, so concurrent workers take turns
+const withFailedGenesLock = createLock();
+
+// Output index (index.json / index.csv) and the file stem chosen for each gene
+// of the current list. Loaded on first use; configure() drops both.
+let outputIndex = null;
+let fileStems = new Map();
+const withIndexLock = createLock();
 
 async function ensureDirectories() {
   try {
-    await fs.mkdir(OUTPUT_DIR, { recursive: true });
-    await fs.mkdir(FAILED_DIR, { recursive: true });
+    await fs.mkdir(config.outputDir, { recursive: true });
+    await fs.mkdir(config.failedDir, { recursive: true });
+    await fs.mkdir(config.logDir, { recursive: true });
     console.log(`Output directories ready`);
   } catch (err) {
     console.error('Error creating directories:', err);
   }
 }
 
-async function saveFailedGene(gene, error) {
-  const failedPath = path.join(FAILED_DIR, 'failed_genes.json');
-  let failedGenes = [];
-  
+async function loadFailedGenes() {
   try {
-    const existingData = await fs.readFile(failedPath, 'utf-8');
-    failedGenes = JSON.parse(existingData);
+    const existingData = await fs.readFile(config.failedGenesPath, 'utf-8');
+    return JSON.parse(existingData);
   } catch (err) {
     // File doesn't exist yet, that's okay
+    return [];
   }
-  
-  failedGenes.push({
-    gene: gene,
-    error: error.message,
-    timestamp: new Date().toISOString()
+}
+
+// Record a gene's final failure; a gene listed from an earlier run is replaced.
+// `forensics` lists the evidence folders of its failed attempts.
+async function saveFailedGene(gene, failure, attempts, forensics = []) {
+  await withFailedGenesLock(async () => {
+    const failedGenes = (await loadFailedGenes())
+      .filter(entry => !entry.gene || geneKey(entry.gene) !== geneKey(gene));
+    
+    failedGenes.push({
+      gene: { name: gene.name, id: gene.id },
+      error: failure.message,
+      type: failure.type,
+      reason: failure.reason || null,
+      attempts,
+      forensics,
+      timestamp: new Date().toISOString()
+    });
+    
+    await fs.writeFile(config.failedGenesPath, JSON.stringify(failedGenes, null, 2));
   });
+}
+
+// Drop a gene's failure records once it has been scraped successfully, so
+// failed_genes.json, the re-scrape queue and the *_FAILED.txt placeholders
+// only describe genes that are still missing
+async function clearFailedGene(gene) {
+  await withFailedGenesLock(async () => {
+    const failedGenes = await loadFailedGenes();
+    const remaining = failedGenes.filter(entry => !entry.gene || geneKey(entry.gene) !== geneKey(gene));
+    if (remaining.length !== failedGenes.length) {
+      await fs.writeFile(config.failedGenesPath, JSON.stringify(remaining, null, 2));
+    }
+    await dequeueGene(config.rescrapeQueuePath, gene);
+  });
+  await clearForensics(gene);
   
-  await fs.writeFile(failedPath, JSON.stringify(failedGenes, null, 2));
+  for (const placeholder of await findFailedPlaceholders(gene)) {
+    try {
+      await fs.unlink(placeholder);
+      console.log(`Removed stale placeholder: ${path.basename(placeholder)}`);
+    } catch (err) {
+      // Already gone
+    }
+  }
 }
 
-function getFileName(geneName) {
-  // Handle NA or empty gene names
-  if (!geneName || geneName.trim() === '' || geneName.toLowerCase() === 'na') {
-    const timestamp = Date.now();
-    return `unknown_gene_${timestamp}.txt`;
+// The gene's *_FAILED.txt placeholders. Older versions named them after the
+// gene name alone, so genes sharing a name shared one; a placeholder that
+// names another gene ID is not this gene's.
+async function findFailedPlaceholders(gene) {
+  const candidates = new Set([
+    getFailedFilePath(gene),
+    path.join(config.outputDir, `${legacyFileStem(gene.name)}_FAILED.txt`)
+  ]);
+  const found = [];
+  for (const placeholder of candidates) {
+    let text;
+    try {
+      text = await fs.readFile(placeholder, 'utf-8');
+    } catch (err) {
+      continue;
+    }
+    const named = text.match(/^ID: *(\S+)/m);
+    if (!named || named[1] === gene.id) {
+      found.push(placeholder);
+    }
   }
-  
-  // Clean up the gene name to be filesystem-friendly
-  const cleanName = geneName.replace(/[<>:"/\\|?*]/g, '_').trim();
-  return `${cleanName}.txt`;
+  return found;
 }
 
-function isValidMSAData(data) {
-  // Check if data is a string and not binary
-  if (typeof data !== 'string') {
-    return false;
+async function getOutputIndex() {
+  if (!outputIndex) {
+    outputIndex = await loadManifest(config.manifestPath);
   }
-  
-  // Check for common binary file signatures
-  if (data.startsWith('\x89PNG') || 
-      data.startsWith('\xFF\xD8\xFF') || // JPEG
-      data.startsWith('GIF8') ||
-      data.startsWith('BM') || // BMP
-      data.includes('\x00') || // Contains null bytes (likely binary)
-      data.includes('\uFFFD')) { // Contains replacement characters (encoding issues)
-    return false;
+  return outputIndex;
+}
+
+// Update a gene's index entry and rewrite index.json and index.csv
+async function recordIndexEntry(gene, fields) {
+  try {
+    await withIndexLock(async () => {
+      setEntry(await getOutputIndex(), gene, fields);
+      await saveManifest(outputIndex, config.manifestPath, config.manifestCsvPath);
+    });
+  } catch (err) {
+    console.error('Error updating output index:', err.message);
   }
-  
-  // Must be at least 100 characters
-  if (data.length < 100) {
-    return false;
+}
+
+// The stem planned for the gene list (see planFileStems). Genes outside the
+// current list fall back to their cleaned-up name, or their ID.
+function getFileStem(gene) {
+  return fileStems.get(geneKey(gene)) || fileStem(gene.name) || fileStem(gene.id);
+}
+
+function getFileName(gene) {
+  return `${getFileStem(gene)}.txt`;
+}
+
+function getOutputPath(gene) {
+  return path.join(config.outputDir, getFileName(gene));
+}
+
+function getFailedFilePath(gene) {
+  return getOutputPath(gene).replace(/\.txt$/, '_FAILED.txt');
+}
+
+// Evidence of failed attempts goes to output/failed/<gene>/attempt-N/
+function getForensicsDir(gene) {
+  return path.join(config.failedDir, getFileStem(gene));
+}
+
+async function clearForensics(gene) {
+  try {
+    await fs.rm(getForensicsDir(gene), { recursive: true, force: true });
+  } catch (err) {
+    console.error('Error removing old failure evidence:', err.message);
   }
-  
-  // Should contain FASTA headers (>) or tab-separated data
-  const hasFastaHeaders = data.includes('>');
-  const hasTabData = data.includes('\t');
-  
-  // Should contain DNA/RNA sequences
-  const hasSequenceData = /[ATCGN-]{10,}/i.test(data) || // DNA sequences
-                         /[ACGUN-]{10,}/i.test(data);    // RNA sequences
-  
-  return (hasFastaHeaders || hasTabData) && hasSequenceData;
 }
 
-async function createFailedFile(gene) {
+// Raw responses for a gene are archived as output/network/<gene>.har.json
+function getNetworkArchivePath(gene) {
+  return path.join(config.networkDir, `${getFileStem(gene)}.har.json`);
+}
+
+// Other Export menu artifacts of a gene go to output/artifacts/<gene>/<gene>.<artifact>.<ext>
+function getArtifactPath(gene, name) {
+  const stem = getFileStem(gene);
+  return path.join(config.artifactsDir, stem, artifactFileName(stem, name));
+}
+
+async function createFailedFile(gene, failure) {
   try {
-    const fileName = getFileName(gene.name);
-    const failedFileName = fileName.replace('.txt', '_FAILED.txt');
-    const filePath = path.join(OUTPUT_DIR, failedFileName);
-    const failedContent = `FAILED TO RETRIEVE MSA DATA\nGene: ${gene.name}\nID: ${gene.id}\nTimestamp: ${new Date().toISOString()}`;
+    const filePath = getFailedFilePath(gene);
+    const failedFileName = path.basename(filePath);
+    const failedContent = `FAILED TO RETRIEVE MSA DATA\nGene: ${gene.name}\nID: ${gene.id}\nFailure: ${failure.type} - ${failure.message}\n${failure.forensics ? `Evidence: ${failure.forensics}\n` : ''}Timestamp: ${new Date().toISOString()}`;
     await fs.writeFile(filePath, failedContent);
     console.log(`✗ Created failed file: ${failedFileName}`);
   } catch (err) {
     console.error('Error creating failed file:', err.message);
+    return;
+  }
+  
+  // An alignment saved by an earlier run stays the gene's index entry
+  const entry = getEntry(await getOutputIndex(), gene);
+  if (!entry || entry.status !== ENTRY_STATUS.OK) {
+    await recordIndexEntry(gene, {
+      status: ENTRY_STATUS.FAILED,
+      file: path.basename(getFailedFilePath(gene)),
+      sha256: null,
+      bytes: null,
+      sequences: null,
+      columns: null,
+      alphabet: null,
+      strategy: null,
+      sourceUrl: null,
+      savedAt: new Date().toISOString(),
+      runId: runLog.runId
+    });
   }
 }
 
-async function searchAndExportGene(page, gene, retryCount = 0) {
-  // Set up comprehensive network interception to catch MSA data BEFORE any navigation
-  let msaDataFromNetwork = null;
-  let msaRequestUrl = null;
+// Write the raw alignment as <gene>.txt plus any --format conversions, and
+// record the file with its checksum and provenance in the output index.
+// `strategy` is the extraction strategy (network, clipboard or page).
+async function saveAlignment(gene, data, validation = validateMSA(data), { strategy = null, sourceUrl = null } = {}) {
+  const filePath = getOutputPath(gene);
+  const fileName = path.basename(filePath);
+  await fs.writeFile(filePath, data);
+  console.log(`✓ Saved MSA data to ${fileName} (${validation.records.length} ${validation.alphabet} sequences, ${validation.length} columns)`);
   
-  page.on('request', (request) => {
-    const url = request.url();
-    if (url.includes('msa') || url.includes('export') || url.includes('fasta')) {
-      console.log('MSA-related request:', url);
-      msaRequestUrl = url;
-    }
+  let written = [];
+  if (config.formats.length > 0) {
+    written = await writeFormats(validation, fileName.replace(/\.txt$/, ''), config.outputDir, config.formats);
+    console.log(`✓ Converted to ${config.formats.join(', ')} (${written.length} files)`);
+  }
+  
+  await recordIndexEntry(gene, {
+    status: ENTRY_STATUS.OK,
+    file: fileName,
+    ...describeContent(data),
+    sequences: validation.records.length,
+    columns: validation.length,
+    alphabet: validation.alphabet,
+    strategy,
+    sourceUrl,
+    savedAt: new Date().toISOString(),
+    runId: runLog.runId,
+    formats: written.map(file => path.basename(file))
   });
+}
+
+// The default output writer: <gene>.txt and its formats, artifacts/<gene>/,
+// the output index and the failure records in the output directory
+const fileWriter = {
+  async saveAlignment(gene, { data, validation, strategy, sourceUrl }) {
+    await saveAlignment(gene, data, validation, { strategy, sourceUrl });
+    // The gene is no longer missing: drop its failure records and placeholders
+    await clearFailedGene(gene);
+    return getOutputPath(gene);
+  },
   
-  page.on('response', async (response) => {
-    const url = response.url();
-    const contentType = response.headers()['content-type'] || '';
-    
-    // Only process text content types and specific MSA/FASTA URLs
-    if ((url.includes('msa') && url.includes('.tsv')) || 
-        url.includes('fasta') || 
-        (url.includes('export') && contentType.includes('text')) ||
-        contentType.includes('text/plain') ||
-        contentType.includes('text/tab-separated-values')) {
-      
-      // Skip binary content types
-      if (contentType.includes('image/') || 
-          contentType.includes('application/octet-stream') ||
-          contentType.includes('application/pdf')) {
-        console.log(`Skipping binary content from ${url} (${contentType})`);
-        return;
+  async saveArtifacts(gene, artifacts) {
+    const paths = {};
+    const fields = {};
+    for (const [name, artifact] of Object.entries(artifacts)) {
+      const { data, validation, ...outcome } = artifact;
+      if (outcome.status !== ENTRY_STATUS.OK) {
+        fields[name] = outcome;
+        continue;
+      }
+      const filePath = getArtifactPath(gene, name);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+      paths[name] = filePath;
+      fields[name] = {
+        ...outcome,
+        file: path.relative(config.outputDir, filePath).split(path.sep).join('/'),
+        ...describeContent(data)
+      };
+    }
+    const entry = getEntry(await getOutputIndex(), gene);
+    await recordIndexEntry(gene, { artifacts: { ...((entry && entry.artifacts) || {}), ...fields } });
+    return paths;
+  },
+  
+  async saveFailure(gene, failure, { attempts, forensics }) {
+    await createFailedFile(gene, failure);
+    await saveFailedGene(gene, failure, attempts, forensics);
+  }
+};
+
+// Where scraped output goes; configure() can swap in another writer
+let writer = fileWriter;
+
+// Whether config.artifacts asks for anything besides the alignment
+function wantsArtifacts() {
+  return config.artifacts.some(name => name !== 'msa');
+}
+
+/**
+ * Export the other artifacts config.artifacts asks for from the Export menu,
+ * once the gene's alignment is saved. Each is checked with the validator of
+ * its kind and handed to the output writer, which records it under
+ * `artifacts` in the gene's index entry. A missing or invalid artifact does
+ * not fail the gene; the next resume run scrapes it again (see
+ * missingArtifacts). Returns `{ name: { status, path, data, validation } }`.
+ */
+async function exportArtifacts(page, gene, attempt) {
+  const results = {};
+  const outcomes = {};
+  const note = (name, fields, outcome) => {
+    results[name] = { ...fields, savedAt: new Date().toISOString(), runId: runLog.runId };
+    outcomes[name] = outcome;
+  };
+  const requested = config.artifacts.filter(name => name !== 'msa' && name !== 'all');
+  
+  try {
+    if (!(await site.export.openMenu(page))) {
+      console.log('✗ Export dropdown gone - no other artifacts exported');
+      for (const name of requested) {
+        note(name, { status: ENTRY_STATUS.FAILED, message: 'Export dropdown not found' }, 'no-export-menu');
+      }
+    } else {
+      const labels = await site.export.listArtifacts(page);
+      const { selected, unavailable } = selectArtifacts(config.artifacts, labels);
+      for (const name of unavailable) {
+        // Not something a retry fixes, so it is settled as unavailable
+        console.log(`✗ The Export menu has no ${name} entry (offers ${labels.join(', ')})`);
+        note(name, { status: ENTRY_STATUS.UNAVAILABLE, message: `Not in the Export menu (${labels.join(', ')})` }, 'unavailable');
       }
       
-      try {
-        const text = await response.text();
-        console.log(`Response from ${url}: ${text.length} characters, content-type: ${contentType}`);
+      for (const [i, { name, label }] of selected.entries()) {
+        // The menu closes after every export
+        if (i > 0) await site.export.openMenu(page);
+        let data = null;
+        if (await site.export.clickArtifact(page, label)) {
+          try {
+            data = await site.export.readClipboard(page);
+          } catch (err) {
+            // Treated as empty below
+          }
+        }
         
-        // More robust FASTA/MSA detection
-        if (text.length > 100 && 
-            (text.includes('>') || text.includes('\t')) && 
-            (text.includes('ATCG') || text.includes('atcg') || 
-             text.includes('ACGT') || text.includes('acgt') ||
-             text.match(/^[ATCGN-]+$/m))) {
-          console.log('MSA data intercepted from network');
-          msaDataFromNetwork = text;
+        const kind = artifactKind(name);
+        const validation = kind.validate(data);
+        if (validation.valid) {
+          console.log(`✓ ${label} export is valid (${kind.describe(validation)})`);
+          note(name, { status: ENTRY_STATUS.OK, data, validation }, 'saved');
+        } else {
+          console.log(`✗ ${label} export rejected (${validation.reason}): ${validation.message}`);
+          note(name, { status: ENTRY_STATUS.INVALID, reason: validation.reason, message: validation.message }, 'invalid');
         }
-      } catch (err) {
-        console.log('Could not read response text:', err.message);
       }
     }
-  });
+  } catch (err) {
+    console.error(`Error exporting artifacts of ${gene.name}:`, err.message);
+    for (const name of requested.filter(name => !results[name])) {
+      note(name, { status: ENTRY_STATUS.FAILED, message: err.message }, 'error');
+    }
+  }
+  
+  const paths = await writer.saveArtifacts(gene, results);
+  for (const [name, outcome] of Object.entries(outcomes)) {
+    const { message } = results[name];
+    results[name].path = paths[name] || null;
+    if (paths[name]) {
+      console.log(`✓ Saved ${name} to ${path.relative(config.outputDir, paths[name])}`);
+    }
+    runLog.emit('artifact', { gene, attempt, artifact: name, outcome, ...(message ? { message } : {}) });
+  }
+  return results;
+}
+
+// Explicitly requested artifacts the gene has no saved file for. With `all`
+// only the listed names are checked: what else exists depends on the menu.
+async function missingArtifacts(gene) {
+  const entry = getEntry(await getOutputIndex(), gene);
+  const saved = (entry && entry.artifacts) || {};
+  const missing = [];
+  for (const name of config.artifacts) {
+    if (name === 'msa' || name === 'all') continue;
+    const artifact = saved[name];
+    if (artifact && artifact.status === ENTRY_STATUS.UNAVAILABLE) continue;
+    if (!artifact || artifact.status !== ENTRY_STATUS.OK) {
+      missing.push(name);
+      continue;
+    }
+    try {
+      await fs.access(path.join(config.outputDir, artifact.file));
+    } catch (err) {
+      missing.push(name);
+    }
+  }
+  return missing;
+}
 
+function idMatchOptions() {
+  return { caseSensitive: config.idCaseSensitive, ignoreVersion: config.idIgnoreVersion };
+}
+
+// Text of the loaded page that names the gene, used to confirm which gene is displayed
+async function readPageText(page) {
   try {
-    console.log(`\nProcessing gene: ${gene.name} (ID: ${gene.id}) - Attempt ${retryCount + 1}`);
+    return await site.readPageText(page);
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Scrape one gene. Failed attempts are retried according to the policy of
+ * their failure type (see lib/failures.js) with exponential backoff; once no
+ * attempts are left the output writer records the failure (by default a
+ * _FAILED.txt placeholder and an entry in failed_genes.json). A gene
+ * skipped through the run control ends with `skipped: true` and is not
+ * recorded as failed. Returns `{ gene, success, skipped, data, validation,
+ * strategy, sourceUrl, path, artifacts, failure, attempts, startedAt,
+ * durationMs }`; `attempts` lists every attempt's `{ attempt, durationMs,
+ * failure }`.
+ */
+async function scrapeGene(page, gene) {
+  const startedAt = new Date();
+  // Evidence from an earlier run would be mixed up with this one's
+  if (config.forensics) {
+    await clearForensics(gene);
+  }
+  const forensics = [];
+  const attempts = [];
+  const result = (success, failure, saved, skipped) => geneResult(gene, startedAt, attempts, { success, failure, saved, skipped });
+  
+  // A fresh cached payload saves the trip to the site. The cache only holds
+  // alignments, so it is not used when other artifacts are wanted.
+  if (config.cache && !wantsArtifacts()) {
+    const cached = await saveFromCache(gene);
+    if (cached.saved) {
+      return result(true, null, cached.saved);
+    }
+  }
+  
+  // Attempts that hit server errors while the circuit breaker was open do
+  // not count against the gene's retries
+  let uncounted = 0;
+  for (let attempt = 1; ; attempt++) {
+    await control.waitWhilePaused();
+    if (control.isSkipped(gene)) {
+      console.log(`⏭️  Skipping gene ${gene.name}`);
+      runLog.emit('gene.skipped', { gene, attempt: attempt - 1 });
+      return result(false, { type: 'skipped', message: 'Skipped from the dashboard' }, {}, true);
+    }
+    // A stopped breaker leaves the gene pending for the next run instead of failing it
+    if (!(await throttle.waitForServer())) {
+      console.log(`⏸️  Not scraping ${gene.name}: the circuit breaker stopped the run`);
+      runLog.emit('gene.skipped', { gene, attempt: attempt - 1, reason: 'circuit-breaker' });
+      return result(false, { type: 'skipped', message: 'The circuit breaker stopped the run' }, {}, true);
+    }
+    const attemptStart = Date.now();
+    const details = { console: config.forensics ? recordConsole(page) : null, payload: null, source: null, capture: null, saved: null };
+    let failure = await attemptGene(page, gene, attempt, details);
+    if (details.console) {
+      details.console.stop();
+    }
+    const server = throttle.observe(details.capture ? details.capture.entries : [], failure);
+    // A 503 page has no search box either; name the real cause
+    if (failure && server.outcome === 'server-error' && server.status) {
+      failure = {
+        type: FAILURE_TYPES.SERVER_ERROR,
+        status: server.status,
+        message: `The site answered HTTP ${server.status}${server.retryAfterMs !== null ? ` (Retry-After ${Math.round(server.retryAfterMs / 1000)}s)` : ''}: ${failure.message}`
+      };
+    }
+    attempts.push({ attempt, durationMs: Date.now() - attemptStart, failure });
+    if (!failure) {
+      return result(true, null, details.saved);
+    }
+    if (config.forensics) {
+      const dir = path.join(getForensicsDir(gene), `attempt-${attempt}`);
+      const saved = await saveForensics(dir, { page, gene, attempt, failure: { ...failure }, evidence: details });
+      console.log(`🔎 Saved ${saved.files.length} evidence files to ${dir}${saved.errors.length > 0 ? ` (${saved.errors.length} could not be saved)` : ''}`);
+      failure.forensics = dir;
+      forensics.push(dir);
+    }
     
-    // Navigate to the page
-    await page.goto(BASE_URL, { waitUntil: 'networkidle2', timeout: 30000 });
+    const elapsedMs = Date.now() - attemptStart;
+    if (server.outcome === 'server-error' && throttle.breaker !== BREAKER_STATES.CLOSED) {
+      uncounted++;
+      console.log(`Circuit breaker ${throttle.stopped ? 'stopped the run' : 'open'}; ${gene.name} waits for the site (${failure.type})`);
+      runLog.emit('retry', { gene, attempt, failure, delayMs: 0, elapsedMs, breaker: true });
+      continue;
+    }
+    // Attempts the open breaker let fail neither use up retries nor lengthen the backoff
+    const counted = attempt - uncounted;
+    if (counted < maxAttemptsFor(failure.type, config.maxRetries)) {
+      const delayMs = retryDelay(failure.type, counted, { baseDelayMs: config.retryBaseDelay, maxDelayMs: config.retryMaxDelay });
+      console.log(`Retrying gene ${gene.name} in ${formatDuration(delayMs)} (${failure.type})...`);
+      runLog.emit('retry', { gene, attempt, counted, failure, delayMs, elapsedMs });
+      await control.wait(delayMs, gene);
+      continue;
+    }
     
-    // Wait for and clear the search input
-    await page.waitForSelector('#searchInput', { visible: true, timeout: 10000 });
+    runLog.emit('gene.failed', { gene, attempt, failure, elapsedMs });
+    await writer.saveFailure(gene, failure, { attempts: attempt, forensics });
+    return result(false, failure);
+  }
+}
+
+// The result scrapeGene and replayGeneList return for a gene
+function geneResult(gene, startedAt, attempts, { success, failure = null, saved = {}, skipped = false }) {
+  return {
+    gene,
+    success,
+    skipped,
+    data: saved.data || null,
+    validation: saved.validation || null,
+    strategy: saved.strategy || null,
+    sourceUrl: saved.sourceUrl || null,
+    path: saved.path || null,
+    artifacts: saved.artifacts || {},
+    failure,
+    attempts,
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime()
+  };
+}
+
+function getResponseCache() {
+  return createResponseCache({ dir: config.cacheDir, site: site.name, ttlMs: config.cacheTtl * 3600000 });
+}
+
+// Keep a payload an attempt captured, when the cache is on. A cache that
+// cannot be written must not fail the gene.
+async function cachePayload(gene, fields) {
+  if (!config.cache) {
+    return;
+  }
+  try {
+    await getResponseCache().put(gene, { ...fields, runId: runLog.runId });
+  } catch (err) {
+    console.error(`Error caching payload of ${gene.name}:`, err.message);
+  }
+}
+
+/**
+ * Save `gene` from its cached payloads, newest first, with the same checks
+ * as a scrape. Headers that do not name the gene are still accepted when the
+ * page named it at the time the payload was captured. `includeExpired` also
+ * tries payloads older than config.cacheTtl. Returns `{ saved, failure,
+ * tried }`: what was saved, or the failure of the last payload tried.
+ */
+async function saveFromCache(gene, { includeExpired = false } = {}) {
+  const entries = await getResponseCache().list(gene.id, { includeExpired });
+  let failure = null;
+  for (const entry of entries) {
+    const validation = site.validate(entry.payload);
+    if (!validation.valid) {
+      console.log(`✗ Cached ${entry.source} payload rejected (${validation.reason}): ${validation.message}`);
+      runLog.emit('validation.failed', { gene, attempt: 1, source: 'cache', reason: validation.reason, message: validation.message });
+      failure = classifyInvalidData(validation);
+      continue;
+    }
     
-    // Clear existing text and type new search
-    await page.evaluate(() => {
-      document.querySelector('#searchInput').value = '';
+    let verifiedBy = null;
+    if (config.verifyGene) {
+      const { confirmed, evidence } = confirmGene({ alignment: entry.payload }, gene.id, idMatchOptions());
+      verifiedBy = confirmed ? evidence : entry.verifiedBy === 'page' ? 'page' : null;
+      if (!verifiedBy) {
+        console.log(`✗ Cached payload from ${entry.url} does not mention ${gene.id}`);
+        failure = { type: FAILURE_TYPES.GENE_MISMATCH, message: `Neither the cached alignment headers nor the page it came from mention ${gene.id}` };
+        continue;
+      }
+    }
+    
+    console.log(`✓ Using cached ${entry.source} payload of ${entry.storedAt}: ${entry.url}`);
+    runLog.emit('strategy', { gene, strategy: 'cache', outcome: 'hit', url: entry.url, cachedAt: entry.storedAt });
+    const savedPath = await writer.saveAlignment(gene, { data: entry.payload, validation, strategy: 'cache', sourceUrl: entry.url });
+    runLog.emit('gene.saved', {
+      gene,
+      attempt: 1,
+      source: 'cache',
+      path: savedPath,
+      sequences: validation.records.length,
+      alphabet: validation.alphabet,
+      columns: validation.length,
+      verifiedBy,
+      elapsedMs: 0
     });
-    await page.type('#searchInput', gene.id.toLowerCase(), { delay: 50 });
+    return {
+      saved: { data: entry.payload, validation, strategy: 'cache', sourceUrl: entry.url, path: savedPath, artifacts: {} },
+      failure: null,
+      tried: entries.length
+    };
+  }
+  if (entries.length === 0) {
+    runLog.emit('strategy', { gene, strategy: 'cache', outcome: 'miss' });
+  }
+  return { saved: null, failure, tried: entries.length };
+}
+
+/**
+ * Replay: validate and save `genes` from the response cache alone, without a
+ * browser. Every cached payload is tried, however old; a gene none of whose
+ * payloads passes gets its failure recorded like a scraped one.
+ * `onResult(result, index)` as in scrapeGeneList. Returns `{ results,
+ * progress }`.
+ */
+async function replayGeneList(genes, { onResult = null } = {}) {
+  const results = [];
+  const progress = createProgressTracker(genes.length);
+  for (const [index, gene] of genes.entries()) {
+    console.log(`\nReplaying gene: ${gene.name} (ID: ${gene.id}) - ${index + 1}/${genes.length}`);
+    const startedAt = new Date();
+    runLog.emit('gene.start', { gene, index, worker: 1 });
+    runLog.emit('attempt', { gene, attempt: 1 });
+    const { saved, failure, tried } = await saveFromCache(gene, { includeExpired: true });
+    const attempts = [{ attempt: 1, durationMs: Date.now() - startedAt.getTime(), failure }];
+    if (!saved) {
+      runLog.emit('gene.failed', { gene, attempt: 1, failure, elapsedMs: attempts[0].durationMs });
+      await writer.saveFailure(gene, failure, { attempts: tried, forensics: [] });
+    }
+    const result = geneResult(gene, startedAt, attempts, { success: Boolean(saved), failure, saved: saved || {} });
+    runLog.emit('gene.end', { gene, success: result.success, durationMs: result.durationMs });
+    results.push(result);
+    if (onResult) {
+      await onResult(result, index);
+    }
+    progress.record(result.success);
+  }
+  return { results, progress: progress.snapshot() };
+}
+
+// scrapeGene for callers that only need to know whether the gene was saved
+async function searchAndExportGene(page, gene) {
+  return (await scrapeGene(page, gene)).success;
+}
+
+// One attempt at a gene. Returns null once the alignment is saved, otherwise
+// the failure `{ type, message, reason? }`. What was saved is left in
+// `details.saved`; the data that was turned down and the network capture are
+// left in `details` for the failure forensics.
+async function attemptGene(page, gene, attempt, details = {}) {
+  const attemptStart = Date.now();
+  
+  // Capture this attempt's network traffic before any navigation; the session
+  // only sees requests made from here on and is stopped before any retry
+  const capture = startCapture(page, gene, {
+    attempt,
+    keepBodies: config.archiveNetwork || config.forensics,
+    isAlignmentResponse: site.isAlignmentResponse,
+    validate: site.validate
+  });
+  details.capture = capture;
+  let captureFinished = false;
+  const finishCapture = async () => {
+    if (captureFinished) return;
+    captureFinished = true;
+    await capture.stop();
+    if (config.archiveNetwork) {
+      try {
+        const archivePath = getNetworkArchivePath(gene);
+        await archiveCapture(capture, archivePath, { append: attempt > 1 });
+        console.log(`📡 Archived ${capture.entries.length} responses to ${path.basename(archivePath)}`);
+      } catch (err) {
+        console.error('Error archiving network capture:', err.message);
+      }
+    }
+  };
+
+  const save = async (source, data, validation) => {
+    details.payload = data;
+    details.source = source;
+    const sourceUrl = source === 'network' ? capture.alignment.url : page.url();
+    // Make sure the page that produced the data is the gene we asked for
+    let verifiedBy = null;
+    if (config.verifyGene) {
+      const { confirmed, evidence } = confirmGene(
+        { alignment: data, pageText: await readPageText(page) },
+        gene.id,
+        idMatchOptions()
+      );
+      runLog.emit('strategy', { gene, attempt, strategy: 'verify', outcome: confirmed ? evidence : 'mismatch' });
+      if (!confirmed) {
+        await cachePayload(gene, { url: sourceUrl, source, payload: data });
+        console.log(`✗ Neither the page nor the alignment headers mention ${gene.id} - not saving`);
+        return { type: FAILURE_TYPES.GENE_MISMATCH, message: `Neither the loaded page nor the alignment headers mention ${gene.id}` };
+      }
+      verifiedBy = evidence;
+    }
     
-    // Wait for autocomplete with better error handling
-    let autocompleteFound = false;
-    try {
-      await page.waitForSelector('.ui-autocomplete', { visible: true, timeout: 5000 });
-      autocompleteFound = true;
-    } catch (err) {
-      console.log('Autocomplete not found, trying direct search...');
+    await cachePayload(gene, { url: sourceUrl, source, payload: data, verifiedBy });
+    const savedPath = await writer.saveAlignment(gene, { data, validation, strategy: source, sourceUrl });
+    details.saved = { data, validation, strategy: source, sourceUrl, path: savedPath, artifacts: {} };
+    runLog.emit('gene.saved', {
+      gene,
+      attempt,
+      source,
+      path: savedPath,
+      sequences: validation.records.length,
+      alphabet: validation.alphabet,
+      columns: validation.length,
+      verifiedBy,
+      elapsedMs: Date.now() - attemptStart
+    });
+    if (wantsArtifacts()) {
+      details.saved.artifacts = await exportArtifacts(page, gene, attempt);
     }
+    return null;
+  };
+  
+  try {
+    console.log(`\nProcessing gene: ${gene.name} (ID: ${gene.id}) - Attempt ${attempt}`);
+    runLog.emit('attempt', { gene, attempt });
+    
+    // Open the search page and type the ID
+    await site.search.open(page, config.baseUrl);
+    await site.search.enterQuery(page, gene);
     
-         if (autocompleteFound) {
-       await new Promise(resolve => setTimeout(resolve, 500));
+    // Only ever click the suggestion for this exact ID: the menu lists prefix
+    // matches, so the first entry for medtr1g01 may well be medtr1g010
+    let autocompleteClicked = false;
+    let candidates = await site.search.readSuggestions(page);
+    if (!candidates) {
+      console.log('Autocomplete not found, trying direct search...');
+    } else {
+      let choice = chooseCandidate(candidates, gene.id, idMatchOptions());
+      if (choice.status === 'missing') {
+        // The menu may still show suggestions for a shorter prefix
+        await sleep(1000);
+        candidates = (await site.search.readSuggestions(page)) || [];
+        choice = chooseCandidate(candidates, gene.id, idMatchOptions());
+      }
+      runLog.emit('strategy', { gene, attempt, strategy: 'autocomplete', outcome: choice.status, candidates: candidates.length });
       
-      // Try to click the first autocomplete result
-      const clicked = await page.evaluate(() => {
-        const firstItem = document.querySelector('.ui-autocomplete .ui-menu-item:first-child');
-        if (firstItem) {
-          firstItem.click();
-          return true;
-        }
-        return false;
-      });
+      if (choice.status === 'ambiguous') {
+        const matching = choice.matches.map(index => candidates[index]).join(', ');
+        console.log(`Several autocomplete entries match ${gene.id}: ${matching}`);
+        return { type: FAILURE_TYPES.AMBIGUOUS_AUTOCOMPLETE, message: `Several search suggestions match ${gene.id}: ${matching}` };
+      }
+      if (choice.status === 'missing' && candidates.length > 0) {
+        console.log(`No autocomplete entry for ${gene.id} among ${candidates.length} suggestions`);
+        return {
+          type: FAILURE_TYPES.NO_AUTOCOMPLETE_MATCH,
+          message: `No search suggestion matches ${gene.id} (got ${candidates.slice(0, 5).join(', ')}${candidates.length > 5 ? ', ...' : ''})`
+        };
+      }
       
-      if (clicked) {
-        console.log('Clicked autocomplete result');
+      if (choice.status === 'exact') {
+        await site.search.pickSuggestion(page, choice.index);
+        console.log(`Clicked autocomplete result: ${candidates[choice.index]}`);
+        autocompleteClicked = true;
       }
     }
     
-    // Submit the search
-    await page.click('button[type="submit"]');
+    // Submit the search and let the results load
+    await site.search.submit(page);
     
-         // Wait for page to load with results and network requests to complete
-     await new Promise(resolve => setTimeout(resolve, 3000));
-     
-         // Check if we already have MSA data from network interception
-    if (msaDataFromNetwork && msaDataFromNetwork.length > 1000) {
-      console.log('✓ Using MSA data from network interception (no UI interaction needed)');
-      
-      // Validate the data before saving
-      if (!isValidMSAData(msaDataFromNetwork)) {
-        console.log('✗ Network data appears to be binary or invalid, skipping');
-        msaDataFromNetwork = null; // Reset to try UI method
-      } else {
-        const fileName = getFileName(gene.name);
-        const filePath = path.join(OUTPUT_DIR, fileName);
-        await fs.writeFile(filePath, msaDataFromNetwork);
-        console.log(`✓ Saved MSA data to ${fileName} (${msaDataFromNetwork.length} characters)`);
-        return true;
-      }
-    }
-    
-         // If no network data, try to find and click the Export dropdown
-     console.log('Looking for Export dropdown...');
-     const exportClicked = await page.evaluate(() => {
-       // Try to find the Export dropdown by the exact structure provided
-       const strategies = [
-         () => document.querySelector('#navbarDropdown'),
-         () => document.querySelector('a.nav-link.dropdown-toggle[data-bs-toggle="dropdown"]'),
-         () => document.querySelector('li.nav-item.dropdown a.nav-link'),
-         () => Array.from(document.querySelectorAll('a.nav-link.dropdown-toggle')).find(el => 
-           el.textContent.trim() === 'Export'
-         ),
-         () => Array.from(document.querySelectorAll('a')).find(el => 
-           el.textContent.trim() === 'Export' && el.hasAttribute('data-bs-toggle')
-         )
-       ];
-       
-       for (const strategy of strategies) {
-         const element = strategy();
-         if (element) {
-           console.log('Found export button:', element.className, element.id);
-           element.click();
-           return true;
-         }
-       }
-       return false;
-     });
-     
-         if (!exportClicked) {
+    // Check if we already have MSA data from network interception
+    // Responses are only kept once they have passed the site's validator
+    if (capture.alignment) {
+      console.log(`✓ Using MSA data from network interception (no UI interaction needed): ${capture.alignment.url}`);
+      runLog.emit('strategy', { gene, attempt, strategy: 'network', outcome: 'found', url: capture.alignment.url });
+      return await save('network', capture.alignment.text, capture.alignment.validation);
+    }
+    
+    // If no network data, open the Export menu
+    console.log('Looking for Export dropdown...');
+    const exportClicked = await site.export.openMenu(page);
+    runLog.emit('strategy', { gene, attempt, strategy: 'export-menu', outcome: exportClicked ? 'clicked' : 'missing' });
+    if (!exportClicked) {
       console.log('Could not find Export dropdown - checking if we have network data as fallback');
-      if (msaDataFromNetwork && msaDataFromNetwork.length > 50 && isValidMSAData(msaDataFromNetwork)) {
-        console.log('✓ Using available network data as fallback');
-        const fileName = getFileName(gene.name);
-        const filePath = path.join(OUTPUT_DIR, fileName);
-        await fs.writeFile(filePath, msaDataFromNetwork);
-        console.log(`✓ Saved MSA data to ${fileName} (${msaDataFromNetwork.length} characters)`);
-        return true;
+      if (capture.alignment) {
+        console.log(`✓ Using available network data as fallback: ${capture.alignment.url}`);
+        runLog.emit('strategy', { gene, attempt, strategy: 'network', outcome: 'found', url: capture.alignment.url });
+        return await save('network', capture.alignment.text, capture.alignment.validation);
+      } else if (!autocompleteClicked) {
+        // Without a search match the gene page never loaded, so there is no menu to find
+        console.log('No autocomplete match and no Export dropdown - the search found nothing');
+        return { type: FAILURE_TYPES.NO_AUTOCOMPLETE_MATCH, message: `No search result for ${gene.id} and no Export dropdown` };
       } else {
-         console.log('No Export dropdown and no usable network data - skipping this gene');
-         await createFailedFile(gene);
-         return false;
-       }
-     }
-     
-     // Wait for dropdown to appear
-     await new Promise(resolve => setTimeout(resolve, 500));
-     
-     // Click MSA button using the specific ID
-     console.log('Clicking MSA button...');
-     const msaClicked = await page.evaluate(() => {
-       // Store reference to original clipboard API
-       window.originalClipboard = navigator.clipboard;
-       
-       // Try to find the MSA button by ID first, then by other methods
-       const strategies = [
-         () => document.querySelector('#msa_button'),
-         () => document.querySelector('button.export-button#msa_button'),
-         () => Array.from(document.querySelectorAll('.export-button')).find(el => 
-           el.textContent.trim() === 'MSA'
-         ),
-         () => Array.from(document.querySelectorAll('button')).find(el => 
-           el.textContent.trim() === 'MSA'
-         )
-       ];
-       
-       for (const strategy of strategies) {
-         const element = strategy();
-         if (element) {
-           element.click();
-           return true;
-         }
-       }
-       return false;
-     });
-     
-          if (!msaClicked) {
-       console.log('Could not find MSA button - skipping this gene');
-       await createFailedFile(gene);
-       return false;
-     }
-     
-     // Wait a short time for the clipboard operation to complete
-     console.log('Waiting for MSA data to be copied to clipboard...');
-     await new Promise(resolve => setTimeout(resolve, 1000));
-     
-     // Try multiple methods to get MSA data immediately
-     let msaData = null;
-     
-     // First, check if we intercepted data from network
-     if (msaDataFromNetwork) {
-       console.log('Using MSA data from network interception');
-       msaData = msaDataFromNetwork;
-     } else {
-       // Try to read from clipboard with permission handling
-       console.log('Reading from clipboard...');
-       
-       try {
-         msaData = await page.evaluate(async () => {
-           try {
-             // Try custom clipboard data first
-             if (window.clipboardData) {
-               console.log('Using custom clipboard data');
-               return window.clipboardData;
-             }
-             
-             const clipboardText = await navigator.clipboard.readText();
-             console.log('Clipboard content length:', clipboardText.length);
-             if (clipboardText.length > 10) {
-               console.log('Clipboard preview:', clipboardText.substring(0, 100));
-             }
-             return clipboardText;
-           } catch (err) {
-             console.error('Clipboard read error in page:', err);
-             return null;
-           }
-         });
-       } catch (clipboardError) {
-         console.log('Clipboard read failed, trying alternative methods...');
-       }
-       
-       // If clipboard failed, look for data in the page
-       if (!msaData || msaData.length < 10) {
-         msaData = await page.evaluate(() => {
-           // Check for textarea or pre elements
-           const textarea = document.querySelector('textarea');
-           if (textarea && textarea.value && textarea.value.includes('>')) {
-             return textarea.value;
-           }
-           
-           const pre = document.querySelector('pre');
-           if (pre && pre.textContent && pre.textContent.includes('>')) {
-             return pre.textContent;
-           }
-           
-           // Check for any elements that might contain FASTA data
-           const allElements = document.querySelectorAll('*');
-           for (const el of allElements) {
-             if (el.textContent && el.textContent.includes('>') && 
-                 el.textContent.length > 50 && el.textContent.includes('ATCG')) {
-               return el.textContent;
-             }
-           }
-           
-           return null;
-         });
-       }
-     }
-     
-             if (msaData && msaData.trim() && isValidMSAData(msaData)) {
+        console.log('No Export dropdown and no usable network data');
+        return { type: FAILURE_TYPES.NO_EXPORT_MENU, message: 'Export dropdown not found and no alignment in network traffic' };
+      }
+    }
+    
+    // Export the alignment
+    console.log('Clicking MSA button...');
+    const msaClicked = await site.export.clickAlignment(page);
+    runLog.emit('strategy', { gene, attempt, strategy: 'msa-button', outcome: msaClicked ? 'clicked' : 'missing' });
+    if (!msaClicked) {
+      console.log('Could not find MSA button');
+      return { type: FAILURE_TYPES.NO_MSA_BUTTON, message: 'MSA button not found in the Export menu' };
+    }
+    
+    // Try multiple methods to get MSA data
+    let msaData = null;
+    let source = null;
+    
+    // First, check if we intercepted data from network
+    if (capture.alignment) {
+      console.log(`Using MSA data from network interception: ${capture.alignment.url}`);
+      runLog.emit('strategy', { gene, attempt, strategy: 'network', outcome: 'found', url: capture.alignment.url });
+      msaData = capture.alignment.text;
+      source = 'network';
+    } else {
+      console.log('Reading from clipboard...');
+      try {
+        msaData = await site.export.readClipboard(page);
+      } catch (clipboardError) {
+        console.log('Clipboard read failed, trying alternative methods...');
+      }
+      source = 'clipboard';
+      details.payload = msaData;
+      details.source = source;
+      runLog.emit('strategy', { gene, attempt, strategy: 'clipboard', outcome: msaData ? 'read' : 'empty', length: msaData ? msaData.length : 0 });
+      
+      // If clipboard failed, look for data in the page
+      if (!msaData || msaData.length < 10) {
+        source = 'page';
+        msaData = await site.export.readPage(page);
+        runLog.emit('strategy', { gene, attempt, strategy: 'page-text', outcome: msaData ? 'found' : 'empty' });
+      }
+    }
+    
+    // A page fallback that found nothing leaves the clipboard data as evidence
+    if (msaData) {
+      details.payload = msaData;
+      details.source = source;
+    }
+    const validation = site.validate(msaData);
+    if (validation.valid) {
       // Save to file immediately as .txt file
-      const fileName = getFileName(gene.name);
-      const filePath = path.join(OUTPUT_DIR, fileName);
-      await fs.writeFile(filePath, msaData);
-      console.log(`✓ Saved MSA data to ${fileName} (${msaData.length} characters)`);
-      return true;
+      return await save(source, msaData, validation);
     } else {
-      if (msaData && msaData.trim() && !isValidMSAData(msaData)) {
-        console.log('✗ Retrieved data appears to be binary or invalid format - creating failed file');
+      if (msaData && msaData.trim()) {
+        // Kept so a replay can check it again with a changed validator
+        await cachePayload(gene, { url: page.url(), source, payload: msaData });
+        console.log(`✗ Retrieved data rejected (${validation.reason}): ${validation.message}`);
+        runLog.emit('validation.failed', { gene, attempt, source, reason: validation.reason, message: validation.message });
+        return classifyInvalidData(validation);
       } else {
-        console.log('No MSA data retrieved - creating failed file');
+        console.log('No MSA data retrieved');
+        return { type: FAILURE_TYPES.EMPTY_CLIPBOARD, message: 'No MSA data in the clipboard or page' };
       }
-      await createFailedFile(gene);
-      return false;
     }
     
   } catch (error) {
     console.error(`Error processing gene ${gene.name}:`, error.message);
+    return classifyError(error);
+  } finally {
+    await finishCapture();
+  }
+}
+
+/**
+ * Bring the output index in line with the output directory and plan the file
+ * name of every gene in `genes`. Entries whose file is gone are dropped and
+ * edited files are re-hashed (and marked invalid if they no longer validate).
+ * Valid alignments of listed genes that predate the index are adopted, under
+ * the planned file name or the name older versions used, so they keep their
+ * file instead of being scraped again under a new one. Older versions named
+ * files after the gene name alone, so listed genes sharing a name shared one
+ * file, holding whichever was scraped last: it goes to the gene its headers
+ * name, and to no gene if they name none or several of them.
+ * Returns `{ entries, adopted, updated, removed }`.
+ */
+async function indexOutput(genes) {
+  return withIndexLock(async () => {
+    const index = await getOutputIndex();
+    const counts = { adopted: 0, updated: 0, removed: 0 };
+    const claimed = new Set();
+    const sharers = new Map();
+    for (const gene of genes) {
+      const file = `${legacyFileStem(gene.name)}.txt`.toLowerCase();
+      if (!sharers.has(file)) sharers.set(file, new Map());
+      sharers.get(file).set(geneKey(gene), gene);
+    }
+    const sharedFile = file => sharers.has(file.toLowerCase()) && sharers.get(file.toLowerCase()).size > 1;
+    const unresolved = new Set();
     
-         // Retry logic
-     if (retryCount < MAX_RETRIES - 1) {
-       console.log(`Retrying gene ${gene.name}...`);
-       await new Promise(resolve => setTimeout(resolve, 1000));
-       return await searchAndExportGene(page, gene, retryCount + 1);
-    } else {
-      // Create failed file and save failed gene info
-      await createFailedFile(gene);
-      await saveFailedGene(gene, error);
-      return false;
+    for (const [key, entry] of Object.entries(index.entries)) {
+      let data;
+      try {
+        data = await fs.readFile(path.join(config.outputDir, entry.file));
+      } catch (err) {
+        delete index.entries[key];
+        counts.removed++;
+        continue;
+      }
+      claimed.add(entry.file.toLowerCase());
+      
+      const content = describeContent(data);
+      if (entry.status === ENTRY_STATUS.FAILED || content.sha256 === entry.sha256) {
+        continue;
+      }
+      const validation = validateMSA(data);
+      Object.assign(entry, content, validation.valid
+        ? { status: ENTRY_STATUS.OK, sequences: validation.records.length, columns: validation.length, alphabet: validation.alphabet }
+        : { status: ENTRY_STATUS.INVALID, sequences: null, columns: null, alphabet: null });
+      counts.updated++;
     }
-  }
+    
+    fileStems = planFileStems(index, genes);
+    for (const gene of genes) {
+      if (getEntry(index, gene)) continue;
+      
+      const candidates = new Set([getFileName(gene), `${legacyFileStem(gene.name)}.txt`]);
+      for (const file of candidates) {
+        if (claimed.has(file.toLowerCase())) continue;
+        const filePath = path.join(config.outputDir, file);
+        let data;
+        try {
+          data = await fs.readFile(filePath);
+        } catch (err) {
+          continue;
+        }
+        const validation = validateMSA(data);
+        if (!validation.valid) continue;
+        if (sharedFile(file)) {
+          const alignment = data.toString('utf-8');
+          const named = [...sharers.get(file.toLowerCase()).values()]
+            .filter(sharer => confirmGene({ alignment }, sharer.id, idMatchOptions()).evidence === 'headers');
+          if (named.length !== 1 || geneKey(named[0]) !== geneKey(gene)) {
+            unresolved.add(file);
+            continue;
+          }
+        }
+        
+        const { mtime } = await fs.stat(filePath);
+        setEntry(index, gene, {
+          status: ENTRY_STATUS.OK,
+          file,
+          ...describeContent(data),
+          sequences: validation.records.length,
+          columns: validation.length,
+          alphabet: validation.alphabet,
+          strategy: null,
+          sourceUrl: null,
+          savedAt: mtime.toISOString(),
+          runId: null
+        });
+        claimed.add(file.toLowerCase());
+        counts.adopted++;
+        break;
+      }
+    }
+    
+    // Adopted files keep their names, so plan again around them. A shared
+    // file no gene could claim is left to no gene, so none resumes from it.
+    const reserved = [...unresolved].filter(file => !claimed.has(file.toLowerCase())).map(file => file.replace(/\.txt$/, ''));
+    fileStems = planFileStems(index, genes, { reserved });
+    await saveManifest(index, config.manifestPath, config.manifestCsvPath);
+    return { entries: Object.keys(index.entries).length, ...counts };
+  });
 }
 
-async function main() {
-  console.log('Starting Enhanced Gene MSA Scraper...');
-  console.log(`Mode: ${HEADLESS ? 'Headless' : 'Visible'}`);
-  console.log(`Test mode: ${TEST_MODE ? `Yes (${TEST_LIMIT} genes)` : 'No'}`);
-  
-  // Ensure directories exist
-  await ensureDirectories();
+async function hasFailedPlaceholder(gene) {
+  return (await findFailedPlaceholders(gene)).length > 0;
+}
+
+// Work out what is already on disk for a gene that has no usable run-state
+// entry, so the first resumable run picks up output from older runs too
+async function inspectExistingOutput(gene, failedKeys) {
+  const outputPath = getOutputPath(gene);
+  let validation = null;
+  try {
+    validation = validateMSA(await fs.readFile(outputPath));
+  } catch (err) {
+    // No output yet
+  }
+  if (validation && !validation.valid) {
+    return { status: STATUS.INVALID, outputPath, error: `Existing output failed validation: ${validation.message}` };
+  }
+  if (validation) {
+    // An alignment without the other requested artifacts is scraped again for them
+    const missing = await missingArtifacts(gene);
+    return missing.length > 0
+      ? { status: STATUS.PENDING, outputPath, error: `Missing artifacts: ${missing.join(', ')}` }
+      : { status: STATUS.SUCCEEDED, outputPath };
+  }
   
-  // Parse the CSV file
-  let genes = await parseGenesCSV();
+  // Placeholders from older versions count too, as they do for a retry
+  const [placeholder] = await findFailedPlaceholders(gene);
+  if (placeholder) {
+    return { status: STATUS.FAILED, outputPath: placeholder, error: 'Failed placeholder present' };
+  }
   
-  // Limit genes in test mode
-  if (TEST_MODE) {
-    genes = genes.slice(0, TEST_LIMIT);
-    console.log(`Test mode: Processing only first ${TEST_LIMIT} genes`);
+  if (failedKeys.has(geneKey(gene))) {
+    return { status: STATUS.FAILED, outputPath: null, error: 'Listed in failed_genes.json' };
   }
+  return { status: STATUS.PENDING, outputPath: null };
+}
+
+// Reconcile the run state with what is on disk and pick the genes this run
+// should scrape according to the run mode. Queued genes count as invalid
+// whatever is on disk.
+async function selectGenesToProcess(genes, state, mode) {
+  const failedKeys = new Set(
+    (await loadFailedGenes()).filter(entry => entry.gene).map(entry => geneKey(entry.gene))
+  );
+  const queued = new Map(
+    (await loadRescrapeQueue(config.rescrapeQueuePath)).map(entry => [geneKey(entry.gene), entry])
+  );
+  const toProcess = [];
+  let skipped = 0;
   
-  console.log(`Found ${genes.length} genes to process`);
+  for (const gene of genes) {
+    if (mode === 'force') {
+      updateGeneState(state, gene, { status: STATUS.PENDING, attempts: 0, error: null, failureType: null });
+      toProcess.push(gene);
+      continue;
+    }
+    
+    let entry = getGeneState(state, gene);
+    const recheck = !entry || entry.status === STATUS.PENDING || entry.status === STATUS.SUCCEEDED;
+    if (recheck || mode === 'retry') {
+      // Re-check succeeded genes too: their output may have been deleted or corrupted since.
+      // A retry re-checks failed genes as well, so output that validates wins over a
+      // failure record left behind.
+      const { status, outputPath, error = null } = await inspectExistingOutput(gene, failedKeys);
+      if (recheck || status === STATUS.SUCCEEDED) {
+        entry = updateGeneState(state, gene, { status, outputPath, error });
+      }
+    }
+    if (queued.has(geneKey(gene))) {
+      entry = updateGeneState(state, gene, { status: STATUS.INVALID, error: `Queued for re-scrape: ${queued.get(geneKey(gene)).reason}` });
+    }
+    
+    let wanted;
+    if (mode === 'queue') {
+      wanted = queued.has(geneKey(gene));
+    } else if (mode === 'retry') {
+      wanted = entry.status !== STATUS.SUCCEEDED && (failedKeys.has(geneKey(gene)) || await hasFailedPlaceholder(gene));
+    } else if (mode === 'only-failed') {
+      wanted = entry.status === STATUS.FAILED || entry.status === STATUS.INVALID;
+    } else {
+      wanted = entry.status !== STATUS.SUCCEEDED;
+    }
+    if (wanted) {
+      toProcess.push(gene);
+    } else {
+      skipped++;
+    }
+  }
   
-  // Launch Puppeteer
-  const browser = await puppeteer.launch({
-    headless: HEADLESS,
+  return { toProcess, skipped };
+}
+
+async function launchBrowser(headless) {
+  return puppeteer.launch({
+    headless,
     args: [
       '--enable-features=ClipboardRead',
       '--enable-clipboard-read',
@@ -427,97 +1138,504 @@ async function main() {
     ],
     defaultViewport: null
   });
+}
+
+async function preparePage(page) {
+  // Set user agent to avoid detection
+  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
   
-  try {
-    const page = await browser.newPage();
-    
-    // Set user agent to avoid detection
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-    
-    // Grant clipboard permissions more thoroughly
-    const context = browser.defaultBrowserContext();
-    await context.overridePermissions(BASE_URL, ['clipboard-read', 'clipboard-write']);
-    
-    // Also grant permissions for the specific page
-    await page.evaluateOnNewDocument(() => {
-      // Override clipboard API to ensure it works
-      Object.defineProperty(navigator, 'clipboard', {
-        value: {
-          readText: async () => {
-            return window.clipboardData || '';
-          },
-          writeText: async (text) => {
-            window.clipboardData = text;
-            return Promise.resolve();
-          }
+  // Grant clipboard permissions more thoroughly
+  const context = page.browserContext();
+  await context.overridePermissions(config.baseUrl, ['clipboard-read', 'clipboard-write']);
+  
+  // Also grant permissions for the specific page
+  await page.evaluateOnNewDocument(() => {
+    // Override clipboard API to ensure it works
+    Object.defineProperty(navigator, 'clipboard', {
+      value: {
+        readText: async () => {
+          return window.clipboardData || '';
+        },
+        writeText: async (text) => {
+          window.clipboardData = text;
+          return Promise.resolve();
         }
-      });
+      }
     });
+  });
+  
+  // Handle alert dialogs by automatically clicking OK
+  page.on('dialog', async dialog => {
+    console.log(`Alert detected: ${dialog.message()}`);
+    await dialog.accept();
+  });
+  
+  // Add console log listener for debugging
+  page.on('console', msg => {
+    if (msg.type() === 'error') {
+      console.log('Page error:', msg.text());
+    }
+  });
+}
+
+/**
+ * Start a run: a fresh run log whose events are collected for the run report
+ * and, with `persist`, appended to logs/run-<id>.jsonl. `onEvent` sees every
+ * entry as it is logged.
+ */
+function openRun({ persist = true, onEvent = null } = {}) {
+  const runId = newRunId();
+  runLog = createRunLog({ filePath: persist ? path.join(config.logDir, `run-${runId}.jsonl`) : null, runId });
+  const events = [];
+  runLog.onEvent(entry => events.push(entry));
+  if (onEvent) {
+    runLog.onEvent(onEvent);
+  }
+  if (persist) {
+    console.log(`Run log: ${runLog.filePath}`);
+  }
+  return { runId, events, persist };
+}
+
+// End a run opened with openRun and return its report (written to
+// run-report.json for persisted runs)
+async function closeRun(run, runError = null) {
+  runLog.emit('run.end', runError ? { error: runError.message } : {});
+  const report = buildRunReport(run.events);
+  if (run.persist) {
+    await writeRunReport(report);
+  }
+  await runLog.close();
+  runLog = createRunLog();
+  return report;
+}
+
+// A throttle for the configured delay and breaker settings. Its changes go to
+// the run log and the console, breaker changes also to throttle-state.json.
+function createServerThrottle(saved = null) {
+  const created = createThrottle({
+    delayMs: config.delayBetweenSearches,
+    maxDelayMs: config.throttleMaxDelay,
+    adaptive: config.adaptiveDelay,
+    latencyFactor: config.latencyFactor,
+    breakerThreshold: config.breakerThreshold,
+    breakerCooldownMs: config.breakerCooldown,
+    breakerMaxTrips: config.breakerMaxTrips,
+    saved,
+    onChange: (event, fields) => {
+      runLog.emit(event, fields);
+      if (event === 'throttle') {
+        console.log(`${fields.reason === 'recovered' ? '🐇' : '🐢'} Delay between searches now ${formatSeconds(fields.delayMs)} (${fields.reason})`);
+        return;
+      }
+      if (fields.state === BREAKER_STATES.OPEN) {
+        console.log(`🛑 Circuit breaker open: ${fields.reason}. Pausing the run until ${new Date(fields.openUntil).toLocaleTimeString()}`);
+      } else if (fields.state === BREAKER_STATES.HALF_OPEN) {
+        console.log('🔌 Circuit breaker half-open: the next attempt tests the site');
+      } else if (fields.state === BREAKER_STATES.CLOSED) {
+        console.log('✅ Circuit breaker closed: the site answers again');
+      } else {
+        console.log(`🛑 The site kept failing after ${fields.trips} pauses (${fields.reason}). Stopping; genes not scraped yet stay pending for the next run`);
+      }
+      if (persistThrottle) {
+        throttleStateWrite = writeThrottleState(created);
+      }
+    }
+  });
+  return created;
+}
+
+async function writeThrottleState(current) {
+  // The state as of this change, however long the saves before it take
+  const snapshot = current.snapshot();
+  try {
+    await withThrottleStateLock(() => saveThrottleState(config.throttleStatePath, snapshot));
+  } catch (err) {
+    console.error('Error saving throttle state:', err.message);
+  }
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Scrape `genes` with config.concurrency pages of `browser` (launched and
+ * closed here when not given; a given one keeps running, without the pages
+ * and contexts opened here), paced by a fresh throttle (see
+ * lib/throttle.js). `onResult(result, index)` is awaited after every gene
+ * with scrapeGene's result. With `persist` the throttle state is read from
+ * and saved to config.throttleStatePath. Returns `{ results, progress }`,
+ * results in gene list order.
+ */
+async function scrapeGeneList(genes, { onResult = null, browser = null, persist = true } = {}) {
+  const results = new Array(genes.length);
+  if (genes.length === 0) {
+    return { results, progress: createProgressTracker(0).snapshot() };
+  }
+  
+  persistThrottle = persist;
+  throttle = createServerThrottle(persist ? await loadThrottleState(config.throttleStatePath) : null);
+  if (throttle.breaker === BREAKER_STATES.OPEN) {
+    const { openUntil, trips } = throttle.snapshot();
+    console.log(`🛑 Circuit breaker left open by an earlier run: waiting until ${new Date(openUntil).toLocaleTimeString()} (trip ${trips})`);
+  }
+  
+  const ownBrowser = !browser;
+  if (ownBrowser) {
+    browser = await launchBrowser(config.headless);
+  }
+  const workerCount = Math.min(config.concurrency, genes.length);
+  const progress = createProgressTracker(genes.length);
+  control = createRunControl();
+  const dashboard = config.dashboard ? await openDashboard(progress) : null;
+  // Closed again when the list is done, also on a browser the caller keeps
+  const pages = [];
+  const contexts = [];
+  
+  try {
+    // One page per worker. With more than one worker each page gets its own
+    // browser context so clipboard overrides, permissions and listeners never
+    // leak between concurrently running genes.
+    for (let w = 0; w < workerCount; w++) {
+      let context = browser.defaultBrowserContext();
+      if (workerCount > 1) {
+        context = await browser.createBrowserContext();
+        contexts.push(context);
+      }
+      const page = await context.newPage();
+      pages.push(page);
+      await preparePage(page);
+    }
     
-    // Handle alert dialogs by automatically clicking OK
-    page.on('dialog', async dialog => {
-      console.log(`Alert detected: ${dialog.message()}`);
-      await dialog.accept();
+    await runWorkerPool(genes, workerCount, async (gene, index, workerId) => {
+      // A paused run or an open breaker starts no new genes; keep the global
+      // request rate polite no matter how many workers run. Once the breaker
+      // has stopped the run the remaining genes go by without waiting.
+      await control.waitWhilePaused();
+      if (await throttle.waitForServer({ probe: false })) {
+        await throttle.waitTurn();
+      }
+      console.log(`\n${'='.repeat(50)}`);
+      console.log(`[worker ${workerId + 1}] Gene ${index + 1}/${genes.length}: ${gene.name}`);
+      
+      runLog.emit('gene.start', { gene, index, worker: workerId + 1 });
+      const result = await scrapeGene(pages[workerId], gene);
+      runLog.emit('gene.end', { gene, success: result.success, ...(result.skipped ? { skipped: true } : {}), durationMs: result.durationMs });
+      results[index] = result;
+      if (onResult) {
+        await onResult(result, index);
+      }
+      
+      const status = progress.record(result.success, { skipped: result.skipped });
+      console.log(`Progress: ${status.completed}/${status.total} (${status.percent}%)`);
+      
+      // Progress report every 10 genes
+      if (status.completed % 10 === 0) {
+        console.log(`\nStatus: ${status.successCount} successful, ${status.failCount} failed`);
+        console.log(`Estimated time remaining: ${formatDuration(status.etaMs)}`);
+      }
     });
     
-    // Add console log listener for debugging
-    page.on('console', msg => {
-      if (msg.type() === 'error') {
-        console.log('Page error:', msg.text());
+    return { results, progress: progress.snapshot() };
+  } finally {
+    if (persist) {
+      await throttleStateWrite;
+      await writeThrottleState(throttle);
+    }
+    if (dashboard) {
+      await dashboard.close();
+    }
+    for (const opened of [...pages, ...contexts]) {
+      try {
+        await opened.close();
+      } catch (err) {
+        // Already gone with a crashed page or a closed browser
       }
+    }
+    if (ownBrowser) {
+      await browser.close();
+    }
+  }
+}
+
+// Start the dashboard for the genes `progress` tracks. A dashboard that
+// cannot start (say, the port is taken) is reported and the run goes on.
+async function openDashboard(progress) {
+  const state = createDashboardState({ progress, control, outputDir: config.outputDir });
+  try {
+    const dashboard = await startDashboard({ port: config.dashboardPort, state, control, outputDir: config.outputDir });
+    runLog.onEvent(entry => {
+      state.apply(entry);
+      dashboard.update();
     });
+    console.log(`📊 Dashboard: ${dashboard.url}`);
+    return dashboard;
+  } catch (err) {
+    console.error(`Dashboard not started on port ${config.dashboardPort}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Scrape a list of `{ name, id }` genes without the gene list file, run
+ * state or run modes of runScrape: every gene is scraped. Output goes to the
+ * configured writer. `onEvent` sees every run log entry, `onResult` every
+ * gene's result as it finishes; `persist: false` keeps the run log and
+ * report off disk and `browser` reuses an already launched browser.
+ * Returns `{ runId, results, report }`.
+ */
+async function scrapeGenes(genes, { onEvent = null, onResult = null, persist = true, browser = null } = {}) {
+  const fileOutput = writer === fileWriter;
+  if (persist || fileOutput) {
+    await ensureDirectories();
+  }
+  
+  const run = openRun({ persist, onEvent });
+  let runError = null;
+  let results;
+  let report;
+  try {
+    if (fileOutput) {
+      // Settle every gene's file name up front, as runScrape does
+      await indexOutput(genes);
+    }
+    runLog.emit('run.start', { mode: 'genes', test: false, concurrency: config.concurrency, planned: genes.length, skipped: 0 });
+    ({ results } = await scrapeGeneList(genes, { onResult, browser, persist }));
+  } catch (error) {
+    runError = error;
+    throw error;
+  } finally {
+    report = await closeRun(run, runError);
+  }
+  return { runId: run.runId, results, report };
+}
+
+/**
+ * Scrape every gene in config.inputCsv. `mode` is one of RUN_MODES; `test`
+ * limits the run to the first config.testLimit genes. `replay` validates and
+ * saves the genes with cached payloads instead, without a browser (see
+ * replayGeneList). A run that breaks off, e.g. because the browser crashed,
+ * still closes the browser and the run log before rejecting.
+ */
+async function runScrape({ mode = 'resume', test = false, replay = false } = {}) {
+  if (!RUN_MODES.includes(mode)) {
+    throw new Error(`Unknown run mode: ${mode}`);
+  }
+  
+  console.log('Starting Enhanced Gene MSA Scraper...');
+  if (config.configFile) {
+    console.log(`Config file: ${config.configFile}`);
+  }
+  console.log(`Mode: ${replay ? 'Replay from the response cache' : config.headless ? 'Headless' : 'Visible'}`);
+  console.log(`Test mode: ${test ? `Yes (${config.testLimit} genes)` : 'No'}`);
+  console.log(`Concurrency: ${config.concurrency} page${config.concurrency === 1 ? '' : 's'}`);
+  if (!replay) {
+    console.log(`Delay between searches: ${formatSeconds(config.delayBetweenSearches)}${config.adaptiveDelay ? ` (adaptive, up to ${formatSeconds(Math.max(config.throttleMaxDelay, config.delayBetweenSearches))})` : ''}`);
+    console.log(`Circuit breaker: ${config.breakerThreshold > 0 ? `opens after ${config.breakerThreshold} attempts in a row with server errors` : 'off'}`);
+  }
+  if (config.formats.length > 0) {
+    console.log(`Extra output formats: ${config.formats.join(', ')}`);
+  }
+  if (wantsArtifacts()) {
+    console.log(`Artifacts: ${config.artifacts.join(', ')}${replay ? ' (replay restores the alignment only)' : ''}`);
+  }
+  if (config.cache && !replay) {
+    console.log(`Response cache: ${config.cacheDir} (${config.cacheTtl > 0 ? `${config.cacheTtl} hours` : 'no TTL'})`);
+  }
+  
+  // Ensure directories exist
+  await ensureDirectories();
+  
+  // Every event of this run goes to logs/run-<id>.jsonl and is folded into
+  // run-report.json when the run ends, however it ends
+  const run = openRun();
+  let runError = null;
+  
+  try {
+    // Read and check the gene list; problems are reported before any scraping
+    const geneList = await loadGeneList(config.inputCsv, config);
+    printGeneListReport(geneList);
+    runLog.emit('input', {
+      file: config.inputCsv,
+      rows: geneList.rows,
+      genes: geneList.genes.length,
+      skipped: geneList.skipped,
+      warnings: geneList.warnings
+    });
+    let genes = geneList.genes;
+    
+    // The queue can name genes that have since left the gene list; they are scraped all the same
+    if (mode === 'queue') {
+      const listed = new Set(genes.map(geneKey));
+      const extra = (await loadRescrapeQueue(config.rescrapeQueuePath))
+        .map(entry => entry.gene)
+        .filter(gene => !listed.has(geneKey(gene)));
+      if (extra.length > 0) {
+        console.log(`Re-scrape queue: ${extra.length} genes not in the gene list are added`);
+        genes = [...genes, ...extra];
+      }
+    }
+    
+    // Index existing output and settle every gene's file name up front
+    const indexed = await indexOutput(genes);
+    console.log(`Output index: ${indexed.entries} entries (${indexed.adopted} adopted, ${indexed.updated} updated, ${indexed.removed} removed) in ${config.manifestPath}`);
+    
+    // Limit genes in test mode
+    if (test) {
+      genes = genes.slice(0, config.testLimit);
+      console.log(`Test mode: Processing only first ${config.testLimit} genes`);
+    }
+    
+    // Reconcile with the checkpoint from previous runs
+    const state = await loadRunState(config.runStatePath);
+    const { toProcess, skipped: notSelected } = await selectGenesToProcess(genes, state, mode);
+    await saveRunState(config.runStatePath, state);
+    let skipped = notSelected;
+    
+    console.log(`Run mode: ${mode}`);
+    if (skipped > 0) {
+      const why = { 'only-failed': 'not failed', queue: 'not queued', retry: 'not failed' }[mode] || 'already scraped';
+      console.log(`Skipping ${skipped} genes (${why})`);
+    }
+    genes = toProcess;
+    
+    // Replay can only do something for genes with cached payloads
+    if (replay) {
+      const cache = getResponseCache();
+      const cached = [];
+      for (const gene of genes) {
+        if ((await cache.list(gene.id, { includeExpired: true })).length > 0) {
+          cached.push(gene);
+        }
+      }
+      if (cached.length < genes.length) {
+        console.log(`Skipping ${genes.length - cached.length} genes (nothing cached in ${cache.dir})`);
+      }
+      skipped += genes.length - cached.length;
+      genes = cached;
+    }
+    
+    runLog.emit('run.start', { mode, test, ...(replay ? { replay: true } : {}), concurrency: config.concurrency, planned: genes.length, skipped });
+    console.log(`Found ${genes.length} genes to process`);
+    if (genes.length === 0) {
+      console.log('Nothing to do');
+      return;
+    }
     
-    // Process each gene
-    let successCount = 0;
-    let failCount = 0;
-    const startTime = Date.now();
+    // Launch Puppeteer; a replay needs no browser
+    const browser = replay ? null : await launchBrowser(config.headless);
     
-    for (let i = 0; i < genes.length; i++) {
-      const gene = genes[i];
+    try {
+      const saveState = createLock();
+      const scrapeList = replay ? replayGeneList : scrapeGeneList;
+      const { progress } = await scrapeList(genes, {
+        browser,
+        onResult: async ({ gene, success, skipped, failure, attempts }) => {
+          // A skipped gene keeps its state and is picked up by the next run
+          if (skipped) {
+            return;
+          }
+          // Attempts add up over runs until --force resets them
+          const previous = getGeneState(state, gene);
+          const attemptCount = (previous ? previous.attempts : 0) + attempts.length;
+          if (success) {
+            updateGeneState(state, gene, {
+              status: STATUS.SUCCEEDED,
+              outputPath: getOutputPath(gene),
+              attempts: attemptCount,
+              error: null,
+              failureType: null
+            });
+          } else {
+            updateGeneState(state, gene, {
+              status: STATUS.FAILED,
+              outputPath: getFailedFilePath(gene),
+              attempts: attemptCount,
+              error: failure.message,
+              failureType: failure.type
+            });
+          }
+          
+          // Checkpoint after every gene so an interrupted run can resume here
+          await saveState(() => saveRunState(config.runStatePath, state));
+        }
+      });
+      
+      // Final report
+      const { successCount, failCount, elapsedMs } = progress;
       console.log(`\n${'='.repeat(50)}`);
-      console.log(`Progress: ${i + 1}/${genes.length} (${Math.round((i + 1) / genes.length * 100)}%)`);
+      console.log(`✅ Scraping complete!`);
+      console.log(`Successfully processed: ${successCount}/${genes.length} genes`);
+      console.log(`Failed: ${failCount} genes`);
+      if (progress.skippedCount > 0) {
+        console.log(`Skipped ${throttle.stopped ? 'from the dashboard or by the circuit breaker' : 'from the dashboard'}: ${progress.skippedCount} genes (left pending)`);
+      }
+      if (throttle.stopped) {
+        console.log(`⚠️  The circuit breaker stopped the run; run the same command again once the site is back`);
+      }
+      console.log(`Total time: ${Math.round(elapsedMs / 60000)} minutes`);
+      console.log(`Output files saved as .txt format in: ${config.outputDir}`);
       
-      const success = await searchAndExportGene(page, gene);
-      if (success) {
-        successCount++;
-      } else {
-        failCount++;
+      if (failCount > 0) {
+        console.log(`\nFailed genes saved to: ${config.failedGenesPath}`);
       }
       
-             // Delay between searches
-       if (i < genes.length - 1) {
-         await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_SEARCHES));
-       }
+      const counts = countByStatus(state);
+      console.log(`Run state (${config.runStatePath}): ${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.invalid} invalid, ${counts.pending} pending`);
       
-      // Progress report every 10 genes
-      if ((i + 1) % 10 === 0) {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const rate = (i + 1) / elapsed;
-        const remaining = (genes.length - i - 1) / rate;
-        console.log(`\nStatus: ${successCount} successful, ${failCount} failed`);
-        console.log(`Estimated time remaining: ${Math.round(remaining / 60)} minutes`);
-      }
-    }
-    
-    // Final report
-    const totalTime = (Date.now() - startTime) / 1000;
-    console.log(`\n${'='.repeat(50)}`);
-         console.log(`✅ Scraping complete!`);
-     console.log(`Successfully processed: ${successCount}/${genes.length} genes`);
-     console.log(`Failed: ${failCount} genes`);
-     console.log(`Total time: ${Math.round(totalTime / 60)} minutes`);
-     console.log(`Output files saved as .txt format in: ${OUTPUT_DIR}`);
-     
-     if (failCount > 0) {
-       console.log(`\nFailed genes saved to: ${path.join(FAILED_DIR, 'failed_genes.json')}`);
-     }
-    
+    } catch (error) {
+      console.error('Fatal error:', error);
+      throw error;
+    } finally {
+      if (browser) {
+        await browser.close();
+      }
+    }
   } catch (error) {
-    console.error('Fatal error:', error);
+    runError = error;
+    throw error;
   } finally {
-    await browser.close();
+    await closeRun(run, runError);
   }
 }
 
-// Run the scraper
-main().catch(console.error); 
\ No newline at end of file
+async function writeRunReport(report) {
+  try {
+    await fs.writeFile(config.runReportPath, JSON.stringify(report, null, 2));
+    console.log(`Run report: ${config.runReportPath}`);
+  } catch (err) {
+    console.error('Error writing run report:', err.message);
+  }
+}
+
+module.exports = {
+  RUN_MODES,
+  configure,
+  getConfig,
+  getSite,
+  ensureDirectories,
+  clearFailedGene,
+  getOutputPath,
+  getFailedFilePath,
+  getFileName,
+  getArtifactPath,
+  getOutputIndex,
+  indexOutput,
+  launchBrowser,
+  preparePage,
+  saveAlignment,
+  scrapeGene,
+  searchAndExportGene,
+  scrapeGenes,
+  getRunControl,
+  getThrottle,
+  getResponseCache,
+  selectGenesToProcess,
+  runScrape
+};
+
+// Running this file directly is the same as `node cli.js scrape`
+if (require.main === module) {
+  require('./cli').run(['scrape', ...process.argv.slice(2)]);
+}
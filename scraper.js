@@ -2,6 +2,7 @@ const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
 const { parseGenesCSV } = require('./parseCSV');
+const { chooseCandidate } = require('./lib/gene-match');
 
 // Configuration
 const BASE_URL = 'https://resources.michael.salk.edu/misc/soy_superpangenome_orthobrowser_v3/index.html';
@@ -38,11 +39,15 @@ async function searchAndExportGene(page, gene) {
     // Small delay to ensure autocomplete is fully loaded
     await new Promise(resolve => setTimeout(resolve, 500));
     
-    // Click on the first autocomplete result
-    const firstResult = await page.$('.ui-autocomplete .ui-menu-item:first-child');
-    if (firstResult) {
-      console.log('Clicking first autocomplete result...');
-      await firstResult.click();
+    // Click the autocomplete result for exactly this ID (the menu also lists longer IDs)
+    const items = await page.$$('.ui-autocomplete .ui-menu-item');
+    const candidates = await Promise.all(items.map(item => item.evaluate(el => el.textContent.trim())));
+    const choice = chooseCandidate(candidates, gene.id);
+    if (choice.status === 'exact') {
+      console.log(`Clicking autocomplete result ${candidates[choice.index]}...`);
+      await items[choice.index].click();
+    } else if (candidates.length > 0) {
+      throw new Error(`No single autocomplete result for ${gene.id} (${choice.status}): ${candidates.join(', ')}`);
     } else {
       console.log('No autocomplete results found, proceeding with search...');
     }
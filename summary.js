@@ -1,43 +1,172 @@
 const fs = require('fs');
 const path = require('path');
+const { readRunLog } = require('./lib/run-log');
+const { buildRunReport } = require('./lib/run-report');
+const { formatDuration } = require('./lib/progress');
+const { validateMSA } = require('./lib/msa-parser');
+const { computeAlignmentStats, formatStatsTsv } = require('./lib/alignment-stats');
 
-async function summarizeResults() {
+function formatSeconds(ms) {
+  return ms === null ? 'n/a' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function newestRunLog(logDir) {
+  if (!fs.existsSync(logDir)) {
+    return null;
+  }
+  // Run IDs are ISO timestamps, so the names sort chronologically
+  const logs = fs.readdirSync(logDir).filter(file => /^run-.*\.jsonl$/.test(file)).sort();
+  return logs.length > 0 ? path.join(logDir, logs[logs.length - 1]) : null;
+}
+
+/**
+ * Load the report of the latest run. run-report.json is written when a run
+ * ends; if the newest run log is more recent (the process was killed), the
+ * report is rebuilt from that log instead.
+ */
+function loadLatestReport(outputDir) {
+  const reportPath = path.join(outputDir, 'run-report.json');
+  const report = fs.existsSync(reportPath) ? JSON.parse(fs.readFileSync(reportPath, 'utf-8')) : null;
+  const logPath = newestRunLog(path.join(outputDir, 'logs'));
+
+  if (logPath && (!report || path.basename(logPath) > `run-${report.runId}.jsonl`)) {
+    return { report: buildRunReport(readRunLog(logPath)), source: logPath };
+  }
+  return { report, source: report ? reportPath : null };
+}
+
+async function summarizeResults(outputDir = './output') {
   try {
-    const outputDir = './output';
-    const files = fs.readdirSync(outputDir);
-    const fastaFiles = files.filter(file => file.endsWith('.txt') || file.endsWith('.fasta'));
-    
+    const { report, source } = loadLatestReport(outputDir);
+    if (!report) {
+      console.log(`No run report found in ${path.resolve(outputDir)}. Run \`node cli.js scrape\` first.`);
+      return null;
+    }
+    const { totals, durations } = report;
+
     console.log('\n🎉 Scraping Results Summary');
     console.log('=' .repeat(50));
-    console.log(`✅ Successfully scraped ${fastaFiles.length} genes:`);
-    
-    fastaFiles.forEach(file => {
-      const filePath = path.join(outputDir, file);
-      const stats = fs.statSync(filePath);
-      const geneName = file.replace('.fasta', '').replace('.txt', '');
-      console.log(`   📁 ${geneName}: ${stats.size.toLocaleString()} bytes`);
-    });
-    
-    // Check for failed genes
-    const failedPath = path.join(outputDir, 'failed/failed_genes.json');
-    if (fs.existsSync(failedPath)) {
-      const failedData = JSON.parse(fs.readFileSync(failedPath, 'utf-8'));
-      if (failedData.length > 0) {
-        console.log(`\n❌ ${failedData.length} genes failed:`);
-        failedData.forEach(entry => {
-          console.log(`   ⚠️  ${entry.gene.name}: ${entry.error}`);
-        });
-      }
+    console.log(`Run: ${report.runId} (${report.mode || 'unknown'} mode${report.test ? ', test mode' : ''}) - ${report.status}`);
+    console.log(`Started: ${report.startedAt}, took ${formatDuration(report.durationMs)}`);
+    if (report.error) {
+      console.log(`Stopped by error: ${report.error}`);
     }
-    
+
     console.log('\n📊 Statistics:');
-    console.log(`   Total genes processed: ${fastaFiles.length} (test mode)`);
-    console.log(`   Success rate: 100%`);
+    console.log(`   Genes planned: ${totals.planned}${totals.skipped > 0 ? ` (${totals.skipped} skipped)` : ''}`);
+    console.log(`   Processed: ${totals.processed}${totals.incomplete > 0 ? ` (${totals.incomplete} still running when the run stopped)` : ''}`);
+    console.log(`   ✅ Succeeded: ${totals.succeeded}`);
+    console.log(`   ❌ Failed: ${totals.failed}`);
+    if (totals.skippedDuringRun > 0) {
+      const by = report.server && report.server.stoppedByBreaker ? 'from the dashboard or by the circuit breaker' : 'from the dashboard';
+      console.log(`   ⏭️  Skipped ${by}: ${totals.skippedDuringRun}`);
+    }
+    if (report.server && (report.server.slowdowns > 0 || report.server.breakerTrips > 0)) {
+      const { slowdowns, maxDelayMs, breakerTrips, stoppedByBreaker } = report.server;
+      console.log(`   🐢 Site slowdowns: ${slowdowns} (delay up to ${formatSeconds(maxDelayMs)}), circuit breaker opened ${breakerTrips} times${stoppedByBreaker ? ' and stopped the run' : ''}`);
+    }
+    console.log(`   Success rate: ${totals.successRate === null ? 'n/a' : `${(totals.successRate * 100).toFixed(1)}%`}`);
+    console.log(`   Retries: ${totals.retries}`);
+    console.log(`   Time per gene: mean ${formatSeconds(durations.meanGeneMs)}, median ${formatSeconds(durations.medianGeneMs)}, max ${formatSeconds(durations.maxGeneMs)}`);
+
+    const sources = {};
+    for (const gene of report.genes) {
+      if (gene.outcome === 'succeeded') {
+        sources[gene.source] = (sources[gene.source] || 0) + 1;
+      }
+    }
+    if (Object.keys(sources).length > 0) {
+      console.log(`   Alignment sources: ${Object.entries(sources).map(([name, count]) => `${name} ${count}`).join(', ')}`);
+    }
+
+    const failed = report.genes.filter(gene => gene.outcome === 'failed');
+    if (failed.length > 0) {
+      console.log(`\n❌ Failures by type:`);
+      for (const [type, count] of Object.entries(report.failures).sort((a, b) => b[1] - a[1])) {
+        console.log(`   ${type}: ${count}`);
+      }
+      console.log(`\n❌ ${failed.length} genes failed:`);
+      failed.forEach(gene => {
+        const reason = gene.failure.reason ? ` (${gene.failure.reason})` : '';
+        console.log(`   ⚠️  ${gene.name} (${gene.id}): ${gene.failure.type}${reason} - ${gene.failure.message}`);
+      });
+    }
+
+    console.log(`\n   Report: ${source}`);
     console.log(`   Output directory: ${path.resolve(outputDir)}`);
-    
+    return report;
+
   } catch (error) {
     console.error('Error reading results:', error.message);
+    return null;
+  }
+}
+
+function statsRow(row) {
+  const name = row.gene.length > 24 ? `${row.gene.slice(0, 23)}…` : row.gene;
+  if (!row.stats) {
+    return `   ${name.padEnd(24)} invalid (${row.reason})`;
   }
+  const { stats } = row;
+  const range = `${stats.shortest.length}-${stats.longest.length}`;
+  const flags = [row.valid ? '' : `invalid (${row.reason})`, ...stats.flags].filter(Boolean).join(', ');
+  return `   ${name.padEnd(24)} ${String(stats.sequences).padStart(5)} ${String(stats.length).padStart(7)} ` +
+    `${stats.gapPercent.toFixed(1).padStart(6)} ${String(stats.species).padStart(8)} ${String(stats.assemblies).padStart(11)} ` +
+    `${range.padStart(10)}  ${flags}`;
+}
+
+/**
+ * Per-alignment QC statistics for every saved alignment in `outputDir`:
+ * prints a table and writes alignment-stats.tsv (one row per gene) and
+ * alignment-stats.json (which adds per-sequence numbers) next to the files.
+ */
+async function summarizeAlignments(outputDir = './output') {
+  try {
+    const files = fs.readdirSync(outputDir)
+      .filter(file => file.endsWith('.txt') && !file.endsWith('_FAILED.txt'))
+      .sort();
+
+    const rows = files.map(file => {
+      const validation = validateMSA(fs.readFileSync(path.join(outputDir, file)));
+      // Ragged and truncated alignments are rejected but still carry their records
+      const records = validation.records || null;
+      return {
+        gene: file.replace(/\.txt$/, ''),
+        file,
+        valid: validation.valid,
+        reason: validation.valid ? null : validation.reason,
+        stats: records && records.length > 0 ? computeAlignmentStats(records) : null
+      };
+    });
+
+    console.log('\n📏 Alignment Statistics');
+    console.log('=' .repeat(50));
+    if (rows.length === 0) {
+      console.log('   No alignments found');
+      return rows;
+    }
+    console.log(`   ${'Gene'.padEnd(24)} ${'Seqs'.padStart(5)} ${'Length'.padStart(7)} ${'Gap%'.padStart(6)} ${'Species'.padStart(8)} ${'Assemblies'.padStart(11)} ${'Ungapped'.padStart(10)}  Flags`);
+    rows.forEach(row => console.log(statsRow(row)));
+
+    const flagged = rows.filter(row => !row.valid || row.stats.flags.length > 0);
+    console.log(`\n   ${rows.length} alignments, ${flagged.length} flagged for review`);
+
+    const tsvPath = path.join(outputDir, 'alignment-stats.tsv');
+    const jsonPath = path.join(outputDir, 'alignment-stats.json');
+    fs.writeFileSync(tsvPath, formatStatsTsv(rows));
+    fs.writeFileSync(jsonPath, JSON.stringify(rows, null, 2));
+    console.log(`   Written to ${tsvPath} and ${jsonPath}`);
+    return rows;
+
+  } catch (error) {
+    console.error('Error computing alignment statistics:', error.message);
+    return null;
+  }
+}
+
+// Running this file directly is the same as `node cli.js summary`
+if (require.main === module) {
+  require('./cli').run(['summary', ...process.argv.slice(2)]);
 }
 
-summarizeResults(); 
\ No newline at end of file
+module.exports = { summarizeResults, summarizeAlignments, loadLatestReport };
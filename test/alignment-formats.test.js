@@ -0,0 +1,129 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateMSA } = require('../lib/msa-parser');
+const {
+  makeSafeNames,
+  formatClustal,
+  formatStockholm,
+  formatPhylip,
+  formatNexus,
+  parseFormatList
+} = require('../lib/alignment-formats');
+const { convertDirectory } = require('../convert-alignments');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+const { records } = validateMSA(FIXTURE);
+
+const small = [
+  { header: 'Gmax_Wm82.a4.v1.g000100.t1 putative kinase', sequence: 'MKL-V' },
+  { header: 'Gmax_Wm82.a4.v1.g000200.t1', sequence: 'MKI-V' },
+  { header: "Gsoja(W05):g1;x", sequence: 'MRL-A' }
+];
+
+describe('makeSafeNames', () => {
+  it('truncates to a fixed width while keeping names unique', () => {
+    const names = makeSafeNames(small, { maxLength: 10 }).map(n => n.name);
+    assert.deepStrictEqual(names, ['Gmax_Wm82.', 'Gmax_Wm8_2', 'Gsoja_W05_']);
+    assert.ok(names.every(name => name.length <= 10));
+  });
+});
+
+describe('alignment writers', () => {
+  it('writes Clustal blocks of 60 columns with a conservation line', () => {
+    const { text } = formatClustal(records, { alphabet: 'protein' });
+    const lines = text.split('\n');
+    assert.strictEqual(lines[0], 'CLUSTAL W (1.83) multiple sequence alignment');
+    const firstRow = lines[3].split(/\s+/);
+    assert.strictEqual(firstRow[0], records[0].header);
+    assert.strictEqual(firstRow[1], records[0].sequence.slice(0, 60));
+    assert.strictEqual(lines[3 + records.length].length, lines[3].length);
+  });
+
+  it('marks identical and strongly conserved Clustal columns', () => {
+    const { text } = formatClustal(small, { alphabet: 'protein' });
+    const conservation = text.split('\n')[6];
+    assert.strictEqual(conservation.slice(-5), '*:: .');
+  });
+
+  it('writes Stockholm with descriptions for shortened names', () => {
+    const { text } = formatStockholm(small);
+    assert.ok(text.startsWith('# STOCKHOLM 1.0\n'));
+    assert.ok(text.includes('#=GS Gmax_Wm82.a4.v1.g000100.t1 DE Gmax_Wm82.a4.v1.g000100.t1 putative kinase'));
+    assert.ok(text.trimEnd().endsWith('//'));
+  });
+
+  it('writes relaxed and strict PHYLIP', () => {
+    const relaxed = formatPhylip(small).text.split('\n');
+    assert.strictEqual(relaxed[0], ' 3 5');
+    assert.strictEqual(relaxed[3], 'Gsoja_W05__g1_x  MRL-A');
+
+    const strict = formatPhylip(small, { strict: true }).text.split('\n');
+    assert.strictEqual(strict[1], 'Gmax_Wm82.MKL-V');
+    assert.strictEqual(strict[2], 'Gmax_Wm8_2MKI-V');
+  });
+
+  it('writes NEXUS with quoted names and the right datatype', () => {
+    const { text } = formatNexus(small, { alphabet: 'protein' });
+    assert.ok(text.includes('DIMENSIONS NTAX=3 NCHAR=5;'));
+    assert.ok(text.includes('FORMAT DATATYPE=PROTEIN MISSING=? GAP=-;'));
+    assert.ok(text.includes("'Gsoja(W05):g1;x'"));
+    assert.ok(text.includes('Gmax_Wm82.a4.v1.g000200.t1'));
+  });
+
+  it('keeps NEXUS taxon names unique', () => {
+    const twins = [
+      { header: 'Medtr1g017910.1 chr1', sequence: 'MKL-V' },
+      { header: 'Medtr1g017910.1 chr2', sequence: 'MKI-V' }
+    ];
+    const { text, names } = formatNexus(twins, { alphabet: 'protein' });
+    assert.deepStrictEqual(names.map(n => n.name), ['Medtr1g017910.1', 'Medtr1g017910.1_2']);
+    assert.ok(text.includes('    Medtr1g017910.1_2  MKI-V'));
+  });
+
+  it('rejects unknown formats', () => {
+    assert.deepStrictEqual(parseFormatList('clustal, NEXUS'), ['clustal', 'nexus']);
+    assert.throws(() => parseFormatList('clustal,msf'), /Unknown format\(s\): msf/);
+  });
+});
+
+describe('convertDirectory', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-convert-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('converts valid alignments, skips placeholders and can replace the originals', async () => {
+    fs.writeFileSync(path.join(dir, 'MtA.txt'), FIXTURE);
+    fs.writeFileSync(path.join(dir, 'MtB.txt'), '\x89PNG\r\n\x1a\n');
+    fs.writeFileSync(path.join(dir, 'MtC_FAILED.txt'), 'FAILED TO RETRIEVE MSA DATA');
+
+    const { converted, skipped } = await convertDirectory({
+      inputDir: dir,
+      formats: ['phylip-strict', 'nexus'],
+      replace: true
+    });
+
+    assert.deepStrictEqual(converted.map(c => c.file), ['MtA.txt']);
+    assert.deepStrictEqual(skipped.map(s => s.file), ['MtB.txt']);
+    assert.ok(fs.existsSync(path.join(dir, 'MtA.strict.phy')));
+    assert.ok(fs.existsSync(path.join(dir, 'MtA.strict.phy.names.tsv')));
+    assert.ok(fs.existsSync(path.join(dir, 'MtA.nex')));
+    assert.ok(!fs.existsSync(path.join(dir, 'MtA.txt')));
+    assert.ok(fs.existsSync(path.join(dir, 'MtB.txt')));
+  });
+
+  it('keeps the .txt files of indexed scraper output', async () => {
+    const indexed = path.join(dir, 'indexed');
+    fs.mkdirSync(indexed);
+    fs.writeFileSync(path.join(indexed, 'MtA.txt'), FIXTURE);
+    fs.writeFileSync(path.join(indexed, 'index.json'), '{"entries": {}}');
+
+    await assert.rejects(
+      convertDirectory({ inputDir: indexed, formats: ['nexus'], replace: true }),
+      /Not replacing the \.txt files of indexed scraper output/
+    );
+    assert.ok(fs.existsSync(path.join(indexed, 'MtA.txt')));
+    assert.ok(!fs.existsSync(path.join(indexed, 'MtA.nex')));
+  });
+});
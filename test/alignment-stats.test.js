@@ -0,0 +1,91 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseHeader } = require('../lib/fasta-headers');
+const { computeAlignmentStats } = require('../lib/alignment-stats');
+const { summarizeAlignments } = require('../summary');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+describe('parseHeader', () => {
+  it('splits pangenome headers into species and assembly', () => {
+    assert.deepStrictEqual(parseHeader('Aameric_YS121.v1.contig_103_pilon_pilon_pilon.g005930.t1'), {
+      id: 'Aameric_YS121.v1.contig_103_pilon_pilon_pilon.g005930.t1',
+      species: 'Aameric',
+      assembly: 'Aameric_YS121.v1'
+    });
+    assert.strictEqual(parseHeader('Pmon_YS87.hap1.v1.h1tg000925l.g521980.t1').assembly, 'Pmon_YS87.hap1.v1');
+    assert.strictEqual(parseHeader('Gcan_PI583945.a01.Chr13.g320570.t1').assembly, 'Gcan_PI583945.a01');
+    assert.strictEqual(parseHeader('Ljap.Gifu.HPI3.LjG1.1_chr5.g276290.t1').assembly, 'Ljap.Gifu.HPI3');
+    assert.strictEqual(parseHeader('Gmax_ZH13.Chr13.g324560.t1').assembly, 'Gmax_ZH13');
+    assert.strictEqual(parseHeader('CensTM008.v1.contig_945_pilon_pilon_pilon.g242870.t1').species, 'Cens');
+  });
+
+  it('reads the species name from reference genome headers', () => {
+    assert.deepStrictEqual(parseHeader('Medtr5g086660.1_Medicago_truncatula_v4 extra words'), {
+      id: 'Medtr5g086660.1_Medicago_truncatula_v4',
+      species: 'Medicago_truncatula',
+      assembly: 'Medicago_truncatula_v4'
+    });
+    assert.strictEqual(parseHeader('XP_039690181.1_Medicago_truncatula_v5').assembly, 'Medicago_truncatula_v5');
+    assert.strictEqual(parseHeader('AT1G06225.1_ArabidopsisThaliana').species, 'ArabidopsisThaliana');
+  });
+});
+
+describe('computeAlignmentStats', () => {
+  const records = [
+    { header: 'Gmax_ZH13.Chr13.g1.t1', sequence: 'MK-LV-' },
+    { header: 'Gmax_PI471938.a01.Chr13.g2.t1', sequence: 'MK--V-' },
+    { header: 'Medtr5g086660.1_Medicago_truncatula_v4', sequence: 'M---V-' }
+  ];
+
+  it('reports gaps, sampling and ungapped lengths', () => {
+    const stats = computeAlignmentStats(records);
+    assert.strictEqual(stats.sequences, 3);
+    assert.strictEqual(stats.length, 6);
+    assert.strictEqual(stats.gapPercent, 50);
+    assert.strictEqual(stats.minSequenceGapPercent, 33.3);
+    assert.strictEqual(stats.maxSequenceGapPercent, 66.7);
+    assert.strictEqual(stats.species, 2);
+    assert.strictEqual(stats.assemblies, 3);
+    assert.deepStrictEqual(stats.shortest, { id: 'Medtr5g086660.1_Medicago_truncatula_v4', length: 2 });
+    assert.deepStrictEqual(stats.longest, { id: 'Gmax_ZH13.Chr13.g1.t1', length: 4 });
+    assert.strictEqual(stats.allGapColumns, 2);
+    assert.deepStrictEqual(stats.flags, ['all-gap-columns']);
+  });
+
+  it('flags single-sequence and ragged alignments', () => {
+    assert.deepStrictEqual(computeAlignmentStats(records.slice(0, 1)).flags, ['single-sequence', 'all-gap-columns']);
+    const ragged = [...records, { header: 'Gsoj_PI483463.a01.Chr11.g3.t1', sequence: 'MKLVA' }];
+    assert.ok(computeAlignmentStats(ragged).flags.includes('ragged'));
+  });
+});
+
+describe('summarizeAlignments', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-stats-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('writes a TSV row and JSON entry per alignment', async () => {
+    fs.writeFileSync(path.join(dir, 'LYK1.txt'), FIXTURE);
+    fs.writeFileSync(path.join(dir, 'Ragged.txt'), '>a\nMKLV\n>b\nMK\n>c\nMKLVAA\n');
+    fs.writeFileSync(path.join(dir, 'Html.txt'), '<html><body>Error</body></html>');
+    fs.writeFileSync(path.join(dir, 'Missing_FAILED.txt'), 'FAILED TO RETRIEVE MSA DATA');
+
+    const rows = await summarizeAlignments(dir);
+    assert.deepStrictEqual(rows.map(row => row.gene), ['Html', 'LYK1', 'Ragged']);
+    assert.strictEqual(rows[0].stats, null);
+    assert.strictEqual(rows[1].stats.sequences, 4);
+    assert.strictEqual(rows[1].stats.length, 661);
+    assert.deepStrictEqual(rows[2].stats.flags, ['ragged']);
+
+    const tsv = fs.readFileSync(path.join(dir, 'alignment-stats.tsv'), 'utf-8').trim().split('\n');
+    assert.strictEqual(tsv.length, 4);
+    assert.ok(tsv[0].startsWith('gene\tfile\tvalid\treason\tsequences\taligned_length\tgap_percent'));
+    assert.strictEqual(tsv[1].split('\t')[3], 'html');
+
+    const json = JSON.parse(fs.readFileSync(path.join(dir, 'alignment-stats.json'), 'utf-8'));
+    assert.strictEqual(json[1].stats.perSequence.length, 4);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createScraper, scrapeGenes, createMemoryWriter } = require('..');
+const { checkWriter } = require('../lib/output-writer');
+const { writeFakeSite, fakeBrowser } = require('./helpers/fake-site');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-api-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('library API', () => {
+  // A site that copies FIXTURE for Medtr1g017910 and a cut-off alignment for any other gene
+  const adapterPath = writeFakeSite(dir, {
+    name: 'api-browser',
+    clipboard: id => (id === 'Medtr1g017910' ? FIXTURE : '>Medtr1g099999\nMKLV\n>cut')
+  });
+  const outputDir = path.join(dir, 'output');
+  const config = { site: adapterPath, outputDir, maxRetries: 2, retryBaseDelay: 0, delayBetweenSearches: 0 };
+  const genes = [{ name: 'MtOK1', id: 'Medtr1g017910' }, { name: 'MtCut', id: 'Medtr1g099999' }];
+
+  it('returns per-gene results and reports progress as events', async () => {
+    const writer = createMemoryWriter();
+    const browser = fakeBrowser();
+    const run = createScraper({ config, writer, browser });
+    const seen = [];
+    for (const event of ['gene:start', 'gene:retry', 'gene:done', 'run:done']) {
+      run.on(event, payload => seen.push([event, payload.gene ? payload.gene.name : null]));
+    }
+
+    const { runId, results, report } = await run.scrapeGenes(genes);
+    assert.deepStrictEqual(seen, [
+      ['gene:start', 'MtOK1'],
+      ['gene:done', 'MtOK1'],
+      ['gene:start', 'MtCut'],
+      ['gene:retry', 'MtCut'],
+      ['gene:done', 'MtCut'],
+      ['run:done', null]
+    ]);
+
+    const [saved, failed] = results;
+    assert.strictEqual(saved.success, true);
+    assert.strictEqual(saved.data, FIXTURE);
+    assert.ok(saved.validation.records.length > 0);
+    assert.strictEqual(saved.strategy, 'clipboard');
+    assert.strictEqual(saved.path, null);
+    assert.deepStrictEqual(saved.attempts.map(attempt => attempt.failure), [null]);
+
+    assert.strictEqual(failed.success, false);
+    assert.strictEqual(failed.failure.type, 'invalid-data');
+    assert.deepStrictEqual(failed.attempts.map(attempt => attempt.attempt), [1, 2]);
+
+    assert.strictEqual(report.runId, runId);
+    assert.strictEqual(writer.alignments.get('Medtr1g017910|MtOK1').data, FIXTURE);
+    assert.strictEqual(writer.failures.get('Medtr1g099999|MtCut').attempts, 2);
+    assert.strictEqual(browser.closed, false);
+    assert.deepStrictEqual(browser.pages.map(page => page.closed), [true]);
+    assert.ok(!fs.existsSync(outputDir), 'nothing is written without the file writer');
+  });
+
+  it('closes the contexts it opened on a browser it was given', async () => {
+    const browser = fakeBrowser();
+    await createScraper({ config: { ...config, concurrency: 2 }, writer: createMemoryWriter(), browser }).scrapeGenes(genes);
+    assert.strictEqual(browser.closed, false);
+    assert.deepStrictEqual(browser.pages.map(page => page.closed), [true, true]);
+    assert.deepStrictEqual(browser.contexts.map(context => context.closed), [true, true]);
+  });
+
+  it('takes listeners in a single call', async () => {
+    const done = [];
+    const { results } = await scrapeGenes(genes.slice(0, 1), {
+      config,
+      writer: createMemoryWriter(),
+      browser: fakeBrowser(),
+      on: { 'gene:done': result => done.push(result.success) }
+    });
+    assert.deepStrictEqual(done, [true]);
+    assert.strictEqual(results.length, 1);
+  });
+
+  it('only fails on bad settings once a scraper is created', () => {
+    const cwd = path.join(dir, 'bad-config');
+    fs.mkdirSync(cwd);
+    fs.writeFileSync(path.join(cwd, 'scraper.config.json'), JSON.stringify({ concurrency: 0 }));
+    fs.writeFileSync(path.join(dir, 'empty.json'), '{}');
+    const script = `
+      const { createScraper } = require(${JSON.stringify(path.join(__dirname, '..'))});
+      try { createScraper(); console.log('created'); } catch (err) { console.log(err.message); }
+    `;
+    const run = env => spawnSync(process.execPath, ['-e', script], { cwd, env: { ...process.env, ...env }, encoding: 'utf-8' });
+
+    const fromFile = run({});
+    assert.strictEqual(fromFile.status, 0, fromFile.stderr);
+    assert.strictEqual(fromFile.stdout.trim(), 'concurrency must be at least 1');
+    const fromEnv = run({ SCRAPER_CONFIG: path.join(dir, 'empty.json'), SCRAPER_MAX_RETRIES: 'abc' });
+    assert.strictEqual(fromEnv.status, 0, fromEnv.stderr);
+    assert.match(fromEnv.stdout, /Invalid value for maxRetries from \$SCRAPER_MAX_RETRIES/);
+  });
+
+  it('rejects writers that lack a method', () => {
+    assert.throws(() => checkWriter({ saveAlignment() {} }), /missing saveArtifacts, saveFailure/);
+  });
+});
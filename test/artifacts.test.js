@@ -0,0 +1,140 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const {
+  validateNewick,
+  validateSequences,
+  artifactName,
+  artifactFileName,
+  selectArtifacts
+} = require('../lib/artifacts');
+const { loadConfig } = require('../lib/config');
+const { createRunState } = require('../lib/run-state');
+const scraper = require('../scraper-enhanced');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-artifacts-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A site whose Export menu has MSA, Tree and Sequences entries; the Sequences
+// entry copies an alignment fragment that fails validation
+const ADAPTER_SOURCE = `
+const { defineSiteAdapter } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'sites', 'define'))});
+const menu = { MSA: ${JSON.stringify(FIXTURE)}, Tree: '(Medtr1g017910:0.1,outgroup:0.2);', Sequences: '>cut off' };
+let clipboard = null;
+module.exports = defineSiteAdapter({
+  name: 'menu-browser',
+  baseUrl: 'http://menu.test/browser',
+  search: {
+    async open() {},
+    async enterQuery() {},
+    async readSuggestions() { return ['Medtr1g017910']; },
+    async pickSuggestion() {},
+    async submit() {}
+  },
+  export: {
+    async openMenu() { return true; },
+    async clickAlignment() { clipboard = menu.MSA; return true; },
+    async listArtifacts() { return Object.keys(menu); },
+    async clickArtifact(page, label) { clipboard = menu[label]; return true; },
+    async readClipboard() { return clipboard; },
+    async readPage() { return null; }
+  },
+  async readPageText() { return 'Gene Medtr1g017910'; }
+});
+`;
+
+describe('artifact validators', () => {
+  it('accepts Newick trees and counts their leaves', () => {
+    assert.strictEqual(validateNewick('((A:0.1,B:0.2)ab:0.3,\'C d\':0.4);\n').leaves, 3);
+    assert.strictEqual(validateNewick('((A,B),C);').valid, true);
+  });
+
+  it('rejects cut-off trees and anything that is not a tree', () => {
+    assert.strictEqual(validateNewick('((A,B),C').reason, 'truncated');
+    assert.strictEqual(validateNewick('(A,B));').reason, 'invalid-characters');
+    assert.strictEqual(validateNewick(FIXTURE).reason, 'no-records');
+    assert.strictEqual(validateNewick('').reason, 'empty');
+  });
+
+  it('accepts unaligned FASTA of any lengths but not an empty record', () => {
+    const result = validateSequences('>a\nMKLV\n>b\nMK\n');
+    assert.deepStrictEqual([result.valid, result.records.length, result.alphabet], [true, 2, 'protein']);
+    assert.strictEqual(validateSequences('>a\nMKLV\n>b\n').reason, 'truncated');
+    assert.strictEqual(validateSequences('>a\nMK@V\n').reason, 'invalid-characters');
+  });
+});
+
+describe('artifact selection', () => {
+  it('names artifacts after their menu label', () => {
+    assert.strictEqual(artifactName(' Gene list '), 'gene-list');
+    assert.strictEqual(artifactFileName('MtNFP', 'tree'), 'MtNFP.tree.nwk');
+    assert.strictEqual(artifactFileName('MtNFP', 'gene-list'), 'MtNFP.gene-list.txt');
+  });
+
+  it('picks the requested entries the menu offers', () => {
+    const labels = ['MSA', 'Tree', 'Sequences'];
+    assert.deepStrictEqual(selectArtifacts(['msa', 'tree', 'logo'], labels), {
+      selected: [{ name: 'tree', label: 'Tree' }],
+      unavailable: ['logo']
+    });
+    assert.deepStrictEqual(selectArtifacts(['all'], labels).selected.map(entry => entry.name), ['tree', 'sequences']);
+    assert.deepStrictEqual(selectArtifacts(['msa'], labels).selected, []);
+  });
+
+  it('checks the artifacts setting', () => {
+    const load = artifacts => loadConfig({ env: { SCRAPER_ARTIFACTS: artifacts }, cwd: os.tmpdir() });
+    assert.deepStrictEqual(load('msa,tree').artifacts, ['msa', 'tree']);
+    assert.deepStrictEqual(load('all').artifacts, ['all']);
+    assert.throws(() => load('tree'), /artifacts must include msa/);
+    assert.throws(() => load('msa,Tree'), /"Tree" is not an artifact name/);
+  });
+});
+
+describe('exporting artifacts', () => {
+  const gene = { name: 'MtOK1', id: 'Medtr1g017910' };
+  const adapterPath = path.join(dir, 'menu-browser.js');
+  fs.writeFileSync(adapterPath, ADAPTER_SOURCE);
+  const configureWith = artifacts => scraper.configure({
+    overrides: { site: adapterPath, outputDir: path.join(dir, 'output'), artifacts, delayBetweenSearches: 0, retryBaseDelay: 0 }
+  });
+
+  after(() => scraper.configure());
+
+  it('saves valid artifacts per gene and records every outcome in the index', async () => {
+    configureWith('msa,tree,sequences,logo');
+    await scraper.ensureDirectories();
+    const page = Object.assign(new EventEmitter(), { url: () => 'http://menu.test/browser#Medtr1g017910' });
+    assert.strictEqual(await scraper.searchAndExportGene(page, gene), true);
+
+    assert.strictEqual(fs.readFileSync(scraper.getOutputPath(gene), 'utf-8'), FIXTURE);
+    const treePath = scraper.getArtifactPath(gene, 'tree');
+    assert.strictEqual(path.relative(dir, treePath), path.join('output', 'artifacts', 'MtOK1', 'MtOK1.tree.nwk'));
+    assert.strictEqual(fs.readFileSync(treePath, 'utf-8'), '(Medtr1g017910:0.1,outgroup:0.2);');
+    assert.ok(!fs.existsSync(scraper.getArtifactPath(gene, 'sequences')));
+
+    const { artifacts } = (await scraper.getOutputIndex()).entries[`${gene.id}|${gene.name}`];
+    assert.strictEqual(artifacts.tree.status, 'ok');
+    assert.strictEqual(artifacts.tree.file, 'artifacts/MtOK1/MtOK1.tree.nwk');
+    assert.deepStrictEqual([artifacts.sequences.status, artifacts.sequences.reason], ['invalid', 'truncated']);
+    assert.strictEqual(artifacts.logo.status, 'unavailable');
+  });
+
+  it('scrapes a saved gene again on resume while a requested artifact is missing', async () => {
+    const select = async () => {
+      const { toProcess } = await scraper.selectGenesToProcess([gene], createRunState(), 'resume');
+      return toProcess.length;
+    };
+    // Sequences failed validation above; the unavailable logo does not count
+    assert.strictEqual(await select(), 1);
+    configureWith('msa,tree,logo');
+    assert.strictEqual(await select(), 0);
+    fs.unlinkSync(scraper.getArtifactPath(gene, 'tree'));
+    assert.strictEqual(await select(), 1);
+    configureWith('msa');
+    assert.strictEqual(await select(), 0);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { classifyFile, sniffContent } = require('../lib/content-sniffer');
+const { loadRescrapeQueue, queueGenes, dequeueGene } = require('../lib/rescrape-queue');
+const { findCorruptedFiles, quarantineCorruptedFiles, removeStalePlaceholders } = require('../cleanup-corrupted');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+describe('content sniffer', () => {
+  it('tells alignments, conversions and bookkeeping files apart', () => {
+    assert.deepStrictEqual(classifyFile('MtNFP.txt'), { kind: 'alignment', stem: 'MtNFP' });
+    assert.deepStrictEqual(classifyFile('MtNFP.fasta'), { kind: 'alignment', stem: 'MtNFP' });
+    assert.deepStrictEqual(classifyFile('MtNFP.strict.phy'), { kind: 'phylip-strict', stem: 'MtNFP' });
+    assert.deepStrictEqual(classifyFile('MtNFP_FAILED.txt'), { kind: null, stem: 'MtNFP' });
+    assert.strictEqual(classifyFile('index.json').kind, null);
+  });
+
+  it('rejects images, binary junk, bad encodings and error pages', () => {
+    const cases = [
+      [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]), 'binary'],
+      [Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'binary'],
+      [Buffer.from('GIF89a'), 'binary'],
+      [Buffer.from('>a\nMK\0LV\n'), 'binary'],
+      [Buffer.from([0x3e, 0x61, 0x0a, 0xc3, 0x28]), 'binary'],
+      [Buffer.from('<!DOCTYPE html><title>502</title>'), 'html'],
+      [Buffer.from('Service temporarily unavailable'), 'no-records']
+    ];
+    for (const [data, reason] of cases) {
+      assert.strictEqual(sniffContent('alignment', data).reason, reason, data.toString());
+    }
+    assert.strictEqual(sniffContent('alignment', Buffer.from(FIXTURE)).validation.records.length, 4);
+  });
+
+  it('checks the header of converted formats', () => {
+    assert.ok(sniffContent('nexus', Buffer.from('#NEXUS\nBEGIN DATA;\n')).valid);
+    assert.ok(sniffContent('phylip', Buffer.from(' 4 661\nA  MK\n')).valid);
+    assert.strictEqual(sniffContent('clustal', Buffer.from('>a\nMK\n')).reason, 'wrong-format');
+    assert.strictEqual(sniffContent('stockholm', Buffer.from('<html><body>x</body></html>')).reason, 'html');
+  });
+});
+
+describe('rescrape queue', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-queue-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('keeps one entry per gene and drops it once dequeued', async () => {
+    const queuePath = path.join(dir, 'rescrape-queue.json');
+    const gene = { name: 'MtNFP', id: 'Medtr5g019040' };
+    await queueGenes(queuePath, [{ gene, reason: 'html', file: 'MtNFP.txt' }]);
+    await queueGenes(queuePath, [{ gene, reason: 'binary', file: 'MtNFP.txt' }, { gene: { name: 'LYK1', id: 'Medtr5g086540' }, reason: 'empty' }]);
+
+    const queue = await loadRescrapeQueue(queuePath);
+    assert.deepStrictEqual(queue.map(entry => [entry.gene.name, entry.reason]), [['MtNFP', 'binary'], ['LYK1', 'empty']]);
+    assert.strictEqual(await dequeueGene(queuePath, gene), true);
+    assert.strictEqual(await dequeueGene(queuePath, gene), false);
+    assert.strictEqual((await loadRescrapeQueue(queuePath)).length, 1);
+  });
+});
+
+describe('cleanup', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-cleanup-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const write = (name, data) => fs.writeFileSync(path.join(dir, name), data);
+
+  it('quarantines bad files, queues their genes and drops stale placeholders', async () => {
+    write('MtGood.txt', FIXTURE);
+    write('MtGood_FAILED.txt', 'FAILED TO RETRIEVE MSA DATA');
+    write('CLE16 _.txt', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    write('MtNFP.aln', '<html><body>Error</body></html>');
+    write('Stray.txt', '');
+    write('MtMissing_FAILED.txt', 'FAILED TO RETRIEVE MSA DATA');
+    write('index.json', JSON.stringify({
+      version: 1,
+      entries: { 'Medtr5g019040|MtNFP': { name: 'MtNFP', id: 'Medtr5g019040', status: 'ok', file: 'MtNFP.txt' } }
+    }));
+
+    const genes = [{ name: 'CLE16 *', id: 'Medtr5g043830' }, { name: 'MtGood', id: 'Medtr1g000010' }];
+    const { corruptedFiles, validFiles, stalePlaceholders } = await findCorruptedFiles(dir, { genes });
+    assert.deepStrictEqual(validFiles, ['MtGood.txt']);
+    assert.deepStrictEqual(corruptedFiles.map(entry => [entry.file, entry.reason, entry.gene && entry.gene.id]), [
+      ['CLE16 _.txt', 'binary', 'Medtr5g043830'],
+      ['MtNFP.aln', 'html', 'Medtr5g019040'],
+      ['Stray.txt', 'empty', null]
+    ]);
+    assert.deepStrictEqual(stalePlaceholders, ['MtGood_FAILED.txt']);
+
+    // An earlier quarantine of the same name is kept
+    fs.mkdirSync(path.join(dir, 'quarantine'));
+    write(path.join('quarantine', 'Stray.txt'), 'older');
+    const { quarantined, queued } = await quarantineCorruptedFiles(corruptedFiles, dir);
+    await removeStalePlaceholders(stalePlaceholders, dir);
+
+    assert.strictEqual(quarantined.length, 3);
+    assert.strictEqual(queued, 2);
+    assert.deepStrictEqual(fs.readdirSync(dir).filter(file => file.endsWith('.txt')).sort(), ['MtGood.txt', 'MtMissing_FAILED.txt']);
+    const log = JSON.parse(fs.readFileSync(path.join(dir, 'quarantine', 'quarantine.json'), 'utf-8'));
+    assert.deepStrictEqual(log.map(entry => entry.quarantinedAs), ['CLE16 _.txt', 'MtNFP.aln', 'Stray.2.txt']);
+    assert.strictEqual(log[0].reason, 'binary');
+
+    const queue = await loadRescrapeQueue(path.join(dir, 'rescrape-queue.json'));
+    assert.deepStrictEqual(queue.map(entry => entry.gene.name), ['CLE16 *', 'MtNFP']);
+  });
+});
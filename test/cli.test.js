@@ -0,0 +1,107 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { run } = require('../cli');
+const { writeFakeSite, fakeBrowser } = require('./helpers/fake-site');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+function cli(args, env = {}) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    encoding: 'utf-8',
+    env: { ...process.env, ...env },
+    timeout: 30000
+  });
+}
+
+describe('cli', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-cli-'));
+  after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  it('lists the subcommands', () => {
+    const result = cli(['--help']);
+    assert.strictEqual(result.status, 0);
+    for (const command of ['scrape', 'retry', 'check', 'index', 'validate', 'summary', 'cleanup', 'convert', 'compare']) {
+      assert.match(result.stdout, new RegExp(`^  ${command} `, 'm'));
+    }
+  });
+
+  it('documents the environment variable behind each option', () => {
+    const result = cli(['scrape', '--help']);
+    assert.match(result.stdout, /--concurrency <value>/);
+    assert.match(result.stdout, /env: SCRAPER_CONCURRENCY/);
+  });
+
+  it('fails on unknown commands and options', () => {
+    assert.strictEqual(cli(['scrap']).status, 1);
+    const result = cli(['validate', '--bogus']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Unknown option '--bogus'/);
+  });
+
+  it('validates the directory given by the environment', () => {
+    fs.writeFileSync(path.join(outputDir, 'MtA.txt'), FIXTURE);
+    assert.strictEqual(cli(['validate'], { SCRAPER_OUTPUT_DIR: outputDir }).status, 0);
+
+    fs.writeFileSync(path.join(outputDir, 'MtB.txt'), '<html><body>Error</body></html>');
+    assert.strictEqual(cli(['validate', '--output', outputDir]).status, 1);
+  });
+
+  it('fails the input check when rows would be skipped', () => {
+    const input = path.join(outputDir, 'genes.csv');
+    fs.writeFileSync(input, 'name,id\nMtNFP,Medtr5g019040\n');
+    assert.strictEqual(cli(['check', '-i', input]).status, 0);
+
+    fs.appendFileSync(input, 'LYK1,Medtr5g086540+B4:B28\n');
+    const result = cli(['check', '-i', input]);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /row 3: invalid-id/);
+  });
+
+  it('indexes saved alignments and looks them up by ID', () => {
+    const input = path.join(outputDir, 'indexed.csv');
+    fs.writeFileSync(input, 'name,id\nMtA,Medtr1g000010\nMtC,Medtr1g000030\n');
+    const result = cli(['index', '-i', input, '-o', outputDir]);
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /Indexed 1 genes .* \(1 adopted/);
+
+    const lookup = cli(['index', '--id', 'Medtr1g000010', '-o', outputDir]);
+    assert.strictEqual(lookup.status, 0);
+    assert.strictEqual(lookup.stdout.trim(), `MtA\tok\t${path.join(outputDir, 'MtA.txt')}`);
+    assert.strictEqual(cli(['index', '--id', 'Medtr1g000030', '-o', outputDir]).status, 1);
+  });
+
+  it('requires a format for convert', () => {
+    const result = cli(['convert', '-o', outputDir]);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /No formats given/);
+  });
+
+  it('exits non-zero when the browser fails mid-run', async () => {
+    const input = path.join(outputDir, 'crash.csv');
+    fs.writeFileSync(input, 'name,id\nMtA,Medtr1g000010\n');
+    const site = writeFakeSite(outputDir, { name: 'crash-browser', clipboard: () => null });
+    const browser = fakeBrowser();
+    browser.defaultBrowserContext = () => ({
+      async newPage() {
+        throw new Error('Protocol error: Target closed');
+      }
+    });
+    const launch = puppeteer.launch;
+    puppeteer.launch = async () => browser;
+    try {
+      await run(['scrape', '--force', '-i', input, '-o', path.join(outputDir, 'crash'), '--site', site]);
+      assert.strictEqual(process.exitCode, 1);
+      assert.ok(browser.closed);
+    } finally {
+      puppeteer.launch = launch;
+      process.exitCode = 0;
+      require('../scraper-enhanced').configure();
+    }
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULTS, envName, loadConfig } = require('../lib/config');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-config-'));
+
+function writeFile(name, text) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+}
+
+describe('loadConfig', () => {
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('uses the defaults when nothing is configured', () => {
+    const config = loadConfig({ env: {}, cwd: dir });
+    assert.strictEqual(config.outputDir, DEFAULTS.outputDir);
+    assert.strictEqual(config.concurrency, 1);
+    assert.strictEqual(config.configFile, null);
+    assert.strictEqual(config.runStatePath, path.join('output', 'run-state.json'));
+  });
+
+  it('layers config file, environment and overrides in that order', () => {
+    const file = writeFile('layers.yaml', 'outputDir: ./from-file\ndelayBetweenSearches: 500\nformats:\n  - clustal\n  - nexus\n');
+    const config = loadConfig({
+      configPath: file,
+      env: { SCRAPER_DELAY_BETWEEN_SEARCHES: '750', SCRAPER_HEADLESS: 'yes' },
+      overrides: { outputDir: './from-cli', concurrency: '3' }
+    });
+
+    assert.strictEqual(config.outputDir, './from-cli');
+    assert.strictEqual(config.delayBetweenSearches, 750);
+    assert.strictEqual(config.headless, true);
+    assert.strictEqual(config.concurrency, 3);
+    assert.deepStrictEqual(config.formats, ['clustal', 'nexus']);
+    assert.strictEqual(config.failedGenesPath, path.join('./from-cli', 'failed', 'failed_genes.json'));
+    assert.strictEqual(config.sources.delayBetweenSearches, '$SCRAPER_DELAY_BETWEEN_SEARCHES');
+  });
+
+  it('finds scraper.config.json in the working directory', () => {
+    writeFile('scraper.config.json', JSON.stringify({ inputCsv: 'genes.tsv', maxRetries: 5 }));
+    const config = loadConfig({ env: {}, cwd: dir });
+    assert.strictEqual(config.inputCsv, 'genes.tsv');
+    assert.strictEqual(config.maxRetries, 5);
+    assert.strictEqual(config.configFile, path.join(dir, 'scraper.config.json'));
+  });
+
+  it('splits comma-separated lists from the environment', () => {
+    const config = loadConfig({ env: { SCRAPER_FORMATS: 'phylip, stockholm' }, cwd: os.tmpdir() });
+    assert.deepStrictEqual(config.formats, ['phylip', 'stockholm']);
+  });
+
+  it('rejects unknown settings and bad values', () => {
+    const unknown = writeFile('unknown.json', JSON.stringify({ outDir: './x' }));
+    assert.throws(() => loadConfig({ configPath: unknown, env: {} }), /Unknown setting "outDir"/);
+    assert.throws(() => loadConfig({ env: { SCRAPER_MAX_RETRIES: 'three' }, cwd: os.tmpdir() }), /maxRetries from \$SCRAPER_MAX_RETRIES/);
+    assert.throws(() => loadConfig({ env: {}, cwd: os.tmpdir(), overrides: { concurrency: 0 } }), /concurrency must be at least 1/);
+    assert.throws(() => loadConfig({ env: {}, cwd: os.tmpdir(), overrides: { headerPatterns: '(?<gene>g\\d+' } }), /headerPatterns entry/);
+  });
+
+  it('names environment variables after the setting', () => {
+    assert.strictEqual(envName('inputCsv'), 'SCRAPER_INPUT_CSV');
+    assert.strictEqual(envName('baseUrl'), 'SCRAPER_BASE_URL');
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { shannonEntropy, analyzeConservation, formatConservationTsv, consensusRecords } = require('../lib/conservation');
+const { analyzeDirectory } = require('../analyze-conservation');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+describe('conservation', () => {
+  const records = [
+    { header: 'a', sequence: 'MKLVAAG-' },
+    { header: 'b', sequence: 'MKLVAAC-' },
+    { header: 'c', sequence: 'MKLIAAD-' },
+    { header: 'd', sequence: 'mkLI-AE-' }
+  ];
+
+  it('computes Shannon entropy in bits', () => {
+    assert.strictEqual(shannonEntropy(new Map([['A', 4]])), 0);
+    assert.strictEqual(shannonEntropy(new Map([['A', 2], ['C', 2]])), 1);
+    assert.strictEqual(shannonEntropy(new Map([['A', 1], ['C', 1], ['D', 1], ['E', 1]])), 2);
+  });
+
+  it('builds a majority-rule consensus with per-column entropy and identity', () => {
+    const { consensus, columns } = analyzeConservation(records);
+    // Column 4 is a 2:2 tie, column 7 has no majority, column 8 is all gaps
+    assert.strictEqual(consensus, 'MKLXAAX-');
+    assert.deepStrictEqual(columns[0], { column: 1, consensus: 'M', residues: 4, gapPercent: 0, entropy: 0, identity: 100 });
+    assert.deepStrictEqual(columns[3], { column: 4, consensus: 'X', residues: 4, gapPercent: 0, entropy: 1, identity: 50 });
+    assert.deepStrictEqual(columns[4], { column: 5, consensus: 'A', residues: 3, gapPercent: 25, entropy: 0, identity: 75 });
+    assert.strictEqual(columns[7].consensus, '-');
+
+    assert.strictEqual(analyzeConservation(records, { threshold: 0.8 }).consensus, 'MKLXXAX-');
+    assert.strictEqual(analyzeConservation([{ header: 'n', sequence: 'AC' }, { header: 'm', sequence: 'AG' }], { alphabet: 'nucleotide' }).consensus, 'AN');
+  });
+
+  it('finds runs of highly conserved columns', () => {
+    const analysis = analyzeConservation(records, { minIdentity: 75, minLength: 3 });
+    assert.deepStrictEqual(analysis.regions, [{ start: 1, end: 3, length: 3, meanIdentity: 100 }]);
+    assert.deepStrictEqual(analyzeConservation(records, { minIdentity: 50, minLength: 3 }).regions, [
+      { start: 1, end: 6, length: 6, meanIdentity: 87.5 }
+    ]);
+
+    const tsv = formatConservationTsv(analysis).split('\n');
+    assert.strictEqual(tsv[0], 'column\tconsensus\tresidues\tgap_percent\tentropy\tidentity_percent\tconserved_region');
+    assert.strictEqual(tsv[1], '1\tM\t4\t0\t0\t100\t1');
+    assert.strictEqual(tsv[4], '4\tX\t4\t0\t1\t50\t');
+
+    assert.deepStrictEqual(consensusRecords('MtNFP', analysis), [
+      { header: 'MtNFP_consensus threshold=0.5', sequence: 'MKLXAAX-' },
+      { header: 'MtNFP_region_1 columns=1-3 identity=100', sequence: 'MKL' }
+    ]);
+  });
+});
+
+describe('analyzeDirectory', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-conservation-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  fs.writeFileSync(path.join(dir, 'CLE16 _.txt'), FIXTURE);
+  fs.writeFileSync(path.join(dir, 'LYK1.txt'), FIXTURE);
+  fs.writeFileSync(path.join(dir, 'Broken.txt'), '');
+  const genes = [{ name: 'CLE16 *', id: 'Medtr5g043830' }];
+
+  it('writes a consensus FASTA and per-column TSV for every alignment', async () => {
+    const { results, skipped } = await analyzeDirectory(dir, { genes });
+    assert.deepStrictEqual(results.map(result => [result.gene, result.id]), [['CLE16 *', 'Medtr5g043830'], ['LYK1', '']]);
+    assert.deepStrictEqual(skipped.map(entry => entry.file), ['Broken.txt']);
+
+    const conservationDir = path.join(dir, 'conservation');
+    const fasta = fs.readFileSync(path.join(conservationDir, 'CLE16 _.consensus.fasta'), 'utf-8');
+    assert.match(fasta, /^>CLE16_consensus threshold=0\.5\n[A-Z-]+\n/);
+    const tsv = fs.readFileSync(path.join(conservationDir, 'LYK1.conservation.tsv'), 'utf-8').trim().split('\n');
+    assert.strictEqual(tsv.length, results[1].columns + 1);
+    assert.match(fs.readFileSync(path.join(conservationDir, 'summary.tsv'), 'utf-8'), /^gene\tid\tfile\t.*\nCLE16 \*\tMedtr5g043830\tCLE16 _\.txt\t4\t/);
+  });
+
+  it('analyses a single gene by name or ID', async () => {
+    const { results } = await analyzeDirectory(dir, { genes, gene: 'medtr5g043830', conservationDir: path.join(dir, 'one') });
+    assert.deepStrictEqual(results.map(result => result.file), ['CLE16 _.txt']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'one')).sort(), ['CLE16 _.consensus.fasta', 'CLE16 _.conservation.tsv']);
+    await assert.rejects(analyzeDirectory(dir, { genes, gene: 'MtMissing' }), /No saved alignment for MtMissing/);
+  });
+});
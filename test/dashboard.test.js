@@ -0,0 +1,146 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createDashboardState, startDashboard, isLocalRequest } = require('../lib/dashboard');
+const { createRunControl } = require('../lib/run-control');
+const { createProgressTracker } = require('../lib/progress');
+const { createMemoryWriter } = require('../lib/output-writer');
+const scraper = require('../scraper-enhanced');
+const { writeFakeSite, fakeBrowser } = require('./helpers/fake-site');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-dashboard-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const ok = { name: 'MtOK1', id: 'Medtr1g017910' };
+const bad = { name: 'MtBad', id: 'Medtr1g099999' };
+const entry = (event, fields = {}) => ({ time: new Date().toISOString(), runId: 'run-1', event, ...fields });
+
+function request(port, method, urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('dashboard state', () => {
+  it('follows the genes in flight, failures and saved files', () => {
+    const progress = createProgressTracker(3);
+    const control = createRunControl();
+    const state = createDashboardState({ progress, control, outputDir: path.join(dir, 'output') });
+    state.apply(entry('gene.start', { gene: ok, worker: 1 }));
+    state.apply(entry('gene.start', { gene: bad, worker: 2 }));
+    state.apply(entry('attempt', { gene: ok, attempt: 1 }));
+    state.apply(entry('gene.saved', { gene: ok, source: 'clipboard', path: path.join(dir, 'output', 'MtOK1.txt') }));
+    state.apply(entry('gene.end', { gene: ok, success: true }));
+    progress.record(true);
+    state.apply(entry('retry', { gene: bad, attempt: 1, failure: { type: 'invalid-data' } }));
+    control.pause();
+
+    const snapshot = state.snapshot();
+    assert.strictEqual(snapshot.state, 'paused');
+    assert.deepStrictEqual(snapshot.counts, { succeeded: 1, failed: 0, skipped: 0, running: 1, pending: 1, retries: 1 });
+    assert.deepStrictEqual(snapshot.current.map(gene => [gene.gene.id, gene.retrying, gene.lastFailure]), [[bad.id, true, 'invalid-data']]);
+    assert.strictEqual(snapshot.saved[0].link, '/files/MtOK1.txt');
+
+    state.apply(entry('gene.failed', { gene: bad, attempt: 3, failure: { type: 'invalid-data', reason: 'truncated', message: 'Cut off' } }));
+    assert.deepStrictEqual(state.snapshot().failures.map(failure => [failure.gene.id, failure.reason]), [[bad.id, 'truncated']]);
+  });
+
+  it('only answers requests addressed to localhost', () => {
+    assert.strictEqual(isLocalRequest({ host: '127.0.0.1:8377' }, 8377), true);
+    assert.strictEqual(isLocalRequest({ host: 'localhost:8377', origin: 'http://localhost:8377' }, 8377), true);
+    assert.strictEqual(isLocalRequest({ host: 'evil.test:8377' }, 8377), false);
+    assert.strictEqual(isLocalRequest({ host: '127.0.0.1:8377', origin: 'http://evil.test' }, 8377), false);
+  });
+});
+
+describe('dashboard server', () => {
+  const outputDir = path.join(dir, 'served');
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, 'MtOK1.txt'), '>a\nMK\n');
+  fs.writeFileSync(path.join(dir, 'secret.txt'), 'not served');
+
+  it('streams the state and takes pause, resume and skip', async () => {
+    const control = createRunControl();
+    const state = createDashboardState({ progress: createProgressTracker(2), control, outputDir });
+    state.apply(entry('gene.start', { gene: ok, worker: 1 }));
+    const dashboard = await startDashboard({ port: 0, state, control, outputDir });
+    try {
+      const { port } = dashboard;
+      assert.match((await request(port, 'GET', '/')).body, /EventSource\('\/events'\)/);
+      assert.strictEqual(JSON.parse((await request(port, 'GET', '/state')).body).state, 'running');
+
+      const paused = JSON.parse((await request(port, 'POST', '/pause')).body);
+      assert.strictEqual(paused.state.state, 'paused');
+      assert.strictEqual(control.paused, true);
+      await request(port, 'POST', '/resume');
+      assert.strictEqual(control.paused, false);
+
+      assert.deepStrictEqual(JSON.parse((await request(port, 'POST', `/skip?gene=${bad.id}`)).body).skipped, []);
+      assert.deepStrictEqual(JSON.parse((await request(port, 'POST', '/skip')).body).skipped, [ok.id]);
+      assert.strictEqual(control.isSkipped(ok), true);
+
+      assert.strictEqual((await request(port, 'GET', '/files/MtOK1.txt')).body, '>a\nMK\n');
+      assert.strictEqual((await request(port, 'GET', '/files/..%2Fsecret.txt')).status, 404);
+      assert.strictEqual((await request(port, 'POST', '/pause', { Origin: 'http://evil.test' })).status, 403);
+      assert.strictEqual(control.paused, false);
+
+      const first = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: '/events' }, res => {
+          let body = '';
+          res.on('data', chunk => {
+            body += chunk;
+            if (body.includes('\n\nevent: state')) {
+              res.destroy();
+              resolve(body);
+            }
+          });
+        }).on('error', reject);
+      });
+      assert.match(first, /^retry: 2000\n\nevent: state\ndata: \{"runId":"run-1"/);
+    } finally {
+      await dashboard.close();
+    }
+  });
+});
+
+describe('skipping a gene', () => {
+  // A site whose alignment is always cut off, so every attempt fails
+  const adapterPath = writeFakeSite(dir, { name: 'cut-browser', clipboard: id => `>${id}\nMKLV\n>cut` });
+
+  after(() => scraper.configure());
+
+  it('ends its retry wait and does not record it as failed', async () => {
+    const browser = fakeBrowser();
+    const writer = createMemoryWriter();
+    // Without the skip the retry would wait a minute
+    scraper.configure({
+      overrides: { site: adapterPath, outputDir: path.join(dir, 'output'), maxRetries: 3, retryBaseDelay: 60000, delayBetweenSearches: 0, dashboard: true, dashboardPort: 0 },
+      writer
+    });
+
+    const started = Date.now();
+    const { results, report } = await scraper.scrapeGenes([bad], {
+      persist: false,
+      browser,
+      onEvent: logged => {
+        if (logged.event === 'retry') scraper.getRunControl().skip(bad);
+      }
+    });
+    assert.ok(Date.now() - started < 10000);
+    assert.deepStrictEqual([results[0].skipped, results[0].failure.type, results[0].attempts.length], [true, 'skipped', 1]);
+    assert.strictEqual(writer.failures.size, 0);
+    assert.strictEqual(report.totals.skippedDuringRun, 1);
+    assert.strictEqual(report.genes[0].outcome, 'skipped');
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  FAILURE_TYPES,
+  classifyError,
+  classifyInvalidData,
+  maxAttemptsFor,
+  retryDelay
+} = require('../lib/failures');
+const { validateMSA } = require('../lib/msa-parser');
+const scraper = require('../scraper-enhanced');
+
+describe('failure classification', () => {
+  it('classifies exceptions', () => {
+    const timeout = new Error('Navigation timeout of 30000 ms exceeded');
+    timeout.name = 'TimeoutError';
+    assert.strictEqual(classifyError(timeout).type, 'timeout');
+    assert.strictEqual(classifyError(new Error('net::ERR_CONNECTION_RESET at https://x')).type, 'navigation');
+    assert.deepStrictEqual(classifyError(new Error('boom')), { type: 'error', message: 'boom' });
+  });
+
+  it('separates binary payloads from other invalid data', () => {
+    assert.strictEqual(classifyInvalidData(validateMSA(Buffer.from([0x89, 0x50, 0x4e, 0x47]))).type, 'binary-payload');
+    const html = classifyInvalidData(validateMSA('<html><body>Error</body></html>'));
+    assert.deepStrictEqual([html.type, html.reason], ['invalid-data', 'html']);
+  });
+});
+
+describe('retry policies', () => {
+  it('caps attempts per failure type below maxRetries', () => {
+    assert.strictEqual(maxAttemptsFor(FAILURE_TYPES.TIMEOUT, 3), 3);
+    assert.strictEqual(maxAttemptsFor(FAILURE_TYPES.NO_AUTOCOMPLETE_MATCH, 5), 2);
+    assert.strictEqual(maxAttemptsFor(FAILURE_TYPES.NO_AUTOCOMPLETE_MATCH, 1), 1);
+    assert.strictEqual(maxAttemptsFor('unheard-of', 4), 4);
+  });
+
+  it('backs off exponentially up to the maximum delay', () => {
+    const delays = { baseDelayMs: 1000, maxDelayMs: 10000 };
+    assert.deepStrictEqual(
+      [1, 2, 3].map(attempt => retryDelay(FAILURE_TYPES.EMPTY_CLIPBOARD, attempt, delays)),
+      [1000, 2000, 4000]
+    );
+    assert.deepStrictEqual(
+      [1, 2, 3].map(attempt => retryDelay(FAILURE_TYPES.NAVIGATION, attempt, delays)),
+      [4000, 8000, 10000]
+    );
+  });
+});
+
+describe('searchAndExportGene retries', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-failures-'));
+  const fresh = { name: 'MtFresh', id: 'Medtr1g000050' };
+  before(async () => {
+    scraper.configure({ overrides: { outputDir, retryBaseDelay: 1 } });
+    await scraper.ensureDirectories();
+  });
+  after(() => {
+    scraper.configure();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('retries by failure type and records the final failure', async () => {
+    let visits = 0;
+    const page = {
+      on() {},
+      off() {},
+      async goto() {
+        visits++;
+        const error = new Error('Navigation timeout of 30000 ms exceeded');
+        error.name = 'TimeoutError';
+        throw error;
+      }
+    };
+
+    assert.strictEqual(await scraper.searchAndExportGene(page, fresh), false);
+    assert.strictEqual(visits, 3);
+    assert.match(fs.readFileSync(scraper.getFailedFilePath(fresh), 'utf-8'), /Failure: timeout - Navigation timeout/);
+
+    const failed = JSON.parse(fs.readFileSync(path.join(scraper.getConfig().failedDir, 'failed_genes.json'), 'utf-8'));
+    const entry = failed.find(record => record.gene.id === fresh.id);
+    assert.strictEqual(entry.type, 'timeout');
+    assert.strictEqual(entry.attempts, 3);
+  });
+});
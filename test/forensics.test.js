@@ -0,0 +1,143 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { recordConsole, formatConsoleLog, saveForensics } = require('../lib/forensics');
+const scraper = require('../scraper-enhanced');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-forensics-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const consoleMessage = (type, text) => ({ type: () => type, text: () => text });
+
+// A page that can be screenshotted and serialized like a Puppeteer page
+function fakePage() {
+  return Object.assign(new EventEmitter(), {
+    url: () => 'http://clip.test/browser#Medtr1g017910',
+    async screenshot({ path: filePath }) {
+      fs.writeFileSync(filePath, 'PNG');
+    },
+    async content() {
+      return '<html><body>Gene Medtr1g017910</body></html>';
+    }
+  });
+}
+
+// A site whose MSA button copies whatever `clipboard.text` holds and whose
+// page logs an error when the search is submitted
+const ADAPTER_SOURCE = `
+const { defineSiteAdapter } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'sites', 'define'))});
+const clipboard = { text: null };
+module.exports = defineSiteAdapter({
+  name: 'clip-browser',
+  baseUrl: 'http://clip.test/browser',
+  clipboard,
+  search: {
+    async open() {},
+    async enterQuery() {},
+    async readSuggestions() { return ['Medtr1g017910']; },
+    async pickSuggestion() {},
+    async submit(page) { page.emit('console', { type: () => 'error', text: () => 'Uncaught TypeError: msa is undefined' }); }
+  },
+  export: {
+    async openMenu() { return true; },
+    async clickAlignment() { return true; },
+    async readClipboard() { return clipboard.text; },
+    async readPage() { return null; }
+  },
+  async readPageText() { return 'Gene Medtr1g017910'; }
+});
+`;
+
+describe('console recorder', () => {
+  it('records every console level, page errors and failed requests until stopped', () => {
+    const page = new EventEmitter();
+    const recorder = recordConsole(page);
+    page.emit('console', consoleMessage('log', 'loaded'));
+    page.emit('console', consoleMessage('error', 'msa is undefined'));
+    page.emit('pageerror', new Error('boom'));
+    page.emit('requestfailed', { method: () => 'GET', url: () => 'http://x.test/a.aln', failure: () => ({ errorText: 'net::ERR_ABORTED' }) });
+    recorder.stop();
+    page.emit('console', consoleMessage('log', 'too late'));
+
+    assert.deepStrictEqual(recorder.entries.map(entry => [entry.type, entry.text]), [
+      ['log', 'loaded'],
+      ['error', 'msa is undefined'],
+      ['pageerror', 'boom'],
+      ['requestfailed', 'GET http://x.test/a.aln (net::ERR_ABORTED)']
+    ]);
+    assert.match(formatConsoleLog(recorder.entries), /^\S+ \[log\] loaded\n/);
+    assert.strictEqual(page.listenerCount('console'), 0);
+  });
+});
+
+describe('saveForensics', () => {
+  const gene = { name: 'MtOK1', id: 'Medtr1g017910' };
+  const failure = { type: 'binary-payload', message: 'Payload is a PNG file' };
+
+  it('writes the screenshot, DOM, console log, payload and failure', async () => {
+    const target = path.join(dir, 'saved', 'attempt-1');
+    const page = fakePage();
+    const evidence = { console: recordConsole(page), payload: '\x89PNG', source: 'clipboard' };
+    page.emit('console', consoleMessage('warning', 'slow'));
+
+    const { files, errors } = await saveForensics(target, { page, gene, attempt: 1, failure, evidence });
+    assert.deepStrictEqual(files, ['screenshot.png', 'dom.html', 'console.log', 'payload.txt', 'failure.json']);
+    assert.deepStrictEqual(errors, []);
+    assert.match(fs.readFileSync(path.join(target, 'dom.html'), 'utf-8'), /Gene Medtr1g017910/);
+    assert.match(fs.readFileSync(path.join(target, 'console.log'), 'utf-8'), /\[warning\] slow/);
+    const saved = JSON.parse(fs.readFileSync(path.join(target, 'failure.json'), 'utf-8'));
+    assert.deepStrictEqual([saved.failure, saved.url, saved.payloadSource], [failure, page.url(), 'clipboard']);
+  });
+
+  it('keeps going when the page can no longer be captured', async () => {
+    const target = path.join(dir, 'crashed', 'attempt-2');
+    const page = Object.assign(fakePage(), {
+      async screenshot() {
+        throw new Error('Target closed');
+      }
+    });
+    const { files, errors } = await saveForensics(target, { page, gene, attempt: 2, failure, evidence: { payload: 'x' } });
+    assert.deepStrictEqual(files, ['dom.html', 'payload.txt', 'failure.json']);
+    assert.deepStrictEqual(errors, ['screenshot.png: Target closed']);
+  });
+});
+
+describe('failed attempts while scraping', () => {
+  const gene = { name: 'MtOK1', id: 'Medtr1g017910' };
+  const adapterPath = path.join(dir, 'clip-browser.js');
+  fs.writeFileSync(adapterPath, ADAPTER_SOURCE);
+  const outputDir = path.join(dir, 'output');
+
+  after(() => scraper.configure());
+
+  it('keeps the evidence of each failed attempt and lists it in failed_genes.json', async () => {
+    const config = scraper.configure({ overrides: { site: adapterPath, outputDir, maxRetries: 2, retryBaseDelay: 0 } });
+    await scraper.ensureDirectories();
+    const png = '\x89PNG\r\n\x1a\n\x00\x00\x00\rIHDR';
+    scraper.getSite().clipboard.text = png;
+    assert.strictEqual(await scraper.searchAndExportGene(fakePage(), gene), false);
+
+    const geneDir = path.join(config.failedDir, 'MtOK1');
+    assert.deepStrictEqual(fs.readdirSync(geneDir), ['attempt-1', 'attempt-2']);
+    const attemptDir = path.join(geneDir, 'attempt-2');
+    assert.deepStrictEqual(fs.readdirSync(attemptDir).sort(), ['console.log', 'dom.html', 'failure.json', 'network.har.json', 'payload.txt', 'screenshot.png']);
+    assert.strictEqual(fs.readFileSync(path.join(attemptDir, 'payload.txt'), 'utf-8'), png);
+    assert.match(fs.readFileSync(path.join(attemptDir, 'console.log'), 'utf-8'), /\[error\] Uncaught TypeError: msa is undefined/);
+
+    const [entry] = JSON.parse(fs.readFileSync(config.failedGenesPath, 'utf-8'));
+    assert.strictEqual(entry.type, 'binary-payload');
+    assert.deepStrictEqual(entry.forensics, [path.join(geneDir, 'attempt-1'), attemptDir]);
+    assert.match(fs.readFileSync(scraper.getFailedFilePath(gene), 'utf-8'), /Evidence: .*attempt-2/);
+  });
+
+  it('drops the evidence once the gene is saved', async () => {
+    scraper.getSite().clipboard.text = FIXTURE;
+    assert.strictEqual(await scraper.searchAndExportGene(fakePage(), gene), true);
+    await scraper.clearFailedGene(gene);
+    assert.ok(!fs.existsSync(path.join(outputDir, 'failed', 'MtOK1')));
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadGeneList } = require('../lib/gene-list');
+const { DEFAULTS } = require('../lib/config');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-genes-'));
+
+function writeFile(name, text) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+}
+
+describe('loadGeneList', () => {
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('reads the headerless layout of genes.csv, line breaks inside cells included', async () => {
+    const file = writeFile('genes.csv', '"\nTauD\n","\nMedtr0021s0370\n"\n"\nCLE16 *\n","\nMedtr5g043830\n"\n');
+    const list = await loadGeneList(file);
+    assert.strictEqual(list.hasHeader, false);
+    assert.deepStrictEqual(list.genes, [
+      { name: 'TauD', id: 'Medtr0021s0370' },
+      { name: 'CLE16 *', id: 'Medtr5g043830' }
+    ]);
+  });
+
+  it('finds named columns in a TSV header', async () => {
+    const file = writeFile('genes.tsv', 'notes\tLocus\tGene Name\nx\tMedtr5g019040\tMtNFP\n');
+    const list = await loadGeneList(file);
+    assert.strictEqual(list.delimiter, 'tab');
+    assert.deepStrictEqual(list.columns, { name: 3, id: 2 });
+    assert.deepStrictEqual(list.genes, [{ name: 'MtNFP', id: 'Medtr5g019040' }]);
+
+    const custom = writeFile('custom.csv', 'symbol,medicago_v4\nMtNFP,Medtr5g019040\n');
+    const byName = await loadGeneList(custom, { nameColumn: 'symbol', idColumn: 'medicago_v4' });
+    assert.deepStrictEqual(byName.genes, [{ name: 'MtNFP', id: 'Medtr5g019040' }]);
+    await assert.rejects(loadGeneList(custom, { nameColumn: 'symbol', idColumn: 'v5' }), /Column "v5" not found/);
+  });
+
+  it('skips bad rows and reports suspicious ones', async () => {
+    const file = writeFile('messy.csv', [
+      'rmlC-lik,Medtr1g023770',
+      'NA,Medtr1g023770',
+      'NA,Medtr2g008520',
+      'NA,Medtr2g008520',
+      'LYK1,Medtr5g086540+B4:B28',
+      'Orphan,NA',
+      'MtSC4,Medtr1g105120',
+      'MtSC4,Medtr1g105130',
+      'MtNFP,Medtr5g019040',
+      'NFP,Medtr5g019040'
+    ].join('\n'));
+    const list = await loadGeneList(file);
+
+    assert.deepStrictEqual(list.genes.map(gene => gene.name), [
+      'rmlC-lik', 'Medtr2g008520', 'MtSC4', 'MtSC4', 'MtNFP', 'NFP'
+    ]);
+    assert.deepStrictEqual(list.skipped.map(entry => [entry.row, entry.reason]), [
+      [2, 'duplicate'], [4, 'duplicate'], [5, 'invalid-id'], [6, 'missing-id']
+    ]);
+    assert.deepStrictEqual(list.warnings.map(entry => [entry.row, entry.type]), [
+      [3, 'missing-name'], [8, 'duplicate-name'], [10, 'duplicate-id']
+    ]);
+  });
+
+  it('accepts versioned IDs with the default pattern', async () => {
+    const file = writeFile('versioned.csv', 'name,id\nMtNSP2,Medtr5g086660.1\nMtNSP1,Medtr8g020840.1a\n');
+    for (const list of [await loadGeneList(file), await loadGeneList(file, { idPattern: DEFAULTS.idPattern })]) {
+      assert.deepStrictEqual(list.genes, [{ name: 'MtNSP2', id: 'Medtr5g086660.1' }]);
+      assert.deepStrictEqual(list.skipped.map(entry => [entry.row, entry.reason]), [[3, 'invalid-id']]);
+    }
+  });
+
+  it('uses the configured ID pattern', async () => {
+    const file = writeFile('glyma.csv', 'name,id\nGmNFR1,Glyma.02G270800\n');
+    assert.strictEqual((await loadGeneList(file)).skipped[0].reason, 'invalid-id');
+    const list = await loadGeneList(file, { idPattern: '^Glyma\\.\\d+G\\d+$' });
+    assert.deepStrictEqual(list.genes, [{ name: 'GmNFR1', id: 'Glyma.02G270800' }]);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizeGeneId, mentionsGeneId, chooseCandidate, confirmGene } = require('../lib/gene-match');
+
+describe('normalizeGeneId', () => {
+  it('ignores case and version suffixes by default', () => {
+    assert.strictEqual(normalizeGeneId('Medtr5g086660.1'), 'medtr5g086660');
+    assert.strictEqual(normalizeGeneId('Gmax_ZH13.Chr13.g324560.t1'), 'gmax_zh13.chr13.g324560');
+    assert.strictEqual(normalizeGeneId('Medtr5g086660.1', { caseSensitive: true, ignoreVersion: false }), 'Medtr5g086660.1');
+  });
+
+  it('matches whole IDs only', () => {
+    assert.ok(mentionsGeneId('Medtr2g091210.1_Medicago_truncatula_v4', 'Medtr2g091210'));
+    assert.ok(!mentionsGeneId('Medtr2g091215.1_Medicago_truncatula_v4', 'Medtr2g091210'));
+    assert.ok(!mentionsGeneId('medtr1g0100', 'Medtr1g010'));
+    assert.ok(!mentionsGeneId('medtr1g010', 'Medtr1g010', { caseSensitive: true }));
+  });
+});
+
+describe('chooseCandidate', () => {
+  it('picks the exact entry even when a longer ID is listed first', () => {
+    assert.deepStrictEqual(chooseCandidate(['medtr1g0100', 'medtr1g010'], 'Medtr1g010'), { status: 'exact', index: 1, matches: [1] });
+  });
+
+  it('reports missing and ambiguous suggestions', () => {
+    assert.strictEqual(chooseCandidate(['medtr1g0100', 'medtr1g0101'], 'Medtr1g010').status, 'missing');
+    assert.strictEqual(chooseCandidate([], 'Medtr1g010').status, 'missing');
+    assert.strictEqual(chooseCandidate(['medtr1g010.1', 'medtr1g010.2'], 'Medtr1g010').status, 'ambiguous');
+    assert.strictEqual(chooseCandidate(['medtr1g010.1', 'medtr1g010.2'], 'Medtr1g010.2').index, 1);
+  });
+});
+
+describe('confirmGene', () => {
+  const alignment = '>Medtr2g091210.1_Medicago_truncatula_v4\nMK\n>Medtr2g091215.1_Medicago_truncatula_v4\nMK\n';
+
+  it('confirms from the alignment headers first, then the page', () => {
+    assert.deepStrictEqual(confirmGene({ alignment, pageText: '' }, 'Medtr2g091210'), { confirmed: true, evidence: 'headers' });
+    assert.deepStrictEqual(confirmGene({ alignment: '>x\nMK\n', pageText: 'Gene Medtr2g091210' }, 'Medtr2g091210'), { confirmed: true, evidence: 'page' });
+  });
+
+  it('does not confirm a neighbouring gene', () => {
+    assert.strictEqual(confirmGene({ alignment, pageText: 'Loaded Medtr2g091210' }, 'Medtr2g0912').confirmed, false);
+  });
+});
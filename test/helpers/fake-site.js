@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Adapters written by writeFakeSite, by module path. The module on disk hands
+// back the one kept here, so the `site` setting can point at it while the
+// test keeps its hooks as plain functions.
+const adapters = new Map();
+
+/**
+ * Write the adapter module of a made-up site to `dir` and return its path
+ * for the `site` setting. Every step succeeds: a search remembers the gene,
+ * which the autocomplete then offers and the page text names, and the MSA
+ * button copies `clipboard(geneId)` (null: nothing). `open(page, url)` and
+ * `enterQuery(page, gene)` run as part of those steps, e.g. to load pages
+ * from the mock orthobrowser.
+ */
+function writeFakeSite(dir, { name, clipboard, open = async () => {}, enterQuery = async () => {} }) {
+  const adapterPath = path.join(dir, `${name}.js`);
+  let current = null;
+  adapters.set(adapterPath, {
+    name,
+    baseUrl: `http://${name}.test/browser`,
+    search: {
+      open,
+      async enterQuery(page, gene) {
+        current = gene.id;
+        await enterQuery(page, gene);
+      },
+      async readSuggestions() {
+        return [current];
+      },
+      async pickSuggestion() {},
+      async submit() {}
+    },
+    export: {
+      async openMenu() {
+        return true;
+      },
+      async clickAlignment() {
+        return true;
+      },
+      async readClipboard() {
+        return clipboard(current);
+      },
+      async readPage() {
+        return null;
+      }
+    },
+    async readPageText() {
+      return `Gene ${current}`;
+    }
+  });
+  fs.writeFileSync(adapterPath, `module.exports = require(${JSON.stringify(__filename)}).adapterAt(__filename);\n`);
+  return adapterPath;
+}
+
+function adapterAt(adapterPath) {
+  return adapters.get(adapterPath);
+}
+
+// Just enough of a Puppeteer page for preparePage; `fields` add to or replace its methods
+function fakePage(fields = {}) {
+  return Object.assign(new EventEmitter(), {
+    closed: false,
+    url: () => 'http://fake.test/browser',
+    async setUserAgent() {},
+    browserContext: () => ({ async overridePermissions() {} }),
+    async evaluateOnNewDocument() {},
+    async close() {
+      this.closed = true;
+    }
+  }, fields);
+}
+
+// A browser whose default context hands out `page`, or fresh fake pages
+// (incognito contexts too); it records what it opened so tests can check it
+// was all closed again
+function fakeBrowser(page = null) {
+  const browser = {
+    closed: false,
+    pages: [],
+    contexts: [],
+    defaultBrowserContext: () => fakeContext(),
+    async createBrowserContext() {
+      const context = fakeContext();
+      browser.contexts.push(context);
+      return context;
+    },
+    async close() {
+      browser.closed = true;
+    }
+  };
+  function fakeContext() {
+    return {
+      closed: false,
+      async newPage() {
+        const opened = page || fakePage();
+        browser.pages.push(opened);
+        return opened;
+      },
+      async close() {
+        this.closed = true;
+      }
+    };
+  }
+  return browser;
+}
+
+module.exports = { writeFakeSite, adapterAt, fakePage, fakeBrowser };
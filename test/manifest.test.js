@@ -0,0 +1,154 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  fileStem,
+  createManifest,
+  loadManifest,
+  saveManifest,
+  setEntry,
+  findById,
+  planFileStems,
+  describeContent
+} = require('../lib/manifest');
+const scraper = require('../scraper-enhanced');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+describe('fileStem', () => {
+  it('keeps only portable characters', () => {
+    assert.strictEqual(fileStem('CLE16 *'), 'CLE16');
+    assert.strictEqual(fileStem('MtPCY10;MtSC3'), 'MtPCY10_MtSC3');
+    assert.strictEqual(fileStem('rmlC-lik'), 'rmlC-lik');
+    assert.strictEqual(fileStem('Tau D / like'), 'Tau_D_like');
+    assert.strictEqual(fileStem('*'), '');
+  });
+});
+
+describe('planFileStems', () => {
+  const genes = [
+    { name: 'MtSC4', id: 'Medtr1g105120' },
+    { name: 'MtSC4', id: 'Medtr1g105130' },
+    { name: 'mtsc4', id: 'Medtr1g105140' },
+    { name: '*', id: 'Medtr2g008520' }
+  ];
+
+  it('suffixes colliding names with the gene ID', () => {
+    const stems = [...planFileStems(createManifest(), genes).values()];
+    assert.deepStrictEqual(stems, ['MtSC4', 'MtSC4_Medtr1g105130', 'mtsc4_Medtr1g105140', 'Medtr2g008520']);
+  });
+
+  it('keeps the files already in the manifest', () => {
+    const manifest = createManifest();
+    setEntry(manifest, genes[1], { status: 'ok', file: 'MtSC4.txt' });
+    setEntry(manifest, genes[3], { status: 'failed', file: 'Medtr2g008520_FAILED.txt' });
+    const stems = planFileStems(manifest, genes);
+    assert.strictEqual(stems.get('Medtr1g105130|MtSC4'), 'MtSC4');
+    assert.strictEqual(stems.get('Medtr1g105120|MtSC4'), 'MtSC4_Medtr1g105120');
+    assert.strictEqual(stems.get('Medtr2g008520|*'), 'Medtr2g008520');
+  });
+
+  it('adds a counter when the ID suffix is taken too', () => {
+    const manifest = createManifest();
+    setEntry(manifest, { name: 'other', id: 'X' }, { status: 'ok', file: 'MtSC4_Medtr1g105130.txt' });
+    const stems = planFileStems(manifest, genes.slice(0, 2));
+    assert.strictEqual(stems.get('Medtr1g105130|MtSC4'), 'MtSC4_Medtr1g105130_2');
+  });
+});
+
+describe('manifest files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-manifest-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('round-trips the JSON and writes one CSV row per gene', async () => {
+    const manifest = createManifest();
+    setEntry(manifest, { name: 'MtNFP', id: 'Medtr5g019040' }, { status: 'ok', file: 'MtNFP.txt', ...describeContent('>a\nMK\n') });
+    setEntry(manifest, { name: 'NFP, short', id: 'Medtr5g019040' }, { status: 'failed', file: 'NFP_short_FAILED.txt' });
+    const jsonPath = path.join(dir, 'index.json');
+    const csvPath = path.join(dir, 'index.csv');
+    await saveManifest(manifest, jsonPath, csvPath);
+
+    const loaded = await loadManifest(jsonPath);
+    assert.strictEqual(findById(loaded, 'Medtr5g019040').length, 2);
+    assert.strictEqual(loaded.entries['Medtr5g019040|MtNFP'].bytes, 6);
+
+    const csv = fs.readFileSync(csvPath, 'utf-8').trim().split('\n');
+    assert.strictEqual(csv[0], 'id,name,status,file,sha256,bytes,sequences,columns,alphabet,strategy,source_url,saved_at,run_id');
+    assert.strictEqual(csv.length, 3);
+    assert.ok(csv[2].startsWith('Medtr5g019040,"NFP, short",failed,NFP_short_FAILED.txt,'));
+  });
+
+  it('starts fresh when there is no index yet', async () => {
+    assert.deepStrictEqual((await loadManifest(path.join(dir, 'missing.json'))).entries, {});
+  });
+});
+
+describe('scraper output index', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-index-'));
+  after(() => {
+    scraper.configure();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('adopts legacy files, records saves and never overwrites a namesake', async () => {
+    scraper.configure({ overrides: { outputDir: dir } });
+    const legacy = { name: 'CLE16 *', id: 'Medtr5g043830' };
+    const first = { name: 'MtSC4', id: 'Medtr1g105120' };
+    const second = { name: 'MtSC4', id: 'Medtr1g105130' };
+    fs.writeFileSync(path.join(dir, 'CLE16 _.txt'), FIXTURE);
+
+    const counts = await scraper.indexOutput([legacy, first, second]);
+    assert.deepStrictEqual(counts, { entries: 1, adopted: 1, updated: 0, removed: 0 });
+    assert.strictEqual(scraper.getOutputPath(legacy), path.join(dir, 'CLE16 _.txt'));
+    assert.strictEqual(scraper.getOutputPath(second), path.join(dir, 'MtSC4_Medtr1g105130.txt'));
+
+    await scraper.saveAlignment(first, FIXTURE, undefined, { strategy: 'network', sourceUrl: 'https://example.org/msa' });
+    await scraper.saveAlignment(second, FIXTURE.replace('>', '>x'));
+    assert.ok(fs.existsSync(path.join(dir, 'MtSC4.txt')));
+    assert.ok(fs.existsSync(path.join(dir, 'MtSC4_Medtr1g105130.txt')));
+
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf-8'));
+    const entry = findById(index, 'Medtr1g105120')[0];
+    assert.strictEqual(entry.file, 'MtSC4.txt');
+    assert.strictEqual(entry.strategy, 'network');
+    assert.strictEqual(entry.sourceUrl, 'https://example.org/msa');
+    assert.strictEqual(entry.sequences, 4);
+    assert.strictEqual(entry.sha256, describeContent(FIXTURE).sha256);
+
+    // Deleted and edited files are noticed on the next pass
+    fs.unlinkSync(path.join(dir, 'MtSC4.txt'));
+    fs.writeFileSync(path.join(dir, 'CLE16 _.txt'), '<html></html>');
+    const again = await scraper.indexOutput([legacy, first, second]);
+    assert.deepStrictEqual(again, { entries: 2, adopted: 0, updated: 1, removed: 1 });
+    assert.strictEqual(findById(await scraper.getOutputIndex(), 'Medtr5g043830')[0].status, 'invalid');
+  });
+
+  it('gives a legacy file genes sharing a name used to share only to the gene it names', async () => {
+    const outputDir = path.join(dir, 'shared');
+    fs.mkdirSync(outputDir);
+    scraper.configure({ overrides: { outputDir } });
+    const first = { name: 'PP2AB-1', id: 'Medtr1g112940' };
+    const second = { name: 'PP2AB-1', id: 'Medtr2g088680' };
+    const sc4 = [{ name: 'MtSC4', id: 'Medtr1g105120' }, { name: 'MtSC4', id: 'Medtr1g105130' }];
+    // The last gene scraped overwrote the file; the MtSC4 one names neither gene
+    fs.writeFileSync(path.join(outputDir, 'PP2AB-1.txt'), '>Medtr2g088680.1\nMKLV-\n>Glyma.01G000100.1\nMKL-V\n');
+    fs.writeFileSync(path.join(outputDir, 'MtSC4.txt'), '>Glyma.02G000200.1\nMKLV-\n>Glyma.03G000300.1\nMKL-V\n');
+    fs.writeFileSync(path.join(outputDir, 'PP2AB-1_FAILED.txt'), 'FAILED TO RETRIEVE MSA DATA\nGene: PP2AB-1\nID: Medtr2g088680\n');
+
+    const counts = await scraper.indexOutput([first, second, ...sc4]);
+    assert.deepStrictEqual(counts, { entries: 1, adopted: 1, updated: 0, removed: 0 });
+    assert.strictEqual(findById(await scraper.getOutputIndex(), second.id)[0].file, 'PP2AB-1.txt');
+    assert.strictEqual(scraper.getOutputPath(first), path.join(outputDir, 'PP2AB-1_Medtr1g112940.txt'));
+    assert.deepStrictEqual(
+      sc4.map(gene => path.basename(scraper.getOutputPath(gene))),
+      ['MtSC4_Medtr1g105120.txt', 'MtSC4_Medtr1g105130.txt']
+    );
+
+    await scraper.clearFailedGene(first);
+    assert.ok(fs.existsSync(path.join(outputDir, 'PP2AB-1_FAILED.txt')));
+    await scraper.clearFailedGene(second);
+    assert.ok(!fs.existsSync(path.join(outputDir, 'PP2AB-1_FAILED.txt')));
+  });
+});
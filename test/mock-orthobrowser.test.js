@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startMockServer } = require('./mock-orthobrowser/server');
+
+describe('mock orthobrowser server', () => {
+  let server;
+  let origin;
+
+  before(async () => {
+    server = await startMockServer({
+      slowDelayMs: 200,
+      genes: {
+        Medtr1g010: 'ok',
+        Medtr1g0100: 'ok',
+        Medtr2g020: 'no-autocomplete',
+        Medtr3g030: 'slow'
+      }
+    });
+    origin = new URL(server.url).origin;
+  });
+
+  after(() => server.close());
+
+  it('serves the search page', async () => {
+    const res = await fetch(server.url);
+    const html = await res.text();
+    assert.strictEqual(res.status, 200);
+    for (const selector of ['id="searchInput"', 'ui-autocomplete', 'id="navbarDropdown"', 'id="msa_button"']) {
+      assert.ok(html.includes(selector), `missing ${selector}`);
+    }
+  });
+
+  it('returns lowercase prefix matches for autocomplete', async () => {
+    const res = await fetch(`${origin}/api/search?term=medtr1g010`);
+    assert.deepStrictEqual(await res.json(), ['medtr1g010', 'medtr1g0100']);
+  });
+
+  it('hides no-autocomplete genes from suggestions but still resolves them', async () => {
+    const search = await fetch(`${origin}/api/search?term=medtr2g`);
+    assert.deepStrictEqual(await search.json(), []);
+
+    const gene = await fetch(`${origin}/api/gene/medtr2g020`);
+    assert.strictEqual((await gene.json()).scenario, 'no-autocomplete');
+  });
+
+  it('delays alignment data for slow genes', async () => {
+    const started = Date.now();
+    const res = await fetch(`${origin}/data/Medtr3g030.aln`);
+    const text = await res.text();
+    assert.ok(Date.now() - started >= 200);
+    assert.ok(text.startsWith('>'));
+  });
+
+  it('answers with server errors and Retry-After while in trouble', async () => {
+    server.trouble({ status: 503, retryAfter: 30, count: 1, latencyMs: 50 });
+    try {
+      const failing = await fetch(`${origin}/api/gene/medtr1g010`);
+      assert.deepStrictEqual([failing.status, failing.headers.get('retry-after')], [503, '30']);
+      const started = Date.now();
+      const slow = await fetch(`${origin}/api/gene/medtr1g010`);
+      assert.strictEqual(slow.status, 200);
+      assert.ok(Date.now() - started >= 50);
+    } finally {
+      server.trouble(null);
+    }
+  });
+
+  it('rejects unknown scenarios', () => {
+    assert.throws(() => server.setGene('Medtr9g999', 'flaky'), /Unknown mock scenario/);
+  });
+});
@@ -0,0 +1,147 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_HTML = path.join(__dirname, 'index.html');
+const DEFAULT_ALIGNMENT = path.join(__dirname, '..', 'fixtures', 'alignment.fasta');
+
+// Scripted failure modes, assigned per gene ID:
+//   ok               - behaves like the real site: the alignment is fetched as
+//                      text/plain and copied by the MSA button
+//   clipboard-only   - the alignment is embedded in the gene's JSON payload, so
+//                      only the MSA clipboard copy can deliver it
+//   no-autocomplete  - search endpoint returns no suggestions
+//   missing-export   - the Export dropdown is removed once the gene loads
+//   binary-clipboard - like clipboard-only, but the MSA button writes PNG bytes
+//   slow             - alignment data is delayed by `slowDelayMs`
+const SCENARIOS = ['ok', 'clipboard-only', 'no-autocomplete', 'missing-export', 'binary-clipboard', 'slow'];
+const EMBEDDED_SCENARIOS = ['clipboard-only', 'binary-clipboard'];
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start a local stand-in for the orthobrowser.
+ *
+ * `genes` maps gene IDs to their scenario name (or to an object with
+ * `scenario` and `alignment`). IDs are matched case-insensitively, like the
+ * real site. `trouble()` makes the whole server struggle, see below.
+ */
+async function startMockServer({ genes = {}, port = 0, slowDelayMs = 5000 } = {}) {
+  const indexHtml = fs.readFileSync(INDEX_HTML, 'utf-8');
+  const defaultAlignment = fs.readFileSync(DEFAULT_ALIGNMENT, 'utf-8');
+  const requests = [];
+  const registry = new Map();
+  let trouble = null;
+
+  function setGene(id, spec) {
+    const entry = typeof spec === 'string' ? { scenario: spec } : { ...spec };
+    entry.scenario = entry.scenario || 'ok';
+    if (!SCENARIOS.includes(entry.scenario)) {
+      throw new Error(`Unknown mock scenario: ${entry.scenario}`);
+    }
+    registry.set(id.toLowerCase(), { id, alignment: defaultAlignment, ...entry });
+  }
+
+  for (const [id, spec] of Object.entries(genes)) {
+    setGene(id, spec);
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+
+    if (!trouble) {
+      handle(url, res);
+      return;
+    }
+    setTimeout(() => {
+      if (trouble && trouble.status && trouble.remaining > 0) {
+        trouble.remaining--;
+        res.writeHead(trouble.status, { 'Content-Type': 'text/plain', ...(trouble.retryAfter !== null ? { 'Retry-After': String(trouble.retryAfter) } : {}) });
+        res.end(`${trouble.status} ${http.STATUS_CODES[trouble.status] || ''}`);
+        return;
+      }
+      handle(url, res);
+    }, trouble.latencyMs);
+  });
+
+  function handle(url, res) {
+    if (url.pathname === '/' || url.pathname === '/index.html') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(indexHtml);
+      return;
+    }
+
+    if (url.pathname === '/api/search') {
+      const term = (url.searchParams.get('term') || '').toLowerCase();
+      const matches = Array.from(registry.values())
+        .filter(gene => gene.scenario !== 'no-autocomplete' && gene.id.toLowerCase().startsWith(term))
+        .map(gene => gene.id.toLowerCase())
+        .sort();
+      sendJSON(res, 200, matches);
+      return;
+    }
+
+    const geneMatch = url.pathname.match(/^\/api\/gene\/(.+)$/);
+    if (geneMatch) {
+      const gene = registry.get(decodeURIComponent(geneMatch[1]).toLowerCase());
+      if (!gene) {
+        sendJSON(res, 404, { error: 'not found' });
+        return;
+      }
+      const embedded = EMBEDDED_SCENARIOS.includes(gene.scenario);
+      sendJSON(res, 200, {
+        id: gene.id,
+        scenario: gene.scenario,
+        tree: `(${gene.id}:0.1,outgroup:0.2);`,
+        alignment: embedded ? gene.alignment : null,
+        alignmentUrl: embedded ? null : `/data/${encodeURIComponent(gene.id)}.aln`
+      });
+      return;
+    }
+
+    const dataMatch = url.pathname.match(/^\/data\/(.+)\.aln$/);
+    if (dataMatch) {
+      const gene = registry.get(decodeURIComponent(dataMatch[1]).toLowerCase());
+      if (!gene) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      const delay = gene.scenario === 'slow' ? slowDelayMs : 0;
+      setTimeout(() => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(gene.alignment);
+      }, delay);
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  }
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const { port: boundPort } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${boundPort}/index.html`,
+    requests,
+    setGene,
+    // Answer the next `count` requests with `status` (and a Retry-After of
+    // `retryAfter` seconds) and delay every response by `latencyMs`;
+    // `trouble(null)` makes the server healthy again
+    trouble(spec) {
+      trouble = spec ? { status: null, retryAfter: null, count: Infinity, latencyMs: 0, ...spec } : null;
+      if (trouble) trouble.remaining = trouble.count;
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = { startMockServer, SCENARIOS };
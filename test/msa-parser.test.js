@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  REASONS,
+  parseAlignedFasta,
+  detectAlphabet,
+  detectBinarySignature,
+  validateMSA
+} = require('../lib/msa-parser');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+describe('parseAlignedFasta', () => {
+  it('joins wrapped sequence lines', () => {
+    const records = parseAlignedFasta('>seq1 desc\nMK--L\nKNG\n>seq2\nMKA-LKNG\n');
+    assert.deepStrictEqual(records, [
+      { header: 'seq1 desc', sequence: 'MK--LKNG' },
+      { header: 'seq2', sequence: 'MKA-LKNG' }
+    ]);
+  });
+
+  it('reads name/sequence tab-separated rows', () => {
+    assert.deepStrictEqual(parseAlignedFasta('a\tMK-L\nb\tMKAL\n'), [
+      { header: 'a', sequence: 'MK-L' },
+      { header: 'b', sequence: 'MKAL' }
+    ]);
+  });
+
+  it('reads orthogroup rows with a JSON sequence map', () => {
+    const records = parseAlignedFasta('OG0000180\t{"a.t1": "MK-L", "b.t1": "MKAL"}\n');
+    assert.deepStrictEqual(records.map(r => r.header), ['a.t1', 'b.t1']);
+  });
+});
+
+describe('detectAlphabet', () => {
+  it('tells protein from nucleotide alignments', () => {
+    assert.strictEqual(detectAlphabet(parseAlignedFasta(FIXTURE)), 'protein');
+    assert.strictEqual(detectAlphabet([{ header: 'a', sequence: 'ATGC--ATGCNNAT' }]), 'nucleotide');
+    assert.strictEqual(detectAlphabet([{ header: 'a', sequence: '----' }]), null);
+  });
+});
+
+describe('detectBinarySignature', () => {
+  it('recognises image magic in buffers and clipboard strings', () => {
+    assert.strictEqual(detectBinarySignature(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d])), 'PNG');
+    assert.strictEqual(detectBinarySignature('\xFF\xD8\xFF\xE0'), 'JPEG');
+    assert.strictEqual(detectBinarySignature('>seq\nMKL'), null);
+  });
+});
+
+describe('validateMSA', () => {
+  it('accepts the protein alignments the orthobrowser exports', () => {
+    const result = validateMSA(FIXTURE);
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.alphabet, 'protein');
+    assert.strictEqual(result.records.length, 4);
+    assert.strictEqual(result.length, 661);
+  });
+
+  it('accepts buffers read straight from disk', () => {
+    assert.strictEqual(validateMSA(Buffer.from(FIXTURE)).valid, true);
+  });
+
+  const rejections = [
+    ['null payloads', null, REASONS.NOT_TEXT],
+    ['empty payloads', '  \n', REASONS.EMPTY],
+    ['PNG payloads', '\x89PNG\r\n\x1a\n\x00\x00', REASONS.BINARY],
+    ['null bytes', '>a\nMK\x00L', REASONS.BINARY],
+    ['invalid UTF-8', Buffer.from([0x3e, 0x61, 0x0a, 0xc3, 0x28]), REASONS.BINARY],
+    ['HTML error pages', '<!DOCTYPE html><html><body>502 Bad Gateway</body></html>', REASONS.HTML],
+    ['text without records', 'FAILED TO RETRIEVE MSA DATA\nGene: X', REASONS.NO_RECORDS],
+    ['a trailing header with no sequence', '>a\nMKL\n>b\n', REASONS.TRUNCATED],
+    ['a short final row', '>a\nMKLV\n>b\nMKLV\n>c\nMK', REASONS.TRUNCATED],
+    ['ragged rows', '>a\nMKLV\n>b\nMK\n>c\nMKLV', REASONS.RAGGED],
+    ['non-residue characters', '>a\nMKL{V\n>b\nMKLLV', REASONS.INVALID_CHARACTERS],
+    ['gap-only alignments', '>a\n----\n>b\n----', REASONS.EMPTY_SEQUENCE]
+  ];
+
+  for (const [label, payload, reason] of rejections) {
+    it(`rejects ${label}`, () => {
+      const result = validateMSA(payload);
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.reason, reason);
+      assert.ok(result.message);
+    });
+  }
+});
@@ -0,0 +1,112 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startCapture, archiveCapture } = require('../lib/network-capture');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+// Just enough of puppeteer's HTTPRequest/HTTPResponse for the capture session
+function fakeExchange(url, { status = 200, contentType = 'text/plain', body = '' } = {}) {
+  const request = {
+    url: () => url,
+    method: () => 'GET',
+    resourceType: () => 'fetch',
+    headers: () => ({ accept: '*/*' })
+  };
+  const response = {
+    url: () => url,
+    request: () => request,
+    status: () => status,
+    statusText: () => (status === 200 ? 'OK' : 'Not Found'),
+    headers: () => ({ 'content-type': contentType }),
+    text: async () => body
+  };
+  return { request, response };
+}
+
+function exchange(page, url, options) {
+  const { request, response } = fakeExchange(url, options);
+  page.emit('request', request);
+  page.emit('response', response);
+}
+
+describe('startCapture', () => {
+  const gene = { name: 'LYK1', id: 'Medtr0001s0010' };
+
+  it('tags responses with the gene and finds the alignment', async () => {
+    const page = new EventEmitter();
+    const session = startCapture(page, gene, { attempt: 2 });
+
+    exchange(page, 'http://localhost/app.js', { contentType: 'application/javascript', body: 'var x;' });
+    exchange(page, 'http://localhost/api/gene/x', { contentType: 'application/json', body: '{"id":"x"}' });
+    exchange(page, 'http://localhost/data/x.aln', { body: FIXTURE });
+    const entries = await session.stop();
+
+    assert.strictEqual(entries.length, 3);
+    assert.deepStrictEqual(
+      entries.map(e => [e.geneId, e.attempt, e.status]),
+      [[gene.id, 2, 200], [gene.id, 2, 200], [gene.id, 2, 200]]
+    );
+    assert.strictEqual(entries[0].size, null, 'scripts are recorded without reading the body');
+    assert.deepStrictEqual(entries[1].msa, { valid: false, reason: 'no-records' });
+    assert.strictEqual(entries[2].msa.valid, true);
+    assert.ok(entries.every(e => e.timeMs >= 0 && !Number.isNaN(Date.parse(e.startedDateTime))));
+    assert.strictEqual(session.alignment.url, 'http://localhost/data/x.aln');
+    assert.strictEqual(session.alignment.text, FIXTURE);
+    assert.strictEqual(entries[2].body, undefined, 'bodies are only kept when archiving');
+  });
+
+  it('ignores responses to requests made before the session and removes its listeners', async () => {
+    const page = new EventEmitter();
+    const earlier = fakeExchange('http://localhost/data/earlier.aln', { body: FIXTURE });
+    page.emit('request', earlier.request);
+
+    const session = startCapture(page, gene);
+    page.emit('response', earlier.response);
+    await session.stop();
+
+    assert.strictEqual(session.entries.length, 0);
+    assert.strictEqual(session.alignment, null);
+    assert.strictEqual(page.listenerCount('request'), 0);
+    assert.strictEqual(page.listenerCount('response'), 0);
+
+    exchange(page, 'http://localhost/data/later.aln', { body: FIXTURE });
+    assert.strictEqual(session.entries.length, 0);
+  });
+});
+
+describe('archiveCapture', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-capture-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('writes a HAR file and appends later attempts to it', async () => {
+    const gene = { name: 'TauD', id: 'Medtr0021s0370' };
+    const filePath = path.join(dir, 'network', 'TauD.har.json');
+
+    const page = new EventEmitter();
+    const first = startCapture(page, gene, { attempt: 1, keepBodies: true });
+    exchange(page, 'http://localhost/api/search?term=medtr', { status: 404, contentType: 'text/plain', body: 'nope' });
+    await first.stop();
+    await archiveCapture(first, filePath);
+
+    const second = startCapture(page, gene, { attempt: 2, keepBodies: true });
+    exchange(page, 'http://localhost/data/x.aln', { body: FIXTURE });
+    await second.stop();
+    await archiveCapture(second, filePath, { append: true });
+
+    const har = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    assert.strictEqual(har.log.version, '1.2');
+    assert.deepStrictEqual(har.log.entries.map(e => e._attempt), [1, 2]);
+
+    const [search, alignment] = har.log.entries;
+    assert.strictEqual(search.response.status, 404);
+    assert.deepStrictEqual(search.request.queryString, [{ name: 'term', value: 'medtr' }]);
+    assert.deepStrictEqual(search._gene, gene);
+    assert.strictEqual(alignment.response.content.text, FIXTURE);
+    assert.strictEqual(alignment.response.content.mimeType, 'text/plain');
+    assert.strictEqual(alignment._msa.valid, true);
+  });
+});
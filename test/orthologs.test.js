@@ -0,0 +1,91 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseOrthologHeader, orthologHeaderPatterns } = require('../lib/fasta-headers');
+const { orthologRows, buildPresenceMatrix, formatPresenceMatrixTsv } = require('../lib/orthologs');
+const { buildOrthologTables } = require('../ortholog-table');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+describe('parseOrthologHeader', () => {
+  it('splits pangenome headers into accession, assembly, contig, gene and transcript', () => {
+    assert.deepStrictEqual(parseOrthologHeader('Cter_YS80.v1.contig_209_pilon_pilon_pilon.g056160.t1'), {
+      id: 'Cter_YS80.v1.contig_209_pilon_pilon_pilon.g056160.t1',
+      species: 'Cter',
+      accession: 'Cter_YS80',
+      assembly: 'Cter_YS80.v1',
+      contig: 'contig_209_pilon_pilon_pilon',
+      gene: 'g056160',
+      transcript: 't1',
+      matched: true
+    });
+
+    const haplotype = parseOrthologHeader('Pmon_YS87.hap1.v1.h1tg000925l.g521980.t1');
+    assert.deepStrictEqual([haplotype.accession, haplotype.assembly, haplotype.contig], ['Pmon_YS87', 'Pmon_YS87.hap1.v1', 'h1tg000925l']);
+    const dotted = parseOrthologHeader('Ljap.Gifu.HPI3.LjG1.1_chr1.g008120.t1');
+    assert.deepStrictEqual([dotted.accession, dotted.assembly, dotted.contig], ['Ljap.Gifu', 'Ljap.Gifu.HPI3', 'LjG1.1_chr1']);
+    assert.strictEqual(parseOrthologHeader('Msat_ASM4841809.v1.CM107966.1.g149200.t1').contig, 'CM107966.1');
+    assert.strictEqual(parseOrthologHeader('Gmax_ZH13.Chr13.g324560.t1').accession, 'Gmax_ZH13');
+  });
+
+  it('reads gene and transcript from reference genome headers', () => {
+    const reference = parseOrthologHeader('Medtr5g086660.1_Medicago_truncatula_v4');
+    assert.deepStrictEqual(
+      [reference.species, reference.accession, reference.assembly, reference.contig, reference.gene, reference.transcript],
+      ['Medicago_truncatula', 'Medicago_truncatula_v4', 'Medicago_truncatula_v4', '', 'Medtr5g086660', 'Medtr5g086660.1']
+    );
+  });
+
+  it('tries configured patterns first and falls back for unknown headers', () => {
+    const patterns = orthologHeaderPatterns(['^(?<accession>Zm[A-Z0-9]+)_(?<gene>Zm\\d+eb\\d+)_(?<transcript>T\\d+)$']);
+    const custom = parseOrthologHeader('ZmB73_Zm00001eb000010_T001', patterns);
+    assert.deepStrictEqual([custom.accession, custom.assembly, custom.gene, custom.transcript, custom.matched], ['ZmB73', 'ZmB73', 'Zm00001eb000010', 'T001', true]);
+    assert.strictEqual(parseOrthologHeader('Cter_YS80.v1.contig_209.g056160.t1', patterns).accession, 'Cter_YS80');
+
+    const unknown = parseOrthologHeader('scaffold_12 some description');
+    assert.deepStrictEqual([unknown.id, unknown.gene, unknown.contig, unknown.matched], ['scaffold_12', 'scaffold_12', '', false]);
+  });
+});
+
+describe('ortholog tables', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-orthologs-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('counts accessions per query gene', () => {
+    const rows = [
+      ...orthologRows({ name: 'MtNFP', id: 'Medtr5g019040' }, [{ header: 'Cter_YS80.v1.c1.g1.t1' }, { header: 'Cter_YS80.v1.c1.g2.t1' }]),
+      ...orthologRows({ name: 'LYK1', id: 'Medtr5g086540' }, [{ header: 'Pmon_YS87.hap1.v1.h1tg1l.g3.t1' }])
+    ];
+    const matrix = buildPresenceMatrix(rows, [{ name: 'MtNFP', id: 'Medtr5g019040' }, { name: 'LYK1', id: 'Medtr5g086540' }, { name: 'Empty', id: 'Medtr1g000010' }]);
+    assert.deepStrictEqual(matrix.accessions, ['Cter_YS80', 'Pmon_YS87']);
+    assert.strictEqual(formatPresenceMatrixTsv(matrix), [
+      'query_name\tquery_id\tCter_YS80\tPmon_YS87\taccessions_present',
+      'MtNFP\tMedtr5g019040\t1\t0\t1',
+      'LYK1\tMedtr5g086540\t0\t1\t1',
+      'Empty\tMedtr1g000010\t0\t0\t0',
+      ''
+    ].join('\n'));
+    assert.match(formatPresenceMatrixTsv(matrix, { counts: true }), /MtNFP\tMedtr5g019040\t2\t0\t1/);
+  });
+
+  it('walks the output directory and matches files to their query gene', async () => {
+    fs.writeFileSync(path.join(dir, 'CLE16 _.txt'), FIXTURE);
+    fs.writeFileSync(path.join(dir, 'Unlisted.txt'), FIXTURE);
+    fs.writeFileSync(path.join(dir, 'Broken.txt'), '<html></html>');
+    fs.writeFileSync(path.join(dir, 'MtNFP_FAILED.txt'), 'FAILED TO RETRIEVE MSA DATA');
+
+    const { queries, rows, skipped } = await buildOrthologTables(dir, { genes: [{ name: 'CLE16 *', id: 'Medtr5g043830' }] });
+    assert.deepStrictEqual(queries, [{ name: 'CLE16 *', id: 'Medtr5g043830' }, { name: 'Unlisted', id: '' }]);
+    assert.strictEqual(rows.length, 8);
+    assert.deepStrictEqual(skipped.map(entry => entry.file), ['Broken.txt']);
+
+    const table = fs.readFileSync(path.join(dir, 'orthologs.tsv'), 'utf-8').trim().split('\n');
+    assert.strictEqual(table[0], 'query_name\tquery_id\tspecies\taccession\tassembly\tcontig\tgene\ttranscript\tsequence_id');
+    assert.strictEqual(table[1].split('\t').slice(0, 8).join('\t'),
+      'CLE16 *\tMedtr5g043830\tCter\tCter_YS80\tCter_YS80.v1\tcontig_209_pilon_pilon_pilon\tg056160\tt1');
+    const matrix = fs.readFileSync(path.join(dir, 'ortholog-matrix.tsv'), 'utf-8').split('\n');
+    assert.strictEqual(matrix[0], 'query_name\tquery_id\tCter_YS80\tLjap.Gifu\tPmonvarmon_YS180\taccessions_present');
+  });
+});
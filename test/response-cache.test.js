@@ -0,0 +1,106 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResponseCache } = require('../lib/response-cache');
+const { createMemoryWriter } = require('../lib/output-writer');
+const scraper = require('../scraper-enhanced');
+const { writeFakeSite, fakeBrowser } = require('./helpers/fake-site');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-cache-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const ok = { name: 'MtOK1', id: 'Medtr1g017910' };
+const cut = { name: 'MtCut', id: 'Medtr1g099999' };
+const HOUR = 3600000;
+
+describe('response cache', () => {
+  let clock = Date.parse('2026-10-01T00:00:00Z');
+  const cache = createResponseCache({ dir: path.join(dir, 'unit'), site: 'orthobrowser-v3', ttlMs: 24 * HOUR, now: () => clock });
+
+  it('keeps one entry per gene and URL, newest first', async () => {
+    await cache.put(ok, { url: 'http://x.test/msa/1', source: 'network', payload: 'old' });
+    clock += HOUR;
+    await cache.put(ok, { url: 'http://x.test/browser#Medtr1g017910', source: 'clipboard', payload: 'clip', verifiedBy: 'page' });
+    clock += HOUR;
+    await cache.put(ok, { url: 'http://x.test/msa/1', source: 'network', payload: 'new' });
+
+    const entries = await cache.list(ok.id);
+    assert.deepStrictEqual(entries.map(entry => entry.payload), ['new', 'clip']);
+    assert.deepStrictEqual(entries[1].gene, ok);
+    assert.strictEqual(entries[1].verifiedBy, 'page');
+    assert.strictEqual(path.relative(cache.dir, path.dirname(entries[0].filePath)), ok.id);
+  });
+
+  it('expires entries after the TTL and invalidates them on request', async () => {
+    await cache.put(cut, { url: 'http://x.test/msa/2', source: 'network', payload: '>cut' });
+    clock += 23.5 * HOUR;
+    assert.deepStrictEqual((await cache.list(ok.id)).map(entry => entry.payload), ['new']);
+    assert.strictEqual((await cache.list(ok.id, { includeExpired: true })).length, 2);
+    const { bytes, ...counts } = await cache.stats();
+    assert.deepStrictEqual(counts, { genes: 2, entries: 3, expired: 1 });
+    assert.ok(bytes > 0);
+
+    assert.strictEqual(await cache.invalidate({ expiredOnly: true }), 1);
+    assert.strictEqual(await cache.invalidate({ geneIds: [cut.id] }), 1);
+    assert.ok(!fs.existsSync(path.join(cache.dir, cut.id)));
+    assert.strictEqual(await cache.invalidate(), 1);
+    assert.strictEqual((await cache.stats()).entries, 0);
+  });
+});
+
+describe('scraping with the response cache', () => {
+  // A site whose MSA button copies `clipboard[<gene id>]`, counting searches
+  const clipboard = {};
+  const searches = [];
+  const adapterPath = writeFakeSite(dir, {
+    name: 'cache-browser',
+    clipboard: id => clipboard[id] || null,
+    async enterQuery(page, gene) {
+      searches.push(gene.id);
+    }
+  });
+  const outputDir = path.join(dir, 'output');
+  const inputCsv = path.join(dir, 'genes.csv');
+  fs.writeFileSync(inputCsv, `name,id\n${ok.name},${ok.id}\n${cut.name},${cut.id}\nMtNew,Medtr1g055555\n`);
+  const overrides = { site: adapterPath, outputDir, inputCsv, cache: true, maxRetries: 1, retryBaseDelay: 0, delayBetweenSearches: 0, forensics: false };
+
+  after(() => scraper.configure());
+
+  it('stores captured payloads and serves repeat genes from disk', async () => {
+    const writer = createMemoryWriter();
+    scraper.configure({ overrides, writer });
+    clipboard[ok.id] = FIXTURE;
+    clipboard[cut.id] = '>Medtr1g099999\nMKLV\n>cut';
+    await scraper.scrapeGenes([ok, cut], { persist: false, browser: fakeBrowser() });
+
+    const cache = scraper.getResponseCache();
+    const [saved] = await cache.list(ok.id);
+    assert.deepStrictEqual([saved.source, saved.payload, saved.verifiedBy], ['clipboard', FIXTURE, 'page']);
+    assert.strictEqual((await cache.list(cut.id))[0].payload, clipboard[cut.id]);
+
+    // The site now copies nothing, but the cached payload is still fresh
+    delete clipboard[ok.id];
+    searches.length = 0;
+    const { results } = await scraper.scrapeGenes([ok], { persist: false, browser: fakeBrowser() });
+    assert.deepStrictEqual([results[0].success, results[0].strategy, results[0].attempts.length], [true, 'cache', 0]);
+    assert.deepStrictEqual(searches, []);
+  });
+
+  it('replays validation and saving from the cache without a browser', async () => {
+    scraper.configure({ overrides: { ...overrides, cache: false } });
+    await scraper.runScrape({ mode: 'force', replay: true });
+
+    assert.strictEqual(fs.readFileSync(scraper.getOutputPath(ok), 'utf-8'), FIXTURE);
+    const report = JSON.parse(fs.readFileSync(path.join(outputDir, 'run-report.json'), 'utf-8'));
+    assert.deepStrictEqual(
+      [report.totals.planned, report.totals.skipped, report.totals.succeeded, report.totals.failed],
+      [2, 1, 1, 1]
+    );
+    assert.strictEqual(report.genes[0].source, 'cache');
+    const [failed] = JSON.parse(fs.readFileSync(path.join(outputDir, 'failed', 'failed_genes.json'), 'utf-8'));
+    assert.deepStrictEqual([failed.gene.id, failed.type], [cut.id, 'invalid-data']);
+  });
+});
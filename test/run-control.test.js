@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createRunControl } = require('../lib/run-control');
+
+const gene = { name: 'MtOK1', id: 'Medtr1g017910' };
+
+describe('run control', () => {
+  it('holds workers while paused', async () => {
+    const control = createRunControl();
+    let changes = 0;
+    control.onChange(() => changes++);
+    control.pause();
+    let released = false;
+    const waiting = control.waitWhilePaused().then(() => {
+      released = true;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(released, false);
+
+    control.resume();
+    await waiting;
+    assert.strictEqual(released, true);
+    assert.strictEqual(changes, 2);
+  });
+
+  it('cuts the wait of a skipped gene short', async () => {
+    const control = createRunControl();
+    const started = Date.now();
+    const waiting = control.wait(60000, gene);
+    control.skip({ ...gene });
+    await waiting;
+    assert.ok(Date.now() - started < 1000);
+    assert.strictEqual(control.isSkipped(gene), true);
+    assert.strictEqual(control.isSkipped({ name: 'MtOK2', id: 'Medtr1g017920' }), false);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseAlignedFasta } = require('../lib/msa-parser');
+const { diffRecords, formatDiffReport } = require('../lib/run-diff');
+const { compareRuns } = require('../compare-runs');
+
+describe('alignment diff', () => {
+  it('sorts headers into added, removed, changed and realigned', () => {
+    const before = parseAlignedFasta('>a\nMK-LV\n>b\nMKLLV\n>c\nMQ-LV\n>d\nMKLV-\n');
+    const after = parseAlignedFasta('>a\nMKL-V\n>c\nMQ-IV\n>e\nMK-LV\n>d\nMKLV-\n');
+    const diff = diffRecords(before, after);
+    assert.deepStrictEqual(
+      [diff.added, diff.removed, diff.changed, diff.realigned],
+      [['e'], ['b'], ['c'], ['a']]
+    );
+    assert.deepStrictEqual([diff.reordered, diff.lengthBefore, diff.lengthAfter], [false, 5, 5]);
+  });
+
+  it('numbers repeated headers and notices reordering', () => {
+    const before = parseAlignedFasta('>a\nMK\n>a\nMV\n>b\nML\n');
+    const after = parseAlignedFasta('>b\nML\n>a\nMK\n');
+    const diff = diffRecords(before, after);
+    assert.deepStrictEqual([diff.removed, diff.reordered], [['a [2]'], true]);
+  });
+});
+
+describe('comparing runs', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-compare-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const write = (run, file, text) => {
+    fs.mkdirSync(path.join(dir, run), { recursive: true });
+    fs.writeFileSync(path.join(dir, run, file), text);
+  };
+  write('old', 'MtSame.txt', '>x\nMKLV\n>y\nMK-V\n');
+  write('new', 'MtSame.txt', '>x\nMKLV\n>y\nMK-V\n');
+  write('old', 'MtWrap.txt', '>x\nMKLV\n>y\nMK-V\n');
+  write('new', 'MtWrap.txt', '>x\nMK\nLV\n>y\nMK\n-V\n');
+  write('old', 'MtNFP.txt', '>x\nMKLV\n>y\nMK-V\n');
+  write('new', 'MtNFP.txt', '>x\nMKLVA\n>z\nMK-VA\n');
+  write('old', 'MtGone.txt', '>x\nMKLV\n');
+  write('old', 'MtGone_FAILED.txt', 'placeholder');
+  write('new', 'MtNew.txt', '>x\nMKLV\n');
+  write('new', 'MtCut.txt', '<html>');
+  write('old', 'MtCut.txt', '>x\nMKLV\n');
+  // Only the new run is indexed; the old files line up by file name
+  write('new', 'index.json', JSON.stringify({
+    version: 1,
+    entries: {
+      'Medtr5g019040|MtNFP': { name: 'MtNFP', id: 'Medtr5g019040', status: 'ok', file: 'MtNFP.txt' }
+    }
+  }));
+
+  it('reports every gene and writes JSON and text reports', async () => {
+    const report = await compareRuns(path.join(dir, 'old'), path.join(dir, 'new'));
+    assert.deepStrictEqual(report.totals, { identical: 1, reformatted: 1, changed: 1, added: 1, removed: 1, unreadable: 1 });
+
+    const nfp = report.genes.find(gene => gene.gene.name === 'MtNFP');
+    assert.deepStrictEqual(nfp.gene.id, 'Medtr5g019040');
+    assert.deepStrictEqual(nfp.sequences, { added: ['z'], removed: ['y'], changed: ['x'], realigned: [] });
+    assert.strictEqual(nfp.lengthChange, 1);
+
+    const compareDir = path.join(dir, 'new', 'compare');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(compareDir, 'diff.json'), 'utf-8')).totals, report.totals);
+    const text = fs.readFileSync(path.join(compareDir, 'diff.txt'), 'utf-8');
+    assert.strictEqual(text, formatDiffReport(report));
+    assert.match(text, /Changed \(1\):\n {2}MtNFP \(Medtr5g019040\): 2 -> 2 sequences, 4 -> 5 columns\n {4}\+ z\n {4}- y\n {4}~ x\n/);
+    assert.match(text, /Removed \(1\):\n {2}MtGone: MtGone.txt\n/);
+  });
+
+  it('reads a side from its output index', async () => {
+    const report = await compareRuns(path.join(dir, 'new', 'index.json'), path.join(dir, 'new'), { outDir: path.join(dir, 'out') });
+    assert.strictEqual(report.totals.identical, 1);
+    assert.strictEqual(report.totals.added, 4);
+    assert.ok(fs.existsSync(path.join(dir, 'out', 'diff.txt')));
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunLog, readRunLog } = require('../lib/run-log');
+const { buildRunReport } = require('../lib/run-report');
+const { summarizeResults } = require('../summary');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-runlog-'));
+
+const taud = { name: 'TauD', id: 'Medtr0021s0370', extra: 'dropped' };
+const lyk1 = { name: 'LYK1', id: 'Medtr0002s0010' };
+const nfp = { name: 'NFP', id: 'Medtr0003s0020' };
+
+// A run where TauD is saved from the network with its tree, LYK1 fails after a retry and
+// NFP is still being scraped when the log stops
+function emitRun(log, { finished = true } = {}) {
+  log.emit('run.start', { mode: 'resume', test: false, concurrency: 2, planned: 3, skipped: 4 });
+  log.emit('gene.start', { gene: taud });
+  log.emit('attempt', { gene: taud, attempt: 1 });
+  log.emit('strategy', { gene: taud, attempt: 1, strategy: 'network', outcome: 'found' });
+  log.emit('gene.saved', { gene: taud, attempt: 1, source: 'network', path: 'output/TauD.txt' });
+  log.emit('artifact', { gene: taud, attempt: 1, artifact: 'tree', outcome: 'saved' });
+  log.emit('gene.end', { gene: taud, success: true, durationMs: 4000 });
+  log.emit('gene.start', { gene: lyk1 });
+  log.emit('attempt', { gene: lyk1, attempt: 1 });
+  log.emit('retry', { gene: lyk1, attempt: 1, failure: { type: 'timeout', message: 'Navigation timeout' } });
+  log.emit('attempt', { gene: lyk1, attempt: 2 });
+  log.emit('validation.failed', { gene: lyk1, attempt: 2, source: 'clipboard', reason: 'html' });
+  log.emit('gene.failed', { gene: lyk1, attempt: 2, failure: { type: 'invalid-data', reason: 'html', message: 'Looks like HTML' } });
+  log.emit('gene.end', { gene: lyk1, success: false, durationMs: 9000 });
+  log.emit('gene.start', { gene: nfp });
+  if (finished) {
+    log.emit('run.end', {});
+  }
+}
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('run log', () => {
+  it('writes one JSON object per line and notifies listeners', async () => {
+    const filePath = path.join(dir, 'run-a.jsonl');
+    const log = createRunLog({ filePath, runId: 'a' });
+    const seen = [];
+    log.onEvent(entry => seen.push(entry.event));
+    emitRun(log);
+    await log.close();
+
+    const entries = readRunLog(filePath);
+    assert.strictEqual(entries.length, seen.length);
+    assert.strictEqual(entries[0].event, 'run.start');
+    assert.strictEqual(entries[0].runId, 'a');
+    assert.deepStrictEqual(entries[1].gene, { name: 'TauD', id: 'Medtr0021s0370' });
+    assert.ok(entries.every(entry => !Number.isNaN(Date.parse(entry.time))));
+  });
+
+  it('skips a partial last line', () => {
+    const filePath = path.join(dir, 'partial.jsonl');
+    fs.writeFileSync(filePath, '{"event":"run.start"}\n{"event":"gene.st');
+    assert.deepStrictEqual(readRunLog(filePath).map(e => e.event), ['run.start']);
+  });
+});
+
+describe('buildRunReport', () => {
+  function collect(options) {
+    const entries = [];
+    const log = createRunLog({ runId: '2026-01-01T00-00-00-000Z' });
+    log.onEvent(entry => entries.push(entry));
+    emitRun(log, options);
+    return entries;
+  }
+
+  it('totals outcomes, retries, failure types and durations', () => {
+    const report = buildRunReport(collect());
+    assert.strictEqual(report.status, 'completed');
+    assert.deepStrictEqual(report.totals, {
+      planned: 3,
+      skipped: 4,
+      processed: 2,
+      succeeded: 1,
+      failed: 1,
+      skippedDuringRun: 0,
+      incomplete: 1,
+      retries: 1,
+      successRate: 0.5
+    });
+    assert.deepStrictEqual(report.failures, { 'invalid-data': 1 });
+    assert.deepStrictEqual(report.durations, { meanGeneMs: 6500, medianGeneMs: 6500, maxGeneMs: 9000 });
+
+    const [saved, failed, running] = report.genes;
+    assert.strictEqual(saved.source, 'network');
+    assert.strictEqual(saved.output, 'output/TauD.txt');
+    assert.deepStrictEqual(saved.artifacts, { tree: 'saved' });
+    assert.deepStrictEqual(report.artifacts, { tree: { saved: 1 } });
+    assert.strictEqual(failed.attempts, 2);
+    assert.strictEqual(failed.failure.reason, 'html');
+    assert.strictEqual(running.outcome, 'incomplete');
+  });
+
+  it('marks a log without run.end as interrupted', () => {
+    const report = buildRunReport(collect({ finished: false }));
+    assert.strictEqual(report.status, 'interrupted');
+    assert.strictEqual(report.runId, '2026-01-01T00-00-00-000Z');
+  });
+});
+
+describe('summarizeResults', () => {
+  it('reads run-report.json and falls back to a newer run log', async () => {
+    const outputDir = fs.mkdtempSync(path.join(dir, 'output-'));
+    assert.strictEqual(await summarizeResults(outputDir), null);
+
+    const entries = [];
+    const log = createRunLog({ runId: '2026-01-01T00-00-00-000Z' });
+    log.onEvent(entry => entries.push(entry));
+    emitRun(log);
+    fs.writeFileSync(path.join(outputDir, 'run-report.json'), JSON.stringify(buildRunReport(entries)));
+    assert.strictEqual((await summarizeResults(outputDir)).totals.successRate, 0.5);
+
+    fs.mkdirSync(path.join(outputDir, 'logs'));
+    const killed = createRunLog({ filePath: path.join(outputDir, 'logs', 'run-2026-02-01T00-00-00-000Z.jsonl'), runId: '2026-02-01T00-00-00-000Z' });
+    emitRun(killed, { finished: false });
+    await killed.close();
+
+    const report = await summarizeResults(outputDir);
+    assert.strictEqual(report.runId, '2026-02-01T00-00-00-000Z');
+    assert.strictEqual(report.status, 'interrupted');
+  });
+});
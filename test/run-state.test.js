@@ -0,0 +1,195 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-state-'));
+process.env.SCRAPER_OUTPUT_DIR = outputDir;
+
+const {
+  STATUS,
+  createRunState,
+  loadRunState,
+  saveRunState,
+  getGeneState,
+  updateGeneState,
+  countByStatus
+} = require('../lib/run-state');
+const scraper = require('../scraper-enhanced');
+const { writeFakeSite, fakeBrowser } = require('./helpers/fake-site');
+scraper.configure();
+
+const ALIGNMENT = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+const done = { name: 'MtDone', id: 'Medtr1g000010' };
+const corrupt = { name: 'MtCorrupt', id: 'Medtr1g000020' };
+const placeholder = { name: 'MtPlaceholder', id: 'Medtr1g000030' };
+const listed = { name: 'MtListed', id: 'Medtr1g000040' };
+const fresh = { name: 'MtFresh', id: 'Medtr1g000050' };
+const genes = [done, corrupt, placeholder, listed, fresh];
+
+after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+describe('run state file', () => {
+  it('round-trips gene entries through disk', async () => {
+    const statePath = path.join(outputDir, 'roundtrip.json');
+    const state = createRunState();
+    updateGeneState(state, done, { status: STATUS.SUCCEEDED, attempts: 2 });
+    await saveRunState(statePath, state);
+
+    const loaded = await loadRunState(statePath);
+    assert.strictEqual(getGeneState(loaded, done).status, STATUS.SUCCEEDED);
+    assert.strictEqual(getGeneState(loaded, done).attempts, 2);
+    assert.ok(!fs.existsSync(`${statePath}.tmp`));
+  });
+
+  it('starts fresh when the checkpoint is missing or unreadable', async () => {
+    const statePath = path.join(outputDir, 'broken.json');
+    fs.writeFileSync(statePath, '{"genes": ');
+    assert.deepStrictEqual((await loadRunState(statePath)).genes, {});
+    assert.deepStrictEqual((await loadRunState(path.join(outputDir, 'missing.json'))).genes, {});
+  });
+
+  it('keys genes by ID and name so duplicate IDs stay separate', () => {
+    const state = createRunState();
+    updateGeneState(state, { name: 'MtSC4', id: 'Medtr1g105120' }, { status: STATUS.SUCCEEDED });
+    updateGeneState(state, { name: 'MtPCY10;MtSC3', id: 'Medtr1g105120' }, { status: STATUS.FAILED });
+    assert.deepStrictEqual(countByStatus(state), { pending: 0, succeeded: 1, failed: 1, invalid: 0 });
+  });
+});
+
+describe('selectGenesToProcess', () => {
+  beforeEach(async () => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    await scraper.ensureDirectories();
+    fs.writeFileSync(scraper.getOutputPath(done), ALIGNMENT);
+    fs.writeFileSync(scraper.getOutputPath(corrupt), '\x89PNG\r\n\x1a\n');
+    fs.writeFileSync(scraper.getFailedFilePath(placeholder), 'FAILED TO RETRIEVE MSA DATA');
+    fs.writeFileSync(
+      path.join(scraper.getConfig().failedDir, 'failed_genes.json'),
+      JSON.stringify([{ gene: listed, error: 'timeout', timestamp: new Date().toISOString() }])
+    );
+  });
+
+  it('resumes by skipping genes whose output validates', async () => {
+    const state = createRunState();
+    const { toProcess, skipped } = await scraper.selectGenesToProcess(genes, state, 'resume');
+
+    assert.deepStrictEqual(toProcess, [corrupt, placeholder, listed, fresh]);
+    assert.strictEqual(skipped, 1);
+    assert.strictEqual(getGeneState(state, done).status, STATUS.SUCCEEDED);
+    assert.strictEqual(getGeneState(state, corrupt).status, STATUS.INVALID);
+    assert.strictEqual(getGeneState(state, placeholder).status, STATUS.FAILED);
+    assert.strictEqual(getGeneState(state, placeholder).outputPath, scraper.getFailedFilePath(placeholder));
+    assert.strictEqual(getGeneState(state, listed).status, STATUS.FAILED);
+    assert.strictEqual(getGeneState(state, fresh).status, STATUS.PENDING);
+  });
+
+  it('only picks failed and invalid genes with only-failed', async () => {
+    const { toProcess } = await scraper.selectGenesToProcess(genes, createRunState(), 'only-failed');
+    assert.deepStrictEqual(toProcess, [corrupt, placeholder, listed]);
+  });
+
+  it('requeues a succeeded gene whose output has disappeared', async () => {
+    const state = createRunState();
+    updateGeneState(state, done, { status: STATUS.SUCCEEDED, attempts: 1 });
+    fs.unlinkSync(scraper.getOutputPath(done));
+
+    const { toProcess } = await scraper.selectGenesToProcess([done], state, 'resume');
+    assert.deepStrictEqual(toProcess, [done]);
+    assert.strictEqual(getGeneState(state, done).attempts, 1);
+  });
+
+  it('only picks genes with failure records with retry', async () => {
+    const { toProcess, skipped } = await scraper.selectGenesToProcess(genes, createRunState(), 'retry');
+    assert.deepStrictEqual(toProcess, [placeholder, listed]);
+    assert.strictEqual(skipped, 3);
+  });
+
+  it('counts placeholders named after the gene name alone in every mode', async () => {
+    const legacy = { name: 'MtPCY10;MtSC3', id: 'Medtr1g105120' };
+    const legacyPath = path.join(outputDir, 'MtPCY10;MtSC3_FAILED.txt');
+    fs.writeFileSync(legacyPath, `FAILED TO RETRIEVE MSA DATA\nID: ${legacy.id}\n`);
+
+    for (const mode of ['resume', 'only-failed', 'retry']) {
+      const state = createRunState();
+      const { toProcess } = await scraper.selectGenesToProcess([done, legacy], state, mode);
+      assert.deepStrictEqual(toProcess, [legacy], mode);
+      assert.strictEqual(getGeneState(state, legacy).outputPath, legacyPath);
+    }
+  });
+
+  it('leaves genes whose output validates to retry, stale failure records or not', async () => {
+    fs.writeFileSync(scraper.getFailedFilePath(done), 'FAILED TO RETRIEVE MSA DATA');
+    const state = createRunState();
+    updateGeneState(state, done, { status: STATUS.FAILED, error: 'timeout' });
+
+    const { toProcess } = await scraper.selectGenesToProcess(genes, state, 'retry');
+    assert.deepStrictEqual(toProcess, [placeholder, listed]);
+    assert.strictEqual(getGeneState(state, done).status, STATUS.SUCCEEDED);
+  });
+
+  it('treats queued genes as invalid and scrapes only them with queue', async () => {
+    fs.writeFileSync(
+      scraper.getConfig().rescrapeQueuePath,
+      JSON.stringify([{ gene: done, reason: 'html', file: 'MtDone.txt' }])
+    );
+    const state = createRunState();
+    const { toProcess } = await scraper.selectGenesToProcess(genes, state, 'queue');
+    assert.deepStrictEqual(toProcess, [done]);
+    assert.strictEqual(getGeneState(state, done).status, STATUS.INVALID);
+    assert.match(getGeneState(state, done).error, /Queued for re-scrape: html/);
+
+    await scraper.clearFailedGene(done);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(scraper.getConfig().rescrapeQueuePath, 'utf-8')), []);
+  });
+
+  it('rescrapes everything and resets attempts with force', async () => {
+    const state = createRunState();
+    updateGeneState(state, done, { status: STATUS.SUCCEEDED, attempts: 3 });
+
+    const { toProcess, skipped } = await scraper.selectGenesToProcess(genes, state, 'force');
+    assert.strictEqual(toProcess.length, genes.length);
+    assert.strictEqual(skipped, 0);
+    assert.strictEqual(getGeneState(state, done).attempts, 0);
+  });
+
+  it('clears failure records once a gene succeeds', async () => {
+    fs.writeFileSync(scraper.getOutputPath(placeholder), ALIGNMENT);
+    await scraper.clearFailedGene(placeholder);
+    await scraper.clearFailedGene(listed);
+
+    assert.ok(!fs.existsSync(scraper.getFailedFilePath(placeholder)));
+    const failed = JSON.parse(fs.readFileSync(path.join(scraper.getConfig().failedDir, 'failed_genes.json'), 'utf-8'));
+    assert.deepStrictEqual(failed, []);
+  });
+});
+
+describe('run state of a scrape', () => {
+  // A site whose MSA button never copies anything, on a browser that needs no Chrome
+  const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-state-site-'));
+  const site = writeFakeSite(siteDir, { name: 'empty-browser', clipboard: () => null });
+  const inputCsv = path.join(siteDir, 'genes.csv');
+  fs.writeFileSync(inputCsv, `name,id\n${fresh.name},${fresh.id}\n`);
+  const launch = puppeteer.launch;
+  after(() => {
+    puppeteer.launch = launch;
+    scraper.configure();
+    fs.rmSync(siteDir, { recursive: true, force: true });
+  });
+
+  it('adds up the attempts of every run and records the classified failure', async () => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    scraper.configure({ overrides: { site, inputCsv, maxRetries: 2, retryBaseDelay: 1, delayBetweenSearches: 0, forensics: false } });
+    puppeteer.launch = async () => fakeBrowser();
+
+    await scraper.runScrape({ mode: 'force' });
+    await scraper.runScrape({ mode: 'retry' });
+    const state = await loadRunState(scraper.getConfig().runStatePath);
+    const { status, attempts, error, failureType } = getGeneState(state, fresh);
+    const [failed] = JSON.parse(fs.readFileSync(scraper.getConfig().failedGenesPath, 'utf-8'));
+    assert.deepStrictEqual([status, attempts, error, failureType], [STATUS.FAILED, 4, failed.error, 'empty-clipboard']);
+  });
+});
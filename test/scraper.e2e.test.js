@@ -0,0 +1,211 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockServer } = require('./mock-orthobrowser/server');
+const { runWorkerPool } = require('../lib/worker-pool');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+const GENES = {
+  ok: { name: 'MtOK1', id: 'Medtr1g017910' },
+  clipboardOnly: { name: 'MtClipboard', id: 'Medtr1g098300' },
+  noAutocomplete: { name: 'MtNoAuto', id: 'Medtr1g023770' },
+  missingExport: { name: 'MtNoExport', id: 'Medtr1g028600' },
+  binaryClipboard: { name: 'MtBinary', id: 'Medtr1g033360' },
+  slow: { name: 'MtSlow', id: 'Medtr1g036410' },
+  poolA: { name: 'MtPoolA', id: 'Medtr1g040500' },
+  poolB: { name: 'MtPoolB', id: 'Medtr1g069620' },
+  poolC: { name: 'MtPoolC', id: 'Medtr1g069725' },
+  artifacts: { name: 'MtArtifacts', id: 'Medtr1g070440' },
+  shortId: { name: 'MtShort', id: 'Medtr1g01791' },
+  unknownPrefix: { name: 'MtUnknown', id: 'Medtr1g0179' }
+};
+
+// Alignment of the query gene itself, so the headers confirm which gene was loaded
+const SHORT_ID_ALIGNMENT = '>Medtr1g01791.1_Medicago_truncatula_v4\nMK-LV\n>Gmax_ZH13.Chr13.g1.t1\nMKQLV\n';
+
+describe('searchAndExportGene against the mock orthobrowser', () => {
+  let server;
+  let outputDir;
+  let scraper;
+  let browser;
+  let launchError;
+
+  before(async () => {
+    server = await startMockServer({
+      slowDelayMs: 8000,
+      genes: {
+        [GENES.ok.id]: 'ok',
+        [GENES.clipboardOnly.id]: 'clipboard-only',
+        [GENES.noAutocomplete.id]: 'no-autocomplete',
+        [GENES.missingExport.id]: 'missing-export',
+        [GENES.binaryClipboard.id]: 'binary-clipboard',
+        [GENES.slow.id]: 'slow',
+        [GENES.poolA.id]: 'ok',
+        [GENES.poolB.id]: 'binary-clipboard',
+        [GENES.poolC.id]: 'ok',
+        [GENES.artifacts.id]: 'clipboard-only',
+        [GENES.shortId.id]: { scenario: 'ok', alignment: SHORT_ID_ALIGNMENT }
+      }
+    });
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-e2e-'));
+
+    // configure() reads the SCRAPER_* variables, as the CLI does at start
+    process.env.SCRAPER_BASE_URL = server.url;
+    process.env.SCRAPER_OUTPUT_DIR = outputDir;
+    process.env.SCRAPER_RETRY_BASE_DELAY = '10';
+    scraper = require('../scraper-enhanced');
+    scraper.configure();
+    await scraper.ensureDirectories();
+
+    try {
+      browser = await scraper.launchBrowser(true);
+    } catch (err) {
+      launchError = err;
+    }
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (server) await server.close();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  async function run(t, gene) {
+    if (!browser) {
+      t.skip(`Chrome could not be launched: ${launchError.message.split('\n')[0]}`);
+      return null;
+    }
+    const page = await browser.newPage();
+    try {
+      await scraper.preparePage(page);
+      return await scraper.searchAndExportGene(page, gene);
+    } finally {
+      await page.close();
+    }
+  }
+
+  function outputFile(name) {
+    return path.join(outputDir, name);
+  }
+
+  it('saves the alignment intercepted from the network', async (t) => {
+    const result = await run(t, GENES.ok);
+    if (result === null) return;
+
+    assert.strictEqual(result, true);
+    assert.strictEqual(fs.readFileSync(outputFile('MtOK1.txt'), 'utf-8'), FIXTURE);
+  });
+
+  it('saves the alignment copied by the MSA button', async (t) => {
+    const result = await run(t, GENES.clipboardOnly);
+    if (result === null) return;
+
+    assert.strictEqual(result, true);
+    assert.strictEqual(fs.readFileSync(outputFile('MtClipboard.txt'), 'utf-8'), FIXTURE);
+  });
+
+  it('falls back to a direct search when no autocomplete menu appears', async (t) => {
+    const result = await run(t, GENES.noAutocomplete);
+    if (result === null) return;
+
+    assert.strictEqual(result, true);
+    assert.strictEqual(fs.readFileSync(outputFile('MtNoAuto.txt'), 'utf-8'), FIXTURE);
+  });
+
+  it('clicks the suggestion that is the requested ID, not a longer one', async (t) => {
+    const result = await run(t, GENES.shortId);
+    if (result === null) return;
+
+    assert.strictEqual(result, true);
+    assert.strictEqual(fs.readFileSync(outputFile('MtShort.txt'), 'utf-8'), SHORT_ID_ALIGNMENT);
+  });
+
+  it('fails instead of taking a suggestion for a different gene', async (t) => {
+    const result = await run(t, GENES.unknownPrefix);
+    if (result === null) return;
+
+    assert.strictEqual(result, false);
+    assert.ok(!fs.existsSync(outputFile('MtUnknown.txt')));
+    const failed = JSON.parse(fs.readFileSync(path.join(outputDir, 'failed', 'failed_genes.json'), 'utf-8'));
+    assert.strictEqual(failed.find(entry => entry.gene.id === GENES.unknownPrefix.id).type, 'no-autocomplete-match');
+  });
+
+  it('falls back to network data when the Export menu is missing', async (t) => {
+    const result = await run(t, GENES.missingExport);
+    if (result === null) return;
+
+    assert.strictEqual(result, true);
+    assert.strictEqual(fs.readFileSync(outputFile('MtNoExport.txt'), 'utf-8'), FIXTURE);
+    assert.ok(!fs.existsSync(outputFile('MtNoExport_FAILED.txt')));
+  });
+
+  it('rejects a binary clipboard payload instead of saving it', async (t) => {
+    const result = await run(t, GENES.binaryClipboard);
+    if (result === null) return;
+
+    assert.strictEqual(result, false);
+    assert.ok(!fs.existsSync(outputFile('MtBinary.txt')));
+    assert.match(fs.readFileSync(outputFile('MtBinary_FAILED.txt'), 'utf-8'), /ID: Medtr1g033360/);
+  });
+
+  it('gives up when the alignment arrives after the clipboard is read', async (t) => {
+    const result = await run(t, GENES.slow);
+    if (result === null) return;
+
+    assert.strictEqual(result, false);
+    assert.ok(!fs.existsSync(outputFile('MtSlow.txt')));
+    assert.ok(fs.existsSync(outputFile('MtSlow_FAILED.txt')));
+  });
+
+  it('saves the tree and sequences from the Export menu next to the alignment', async (t) => {
+    scraper.configure({ overrides: { artifacts: 'msa,tree,sequences,logo' } });
+    let result;
+    try {
+      result = await run(t, GENES.artifacts);
+    } finally {
+      scraper.configure();
+    }
+    if (result === null) return;
+
+    assert.strictEqual(result, true);
+    assert.strictEqual(fs.readFileSync(outputFile('MtArtifacts.txt'), 'utf-8'), FIXTURE);
+    const artifactsDir = path.join(outputDir, 'artifacts', 'MtArtifacts');
+    assert.strictEqual(fs.readFileSync(path.join(artifactsDir, 'MtArtifacts.tree.nwk'), 'utf-8'), `(${GENES.artifacts.id}:0.1,outgroup:0.2);`);
+    assert.strictEqual(fs.readFileSync(path.join(artifactsDir, 'MtArtifacts.sequences.fasta'), 'utf-8'), FIXTURE.replace(/-/g, ''));
+    const { artifacts } = (await scraper.getOutputIndex()).entries[`${GENES.artifacts.id}|${GENES.artifacts.name}`];
+    assert.deepStrictEqual(Object.keys(artifacts).sort(), ['logo', 'sequences', 'tree']);
+    assert.strictEqual(artifacts.logo.status, 'unavailable');
+  });
+
+  it('gives the same results with a pool of isolated pages', async (t) => {
+    if (!browser) {
+      t.skip(`Chrome could not be launched: ${launchError.message.split('\n')[0]}`);
+      return;
+    }
+    const genes = [GENES.poolA, GENES.poolB, GENES.poolC];
+    const contexts = [await browser.createBrowserContext(), await browser.createBrowserContext()];
+    const pages = [];
+    for (const context of contexts) {
+      const page = await context.newPage();
+      await scraper.preparePage(page);
+      pages.push(page);
+    }
+
+    const results = new Array(genes.length);
+    try {
+      await runWorkerPool(genes, pages.length, async (gene, index, workerId) => {
+        results[index] = await scraper.searchAndExportGene(pages[workerId], gene);
+      });
+    } finally {
+      await Promise.all(contexts.map(context => context.close()));
+    }
+
+    assert.deepStrictEqual(results, [true, false, true]);
+    assert.strictEqual(fs.readFileSync(outputFile('MtPoolA.txt'), 'utf-8'), FIXTURE);
+    assert.strictEqual(fs.readFileSync(outputFile('MtPoolC.txt'), 'utf-8'), FIXTURE);
+    assert.ok(fs.existsSync(outputFile('MtPoolB_FAILED.txt')));
+  });
+});
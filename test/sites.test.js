@@ -0,0 +1,93 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { SITE_ADAPTERS, getSiteAdapter } = require('../lib/sites');
+const { defineSiteAdapter } = require('../lib/sites/define');
+const { loadConfig } = require('../lib/config');
+const scraper = require('../scraper-enhanced');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-sites-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// An adapter for a made-up site whose steps only record that they ran
+const ADAPTER_SOURCE = `
+const { defineSiteAdapter } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'sites', 'define'))});
+const steps = [];
+module.exports = defineSiteAdapter({
+  name: 'fake-browser',
+  baseUrl: 'http://fake.test/browser',
+  steps,
+  search: {
+    async open(page, url) { steps.push(['open', url]); },
+    async enterQuery(page, gene) { steps.push(['enterQuery', gene.id]); },
+    async readSuggestions() { return ['Medtr1g017910', 'Medtr1g0179101']; },
+    async pickSuggestion(page, index) { steps.push(['pickSuggestion', index]); },
+    async submit() { steps.push(['submit']); }
+  },
+  export: {
+    async openMenu() { return true; },
+    async clickAlignment() { steps.push(['clickAlignment']); return true; },
+    async readClipboard() { return ${JSON.stringify(FIXTURE)}; },
+    async readPage() { return null; }
+  },
+  async readPageText() { return 'Gene Medtr1g017910'; }
+});
+`;
+
+describe('site adapters', () => {
+  it('registers the v3 orthobrowser as the default site', () => {
+    assert.ok(SITE_ADAPTERS['orthobrowser-v3']);
+    const config = loadConfig({ env: {}, cwd: os.tmpdir() });
+    assert.strictEqual(config.site, 'orthobrowser-v3');
+    assert.strictEqual(config.baseUrl, SITE_ADAPTERS['orthobrowser-v3'].baseUrl);
+    assert.strictEqual(loadConfig({ env: { SCRAPER_BASE_URL: 'http://mirror.test/' }, cwd: os.tmpdir() }).baseUrl, 'http://mirror.test/');
+  });
+
+  it('finds a protein alignment in the page text of the v3 orthobrowser', async () => {
+    const protein = '>Medtr1g017910.1\nMKLVSTAEQR-\n>Glyma.01G000100.1\nMKIVSTAE-RW\n';
+    const page = {
+      // What the page collects: a menu whose text mentions '>', then the alignment
+      async evaluate() {
+        return ['Export > MSA > Tree and more text that is long enough to be a candidate', protein];
+      }
+    };
+    assert.strictEqual(await SITE_ADAPTERS['orthobrowser-v3'].export.readPage(page), protein);
+    assert.strictEqual(await SITE_ADAPTERS['orthobrowser-v3'].export.readPage({ async evaluate() { return []; } }), null);
+  });
+
+  it('rejects unknown sites and incomplete adapters', () => {
+    assert.throws(() => getSiteAdapter('orthobrowser-v9'), /Unknown site "orthobrowser-v9". Available: orthobrowser-v3/);
+    assert.throws(() => loadConfig({ env: { SCRAPER_SITE: 'nope' }, cwd: os.tmpdir() }), /Unknown site "nope"/);
+    assert.throws(
+      () => defineSiteAdapter({ name: 'half', baseUrl: 'http://x.test', search: { open() {} }, export: {} }),
+      /Site adapter half is missing search.enterQuery, search.readSuggestions, search.pickSuggestion, search.submit, export.openMenu/
+    );
+  });
+
+  it('drives a gene through an adapter loaded from a file', async () => {
+    const adapterPath = path.join(dir, 'fake-browser.js');
+    fs.writeFileSync(adapterPath, ADAPTER_SOURCE);
+    const config = scraper.configure({ overrides: { site: adapterPath, outputDir: path.join(dir, 'output') } });
+    assert.strictEqual(config.baseUrl, 'http://fake.test/browser');
+    await scraper.ensureDirectories();
+
+    const page = Object.assign(new EventEmitter(), { url: () => 'http://fake.test/browser#Medtr1g017910' });
+    const gene = { name: 'MtOK1', id: 'Medtr1g017910' };
+    assert.strictEqual(await scraper.searchAndExportGene(page, gene), true);
+
+    assert.deepStrictEqual(scraper.getSite().steps, [
+      ['open', 'http://fake.test/browser'],
+      ['enterQuery', 'Medtr1g017910'],
+      ['pickSuggestion', 0],
+      ['submit'],
+      ['clickAlignment']
+    ]);
+    assert.strictEqual(fs.readFileSync(scraper.getOutputPath(gene), 'utf-8'), FIXTURE);
+    const entry = (await scraper.getOutputIndex()).entries[`${gene.id}|${gene.name}`];
+    assert.deepStrictEqual([entry.strategy, entry.sourceUrl], ['clipboard', 'http://fake.test/browser#Medtr1g017910']);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { taxonNamer, buildSupermatrix, formatPartitions, degapRecords } = require('../lib/supermatrix');
+const { exportSupermatrix, exportUnaligned } = require('../phylo-export');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'alignment.fasta'), 'utf-8');
+
+describe('supermatrix', () => {
+  const nfp = {
+    name: 'MtNFP',
+    alphabet: 'protein',
+    records: [
+      { header: 'Cter_YS80.v1.c1.g1.t1', sequence: 'MK-V' },
+      { header: 'Cter_YS80.v1.c2.g2.t1', sequence: 'MKLV' },
+      { header: 'Pmon_YS87.hap1.v1.h1tg1l.g3.t1', sequence: 'MR-V' }
+    ]
+  };
+  const lyk = {
+    name: 'LYK1 *',
+    alphabet: 'protein',
+    records: [
+      { header: 'Medtr5g086540.1_Medicago_truncatula_v4', sequence: 'AC' },
+      { header: 'Pmon_YS87.hap2.v1.h2tg9l.g4.t1', sequence: 'A-' }
+    ]
+  };
+
+  it('concatenates genes by taxon and pads missing taxa with gaps', () => {
+    const supermatrix = buildSupermatrix([nfp, lyk]);
+    assert.deepStrictEqual(supermatrix.records, [
+      { header: 'Cter_YS80', sequence: 'MKLV--' },
+      { header: 'Medicago_truncatula_v4', sequence: '----AC' },
+      { header: 'Pmon_YS87', sequence: 'MR-VA-' }
+    ]);
+    assert.deepStrictEqual(supermatrix.partitions, [{ name: 'MtNFP', start: 1, end: 4 }, { name: 'LYK1', start: 5, end: 6 }]);
+    assert.deepStrictEqual(supermatrix.taxa.map(taxon => [taxon.taxon, taxon.genes]), [['Cter_YS80', 1], ['Medicago_truncatula_v4', 1], ['Pmon_YS87', 2]]);
+    // The paralog with fewer residues is left out
+    assert.deepStrictEqual(supermatrix.dropped, [{ gene: 'MtNFP', header: 'Cter_YS80.v1.c1.g1.t1' }]);
+
+    assert.strictEqual(formatPartitions(supermatrix.partitions), 'LG, MtNFP = 1-4\nLG, LYK1 = 5-6\n');
+    assert.strictEqual(formatPartitions(supermatrix.partitions, { alphabet: 'nucleotide' }).split('\n')[0], 'DNA, MtNFP = 1-4');
+  });
+
+  it('names rows by species or assembly on request', () => {
+    const bySpecies = buildSupermatrix([nfp, lyk], { taxonOf: taxonNamer('species') });
+    assert.deepStrictEqual(bySpecies.records.map(record => record.header), ['Cter', 'Medicago_truncatula', 'Pmon']);
+    const byAssembly = buildSupermatrix([lyk], { taxonOf: taxonNamer('assembly') });
+    assert.deepStrictEqual(byAssembly.records.map(record => record.header), ['Medicago_truncatula_v4', 'Pmon_YS87.hap2.v1']);
+    assert.throws(() => taxonNamer('genus'), /Unknown taxon level "genus"/);
+  });
+
+  it('refuses to mix protein and nucleotide alignments', () => {
+    assert.throws(() => buildSupermatrix([nfp, { ...lyk, alphabet: 'nucleotide' }]), /protein and nucleotide/);
+  });
+
+  it('degaps sequences and renames them after their taxon', () => {
+    assert.deepStrictEqual(degapRecords([...nfp.records, { header: 'Gmax_ZH13.Chr1.g5.t1', sequence: '----' }]), [
+      { header: 'Cter_YS80 Cter_YS80.v1.c1.g1.t1', sequence: 'MKV' },
+      { header: 'Cter_YS80_2 Cter_YS80.v1.c2.g2.t1', sequence: 'MKLV' },
+      { header: 'Pmon_YS87 Pmon_YS87.hap1.v1.h1tg1l.g3.t1', sequence: 'MRV' }
+    ]);
+  });
+});
+
+describe('phylogenomics exports', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-phylo-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  fs.writeFileSync(path.join(dir, 'LYK1.txt'), FIXTURE);
+  fs.writeFileSync(path.join(dir, 'MtNFP.txt'), '>Gmax_ZH13.Chr13.g1.t1\nMK-V\n>Cter_YS80.v1.c9.g2.t1\nMKLV\n');
+
+  it('writes the supermatrix, partitions and taxon occupancy', async () => {
+    const { taxa, partitions } = await exportSupermatrix(dir, { formats: ['phylip'] });
+    const supermatrixDir = path.join(dir, 'supermatrix');
+    assert.deepStrictEqual(fs.readdirSync(supermatrixDir).sort(), [
+      'supermatrix.dropped.tsv',
+      'supermatrix.fasta',
+      'supermatrix.partitions.txt',
+      'supermatrix.phy',
+      'supermatrix.taxa.tsv'
+    ]);
+    assert.strictEqual(partitions.length, 2);
+    assert.strictEqual(fs.readFileSync(path.join(supermatrixDir, 'supermatrix.partitions.txt'), 'utf-8'),
+      `LG, LYK1 = 1-${partitions[0].end}\nLG, MtNFP = ${partitions[0].end + 1}-${partitions[0].end + 4}\n`);
+    assert.deepStrictEqual(taxa.map(taxon => taxon.taxon), ['Cter_YS80', 'Gmax_ZH13', 'Ljap.Gifu', 'Pmonvarmon_YS180']);
+    assert.match(fs.readFileSync(path.join(supermatrixDir, 'supermatrix.taxa.tsv'), 'utf-8'), /\nCter_YS80\t2\t100\nGmax_ZH13\t1\t50\n/);
+  });
+
+  it('writes one unaligned FASTA per gene', async () => {
+    const { written } = await exportUnaligned(dir);
+    assert.deepStrictEqual(written.map(file => path.basename(file)), ['LYK1.fasta', 'MtNFP.fasta']);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'unaligned', 'MtNFP.fasta'), 'utf-8'),
+      '>Gmax_ZH13 Gmax_ZH13.Chr13.g1.t1\nMKV\n>Cter_YS80 Cter_YS80.v1.c9.g2.t1\nMKLV\n');
+  });
+});
@@ -0,0 +1,246 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createThrottle, parseRetryAfter } = require('../lib/throttle');
+const { startMockServer } = require('./mock-orthobrowser/server');
+const scraper = require('../scraper-enhanced');
+const { writeFakeSite, fakePage, fakeBrowser } = require('./helpers/fake-site');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-throttle-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const response = (status, { timeMs = 100, retryAfter = null, resourceType = 'xhr' } = {}) => ({
+  status,
+  timeMs,
+  resourceType,
+  responseHeaders: retryAfter === null ? {} : { 'retry-after': String(retryAfter) }
+});
+
+// A throttle on a fake clock whose waits move the clock forward
+function fakeThrottle(options) {
+  const clock = { time: Date.parse('2026-10-01T00:00:00Z'), waited: [] };
+  const events = [];
+  const throttle = createThrottle({
+    delayMs: 2000,
+    maxDelayMs: 60000,
+    ...options,
+    now: () => clock.time,
+    wait: async ms => {
+      clock.waited.push(ms);
+      clock.time += ms;
+    },
+    onChange: (event, fields) => events.push({ event, ...fields })
+  });
+  return { throttle, clock, events };
+}
+
+describe('throttle', () => {
+  it('reads Retry-After as seconds or a date', () => {
+    const now = Date.parse('2026-10-01T00:00:00Z');
+    assert.strictEqual(parseRetryAfter('120', now), 120000);
+    assert.strictEqual(parseRetryAfter('Thu, 01 Oct 2026 00:00:30 GMT', now), 30000);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+    assert.strictEqual(parseRetryAfter(undefined, now), null);
+  });
+
+  it('backs off on server errors, honours Retry-After and recovers', async () => {
+    const { throttle, clock, events } = fakeThrottle({ breakerThreshold: 0 });
+    const seen = throttle.observe([response(200, { resourceType: 'document' }), response(429, { retryAfter: 30 })], { type: 'empty-clipboard' });
+    assert.deepStrictEqual([seen.outcome, seen.status, seen.retryAfterMs], ['server-error', 429, 30000]);
+    assert.strictEqual(throttle.delayMs, 4000);
+
+    assert.strictEqual(await throttle.waitForServer(), true);
+    assert.deepStrictEqual(clock.waited, [30000]);
+
+    // Scripts and images do not count
+    assert.strictEqual(throttle.observe([response(503, { resourceType: 'script' })]).outcome, 'unknown');
+    for (let i = 0; i < 6; i++) throttle.observe([response(200)]);
+    assert.strictEqual(throttle.delayMs, 2000);
+    assert.deepStrictEqual(events.map(event => event.delayMs), [4000, 3000, 2500, 2250, 2125, 2063, 2000]);
+  });
+
+  it('slows down when latency rises well above the usual', () => {
+    const { throttle } = fakeThrottle({ latencyFactor: 3 });
+    for (let i = 0; i < 3; i++) throttle.observe([response(200, { timeMs: 400 })]);
+    assert.strictEqual(throttle.observe([response(200, { timeMs: 1100 })]).outcome, 'ok');
+    assert.strictEqual(throttle.observe([response(200, { timeMs: 5000 })]).outcome, 'slow');
+    assert.strictEqual(throttle.delayMs, 3000);
+  });
+
+  it('opens the breaker, probes once and stops after too many trips', async () => {
+    const { throttle, clock, events } = fakeThrottle({ breakerThreshold: 2, breakerCooldownMs: 60000, breakerMaxTrips: 2 });
+    throttle.observe([], { type: 'navigation', message: 'net::ERR_CONNECTION_REFUSED' });
+    throttle.observe([response(502)], { type: 'no-export-menu' });
+    assert.strictEqual(throttle.breaker, 'open');
+
+    // The first worker through after the cooldown probes, the others wait for it
+    const probe = await throttle.waitForServer();
+    assert.strictEqual(throttle.breaker, 'half-open');
+    assert.deepStrictEqual(clock.waited, [60000]);
+    let otherDone = false;
+    const other = throttle.waitForServer().then(result => {
+      otherDone = true;
+      return result;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual([probe, otherDone], [true, false]);
+
+    // The probe fails: after another cooldown the waiting worker probes
+    throttle.observe([response(503)], { type: 'no-autocomplete-match' });
+    assert.strictEqual(await other, true);
+    assert.strictEqual(throttle.breaker, 'half-open');
+    throttle.observe([response(503)], { type: 'no-autocomplete-match' });
+    assert.strictEqual(throttle.stopped, true);
+    assert.strictEqual(await throttle.waitForServer({ probe: false }), false);
+    assert.deepStrictEqual(
+      events.filter(event => event.event === 'breaker').map(event => event.state),
+      ['open', 'half-open', 'open', 'half-open', 'stopped']
+    );
+  });
+
+  it('closes the breaker after a healthy probe and keeps an open one across runs', async () => {
+    const { throttle, clock } = fakeThrottle({ breakerThreshold: 1, breakerCooldownMs: 60000 });
+    throttle.observe([response(500)], { type: 'error', message: 'boom' });
+    const saved = throttle.snapshot();
+    assert.strictEqual(saved.breaker, 'open');
+
+    const resumed = createThrottle({ delayMs: 2000, saved, now: () => clock.time + 1000 });
+    assert.strictEqual(resumed.breaker, 'open');
+    const later = createThrottle({ delayMs: 2000, saved, now: () => clock.time + 120000 });
+    assert.strictEqual(later.breaker, 'closed');
+
+    await throttle.waitForServer();
+    throttle.observe([response(200)]);
+    assert.deepStrictEqual([throttle.breaker, throttle.snapshot().trips], ['closed', 0]);
+  });
+});
+
+// A fake page whose navigations and data requests go to the mock
+// orthobrowser over real HTTP, surfaced as page request/response events the
+// way Puppeteer reports them
+function httpPage() {
+  let currentUrl = 'about:blank';
+  return fakePage({
+    url: () => currentUrl,
+    // Fetch `url` and report it like Puppeteer; returns the status
+    async load(url, resourceType) {
+      const request = { url: () => url, method: () => 'GET', resourceType: () => resourceType, headers: () => ({}) };
+      this.emit('request', request);
+      const res = await fetch(url);
+      const body = await res.text();
+      if (resourceType === 'document') currentUrl = url;
+      this.emit('response', {
+        request: () => request,
+        url: () => url,
+        status: () => res.status,
+        statusText: () => res.statusText,
+        headers: () => Object.fromEntries(res.headers),
+        text: async () => body
+      });
+      return res.status;
+    }
+  });
+}
+
+describe('scraping a struggling server', () => {
+  // A site on the mock orthobrowser: a gene whose data request succeeded
+  // copies an alignment, except `cutOnce` genes whose first copy is cut off
+  let loaded = false;
+  const cutOnce = new Set();
+  const adapterPath = writeFakeSite(dir, {
+    name: 'http-browser',
+    clipboard: id => {
+      if (!loaded) return null;
+      if (cutOnce.delete(id)) return `>${id}.1\nMKLV-\n>cut`;
+      return `>${id}.1\nMKLV-\n>Gmax.${id}\nMKL-V\n`;
+    },
+    async open(page, url) {
+      await page.load(url, 'document');
+    },
+    async enterQuery(page, gene) {
+      loaded = (await page.load(new URL(`/api/gene/${gene.id}`, page.url()).href, 'xhr')) === 200;
+    }
+  });
+  const genes = [
+    { name: 'MtA', id: 'Medtr1g010' },
+    { name: 'MtB', id: 'Medtr1g020' },
+    { name: 'MtC', id: 'Medtr1g030' }
+  ];
+  const overrides = {
+    site: adapterPath,
+    maxRetries: 2,
+    retryBaseDelay: 0,
+    delayBetweenSearches: 0,
+    throttleMaxDelay: 100,
+    breakerThreshold: 2,
+    breakerCooldown: 200,
+    breakerMaxTrips: 1,
+    forensics: false
+  };
+  let server;
+
+  after(async () => {
+    scraper.configure();
+    if (server) await server.close();
+  });
+
+  it('waits out Retry-After and the breaker instead of failing genes', async () => {
+    server = await startMockServer({ genes: Object.fromEntries(genes.map(gene => [gene.id, 'ok'])) });
+    const outputDir = path.join(dir, 'recovering');
+    scraper.configure({ overrides: { ...overrides, outputDir, baseUrl: server.url } });
+    // Both attempts maxRetries allows fail; the second opens the breaker and
+    // so does not count, and the probe after the cooldown succeeds
+    server.trouble({ status: 503, retryAfter: 1, count: 4 });
+
+    const started = Date.now();
+    const { results, report } = await scraper.scrapeGenes(genes, { browser: fakeBrowser(httpPage()) });
+    assert.ok(Date.now() - started >= 1000);
+    assert.deepStrictEqual(results.map(result => result.success), [true, true, true]);
+    assert.deepStrictEqual(results[0].attempts.map(attempt => attempt.failure && attempt.failure.type), ['server-error', 'server-error', null]);
+    assert.match(results[0].attempts[0].failure.message, /HTTP 503 \(Retry-After 1s\)/);
+    assert.strictEqual(fs.existsSync(path.join(outputDir, 'failed', 'failed_genes.json')), false);
+
+    assert.deepStrictEqual([report.server.breakerTrips, report.server.stoppedByBreaker, report.server.maxDelayMs], [1, false, 100]);
+    const saved = JSON.parse(fs.readFileSync(path.join(outputDir, 'throttle-state.json'), 'utf-8'));
+    assert.deepStrictEqual([saved.breaker, saved.trips], ['closed', 0]);
+  });
+
+  it('backs off by the counted attempts once the breaker has closed', async () => {
+    const outputDir = path.join(dir, 'backoff');
+    scraper.configure({ overrides: { ...overrides, outputDir, baseUrl: server.url, maxRetries: 3, retryBaseDelay: 10 } });
+    server.trouble({ status: 503, count: 4 });
+    cutOnce.add(genes[0].id);
+
+    const retries = [];
+    const { results } = await scraper.scrapeGenes(genes.slice(0, 1), {
+      browser: fakeBrowser(httpPage()),
+      onEvent: entry => {
+        if (entry.event === 'retry') retries.push(entry);
+      }
+    });
+    assert.deepStrictEqual(
+      results[0].attempts.map(attempt => attempt.failure && attempt.failure.type),
+      ['server-error', 'server-error', 'invalid-data', null]
+    );
+    // The cut-off copy after the breaker trip is the second counted attempt
+    assert.deepStrictEqual(
+      retries.map(retry => [retry.attempt, retry.counted, retry.breaker, retry.delayMs]),
+      [[1, 1, undefined, 40], [2, undefined, true, 0], [3, 2, undefined, 20]]
+    );
+  });
+
+  it('stops the run and leaves the remaining genes pending when the site stays down', async () => {
+    const outputDir = path.join(dir, 'down');
+    scraper.configure({ overrides: { ...overrides, outputDir, baseUrl: server.url } });
+    server.trouble({ status: 500 });
+
+    const { results, report } = await scraper.scrapeGenes(genes, { browser: fakeBrowser(httpPage()) });
+    assert.deepStrictEqual(results.map(result => [result.success, result.skipped]), [[false, true], [false, true], [false, true]]);
+    assert.strictEqual(scraper.getThrottle().stopped, true);
+    assert.deepStrictEqual([report.totals.failed, report.totals.skippedDuringRun, report.server.stoppedByBreaker], [0, 3, true]);
+    assert.strictEqual(fs.existsSync(path.join(outputDir, 'failed', 'failed_genes.json')), false);
+    server.trouble(null);
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { runWorkerPool, createRateLimiter, createLock, sleep } = require('../lib/worker-pool');
+const { createProgressTracker, formatDuration } = require('../lib/progress');
+
+describe('runWorkerPool', () => {
+  it('processes every item exactly once with bounded concurrency', async () => {
+    const items = Array.from({ length: 10 }, (_, i) => i);
+    const seen = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    await runWorkerPool(items, 3, async (item, index) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await sleep(5 + (item % 3) * 5);
+      seen.push(index);
+      inFlight--;
+    });
+
+    assert.deepStrictEqual(seen.sort((a, b) => a - b), items);
+    assert.strictEqual(maxInFlight, 3);
+  });
+
+  it('hands each worker a stable id', async () => {
+    const workerIds = new Set();
+    await runWorkerPool([1, 2, 3, 4], 2, async (item, index, workerId) => {
+      workerIds.add(workerId);
+      await sleep(1);
+    });
+    assert.deepStrictEqual([...workerIds].sort(), [0, 1]);
+  });
+
+  it('stops taking items after a worker throws and lets the others finish first', async () => {
+    const started = [];
+    let inFlight = 0;
+
+    await assert.rejects(runWorkerPool([0, 1, 2, 3, 4, 5], 2, async item => {
+      started.push(item);
+      inFlight++;
+      await sleep(item === 1 ? 1 : 20);
+      inFlight--;
+      if (item === 1) {
+        throw new Error('state not saved');
+      }
+    }), /state not saved/);
+
+    assert.deepStrictEqual(started, [0, 1]);
+    assert.strictEqual(inFlight, 0);
+  });
+
+  it('never starts more workers than items', async () => {
+    const workerIds = new Set();
+    await runWorkerPool(['only'], 4, async (item, index, workerId) => workerIds.add(workerId));
+    assert.deepStrictEqual([...workerIds], [0]);
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('spaces callers by the interval across concurrent workers', async () => {
+    const waitTurn = createRateLimiter(40);
+    const started = Date.now();
+    const times = await Promise.all([1, 2, 3].map(async () => {
+      await waitTurn();
+      return Date.now() - started;
+    }));
+
+    times.sort((a, b) => a - b);
+    assert.ok(times[0] < 40);
+    assert.ok(times[1] >= 35);
+    assert.ok(times[2] >= 75);
+  });
+});
+
+describe('createLock', () => {
+  it('runs sections one at a time in call order', async () => {
+    const withLock = createLock();
+    const events = [];
+    await Promise.all([
+      withLock(async () => { events.push('a:start'); await sleep(10); events.push('a:end'); }),
+      withLock(async () => { events.push('b:start'); events.push('b:end'); })
+    ]);
+    assert.deepStrictEqual(events, ['a:start', 'a:end', 'b:start', 'b:end']);
+  });
+
+  it('keeps going after a section throws', async () => {
+    const withLock = createLock();
+    await assert.rejects(withLock(async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(await withLock(async () => 'next'), 'next');
+  });
+});
+
+describe('createProgressTracker', () => {
+  it('aggregates results from all workers', () => {
+    const progress = createProgressTracker(4);
+    progress.record(true);
+    progress.record(false);
+    const status = progress.record(true);
+
+    assert.strictEqual(status.completed, 3);
+    assert.strictEqual(status.successCount, 2);
+    assert.strictEqual(status.failCount, 1);
+    assert.strictEqual(status.percent, 75);
+  });
+
+  it('formats ETAs in minutes', () => {
+    assert.strictEqual(formatDuration(null), 'unknown');
+    assert.strictEqual(formatDuration(10000), 'less than a minute');
+    assert.strictEqual(formatDuration(5 * 60000), '5 minutes');
+  });
+});